@@ -3,58 +3,104 @@ const cors = require("cors")
 
 const ErrorResponse = require("./api/utils/ErrorResponse"); // Classe para representar erros customizados da API
 const Logger = require("./api/utils/Logger"); // Utilitário para registrar logs (console/arquivo/etc.)
+const Metricas = require("./api/utils/Metricas"); // Registro das métricas exportadas em GET /metrics
 
 // Middlewares
 const JwtMiddleware = require("./api/middleware/JwtMiddleware"); // Middleware de autenticação via JWT
+const AuthorizationMiddleware = require("./api/middleware/AuthorizationMiddleware"); // Middleware de autorização por perfil/permissão
+const RequestIdMiddleware = require("./api/middleware/RequestIdMiddleware"); // Identificador da requisição (cabeçalho e logs)
+const AccessLogMiddleware = require("./api/middleware/AccessLogMiddleware"); // Log de acesso (método, rota, status, latência)
+const MetricasMiddleware = require("./api/middleware/MetricasMiddleware"); // Métricas HTTP (contagem e latência por rota)
 
 // Roteadores
 const CargoRouter = require("./api/routes/CargoRouter");
 const FuncionarioRouter = require("./api/routes/FuncionarioRouter");
+const PerfilRouter = require("./api/routes/PerfilRouter");
+const PermissaoRouter = require("./api/routes/PermissaoRouter");
+const BloqueioLoginRouter = require("./api/routes/BloqueioLoginRouter");
+const AuditoriaRouter = require("./api/routes/AuditoriaRouter");
+const MetricasRouter = require("./api/routes/MetricasRouter");
+const SaudeRouter = require("./api/routes/SaudeRouter");
 
 // Middlewares específicos das entidades
 const CargoMiddleware = require("./api/middleware/CargoMiddleware");
 const FuncionarioMiddleware = require("./api/middleware/FuncionarioMiddleware");
+const PerfilMiddleware = require("./api/middleware/PerfilMiddleware");
+const PermissaoMiddleware = require("./api/middleware/PermissaoMiddleware");
+const BloqueioLoginMiddleware = require("./api/middleware/BloqueioLoginMiddleware");
 
 // Controllers (controladores das regras de entrada/saída HTTP)
 const CargoController = require("./api/controllers/CargoController");
 const FuncionarioController = require("./api/controllers/FuncionarioController");
+const PerfilController = require("./api/controllers/PerfilController");
+const PermissaoController = require("./api/controllers/PermissaoController");
+const BloqueioLoginController = require("./api/controllers/BloqueioLoginController");
+const AuditoriaController = require("./api/controllers/AuditoriaController");
+const MetricasController = require("./api/controllers/MetricasController");
+const SaudeController = require("./api/controllers/SaudeController");
 
 // Services (camada de regras de negócio)
 const CargoService = require("./api/services/CargoService");
 const FuncionarioService = require("./api/services/FuncionarioService");
+const PerfilService = require("./api/services/PerfilService");
+const PermissaoService = require("./api/services/PermissaoService");
+const TokenService = require("./api/services/TokenService");
+const LoginProtecaoService = require("./api/services/LoginProtecaoService");
+const SaudeService = require("./api/services/SaudeService");
+const RedefinicaoSenhaService = require("./api/services/RedefinicaoSenhaService");
+const AuditoriaService = require("./api/services/AuditoriaService");
 
 // DAOs (camada de acesso a dados, comunicação com o banco)
 const CargoDAO = require("./api/dao/CargoDAO");
 const FuncionarioDAO = require("./api/dao/FuncionarioDAO");
+const PerfilDAO = require("./api/dao/PerfilDAO");
+const PermissaoDAO = require("./api/dao/PermissaoDAO");
+const RefreshTokenDAO = require("./api/dao/RefreshTokenDAO");
+const TokenRevogadoDAO = require("./api/dao/TokenRevogadoDAO");
+const TentativaLoginDAO = require("./api/dao/TentativaLoginDAO");
+const BloqueioLoginDAO = require("./api/dao/BloqueioLoginDAO");
+const RedefinicaoSenhaDAO = require("./api/dao/RedefinicaoSenhaDAO");
+const AuditoriaDAO = require("./api/dao/AuditoriaDAO");
+const FusaoCargoDAO = require("./api/dao/FusaoCargoDAO");
+
+// Transporte de email (troque por MemoryMailTransport em testes ou por um transporte SMTP em produção)
+const FileMailTransport = require("./api/mail/FileMailTransport");
 
 // Banco de dados (pool de conexões MySQL centralizado)
-const MysqlDatabase = require("./api/database/MysqlDatabase");
+const Database = require("./api/database/Database");
+const Migrador = require("./api/database/Migrador");
 
 /**
  * Classe principal do servidor Express.
  * 
  * Responsabilidades:
  * - Configurar middlewares globais (ex: JSON, estáticos, autenticação).
- * - Inicializar pool de conexões com MySQL.
+ * - Inicializar pool de conexões com MySQL (aguardando o banco, com novas tentativas).
  * - Montar dependências das camadas (DAO → Service → Controller → Router).
  * - Tratar erros globais com errorHandler.
  * - Subir o servidor Express.
  */
 module.exports = class Server {
     // 🔒 Atributos privados (encapsulamento)
+    #configuracao; // Configuração carregada por Configuracao (servidor, banco, jwt, email, loginProtecao, log, metricas)
     #porta;
     #app;
     #router;
+    #httpServer; // Retorno de app.listen(), fechado no encerramento
+    #encerramento; // Promise do encerramento em andamento (encerrar() pode ser chamado mais de uma vez)
 
-    #database; // Pool global de conexões do MySQL
+    #database; // Banco de dados (pool do MySQL ou conexão SQLite)
+    #dependencias; // DAOs e transporte de email injetados pelos testes
 
     #jwtMiddleware; // Middleware de autenticação
+    #authorizationMiddleware; // Middleware de autorização (perfis/permissões)
 
     #cargoRouter;
     #cargoMiddleware;
     #cargoController;
     #cargoService;
     #cargoDAO;
+    #fusaoCargoDAO; // Histórico de fusões de cargos
 
 
     #funcionarioRouter;
@@ -62,14 +108,60 @@ module.exports = class Server {
     #funcionarioController;
     #funcionarioService;
     #funcionarioDAO;
+    #redefinicaoSenhaService; // Esqueci minha senha
+    #redefinicaoSenhaDAO;
+    #mailTransport;
+
+    #perfilRouter;
+    #perfilMiddleware;
+    #perfilController;
+    #perfilService;
+    #perfilDAO;
+
+    #permissaoRouter;
+    #permissaoMiddleware;
+    #permissaoController;
+    #permissaoService;
+    #permissaoDAO;
+
+    #tokenService; // Emissão, renovação e revogação de tokens
+    #refreshTokenDAO;
+    #tokenRevogadoDAO;
+
+    #bloqueioLoginRouter;
+    #bloqueioLoginMiddleware;
+    #bloqueioLoginController;
+    #loginProtecaoService; // Proteção do login contra força bruta
+    #tentativaLoginDAO;
+    #bloqueioLoginDAO;
+
+    #auditoriaRouter;
+    #auditoriaController;
+    #auditoriaService;
+    #auditoriaDAO; // Trilha de auditoria, usada pelos DAOs de Cargo e Funcionário
+
+    #metricas; // Métricas (Prometheus), alimentadas pelos middlewares HTTP, pelo login e pelo pool
+    #metricasRouter;
+    #metricasMiddleware;
+    #metricasController;
+
+    #saudeRouter; // GET /health/live e /health/ready
+    #saudeController;
+    #saudeService;
 
     /**
-     * Construtor recebe a porta onde o servidor será iniciado.
-     * Caso não seja passada, usa a porta 8080 por padrão.
+     * Construtor recebe a configuração já carregada e validada (Configuracao.carregar()).
+     * Todos os componentes recebem dela os seus parâmetros.
+     *
+     * @param {Object} configuracao - { ambiente, servidor, banco, jwt, email, loginProtecao, log, metricas }
+     * @param {Object} [dependencias] - Substitutos usados nos testes: cargoDAO, funcionarioDAO e mailTransport
+     *                                  (ex: { cargoDAO: new MemoryCargoDAO(db), mailTransport: new MemoryMailTransport() }).
      */
-    constructor(porta) {
-        console.log("⬆️ CargoControl.constructor()");
-        this.#porta = porta ?? 8080;
+    constructor(configuracao, dependencias = {}) {
+        Logger.debug("⬆️ CargoControl.constructor()");
+        this.#configuracao = configuracao;
+        this.#porta = configuracao.servidor.porta;
+        this.#dependencias = dependencias;
     }
 
     /**
@@ -77,19 +169,23 @@ module.exports = class Server {
      * 
      * - Configura o Express (JSON, arquivos estáticos).
      * - Cria middlewares globais.
-     * - Inicializa pool do banco.
-     * - Configura módulos de Cargo e Funcionário.
+     * - Inicializa pool do banco e aguarda a primeira conexão (com novas tentativas e backoff exponencial).
+     * - Configura tokens (refresh/revogação) e os middlewares de autenticação e autorização.
+     * - Configura a auditoria e os módulos de Cargo, Permissão, Perfil, Bloqueios de login e Funcionário.
      * - Configura tratamento de erros.
      */
     init = async () => {
-        console.log("⬆️  Server.init()");
+        Logger.debug("⬆️  Server.init()");
         this.#app = express();
         this.#router = express.Router();
-        this.#app.use(express.json()); // Habilita leitura de JSON no corpo da requisição
+        // Habilita leitura de JSON no corpo da requisição (inclusive JSON Merge Patch, usado nas rotas PATCH)
+        this.#app.use(express.json({ type: ["application/json", "application/merge-patch+json"] }));
         this.#app.use(express.static("static")); // Habilita pasta "static" para arquivos públicos (ex: HTML, JS, CSS)
 
         //configuração de cors significa que qualquer site ou domínio pode fazer requisições para sua API sem sofre bloquio de cors
-        this.#app.use(cors({ origin: "*" }));
+        // exposedHeaders: permite que o JavaScript do navegador leia o token renovado pelo JwtMiddleware
+        // e o identificador da requisição (informado ao suporte junto com o erro)
+        this.#app.use(cors({ origin: "*", exposedHeaders: [JwtMiddleware.HEADER_TOKEN_RENOVADO, RequestIdMiddleware.HEADER] }));
         /**
          * cors pode trabalhar com configurações complexas, veja exemplo abaixo.
          * this.#app.use(cors({
@@ -99,29 +195,122 @@ module.exports = class Server {
             }));
          */
 
-        this.#jwtMiddleware = new JwtMiddleware(); // Inicializa middleware JWT
-
-        // 🔹 Cria o pool global de conexões MySQL
-        this.#database = new MysqlDatabase({
-            host: "localhost",       // IP ou hostname do servidor MySQL
-            user: "root",              // Usuário do banco
-            password: "",         // Senha do usuário
-            database: "gestao_rh",        // Nome do banco de dados
-            port: 3306,                 // Porta do MySQL
-            waitForConnections: true,   // Espera se não houver conexão disponível
-            connectionLimit: 50,        // Máximo de conexões simultâneas no pool
-            queueLimit: 10              // Máximo de requisições enfileiradas
-        });
+        // 🔹 Cria o banco: pool global de conexões MySQL ou SQLite (arquivo/memória), conforme DB_CLIENT
+        // host, user, password, database, port, limites do pool, novas tentativas e arquivo do SQLite vêm
+        // da seção banco da configuração (variáveis DB_*); ver api/config/Configuracao.js
+        this.#database = Database.criar(this.#configuracao.banco);
+
+        // Só monta as rotas depois que o banco responder; se não responder, init() falha com 503
+        await this.#database.connect();
+
+        // SQLite em memória começa vazio: aplica as migrações antes de atender (DB_MIGRATE_ON_START)
+        if (this.#configuracao.banco.migrarAoIniciar) {
+            await new Migrador(this.#database).migrar();
+        }
 
-        this.#database.connect();
+        this.setupToken(); // Tokens precisam do banco (lista de revogação) e são usados pelo middleware JWT
+        this.#jwtMiddleware = new JwtMiddleware(this.#tokenService); // Inicializa middleware JWT
+        this.#authorizationMiddleware = new AuthorizationMiddleware(); // Inicializa middleware de autorização
 
         // Monta dependências e rotas de cada módulo
+        this.setupMetricas(); // Antes do beforeRouting: GET /metrics fica fora do log de acesso e das métricas HTTP
+        this.setupSaude(); // Idem para as verificações de saúde, consultadas a cada poucos segundos
         this.beforeRouting(); // Middleware executado antes das rotas
+        this.setupAuditoria(); // Antes de Cargo e Funcionário, cujos DAOs gravam a auditoria
         this.setupCargo();
+        this.setupPermissao();
+        this.setupPerfil();
+        this.setupLoginProtecao();
         this.setupFuncionario();
         this.setupErrorMiddleware(); // Configura tratamento global de erros
     }
 
+    /**
+     * Configuração dos tokens de acesso.
+     * - Cria os DAOs de refresh token e da lista de revogação.
+     * - Cria o TokenService, usado pelo JwtMiddleware e pelo FuncionarioService.
+     *
+     * Observação: o TokenService usa os DAOs de Perfil e Permissão para reler as permissões
+     * na renovação do token, por isso eles são criados aqui (e reaproveitados pelos seus módulos).
+     */
+    setupToken = () => {
+        Logger.debug("⬆️  Server.setupToken()");
+
+        this.#refreshTokenDAO = new RefreshTokenDAO(this.#database);
+        this.#tokenRevogadoDAO = new TokenRevogadoDAO(this.#database);
+        this.#perfilDAO = new PerfilDAO(this.#database);
+        this.#permissaoDAO = new PermissaoDAO(this.#database);
+        this.#tokenService = new TokenService(
+            this.#refreshTokenDAO, this.#tokenRevogadoDAO, this.#perfilDAO, this.#permissaoDAO, this.#configuracao.jwt
+        );
+    }
+
+    /**
+     * Configuração das métricas.
+     * - Cria o registro (Metricas), injetado no middleware das métricas HTTP e no FuncionarioService (logins).
+     * - Registra os medidores do pool de conexões, lidos a cada coleta.
+     * - Registra a rota "/metrics" (formato texto do Prometheus; token METRICS_TOKEN, se configurado).
+     */
+    setupMetricas = () => {
+        Logger.debug("⬆️  Server.setupMetricas()");
+
+        this.#metricas = new Metricas();
+
+        // Com SQLite não há pool: estatisticasPool() devolve null e os medidores ficam fora da coleta
+        const pool = (campo) => () => this.#database.estatisticasPool()?.[campo];
+        this.#metricas.medidor("db_pool_active_connections", "Conexões do pool em uso", pool("ativas"));
+        this.#metricas.medidor("db_pool_idle_connections", "Conexões do pool abertas e livres", pool("ociosas"));
+        this.#metricas.medidor("db_pool_queued_requests", "Pedidos de conexão esperando na fila do pool", pool("naFila"));
+        this.#metricas.medidor("db_pool_connection_limit", "Limite de conexões do pool (DB_CONNECTION_LIMIT)", pool("limiteConexoes"));
+        this.#metricas.medidor("db_pool_queue_limit", "Limite da fila do pool (DB_QUEUE_LIMIT)", pool("limiteFila"));
+
+        this.#metricasMiddleware = new MetricasMiddleware(this.#metricas, this.#configuracao.metricas);
+        this.#metricasController = new MetricasController(this.#metricas);
+        this.#metricasRouter = new MetricasRouter(this.#metricasMiddleware, this.#metricasController);
+
+        // http://localhost:PORT/metrics
+        this.#app.use("/metrics", this.#metricasRouter.createRoutes());
+    }
+
+    /**
+     * Configuração das verificações de saúde.
+     * - Cria o SaudeService, que pinga o banco na readiness e é avisado do encerramento.
+     * - Registra as rotas públicas "/health/live" e "/health/ready".
+     */
+    setupSaude = () => {
+        Logger.debug("⬆️  Server.setupSaude()");
+
+        this.#saudeService = new SaudeService(this.#database);
+        this.#saudeController = new SaudeController(this.#saudeService);
+        this.#saudeRouter = new SaudeRouter(this.#saudeController);
+
+        // http://localhost:PORT/health/live e http://localhost:PORT/health/ready
+        this.#app.use("/health", this.#saudeRouter.createRoutes());
+    }
+
+    /**
+     * Configuração da auditoria.
+     * - Cria o AuditoriaDAO, injetado nos DAOs de Cargo e Funcionário para registrar
+     *   cada alteração na mesma transação.
+     * - Cria Service, Controller e registra a consulta em "/api/v1/auditoria".
+     */
+    setupAuditoria = () => {
+        Logger.debug("⬆️  Server.setupAuditoria()");
+
+        this.#auditoriaDAO = new AuditoriaDAO(this.#database);
+        this.#auditoriaService = new AuditoriaService(this.#auditoriaDAO);
+        this.#auditoriaController = new AuditoriaController(this.#auditoriaService);
+
+        this.#auditoriaRouter = new AuditoriaRouter(
+            this.#jwtMiddleware,
+            this.#authorizationMiddleware,
+            this.#auditoriaController
+        );
+
+        // http://localhost:PORT/api/v1/auditoria
+        this.#app.use("/api/v1/auditoria", this.#auditoriaRouter.createRoutes());
+    }
+
     /**
      * Configuração do módulo Cargo.
      * - Cria middleware, DAO, Service e Controller.
@@ -129,7 +318,7 @@ module.exports = class Server {
      * - Registra rotas em "/api/v1/cargos".
      */
     setupCargo = () => {
-        console.log("⬆️  Server.setupCargo()");
+        Logger.debug("⬆️  Server.setupCargo()");
 
         // 🔹 Middleware de validação para Cargo
         // Verifica se os dados recebidos nas requisições estão corretos
@@ -140,13 +329,16 @@ module.exports = class Server {
         // 🔹 DAO de Cargo
         // Recebe a conexão com o banco (pool MysqlDatabase) via injeção de dependência.
         // O DAO não precisa saber como a conexão foi criada, apenas usa os métodos disponíveis.
-        this.#cargoDAO = new CargoDAO(this.#database);
+        // O FusaoCargoDAO grava o histórico na mesma transação da fusão de cargos.
+        this.#fusaoCargoDAO = new FusaoCargoDAO(this.#database);
+        this.#cargoDAO = this.#dependencias.cargoDAO ?? new CargoDAO(this.#database, this.#auditoriaDAO, this.#fusaoCargoDAO);
 
         // 🔹 Service de Cargo
         // Recebe o DAO via injeção de dependência.
         // O Service contém a lógica de negócio da entidade Cargo
-        // e não precisa acessar diretamente o banco de dados.
-        this.#cargoService = new CargoService(this.#cargoDAO);
+        // e não precisa acessar diretamente o banco de dados: recebe o banco apenas
+        // para agrupar várias chamadas de DAO em uma transação (database.transaction()).
+        this.#cargoService = new CargoService(this.#cargoDAO, this.#fusaoCargoDAO, this.#database);
 
         // 🔹 Controller de Cargo
         // Recebe o Service via injeção de dependência.
@@ -158,11 +350,13 @@ module.exports = class Server {
         // Recebe todas as dependências necessárias:
         // - express Router
         // - jwtMiddleware → autenticação
+        // - authorizationMiddleware → autorização por permissão
         // - cargoMiddleware → validação de entrada
         // - cargoControl → manipulação da lógica de negócio
         this.#cargoRouter = new CargoRouter(
             this.#router,
             this.#jwtMiddleware,
+            this.#authorizationMiddleware,
             this.#cargoMiddleware,
             this.#cargoController
         );
@@ -179,10 +373,11 @@ module.exports = class Server {
      * - Injeta dependências.
      * - Registra rotas em "/api/v1/funcionarios".
      * 
-     * Observação: Como Funcionário depende de Cargo, garante que CargoDAO já foi instanciado.
+     * Observação: Como Funcionário depende de Cargo, Perfil e Permissão,
+     * garante que os respectivos DAOs já foram instanciados.
      */
     setupFuncionario = () => {
-        console.log("⬆️  Server.setupFuncionario");
+        Logger.debug("⬆️  Server.setupFuncionario");
 
         // 🔹 Middleware de validação para Funcionário
         // Responsável por verificar se os dados recebidos na requisição
@@ -193,14 +388,21 @@ module.exports = class Server {
         // Recebe o pool do banco (MysqlDatabase) via injeção de dependência.
         // Assim, o DAO não conhece os detalhes de como a conexão foi criada,
         // apenas sabe usar a instância recebida.
-        this.#funcionarioDAO = new FuncionarioDAO(this.#database);
+        this.#funcionarioDAO = this.#dependencias.funcionarioDAO ?? new FuncionarioDAO(this.#database, this.#auditoriaDAO);
 
         // 🔹 Dependência cruzada:
         // Como o Funcionário possui vínculo com Cargo (chave estrangeira),
         // o Service de Funcionário precisa acessar também o CargoDAO.
         // Caso ainda não tenha sido inicializado, criamos aqui.
         if (!this.#cargoDAO) {
-            this.#cargoDAO = new CargoDAO(this.#database);
+            this.#fusaoCargoDAO = new FusaoCargoDAO(this.#database);
+            this.#cargoDAO = this.#dependencias.cargoDAO ?? new CargoDAO(this.#database, this.#auditoriaDAO, this.#fusaoCargoDAO);
+        }
+        if (!this.#perfilDAO) {
+            this.#perfilDAO = new PerfilDAO(this.#database);
+        }
+        if (!this.#permissaoDAO) {
+            this.#permissaoDAO = new PermissaoDAO(this.#database);
         }
 
         // 🔹 Service de Funcionário
@@ -208,21 +410,50 @@ module.exports = class Server {
         // Assim, ele não precisa saber como acessar o banco, apenas chama os métodos do DAO.
         // - funcionarioDAO → usado para CRUD de Funcionário.
         // - cargoDAO → usado para validar/consultar Cargo vinculado.
-        this.#funcionarioService = new FuncionarioService(this.#funcionarioDAO, this.#cargoDAO);
+        // - perfilDAO / permissaoDAO → perfis do funcionário e permissões colocadas no token.
+        // - tokenService → emite tokens no login/refresh e revoga no logout/exclusão.
+        // - loginProtecaoService → bloqueia email/IP após falhas seguidas de login.
+        // - database → unidades de trabalho (ex: verificações + INSERT, desativação + revogação de tokens).
+        this.#funcionarioService = new FuncionarioService(
+            this.#funcionarioDAO,
+            this.#cargoDAO,
+            this.#perfilDAO,
+            this.#permissaoDAO,
+            this.#tokenService,
+            this.#loginProtecaoService,
+            this.#database,
+            this.#metricas
+        );
+
+        // 🔹 Redefinição de senha ("esqueci minha senha")
+        // O transporte de email é injetado: aqui as mensagens são gravadas no arquivo email.arquivo (MAIL_FILE),
+        // a não ser que os testes passem outro (MemoryMailTransport) em dependencias.
+        this.#redefinicaoSenhaDAO = new RedefinicaoSenhaDAO(this.#database);
+        this.#mailTransport = this.#dependencias.mailTransport ?? new FileMailTransport(this.#configuracao.email.arquivo);
+        this.#redefinicaoSenhaService = new RedefinicaoSenhaService(
+            this.#funcionarioDAO,
+            this.#redefinicaoSenhaDAO,
+            this.#mailTransport,
+            this.#tokenService,
+            this.#database,
+            `${this.#configuracao.servidor.urlPublica}/RedefinirSenha.html`
+        );
 
         // 🔹 Controller de Funcionário
-        // Recebe o Service via injeção.
+        // Recebe os Services via injeção.
         // Assim, o Controller não implementa regras de negócio,
         // apenas repassa as requisições HTTP para o Service.
-        this.#funcionarioController = new FuncionarioController(this.#funcionarioService);
+        this.#funcionarioController = new FuncionarioController(this.#funcionarioService, this.#redefinicaoSenhaService);
 
         // 🔹 Roteador de Funcionário
         // Recebe todas as dependências necessárias:
         // - jwtMiddleware → garante autenticação.
+        // - authorizationMiddleware → garante autorização por permissão.
         // - funcionarioMiddleware → garante validação de entrada.
         // - funcionarioControl → controla a lógica de entrada/saída HTTP.
         this.#funcionarioRouter = new FuncionarioRouter(
             this.#jwtMiddleware,
+            this.#authorizationMiddleware,
             this.#funcionarioMiddleware,
             this.#funcionarioController
         );
@@ -233,14 +464,108 @@ module.exports = class Server {
         this.#app.use("/api/v1/funcionarios", this.#funcionarioRouter.createRoutes());
     }
     /**
-     * Middleware executado antes de todas as rotas.
-     * Aqui serve apenas para logar uma separação no console.
+     * Configuração do módulo Permissão.
+     * - Cria middleware, DAO, Service e Controller.
+     * - Injeta dependências.
+     * - Registra rotas em "/api/v1/permissoes".
+     */
+    setupPermissao = () => {
+        Logger.debug("⬆️  Server.setupPermissao()");
+
+        this.#permissaoMiddleware = new PermissaoMiddleware();
+
+        if (!this.#permissaoDAO) {
+            this.#permissaoDAO = new PermissaoDAO(this.#database);
+        }
+        this.#permissaoService = new PermissaoService(this.#permissaoDAO);
+        this.#permissaoController = new PermissaoController(this.#permissaoService);
+
+        this.#permissaoRouter = new PermissaoRouter(
+            this.#jwtMiddleware,
+            this.#authorizationMiddleware,
+            this.#permissaoMiddleware,
+            this.#permissaoController
+        );
+
+        // http://localhost:PORT/api/v1/permissoes
+        this.#app.use("/api/v1/permissoes", this.#permissaoRouter.createRoutes());
+    }
+
+    /**
+     * Configuração do módulo Perfil.
+     * - Cria middleware, DAO, Service e Controller.
+     * - Injeta dependências.
+     * - Registra rotas em "/api/v1/perfis".
+     * 
+     * Observação: o PerfilService usa o PermissaoDAO para validar as permissões vinculadas.
+     */
+    setupPerfil = () => {
+        Logger.debug("⬆️  Server.setupPerfil()");
+
+        this.#perfilMiddleware = new PerfilMiddleware();
+
+        if (!this.#perfilDAO) {
+            this.#perfilDAO = new PerfilDAO(this.#database);
+        }
+        if (!this.#permissaoDAO) {
+            this.#permissaoDAO = new PermissaoDAO(this.#database);
+        }
+
+        this.#perfilService = new PerfilService(this.#perfilDAO, this.#permissaoDAO);
+        this.#perfilController = new PerfilController(this.#perfilService);
+
+        this.#perfilRouter = new PerfilRouter(
+            this.#jwtMiddleware,
+            this.#authorizationMiddleware,
+            this.#perfilMiddleware,
+            this.#perfilController
+        );
+
+        // http://localhost:PORT/api/v1/perfis
+        this.#app.use("/api/v1/perfis", this.#perfilRouter.createRoutes());
+    }
+
+    /**
+     * Configuração da proteção do login contra força bruta.
+     * - Cria DAOs, Service (com os limites de falhas e tempos de bloqueio de configuracao.loginProtecao), Controller e Middleware.
+     * - Registra as rotas administrativas em "/api/v1/bloqueios-login".
+     * 
+     * Observação: o LoginProtecaoService também é usado pelo FuncionarioService no login,
+     * por isso este módulo é configurado antes do módulo Funcionário.
+     */
+    setupLoginProtecao = () => {
+        Logger.debug("⬆️  Server.setupLoginProtecao()");
+
+        this.#tentativaLoginDAO = new TentativaLoginDAO(this.#database);
+        this.#bloqueioLoginDAO = new BloqueioLoginDAO(this.#database);
+
+        this.#loginProtecaoService = new LoginProtecaoService(
+            this.#tentativaLoginDAO, this.#bloqueioLoginDAO, this.#database, this.#configuracao.loginProtecao
+        );
+
+        this.#bloqueioLoginMiddleware = new BloqueioLoginMiddleware();
+        this.#bloqueioLoginController = new BloqueioLoginController(this.#loginProtecaoService);
+
+        this.#bloqueioLoginRouter = new BloqueioLoginRouter(
+            this.#jwtMiddleware,
+            this.#authorizationMiddleware,
+            this.#bloqueioLoginMiddleware,
+            this.#bloqueioLoginController
+        );
+
+        // http://localhost:PORT/api/v1/bloqueios-login
+        this.#app.use("/api/v1/bloqueios-login", this.#bloqueioLoginRouter.createRoutes());
+    }
+
+    /**
+     * Middlewares executados antes de todas as rotas.
+     * Atribuem o requestId (usado em todos os logs da requisição) e registram o log de acesso
+     * (formato em LOG_ACCESS_FORMAT).
      */
     beforeRouting = () => {
-        this.#app.use((req, res, next) => {
-            console.log("------------------------------------------------------------------");
-            next();
-        });
+        this.#app.use(new RequestIdMiddleware().handle);
+        this.#app.use(new AccessLogMiddleware(this.#configuracao.log).handle);
+        this.#app.use(this.#metricasMiddleware.medir);
     }
 
     /**
@@ -250,10 +575,11 @@ module.exports = class Server {
      * - Retorna resposta JSON padronizada.
      */
     setupErrorMiddleware = () => {
-        console.log("⬆️  Server.setupErrorHandler")
+        Logger.debug("⬆️  Server.setupErrorHandler")
+        this.#app.use(this.#metricasMiddleware.contarErros);
         this.#app.use((error, request, response, next) => {
             if (error instanceof ErrorResponse) {
-                console.log("🟡 Server.errorHandler()");
+                Logger.debug("🟡 Server.errorHandler()");
                 return response.status(error.httpCode).json({
                     success: false,
                     message: error.message,
@@ -268,8 +594,7 @@ module.exports = class Server {
                 data: { stack: error.stack },
                 error: { message: error.message || "Erro interno", code: error.code }
             };
-            console.error("❌ Erro capturado:", resposta);
-            Logger.log(resposta);
+            Logger.error("❌ Erro capturado", error);
             response.status(500).json(resposta);
         });
     }
@@ -277,10 +602,70 @@ module.exports = class Server {
     /**
      * Inicializa o servidor Express na porta configurada.
      * Exibe no console o link do servidor.
+     *
+     * @returns {http.Server} Servidor HTTP (os testes usam PORT=0 e leem a porta em address()).
      */
     run = () => {
-        this.#app.listen(this.#porta, () => {
-            console.log(`🚀 Server rodando em http://localhost:${this.#porta}/Login.html`);
+        this.#httpServer = this.#app.listen(this.#porta, () => {
+            Logger.info(`🚀 Server rodando em ${this.#configuracao.servidor.urlPublica}/Login.html (perfil ${this.#configuracao.ambiente})`);
+        });
+
+        // Durante o encerramento, cada resposta concluída deixa uma conexão keep-alive ociosa, que é fechada em seguida
+        this.#httpServer.on("request", (request, response) => {
+            response.once("finish", () => {
+                if (this.#encerramento) {
+                    setImmediate(() => this.#httpServer.closeIdleConnections());
+                }
+            });
         });
+        return this.#httpServer;
+    }
+
+    /**
+     * Encerra o servidor sem interromper as requisições em andamento (SIGTERM/SIGINT, ver index.js).
+     *
+     * 1. GET /health/ready passa a responder 503, para o balanceador parar de enviar tráfego.
+     * 2. Para de aceitar conexões e fecha as conexões keep-alive ociosas (também as que ficarem
+     *    ociosas depois, ao terminar a resposta); as respostas de requisições que chegarem por uma
+     *    conexão já aberta saem com "Connection: close".
+     * 3. Espera as requisições em andamento por até servidor.tempoEncerramento ms (SHUTDOWN_TIMEOUT);
+     *    depois disso fecha as conexões que restarem.
+     * 4. Fecha o pool do banco.
+     *
+     * @returns {Promise<void>} Resolvida quando tudo estiver fechado; chamadas repetidas recebem a mesma Promise.
+     */
+    encerrar = () => {
+        this.#encerramento ??= this.#encerrar();
+        return this.#encerramento;
+    }
+
+    #encerrar = async () => {
+        Logger.info("⬇️  Encerrando o servidor: aguardando as requisições em andamento");
+        this.#saudeService?.iniciarEncerramento();
+
+        const httpServer = this.#httpServer;
+        if (httpServer?.listening) {
+            // prependListener: roda antes do Express, enquanto os cabeçalhos ainda podem ser alterados
+            httpServer.prependListener("request", (request, response) => response.setHeader("Connection", "close"));
+
+            const fechado = new Promise(resolve => httpServer.close(resolve));
+            httpServer.closeIdleConnections();
+
+            const tempoEncerramento = this.#configuracao.servidor.tempoEncerramento;
+            let timer;
+            const esgotado = new Promise(resolve => {
+                timer = setTimeout(() => resolve(true), tempoEncerramento);
+            });
+
+            if (await Promise.race([fechado.then(() => false), esgotado])) {
+                Logger.warn(`⚠️  Requisições ainda em andamento após ${tempoEncerramento} ms: fechando as conexões`);
+                httpServer.closeAllConnections();
+                await fechado;
+            }
+            clearTimeout(timer);
+        }
+
+        await this.#database?.encerrar();
+        Logger.info("⬇️  Servidor encerrado");
     }
 }
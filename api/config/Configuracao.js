@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por carregar a configuração da aplicação (servidor, banco, JWT, proteção do login, log e métricas).
+ *
+ * Origem dos valores, do menos para o mais prioritário:
+ * 1. Padrões do perfil (PERFIS.dev, PERFIS.test ou PERFIS.prod).
+ * 2. Arquivo opcional: o caminho em CONFIG_FILE ou, se não houver, ".env" na raiz do projeto.
+ *    Arquivos .json usam a mesma estrutura do objeto de configuração; os demais usam o formato
+ *    .env (NOME=valor, com os nomes de VARIAVEIS).
+ * 3. Variáveis de ambiente (nomes de VARIAVEIS).
+ *
+ * O perfil vem de APP_ENV (variável de ambiente ou, sem ela, o arquivo: APP_ENV no .env, "ambiente" no .json)
+ * ou, sem APP_ENV, de NODE_ENV ("dev"/"development", "test", "prod"/"production"; padrão dev).
+ * Todos os erros de validação são reunidos em uma única exceção, lançada na inicialização.
+ *
+ * @example
+ * const configuracao = Configuracao.carregar();
+ * configuracao.banco.host;     // "localhost"
+ * configuracao.jwt.chave;      // JWT_SECRET
+ */
+module.exports = class Configuracao {
+    /**
+     * Variáveis de ambiente (e chaves do arquivo .env) → caminho no objeto de configuração e tipo.
+     */
+    static VARIAVEIS = {
+        PORT: ["servidor.porta", "inteiro"],
+        APP_URL: ["servidor.urlPublica", "texto"],
+        SHUTDOWN_TIMEOUT: ["servidor.tempoEncerramento", "inteiro"],
+
+        DB_CLIENT: ["banco.cliente", "texto"],
+        DB_HOST: ["banco.host", "texto"],
+        DB_PORT: ["banco.port", "inteiro"],
+        DB_USER: ["banco.user", "texto"],
+        DB_PASSWORD: ["banco.password", "texto"],
+        DB_NAME: ["banco.database", "texto"],
+        DB_CONNECTION_LIMIT: ["banco.connectionLimit", "inteiro"],
+        DB_QUEUE_LIMIT: ["banco.queueLimit", "inteiro"],
+        DB_RETRY_ATTEMPTS: ["banco.tentativasConexao", "inteiro"],
+        DB_RETRY_DELAY: ["banco.intervaloInicial", "inteiro"],
+        DB_RETRY_MAX_DELAY: ["banco.intervaloMaximo", "inteiro"],
+        DB_FILE: ["banco.arquivo", "texto"],
+        DB_MIGRATE_ON_START: ["banco.migrarAoIniciar", "booleano"],
+
+        JWT_SECRET: ["jwt.chave", "texto"],
+        JWT_ISSUER: ["jwt.emissor", "texto"],
+        JWT_AUDIENCE: ["jwt.audiencia", "texto"],
+        JWT_EXPIRES_IN: ["jwt.duracaoToken", "inteiro"],
+        JWT_REFRESH_EXPIRES_IN: ["jwt.duracaoRefreshToken", "inteiro"],
+
+        MAIL_FILE: ["email.arquivo", "texto"],
+
+        LOGIN_MAX_FAILURES_EMAIL: ["loginProtecao.maxFalhasPorEmail", "inteiro"],
+        LOGIN_MAX_FAILURES_IP: ["loginProtecao.maxFalhasPorIp", "inteiro"],
+        LOGIN_FAILURE_WINDOW: ["loginProtecao.janelaFalhas", "inteiro"],
+        LOGIN_BLOCK_INITIAL: ["loginProtecao.bloqueioInicial", "inteiro"],
+        LOGIN_BLOCK_FACTOR: ["loginProtecao.fatorBackoff", "inteiro"],
+        LOGIN_BLOCK_MAX: ["loginProtecao.bloqueioMaximo", "inteiro"],
+
+        LOG_LEVEL: ["log.nivel", "texto"],
+        LOG_FORMAT: ["log.formato", "texto"],
+        LOG_FILE: ["log.arquivo", "texto"],
+        LOG_FILE_LEVEL: ["log.nivelArquivo", "texto"],
+        LOG_MAX_SIZE: ["log.tamanhoMaximo", "inteiro"],
+        LOG_MAX_FILES: ["log.arquivosMantidos", "inteiro"],
+        LOG_ACCESS_FORMAT: ["log.formatoAcesso", "texto"],
+
+        METRICS_TOKEN: ["metricas.token", "texto"],
+    };
+
+    /**
+     * Valores padrão de cada perfil. Em prod não há padrão para credenciais nem para a chave do JWT.
+     */
+    static PERFIS = {
+        dev: {
+            servidor: { porta: 8080, tempoEncerramento: 10000 },
+            banco: {
+                cliente: "mysql",
+                host: "localhost", port: 3306, user: "root", password: "", database: "gestao_rh",
+                connectionLimit: 50, queueLimit: 10,
+                tentativasConexao: 5, intervaloInicial: 1000, intervaloMaximo: 30000,
+                arquivo: "api/system/gestao_rh.sqlite"
+            },
+            jwt: { emissor: "http://localhost", audiencia: "http://localhost", duracaoToken: 60 * 15, duracaoRefreshToken: 3600 * 24 * 30 },
+            email: { arquivo: "api/system/emails.log" },
+            loginProtecao: { maxFalhasPorEmail: 5, maxFalhasPorIp: 20, janelaFalhas: 60 * 15, bloqueioInicial: 60, fatorBackoff: 2, bloqueioMaximo: 3600 * 24 },
+            log: { nivel: "debug", formato: "texto", arquivo: "api/system/log.log", nivelArquivo: "warn", tamanhoMaximo: 10 * 1024 * 1024, arquivosMantidos: 5, formatoAcesso: "detalhado" }
+        },
+        test: {
+            servidor: { porta: 8081, tempoEncerramento: 1000 },
+            banco: {
+                cliente: "mysql",
+                host: "localhost", port: 3306, user: "root", password: "", database: "gestao_rh_test",
+                connectionLimit: 10, queueLimit: 10,
+                tentativasConexao: 1, intervaloInicial: 0, intervaloMaximo: 0,
+                arquivo: ":memory:"
+            },
+            jwt: { emissor: "http://localhost", audiencia: "http://localhost", duracaoToken: 60 * 15, duracaoRefreshToken: 3600 * 24 * 30 },
+            email: { arquivo: "api/system/emails.test.log" },
+            loginProtecao: { maxFalhasPorEmail: 5, maxFalhasPorIp: 20, janelaFalhas: 60 * 15, bloqueioInicial: 60, fatorBackoff: 2, bloqueioMaximo: 3600 * 24 },
+            log: { nivel: "warn", formato: "texto", arquivo: "api/system/log.test.log", nivelArquivo: "warn", tamanhoMaximo: 10 * 1024 * 1024, arquivosMantidos: 2, formatoAcesso: "curto" }
+        },
+        prod: {
+            servidor: { porta: 8080, tempoEncerramento: 25000 },
+            banco: {
+                cliente: "mysql",
+                port: 3306,
+                connectionLimit: 50, queueLimit: 10,
+                tentativasConexao: 10, intervaloInicial: 1000, intervaloMaximo: 30000
+            },
+            jwt: { duracaoToken: 60 * 15, duracaoRefreshToken: 3600 * 24 * 30 },
+            email: { arquivo: "api/system/emails.log" },
+            loginProtecao: { maxFalhasPorEmail: 5, maxFalhasPorIp: 20, janelaFalhas: 60 * 15, bloqueioInicial: 60, fatorBackoff: 2, bloqueioMaximo: 3600 * 24 },
+            log: { nivel: "info", formato: "json", arquivo: "api/system/log.log", nivelArquivo: "info", tamanhoMaximo: 50 * 1024 * 1024, arquivosMantidos: 10, formatoAcesso: "curto" }
+        }
+    };
+
+    /**
+     * Chaves que precisam ter valor no perfil prod (as do banco dependem de DB_CLIENT).
+     */
+    static OBRIGATORIAS_PROD = ["JWT_SECRET", "JWT_ISSUER", "JWT_AUDIENCE", "APP_URL"];
+    static OBRIGATORIAS_PROD_BANCO = {
+        mysql: ["DB_HOST", "DB_USER", "DB_PASSWORD", "DB_NAME"],
+        sqlite: ["DB_FILE"]
+    };
+
+    static TAMANHO_MINIMO_CHAVE_JWT = 32;
+
+    /**
+     * Limites da proteção do login que não podem ser zero (bloquearia na primeira falha ou nunca expiraria).
+     */
+    static POSITIVAS = ["LOGIN_MAX_FAILURES_EMAIL", "LOGIN_MAX_FAILURES_IP", "LOGIN_FAILURE_WINDOW", "LOGIN_BLOCK_INITIAL", "LOGIN_BLOCK_FACTOR", "LOGIN_BLOCK_MAX"];
+
+    /**
+     * Carrega, valida e congela a configuração.
+     *
+     * @param {Object} [opcoes]
+     * @param {Object} [opcoes.env=process.env] - Variáveis de ambiente.
+     * @param {string} [opcoes.raiz=process.cwd()] - Pasta onde procurar o arquivo .env.
+     * @returns {Readonly<{ambiente: string, servidor: Object, banco: Object, jwt: Object, email: Object, loginProtecao: Object, log: Object, metricas: Object}>}
+     * @throws {Error} Se o perfil for desconhecido, o arquivo for inválido ou alguma chave estiver ausente/inválida.
+     */
+    static carregar({ env = process.env, raiz = process.cwd() } = {}) {
+        const erros = [];
+
+        // O arquivo é lido antes de escolher o perfil: APP_ENV também pode estar nele
+        const arquivo = env.CONFIG_FILE ? path.resolve(raiz, env.CONFIG_FILE) : path.join(raiz, ".env");
+        if (env.CONFIG_FILE && !fs.existsSync(arquivo)) {
+            throw new Error(`Configuração inválida: arquivo ${arquivo} (CONFIG_FILE) não encontrado`);
+        }
+        let json = null;
+        let variaveisArquivo = {};
+        if (fs.existsSync(arquivo)) {
+            if (arquivo.endsWith(".json")) {
+                json = JSON.parse(fs.readFileSync(arquivo, "utf8"));
+            } else {
+                variaveisArquivo = Configuracao.#lerEnv(fs.readFileSync(arquivo, "utf8"));
+            }
+        }
+
+        const { ambiente: ambienteJson, ...valoresJson } = json ?? {};
+        const ambiente = Configuracao.#perfil(env.APP_ENV || variaveisArquivo.APP_ENV || ambienteJson || env.NODE_ENV);
+
+        const configuracao = structuredClone(Configuracao.PERFIS[ambiente]);
+        configuracao.ambiente = ambiente;
+
+        if (json) {
+            Configuracao.#mesclar(configuracao, valoresJson);
+        } else {
+            Configuracao.#aplicarVariaveis(configuracao, variaveisArquivo, erros);
+        }
+
+        Configuracao.#aplicarVariaveis(configuracao, env, erros);
+
+        const obrigatoriasBanco = Configuracao.OBRIGATORIAS_PROD_BANCO[configuracao.banco.cliente];
+        if (!obrigatoriasBanco) {
+            erros.push(`DB_CLIENT deve ser um de: ${Object.keys(Configuracao.OBRIGATORIAS_PROD_BANCO).join(", ")} (recebido "${configuracao.banco.cliente}")`);
+        }
+
+        if (ambiente === "prod") {
+            for (const nome of [...(obrigatoriasBanco ?? []), ...Configuracao.OBRIGATORIAS_PROD]) {
+                if (Configuracao.#ler(configuracao, Configuracao.VARIAVEIS[nome][0]) === undefined) {
+                    erros.push(`${nome} é obrigatória no perfil prod`);
+                }
+            }
+        }
+
+        configuracao.metricas ??= {};
+        configuracao.servidor.urlPublica ??= `http://localhost:${configuracao.servidor.porta}`;
+        // SQLite (principalmente em memória) é usado sem preparo prévio: aplica as migrações ao subir
+        configuracao.banco.migrarAoIniciar ??= configuracao.banco.cliente === "sqlite";
+
+        if (configuracao.jwt.chave === undefined && ambiente !== "prod") {
+            // Sem chave fixa, os tokens deixam de valer a cada reinício do servidor
+            Logger.warn("⚠️  JWT_SECRET não configurada: usando uma chave aleatória (apenas para dev/test)");
+            configuracao.jwt.chave = crypto.randomBytes(48).toString("base64");
+        }
+        if (typeof configuracao.jwt.chave === "string" && configuracao.jwt.chave.length < Configuracao.TAMANHO_MINIMO_CHAVE_JWT) {
+            erros.push(`JWT_SECRET deve ter pelo menos ${Configuracao.TAMANHO_MINIMO_CHAVE_JWT} caracteres`);
+        }
+
+        for (const nome of Configuracao.POSITIVAS) {
+            if (Configuracao.#ler(configuracao, Configuracao.VARIAVEIS[nome][0]) === 0) {
+                erros.push(`${nome} deve ser maior que zero`);
+            }
+        }
+
+        for (const nome of ["LOG_LEVEL", "LOG_FILE_LEVEL"]) {
+            const nivel = Configuracao.#ler(configuracao, Configuracao.VARIAVEIS[nome][0]);
+            if (!Object.hasOwn(Logger.NIVEIS, nivel)) {
+                erros.push(`${nome} deve ser um de: ${Object.keys(Logger.NIVEIS).join(", ")} (recebido "${nivel}")`);
+            }
+        }
+        if (!Logger.FORMATOS.includes(configuracao.log.formato)) {
+            erros.push(`LOG_FORMAT deve ser um de: ${Logger.FORMATOS.join(", ")} (recebido "${configuracao.log.formato}")`);
+        }
+        if (!Logger.FORMATOS_ACESSO.includes(configuracao.log.formatoAcesso)) {
+            erros.push(`LOG_ACCESS_FORMAT deve ser um de: ${Logger.FORMATOS_ACESSO.join(", ")} (recebido "${configuracao.log.formatoAcesso}")`);
+        }
+
+        for (const [nome, [caminho, tipo]] of Object.entries(Configuracao.VARIAVEIS)) {
+            const valor = Configuracao.#ler(configuracao, caminho);
+            if (tipo === "inteiro" && valor !== undefined && !Number.isInteger(valor)) {
+                erros.push(`${nome} (${caminho}) deve ser um número inteiro`);
+            }
+            if (tipo === "booleano" && valor !== undefined && typeof valor !== "boolean") {
+                erros.push(`${nome} (${caminho}) deve ser true ou false`);
+            }
+        }
+
+        if (erros.length > 0) {
+            throw new Error(`Configuração inválida (perfil ${ambiente}):\n - ${erros.join("\n - ")}`);
+        }
+
+        return Configuracao.#congelar(configuracao);
+    }
+
+    /**
+     * "development" → "dev", "production" → "prod"; vazio → "dev".
+     */
+    static #perfil(nome) {
+        const perfil = { "": "dev", development: "dev", production: "prod" }[nome ?? ""] ?? nome;
+
+        if (!Object.hasOwn(Configuracao.PERFIS, perfil)) {
+            throw new Error(`Configuração inválida: perfil "${nome}" desconhecido (use dev, test ou prod)`);
+        }
+        return perfil;
+    }
+
+    /**
+     * Copia para a configuração as variáveis conhecidas, convertendo os inteiros e os booleanos.
+     */
+    static #aplicarVariaveis(configuracao, variaveis, erros) {
+        for (const [nome, [caminho, tipo]] of Object.entries(Configuracao.VARIAVEIS)) {
+            const valor = variaveis[nome];
+            if (valor === undefined) {
+                continue;
+            }
+
+            if (tipo === "inteiro") {
+                const numero = Number(valor);
+                if (String(valor).trim() === "" || !Number.isInteger(numero) || numero < 0) {
+                    erros.push(`${nome} deve ser um número inteiro não negativo (recebido "${valor}")`);
+                    continue;
+                }
+                Configuracao.#escrever(configuracao, caminho, numero);
+            } else if (tipo === "booleano") {
+                const booleano = { true: true, 1: true, false: false, 0: false }[String(valor).trim().toLowerCase()];
+                if (booleano === undefined) {
+                    erros.push(`${nome} deve ser true ou false (recebido "${valor}")`);
+                    continue;
+                }
+                Configuracao.#escrever(configuracao, caminho, booleano);
+            } else {
+                Configuracao.#escrever(configuracao, caminho, String(valor));
+            }
+        }
+    }
+
+    /**
+     * Lê um arquivo no formato .env: NOME=valor por linha, # para comentários, aspas opcionais.
+     * @param {string} conteudo
+     * @returns {Object<string, string>}
+     */
+    static #lerEnv(conteudo) {
+        const variaveis = {};
+
+        for (const linha of conteudo.split(/\r?\n/)) {
+            const texto = linha.trim();
+            if (texto === "" || texto.startsWith("#") || !texto.includes("=")) {
+                continue;
+            }
+
+            const posicao = texto.indexOf("=");
+            const nome = texto.slice(0, posicao).trim().replace(/^export\s+/, "");
+            variaveis[nome] = texto.slice(posicao + 1).trim().replace(/^(["'])(.*)\1$/, "$2");
+        }
+        return variaveis;
+    }
+
+    /**
+     * Mescla recursivamente os objetos (usado para arquivos .json).
+     */
+    static #mesclar(destino, origem) {
+        for (const [chave, valor] of Object.entries(origem)) {
+            if (valor !== null && typeof valor === "object" && !Array.isArray(valor)) {
+                destino[chave] ??= {};
+                Configuracao.#mesclar(destino[chave], valor);
+            } else {
+                destino[chave] = valor;
+            }
+        }
+    }
+
+    static #ler(objeto, caminho) {
+        return caminho.split(".").reduce((atual, chave) => atual?.[chave], objeto);
+    }
+
+    static #escrever(objeto, caminho, valor) {
+        const chaves = caminho.split(".");
+        const ultima = chaves.pop();
+        const pai = chaves.reduce((atual, chave) => (atual[chave] ??= {}), objeto);
+        pai[ultima] = valor;
+    }
+
+    static #congelar(objeto) {
+        for (const valor of Object.values(objeto)) {
+            if (valor !== null && typeof valor === "object") {
+                Configuracao.#congelar(valor);
+            }
+        }
+        return Object.freeze(objeto);
+    }
+};
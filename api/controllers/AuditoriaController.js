@@ -0,0 +1,43 @@
+const AuditoriaService = require("../services/AuditoriaService");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por controlar o endpoint de consulta da auditoria.
+ *
+ * Utiliza injeção de dependência para receber a instância de AuditoriaService.
+ */
+module.exports = class AuditoriaControl {
+    #auditoriaService;
+
+    /**
+     * Construtor da classe AuditoriaControl
+     * @param {AuditoriaService} auditoriaServiceDependency - Instância do AuditoriaService
+     */
+    constructor(auditoriaServiceDependency) {
+        Logger.debug("⬆️  AuditoriaControl.constructor()");
+        this.#auditoriaService = auditoriaServiceDependency;
+    }
+
+    /**
+     * Lista a trilha de auditoria (mais recentes primeiro).
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     *
+     * Aceita na query string: entidade, idEntidade, operacao, idFuncionarioAutor, desde, ate, page, pageSize e sort.
+     */
+    index = async (request, response, next) => {
+        Logger.debug("🔵 AuditoriaControl.index()");
+        try {
+            const { auditoria, paginacao } = await this.#auditoriaService.findAll(request.query);
+
+            response.status(200).send({
+                success: true,
+                message: "Busca realizada com sucesso",
+                data: { auditoria: auditoria, paginacao: paginacao }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
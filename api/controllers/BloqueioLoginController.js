@@ -0,0 +1,84 @@
+const LoginProtecaoService = require("../services/LoginProtecaoService");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por controlar os endpoints administrativos de bloqueios de login.
+ *
+ * Utiliza injeção de dependência para receber a instância de LoginProtecaoService.
+ */
+module.exports = class BloqueioLoginControl {
+    #loginProtecaoService;
+
+    /**
+     * Construtor da classe BloqueioLoginControl
+     * @param {LoginProtecaoService} loginProtecaoServiceDependency - Instância do LoginProtecaoService
+     */
+    constructor(loginProtecaoServiceDependency) {
+        Logger.debug("⬆️  BloqueioLoginControl.constructor()");
+        this.#loginProtecaoService = loginProtecaoServiceDependency;
+    }
+
+    /**
+     * Lista os emails e IPs bloqueados neste momento.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    index = async (request, response, next) => {
+        Logger.debug("🔵 BloqueioLoginControl.index()");
+        try {
+            const bloqueios = await this.#loginProtecaoService.findBloqueiosAtivos();
+
+            response.status(200).send({
+                success: true,
+                message: "Busca realizada com sucesso",
+                data: { bloqueios: bloqueios }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Lista o histórico de bloqueios aplicados.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     *
+     * Aceita na query string: tipo, valor, ip, desde, page, pageSize e sort.
+     */
+    historico = async (request, response, next) => {
+        Logger.debug("🔵 BloqueioLoginControl.historico()");
+        try {
+            const { bloqueios, paginacao } = await this.#loginProtecaoService.findHistorico(request.query);
+
+            response.status(200).send({
+                success: true,
+                message: "Busca realizada com sucesso",
+                data: { bloqueios: bloqueios, paginacao: paginacao }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Libera um email ou IP bloqueado.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    destroy = async (request, response, next) => {
+        Logger.debug("🔵 BloqueioLoginControl.destroy()");
+        try {
+            await this.#loginProtecaoService.liberar(request.params.idTentativaLogin, request.jwtPayload.idFuncionario);
+
+            response.status(200).send({
+                success: true,
+                message: "Bloqueio removido com sucesso"
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
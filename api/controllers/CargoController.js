@@ -1,5 +1,7 @@
 // Importa a classe Cargo, que representa a entidade Cargo do sistema
 const CargoService = require("../services/CargoService");
+const CargoSerializer = require("../serializers/CargoSerializer");
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável por controlar os endpoints da API REST para a entidade Cargo.
@@ -19,7 +21,7 @@ module.exports = class CargoControl {
      * e trocar facilmente a implementação do serviço se necessário.
      */
     constructor(cargoServiceDependency) {
-        console.log("⬆️  CargoControl.constructor()");
+        Logger.debug("⬆️  CargoControl.constructor()");
         this.#cargoService = cargoServiceDependency;
     }
 
@@ -29,30 +31,28 @@ module.exports = class CargoControl {
      * @param {Object} response - Objeto da resposta Express.js
      * @param {Function} next - Middleware de tratamento de erros
      * 
-     * Retorna JSON com o ID do cargo criado e mensagem de sucesso.
+     * Retorna JSON com o cargo criado (lido novamente do banco) e mensagem de sucesso.
      */
     store = async (request, response, next) => {
-        console.log("🔵 CargoControle.store()");
+        Logger.debug("🔵 CargoControle.store()");
         try {
             const cargoBodyRequest = request.body.cargo;
 
-            const novoId = await this.#cargoService.createCargo(cargoBodyRequest);
+            const novoId = await this.#cargoService.createCargo(cargoBodyRequest, request.jwtPayload.idFuncionario);
 
-            const objResposta = {
+            if (!novoId) {
+                throw new Error("Falha ao cadastrar novo Cargo");
+            }
+
+            const cargo = await this.#cargoService.findById(novoId);
+
+            response.status(201).send({
                 success: true,
                 message: "Cadastro realizado com sucesso",
                 data: {
-                    cargos: [{
-                        idCargo: novoId,
-                        nomeCargo: cargoBodyRequest.nomeCargo
-                    }]
+                    cargos: [CargoSerializer.toJSON(cargo)]
                 }
-            };
-            if (novoId) {
-                response.status(201).send(objResposta);
-            } else {
-                throw new Error("Falha ao cadastrar novo Cargo");
-            }
+            });
         } catch (error) {
             next(error); // Encaminha o erro para o middleware de tratamento
         }
@@ -64,18 +64,20 @@ module.exports = class CargoControl {
      * @param {Object} response - Objeto da resposta Express.js
      * @param {Function} next - Middleware de tratamento de erros
      * 
-     * Retorna JSON com um array de cargos.
+     * Aceita na query string: nome, page, pageSize e sort.
+     * Retorna JSON com o array de cargos da página e os metadados de paginação.
      */
     index = async (request, response, next) => {
-        console.log("🔵 CargoControle.index()");
+        Logger.debug("🔵 CargoControle.index()");
         try {
-            const arrayCargos = await this.#cargoService.findAll();
+            const { cargos, paginacao } = await this.#cargoService.findAll(request.query);
 
             response.status(200).send({
                 success: true,
                 message: "Busca realizada com sucesso",
                 data: {
-                    cargos: arrayCargos
+                    cargos: CargoSerializer.toJSONList(cargos),
+                    paginacao: paginacao
                 },
             });
         } catch (error) {
@@ -92,7 +94,7 @@ module.exports = class CargoControl {
      * Retorna JSON com o cargo encontrado ou erro caso não exista.
      */
     show = async (request, response, next) => {
-        console.log("🔵 CargoControle.show()");
+        Logger.debug("🔵 CargoControle.show()");
         try {
             const cargoId = request.params.idCargo;
             const cargo = await this.#cargoService.findById(cargoId);
@@ -101,7 +103,7 @@ module.exports = class CargoControl {
                 success: true,
                 message: "Executado com sucesso",
                 data: {
-                    cargos: cargo
+                    cargos: [CargoSerializer.toJSON(cargo)]
                 }
             }
 
@@ -120,21 +122,20 @@ module.exports = class CargoControl {
      * Retorna JSON com o cargo atualizado ou encaminha o erro caso falhe.
      */
     update = async (request, response, next) => {
-        console.log("🔵 CargoControle.update()");
+        Logger.debug("🔵 CargoControle.update()");
         try {
             const cargoId = request.params.idCargo;
             const nomeCargo = request.body.cargo.nomeCargo;
-            const atualizou = await this.#cargoService.updateCargo(cargoId, nomeCargo);
+            const atualizou = await this.#cargoService.updateCargo(cargoId, nomeCargo, request.jwtPayload.idFuncionario);
 
             if (atualizou) {
+                const cargo = await this.#cargoService.findById(cargoId);
+
                 return response.status(200).send({
                     success: true,
                     message: 'Atualizado com sucesso',
                     data: {
-                        cargos: [{
-                            idCargo: cargoId,
-                            nomeCargo: nomeCargo
-                        }]
+                        cargos: [CargoSerializer.toJSON(cargo)]
                     }
                 })
             } else {
@@ -154,6 +155,31 @@ module.exports = class CargoControl {
         }
     }
 
+    /**
+     * Atualiza parcialmente um cargo (JSON Merge Patch): apenas os campos enviados são alterados.
+     * @param {Object} request - Objeto da requisição Express.js contendo { cargo: { nomeCargo? } }
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     * 
+     * Retorna JSON com o cargo completo, lido novamente do banco, ou encaminha o erro.
+     */
+    patch = async (request, response, next) => {
+        Logger.debug("🔵 CargoControle.patch()");
+        try {
+            const cargo = await this.#cargoService.patchCargo(request.params.idCargo, request.body.cargo, request.jwtPayload.idFuncionario);
+
+            response.status(200).send({
+                success: true,
+                message: "Atualizado com sucesso",
+                data: {
+                    cargos: [CargoSerializer.toJSON(cargo)]
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Remove um cargo pelo ID.
      * @param {Object} request - Objeto da requisição Express.js
@@ -163,10 +189,10 @@ module.exports = class CargoControl {
      * Retorna status 204 se excluído com sucesso ou 404 se o cargo não existir.
      */
     destroy = async (request, response, next) => {
-        console.log("🔵 CargoControle.destroy()");
+        Logger.debug("🔵 CargoControle.destroy()");
         try {
             const cargoId = request.params.idCargo;
-            const excluiu = this.#cargoService.deleteCargo(cargoId);
+            const excluiu = await this.#cargoService.deleteCargo(cargoId, request.jwtPayload.idFuncionario);
 
             if (excluiu) {
                 return response.status(204).send({
@@ -194,4 +220,87 @@ module.exports = class CargoControl {
             next(error);
         }
     }
+
+    /**
+     * Funde cargos duplicados no cargo da URL (ou apenas simula, com dryRun).
+     * @param {Object} request - Objeto da requisição Express.js contendo { idsCargosOrigem, dryRun? }
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     * 
+     * Retorna JSON com o cargo de destino, os cargos de origem e os funcionários afetados.
+     */
+    merge = async (request, response, next) => {
+        Logger.debug("🔵 CargoControle.merge()");
+        try {
+            const fusao = await this.#cargoService.fundirCargos(request.params.idCargo, request.body, request.jwtPayload.idFuncionario);
+
+            response.status(200).send({
+                success: true,
+                message: fusao.dryRun
+                    ? `Simulação: ${fusao.totalFuncionarios} funcionário(s) seriam movidos`
+                    : `${fusao.cargosOrigem.length} cargo(s) fundido(s) com sucesso`,
+                data: {
+                    fusao: {
+                        ...fusao,
+                        cargoDestino: CargoSerializer.toJSON(fusao.cargoDestino)
+                    }
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Lista o histórico de fusões de cargos (mais recentes primeiro).
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     * 
+     * Aceita na query string: idCargoDestino, page, pageSize e sort.
+     */
+    merges = async (request, response, next) => {
+        Logger.debug("🔵 CargoControle.merges()");
+        try {
+            const { fusoes, paginacao } = await this.#cargoService.findFusoes(request.query);
+
+            response.status(200).send({
+                success: true,
+                message: "Busca realizada com sucesso",
+                data: { fusoes: fusoes, paginacao: paginacao }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Move todos os funcionários de um cargo para outro (e, opcionalmente, exclui o cargo).
+     * @param {Object} request - Objeto da requisição Express.js contendo { idCargoDestino, excluirCargo? }
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     * 
+     * Retorna JSON com os cargos envolvidos, os IDs dos funcionários movidos e se o cargo foi excluído.
+     */
+    reassign = async (request, response, next) => {
+        Logger.debug("🔵 CargoControle.reassign()");
+        try {
+            const resultado = await this.#cargoService.reatribuirCargo(request.params.idCargo, request.body, request.jwtPayload.idFuncionario);
+
+            response.status(200).send({
+                success: true,
+                message: `${resultado.idsFuncionarios.length} funcionário(s) reatribuído(s) com sucesso`,
+                data: {
+                    reatribuicao: {
+                        cargoOrigem: CargoSerializer.toJSON(resultado.cargoOrigem),
+                        cargoDestino: CargoSerializer.toJSON(resultado.cargoDestino),
+                        idsFuncionarios: resultado.idsFuncionarios,
+                        cargoExcluido: resultado.cargoExcluido
+                    }
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
 }
@@ -1,4 +1,7 @@
 const FuncionarioService = require("../services/FuncionarioService");
+const RedefinicaoSenhaService = require("../services/RedefinicaoSenhaService");
+const FuncionarioSerializer = require("../serializers/FuncionarioSerializer");
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável por controlar os endpoints da API REST para a entidade Funcionario.
@@ -9,19 +12,22 @@ const FuncionarioService = require("../services/FuncionarioService");
  */
 module.exports = class FuncionarioControl {
     #funcionarioService;
+    #redefinicaoSenhaService;
 
     /**
      * Construtor da classe FuncionarioControl
      * @param {FuncionarioService} funcionarioServiceDependency - Instância do FuncionarioService
+     * @param {RedefinicaoSenhaService} redefinicaoSenhaServiceDependency - Instância do RedefinicaoSenhaService (esqueci minha senha)
      * 
      * A injeção de dependência permite:
      * - Testes unitários fáceis com mocks;
      * - Troca de implementação do serviço sem alterar o controlador;
      * - Maior desacoplamento entre camadas.
      */
-    constructor(funcionarioServiceDependency) {
-        console.log("⬆️  FuncionarioControl.constructor()");
+    constructor(funcionarioServiceDependency, redefinicaoSenhaServiceDependency) {
+        Logger.debug("⬆️  FuncionarioControl.constructor()");
         this.#funcionarioService = funcionarioServiceDependency;
+        this.#redefinicaoSenhaService = redefinicaoSenhaServiceDependency;
     }
 
     /**
@@ -31,18 +37,113 @@ module.exports = class FuncionarioControl {
      * @param {Function} next - Middleware de tratamento de erros.
      * 
      * Retorna JSON com os dados do funcionário autenticado ou encaminha o erro.
+     * Em caso de bloqueio por excesso de tentativas (429), envia também o header Retry-After.
      */
     login = async (request, response, next) => {
-        console.log("🔵 FuncionarioControl.login()");
+        Logger.debug("🔵 FuncionarioControl.login()");
         try {
             const jsonFuncionario = request.body.funcionario;
-            const resultado = await this.#funcionarioService.loginFuncionario(jsonFuncionario);
+            const resultado = await this.#funcionarioService.loginFuncionario(jsonFuncionario, request.ip);
 
             response.status(200).json({
                 success: true,
                 message: "Login efetuado com sucesso!",
                 data: resultado
             });
+        } catch (error) {
+            if (error.httpCode === 429 && error.error) {
+                response.set("Retry-After", String(error.error.retryAfter));
+            }
+            next(error);
+        }
+    }
+
+    /**
+     * Troca um refresh token por um novo par de tokens.
+     * @param {Object} request - Objeto da requisição Express.js contendo { refreshToken }.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Retorna JSON no mesmo formato do login (user, token, refreshToken, expiresIn).
+     * O refresh token enviado deixa de valer.
+     */
+    refresh = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.refresh()");
+        try {
+            const resultado = await this.#funcionarioService.refreshToken(request.body.refreshToken);
+
+            response.status(200).json({
+                success: true,
+                message: "Token renovado com sucesso!",
+                data: resultado
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Encerra a sessão do usuário autenticado.
+     * @param {Object} request - Objeto da requisição Express.js (body opcional: { refreshToken }).
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Revoga o access token usado na requisição e o refresh token emitido com ele.
+     */
+    logout = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.logout()");
+        try {
+            const refreshToken = request.body ? request.body.refreshToken : undefined;
+            await this.#funcionarioService.logout(request.jwtPayload, refreshToken);
+
+            response.status(200).json({
+                success: true,
+                message: "Logout efetuado com sucesso!"
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Solicita a redefinição de senha: envia por email um link com token de uso único.
+     * @param {Object} request - Objeto da requisição Express.js contendo { email }.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * A resposta é sempre a mesma, exista ou não um funcionário com o email.
+     */
+    forgotPassword = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.forgotPassword()");
+        try {
+            await this.#redefinicaoSenhaService.solicitar(request.body.email);
+
+            response.status(200).json({
+                success: true,
+                message: "Se o email estiver cadastrado, você receberá um link para redefinir a senha"
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Redefine a senha usando o token recebido por email.
+     * @param {Object} request - Objeto da requisição Express.js contendo { token, senha }.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Após a troca, todas as sessões do funcionário são encerradas.
+     */
+    resetPassword = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.resetPassword()");
+        try {
+            await this.#redefinicaoSenhaService.redefinir(request.body.token, request.body.senha);
+
+            response.status(200).json({
+                success: true,
+                message: "Senha redefinida com sucesso"
+            });
         } catch (error) {
             next(error);
         }
@@ -54,18 +155,19 @@ module.exports = class FuncionarioControl {
      * @param {Object} response - Objeto da resposta Express.js.
      * @param {Function} next - Middleware de tratamento de erros.
      * 
-     * Retorna JSON com o ID do funcionário criado e mensagem de sucesso.
+     * Retorna JSON com o funcionário criado (sem a senha) e mensagem de sucesso.
      */
     store = async (request, response, next) => {
-        console.log("🔵 FuncionarioControl.store()");
+        Logger.debug("🔵 FuncionarioControl.store()");
         try {
             const jsonFuncionario = request.body.funcionario;
-            const resultado = await this.#funcionarioService.createFuncionario(jsonFuncionario);
+            const criado = await this.#funcionarioService.createFuncionario(jsonFuncionario, request.jwtPayload.idFuncionario);
+            const funcionario = await this.#funcionarioService.findById(criado.idFuncionario);
 
             response.status(200).json({
                 success: true,
                 message: "Cadastro realizado com sucesso",
-                data: { funcionario: resultado }
+                data: { funcionario: FuncionarioSerializer.toJSON(funcionario) }
             });
         } catch (error) {
             next(error);
@@ -78,17 +180,18 @@ module.exports = class FuncionarioControl {
      * @param {Object} response - Objeto da resposta Express.js.
      * @param {Function} next - Middleware de tratamento de erros.
      * 
-     * Retorna JSON com array de funcionários.
+     * Aceita na query string: idCargo, recebeValeTransporte, nome, email, page, pageSize e sort.
+     * Retorna JSON com o array de funcionários da página e os metadados de paginação.
      */
     index = async (request, response, next) => {
-        console.log("🔵 FuncionarioControl.index()");
+        Logger.debug("🔵 FuncionarioControl.index()");
         try {
-            const listaFuncionarios = await this.#funcionarioService.findAll();
+            const { funcionarios, paginacao } = await this.#funcionarioService.findAll(request.query);
 
             response.status(200).json({
                 success: true,
                 message: "Executado com sucesso",
-                data: { funcionarios: listaFuncionarios }
+                data: { funcionarios: FuncionarioSerializer.toJSONList(funcionarios), paginacao: paginacao }
             });
         } catch (error) {
             next(error);
@@ -104,7 +207,7 @@ module.exports = class FuncionarioControl {
      * Retorna JSON com os dados do funcionário encontrado.
      */
     show = async (request, response, next) => {
-        console.log("🔵 FuncionarioControl.show()");
+        Logger.debug("🔵 FuncionarioControl.show()");
         try {
             const idFuncionario = request.params.idFuncionario;
             const funcionario = await this.#funcionarioService.findById(idFuncionario);
@@ -112,9 +215,83 @@ module.exports = class FuncionarioControl {
             response.status(200).json({
                 success: true,
                 message: "Executado com sucesso",
-                data: funcionario
+                data: { funcionario: FuncionarioSerializer.toJSON(funcionario) }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Retorna os dados do funcionário autenticado.
+     * @param {Object} request - Objeto da requisição Express.js (usa request.jwtPayload.idFuncionario).
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Retorna JSON no mesmo formato de show().
+     */
+    showMe = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.showMe()");
+        try {
+            const funcionario = await this.#funcionarioService.findMe(request.jwtPayload);
+
+            response.status(200).json({
+                success: true,
+                message: "Executado com sucesso",
+                data: { funcionario: FuncionarioSerializer.toJSON(funcionario) }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Atualiza os dados que o funcionário autenticado pode alterar (nome e email).
+     * @param {Object} request - Objeto da requisição Express.js contendo { funcionario: { nomeFuncionario?, email? } }.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Retorna JSON com os dados atualizados do funcionário ou encaminha o erro.
+     */
+    updateMe = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.updateMe()");
+        try {
+            const funcionario = await this.#funcionarioService.updateMe(request.jwtPayload, request.body.funcionario);
+
+            response.status(200).json({
+                success: true,
+                message: "Atualizado com sucesso",
+                data: { funcionario: FuncionarioSerializer.toJSON(funcionario) }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Troca a senha do funcionário autenticado, exigindo a senha atual.
+     * @param {Object} request - Objeto da requisição Express.js contendo { senhaAtual, novaSenha }.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * As sessões anteriores são encerradas; retorna um novo par de tokens no mesmo formato do login.
+     * Em caso de bloqueio por excesso de tentativas (429), envia também o header Retry-After.
+     */
+    changeMyPassword = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.changeMyPassword()");
+        try {
+            const { senhaAtual, novaSenha } = request.body;
+            const resultado = await this.#funcionarioService.alterarMinhaSenha(request.jwtPayload, senhaAtual, novaSenha, request.ip);
+
+            response.status(200).json({
+                success: true,
+                message: "Senha alterada com sucesso",
+                data: resultado
             });
         } catch (error) {
+            if (error.httpCode === 429 && error.error) {
+                response.set("Retry-After", String(error.error.retryAfter));
+            }
             next(error);
         }
     }
@@ -128,20 +305,16 @@ module.exports = class FuncionarioControl {
      * Retorna JSON com os dados atualizados do funcionário ou encaminha o erro.
      */
     update = async (request, response, next) => {
-        console.log("🔵 FuncionarioControl.update()");
+        Logger.debug("🔵 FuncionarioControl.update()");
         try {
             const idFuncionario = request.params.idFuncionario;
-            const funcionarioAtualizado = await this.#funcionarioService.updateFuncionario(idFuncionario, request.body);
+            await this.#funcionarioService.updateFuncionario(idFuncionario, request.body, request.jwtPayload.idFuncionario);
+            const funcionario = await this.#funcionarioService.findById(idFuncionario);
 
             response.status(200).json({
                 success: true,
                 message: "Atualizado com sucesso",
-                data: {
-                    funcionario: {
-                        idFuncionario: parseInt(request.params.idFuncionario),
-                        nomeFuncionario: request.body.funcionario.nomeFuncionario
-                    }
-                }
+                data: { funcionario: FuncionarioSerializer.toJSON(funcionario) }
             });
         } catch (error) {
             next(error);
@@ -149,18 +322,43 @@ module.exports = class FuncionarioControl {
     }
 
     /**
-     * Remove um funcionário pelo ID.
+     * Atualiza parcialmente um funcionário (JSON Merge Patch): apenas os campos enviados são alterados.
+     * @param {Object} request - Objeto da requisição Express.js contendo { funcionario: { ...campos a alterar } }.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Retorna JSON com o funcionário completo, lido novamente do banco, ou encaminha o erro.
+     */
+    patch = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.patch()");
+        try {
+            const idFuncionario = request.params.idFuncionario;
+            const funcionario = await this.#funcionarioService.patchFuncionario(idFuncionario, request.body.funcionario, request.jwtPayload.idFuncionario);
+
+            response.status(200).json({
+                success: true,
+                message: "Atualizado com sucesso",
+                data: { funcionario: FuncionarioSerializer.toJSON(funcionario) }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Desativa um funcionário pelo ID (o registro é mantido e pode ser restaurado).
      * @param {Object} request - Objeto da requisição Express.js.
      * @param {Object} response - Objeto da resposta Express.js.
      * @param {Function} next - Middleware de tratamento de erros.
      * 
-     * Retorna status 204 se excluído com sucesso ou 404 se o funcionário não existir.
+     * Retorna status 204 se desativado com sucesso, 404 se o funcionário não existir
+     * ou 409 se ele já estiver desativado.
      */
     destroy = async (request, response, next) => {
-        console.log("🔵 FuncionarioControl.destroy()");
+        Logger.debug("🔵 FuncionarioControl.destroy()");
         try {
             const idFuncionario = request.params.idFuncionario;
-            const excluiu = await this.#funcionarioService.deleteFuncionario(idFuncionario);
+            const excluiu = await this.#funcionarioService.deleteFuncionario(idFuncionario, request.jwtPayload.idFuncionario);
 
             if (!excluiu) {
                 return response.status(404).json({
@@ -178,4 +376,99 @@ module.exports = class FuncionarioControl {
             next(error);
         }
     }
+
+    /**
+     * Reativa um funcionário desativado.
+     * @param {Object} request - Objeto da requisição Express.js.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Retorna JSON com o funcionário reativado ou encaminha o erro (404, 409).
+     */
+    restore = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.restore()");
+        try {
+            const idFuncionario = request.params.idFuncionario;
+            const funcionario = await this.#funcionarioService.restaurarFuncionario(idFuncionario, request.jwtPayload.idFuncionario);
+
+            response.status(200).json({
+                success: true,
+                message: "Funcionário reativado com sucesso",
+                data: { funcionario: FuncionarioSerializer.toJSON(funcionario) }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Exclui definitivamente um funcionário desativado.
+     * @param {Object} request - Objeto da requisição Express.js.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Retorna status 204 se excluído ou encaminha o erro (404, 409 se o funcionário ainda estiver ativo).
+     */
+    purge = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.purge()");
+        try {
+            const idFuncionario = request.params.idFuncionario;
+            await this.#funcionarioService.purgeFuncionario(idFuncionario, request.jwtPayload.idFuncionario);
+
+            response.status(204).json({
+                success: true,
+                message: "Excluído definitivamente com sucesso"
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Lista os perfis atribuídos a um funcionário.
+     * @param {Object} request - Objeto da requisição Express.js.
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Retorna JSON com a lista de perfis do funcionário.
+     */
+    perfis = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.perfis()");
+        try {
+            const perfis = await this.#funcionarioService.findPerfis(request.params.idFuncionario);
+
+            response.status(200).json({
+                success: true,
+                message: "Executado com sucesso",
+                data: { perfis: perfis }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Redefine os perfis atribuídos a um funcionário.
+     * @param {Object} request - Objeto da requisição Express.js ({ perfis: [{ idPerfil }] }; usa request.jwtPayload.idFuncionario).
+     * @param {Object} response - Objeto da resposta Express.js.
+     * @param {Function} next - Middleware de tratamento de erros.
+     * 
+     * Retorna JSON com a nova lista de perfis do funcionário.
+     * Observação: tokens já emitidos mantêm as permissões antigas até expirarem; a renovação
+     * (sessão deslizante ou refresh) já traz os perfis e permissões novos.
+     */
+    updatePerfis = async (request, response, next) => {
+        Logger.debug("🔵 FuncionarioControl.updatePerfis()");
+        try {
+            const perfis = await this.#funcionarioService.definirPerfis(request.params.idFuncionario, request.body.perfis, request.jwtPayload.idFuncionario);
+
+            response.status(200).json({
+                success: true,
+                message: "Perfis atualizados com sucesso",
+                data: { perfis: perfis }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
 }
@@ -0,0 +1,35 @@
+const Metricas = require("../utils/Metricas");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por controlar o endpoint das métricas (GET /metrics).
+ *
+ * Utiliza injeção de dependência para receber o registro de métricas (Metricas).
+ */
+module.exports = class MetricasControl {
+    #metricas;
+
+    /**
+     * Construtor da classe MetricasControl
+     * @param {Metricas} metricasDependency - Registro das métricas da aplicação
+     */
+    constructor(metricasDependency) {
+        Logger.debug("⬆️  MetricasControl.constructor()");
+        this.#metricas = metricasDependency;
+    }
+
+    /**
+     * Devolve todas as métricas no formato texto do Prometheus.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    exportar = (request, response, next) => {
+        Logger.debug("🔵 MetricasControl.exportar()");
+        try {
+            response.status(200).type(Metricas.TIPO_CONTEUDO).send(this.#metricas.exportar());
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,177 @@
+const PerfilService = require("../services/PerfilService");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por controlar os endpoints da API REST para a entidade Perfil.
+ *
+ * Implementa métodos CRUD e a definição de permissões do perfil, utilizando injeção
+ * de dependência para receber a instância de PerfilService.
+ */
+module.exports = class PerfilControl {
+    #perfilService;
+
+    /**
+     * Construtor da classe PerfilControl
+     * @param {PerfilService} perfilServiceDependency - Instância do PerfilService
+     */
+    constructor(perfilServiceDependency) {
+        Logger.debug("⬆️  PerfilControl.constructor()");
+        this.#perfilService = perfilServiceDependency;
+    }
+
+    /**
+     * Cria um novo perfil.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     *
+     * Retorna JSON com o ID do perfil criado e mensagem de sucesso.
+     */
+    store = async (request, response, next) => {
+        Logger.debug("🔵 PerfilControl.store()");
+        try {
+            const perfilBodyRequest = request.body.perfil;
+            const novoId = await this.#perfilService.createPerfil(perfilBodyRequest);
+
+            response.status(201).send({
+                success: true,
+                message: "Cadastro realizado com sucesso",
+                data: {
+                    perfis: [{
+                        idPerfil: novoId,
+                        nomePerfil: perfilBodyRequest.nomePerfil.trim(),
+                        permissoes: []
+                    }]
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Lista todos os perfis com suas permissões.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    index = async (request, response, next) => {
+        Logger.debug("🔵 PerfilControl.index()");
+        try {
+            const arrayPerfis = await this.#perfilService.findAll();
+
+            response.status(200).send({
+                success: true,
+                message: "Busca realizada com sucesso",
+                data: { perfis: arrayPerfis }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Busca um perfil pelo ID.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    show = async (request, response, next) => {
+        Logger.debug("🔵 PerfilControl.show()");
+        try {
+            const perfil = await this.#perfilService.findById(request.params.idPerfil);
+
+            response.status(200).send({
+                success: true,
+                message: "Executado com sucesso",
+                data: { perfis: [perfil] }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Atualiza o nome de um perfil.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     *
+     * Retorna 200 com o perfil atualizado ou 404 se o perfil não existir.
+     */
+    update = async (request, response, next) => {
+        Logger.debug("🔵 PerfilControl.update()");
+        try {
+            const idPerfil = request.params.idPerfil;
+            const nomePerfil = request.body.perfil.nomePerfil;
+            const atualizou = await this.#perfilService.updatePerfil(idPerfil, nomePerfil);
+
+            if (!atualizou) {
+                return response.status(404).send({
+                    success: false,
+                    message: "Perfil não encontrado para atualização",
+                    error: { message: `Não existe perfil com id ${idPerfil}` }
+                });
+            }
+
+            response.status(200).send({
+                success: true,
+                message: "Atualizado com sucesso",
+                data: { perfis: [await this.#perfilService.findById(idPerfil)] }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Remove um perfil pelo ID.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     *
+     * Retorna status 204 se excluído com sucesso ou 404 se o perfil não existir.
+     */
+    destroy = async (request, response, next) => {
+        Logger.debug("🔵 PerfilControl.destroy()");
+        try {
+            const idPerfil = request.params.idPerfil;
+            const excluiu = await this.#perfilService.deletePerfil(idPerfil);
+
+            if (!excluiu) {
+                return response.status(404).send({
+                    success: false,
+                    message: "Perfil não encontrado para exclusão",
+                    error: { message: `Não existe perfil com id ${idPerfil}` }
+                });
+            }
+
+            response.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Redefine as permissões concedidas por um perfil.
+     * @param {Object} request - Objeto da requisição Express.js ({ permissoes: [{ idPermissao }] })
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     *
+     * Retorna JSON com o perfil e a nova lista de permissões.
+     */
+    updatePermissoes = async (request, response, next) => {
+        Logger.debug("🔵 PerfilControl.updatePermissoes()");
+        try {
+            const perfil = await this.#perfilService.definirPermissoes(request.params.idPerfil, request.body.permissoes);
+
+            response.status(200).send({
+                success: true,
+                message: "Permissões atualizadas com sucesso",
+                data: { perfis: [perfil] }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
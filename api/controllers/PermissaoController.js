@@ -0,0 +1,145 @@
+const PermissaoService = require("../services/PermissaoService");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por controlar os endpoints da API REST para a entidade Permissao.
+ *
+ * Implementa métodos CRUD utilizando injeção de dependência para receber
+ * a instância de PermissaoService.
+ */
+module.exports = class PermissaoControl {
+    #permissaoService;
+
+    /**
+     * Construtor da classe PermissaoControl
+     * @param {PermissaoService} permissaoServiceDependency - Instância do PermissaoService
+     */
+    constructor(permissaoServiceDependency) {
+        Logger.debug("⬆️  PermissaoControl.constructor()");
+        this.#permissaoService = permissaoServiceDependency;
+    }
+
+    /**
+     * Cria uma nova permissão.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    store = async (request, response, next) => {
+        Logger.debug("🔵 PermissaoControl.store()");
+        try {
+            const permissaoBodyRequest = request.body.permissao;
+            const novoId = await this.#permissaoService.createPermissao(permissaoBodyRequest);
+
+            response.status(201).send({
+                success: true,
+                message: "Cadastro realizado com sucesso",
+                data: { permissoes: [await this.#permissaoService.findById(novoId)] }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Lista todas as permissões.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    index = async (request, response, next) => {
+        Logger.debug("🔵 PermissaoControl.index()");
+        try {
+            const arrayPermissoes = await this.#permissaoService.findAll();
+
+            response.status(200).send({
+                success: true,
+                message: "Busca realizada com sucesso",
+                data: { permissoes: arrayPermissoes }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Busca uma permissão pelo ID.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    show = async (request, response, next) => {
+        Logger.debug("🔵 PermissaoControl.show()");
+        try {
+            const permissao = await this.#permissaoService.findById(request.params.idPermissao);
+
+            response.status(200).send({
+                success: true,
+                message: "Executado com sucesso",
+                data: { permissoes: [permissao] }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Atualiza uma permissão existente.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     *
+     * Retorna 200 com a permissão atualizada ou 404 se ela não existir.
+     */
+    update = async (request, response, next) => {
+        Logger.debug("🔵 PermissaoControl.update()");
+        try {
+            const idPermissao = request.params.idPermissao;
+            const atualizou = await this.#permissaoService.updatePermissao(idPermissao, request.body.permissao);
+
+            if (!atualizou) {
+                return response.status(404).send({
+                    success: false,
+                    message: "Permissão não encontrada para atualização",
+                    error: { message: `Não existe permissão com id ${idPermissao}` }
+                });
+            }
+
+            response.status(200).send({
+                success: true,
+                message: "Atualizado com sucesso",
+                data: { permissoes: [await this.#permissaoService.findById(idPermissao)] }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Remove uma permissão pelo ID.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     *
+     * Retorna status 204 se excluída com sucesso ou 404 se a permissão não existir.
+     */
+    destroy = async (request, response, next) => {
+        Logger.debug("🔵 PermissaoControl.destroy()");
+        try {
+            const idPermissao = request.params.idPermissao;
+            const excluiu = await this.#permissaoService.deletePermissao(idPermissao);
+
+            if (!excluiu) {
+                return response.status(404).send({
+                    success: false,
+                    message: "Permissão não encontrada para exclusão",
+                    error: { message: `Não existe permissão com id ${idPermissao}` }
+                });
+            }
+
+            response.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,58 @@
+const SaudeService = require("../services/SaudeService");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por controlar os endpoints de saúde (liveness e readiness).
+ *
+ * Utiliza injeção de dependência para receber a instância de SaudeService.
+ */
+module.exports = class SaudeControl {
+    #saudeService;
+
+    /**
+     * Construtor da classe SaudeControl
+     * @param {SaudeService} saudeServiceDependency - Instância do SaudeService
+     */
+    constructor(saudeServiceDependency) {
+        Logger.debug("⬆️  SaudeControl.constructor()");
+        this.#saudeService = saudeServiceDependency;
+    }
+
+    /**
+     * Liveness: responde 200 enquanto o processo estiver atendendo.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    live = (request, response, next) => {
+        Logger.debug("🔵 SaudeControl.live()");
+        try {
+            response.status(200).send({
+                success: true,
+                message: "Servidor no ar",
+                data: this.#saudeService.verificarLiveness()
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Readiness: 200 se o servidor pode receber tráfego; 503 se o banco não responder ou o servidor estiver encerrando.
+     * @param {Object} request - Objeto da requisição Express.js
+     * @param {Object} response - Objeto da resposta Express.js
+     * @param {Function} next - Middleware de tratamento de erros
+     */
+    ready = async (request, response, next) => {
+        Logger.debug("🔵 SaudeControl.ready()");
+        try {
+            response.status(200).send({
+                success: true,
+                message: "Servidor pronto para receber requisições",
+                data: await this.#saudeService.verificarReadiness()
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,176 @@
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Paginacao = require("../utils/Paginacao");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pela trilha de auditoria (tabela auditoria).
+ *
+ * Cada criação, alteração ou exclusão de cargo ou funcionário gera uma linha com o autor
+ * (idFuncionario do token), a entidade, a operação, a data/hora e o diff dos valores.
+ *
+ * registrar() recebe o executor da transação aberta pelo DAO que fez a alteração:
+ * a alteração e o registro de auditoria são gravados juntos ou nenhum dos dois.
+ */
+module.exports = class AuditoriaDAO {
+    /**
+     * Campos cujo valor nunca é gravado no diff (apenas o fato de terem mudado).
+     */
+    static CAMPOS_SENSIVEIS = ["senha"];
+
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  AuditoriaDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Grava um registro de auditoria dentro da transação de quem fez a alteração.
+     * Alterações que não mudam nenhum valor não são registradas.
+     *
+     * @param {Object} executor - Executor da transação aberta (MysqlDatabase.transaction()).
+     * @param {Object} registro - Dados da alteração.
+     * @param {number|null} registro.idFuncionarioAutor - Funcionário que fez a alteração (null se não houver).
+     * @param {"cargo"|"funcionario"} registro.entidade - Entidade alterada.
+     * @param {number} registro.idEntidade - ID da entidade alterada.
+     * @param {"create"|"update"|"delete"|"deactivate"|"restore"} registro.operacao - Operação realizada.
+     * @param {Object|null} registro.antes - Valores antes da alteração (null em create).
+     * @param {Object|null} registro.depois - Valores depois da alteração (null em delete).
+     * @returns {Promise<number|null>} ID do registro criado, ou null se nada mudou.
+     */
+    registrar = async (executor, { idFuncionarioAutor, entidade, idEntidade, operacao, antes, depois }) => {
+        Logger.debug("🟢 AuditoriaDAO.registrar()");
+
+        const diff = AuditoriaDAO.calcularDiff(antes, depois);
+
+        if (operacao === "update" && Object.keys(diff).length === 0) {
+            return null;
+        }
+
+        const SQL = `
+            INSERT INTO auditoria (idFuncionarioAutor, entidade, idEntidade, operacao, diff)
+            VALUES (?, ?, ?, ?, ?);`;
+        const params = [idFuncionarioAutor ?? null, entidade, idEntidade, operacao, JSON.stringify(diff)];
+
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado.insertId;
+    };
+
+    /**
+     * Colunas que podem ser usadas na ordenação da listagem
+     * (nome do campo na API → coluna SQL).
+     */
+    static COLUNAS_ORDENACAO = {
+        idAuditoria: "idAuditoria",
+        idFuncionarioAutor: "idFuncionarioAutor",
+        entidade: "entidade",
+        idEntidade: "idEntidade",
+        operacao: "operacao",
+        dataHora: "dataHora",
+    };
+
+    /**
+     * Retorna uma página da trilha de auditoria.
+     *
+     * @param {Object} filtros - Filtros opcionais.
+     * @param {"cargo"|"funcionario"} [filtros.entidade] - Apenas registros desta entidade.
+     * @param {number} [filtros.idEntidade] - Apenas registros deste cargo/funcionário.
+     * @param {"create"|"update"|"delete"|"deactivate"|"restore"} [filtros.operacao] - Apenas registros desta operação.
+     * @param {number} [filtros.idFuncionarioAutor] - Apenas alterações feitas por este funcionário.
+     * @param {Date} [filtros.desde] - Apenas registros a partir desta data/hora.
+     * @param {Date} [filtros.ate] - Apenas registros até esta data/hora.
+     * @param {Paginacao} paginacao - Página, tamanho da página e ordenação.
+     * @returns {Promise<{itens: Array, total: number}>} Registros da página e total que atende aos filtros.
+     */
+    findAll = async (filtros, paginacao) => {
+        Logger.debug("🟢 AuditoriaDAO.findAll()");
+
+        const condicoes = [];
+        const params = [];
+
+        for (const campo of ["entidade", "idEntidade", "operacao", "idFuncionarioAutor"]) {
+            if (filtros[campo] !== undefined) {
+                condicoes.push(`${campo} = ?`);
+                params.push(filtros[campo]);
+            }
+        }
+
+        if (filtros.desde !== undefined) {
+            condicoes.push("dataHora >= ?");
+            params.push(filtros.desde);
+        }
+
+        if (filtros.ate !== undefined) {
+            condicoes.push("dataHora <= ?");
+            params.push(filtros.ate);
+        }
+
+        const WHERE = condicoes.length > 0 ? `WHERE ${condicoes.join(" AND ")}` : "";
+
+        const ordenacao = paginacao.ordenacao
+            .map(({ campo, direcao }) => `${AuditoriaDAO.COLUNAS_ORDENACAO[campo]} ${direcao}`);
+
+        // Desempate pela chave primária para que a ordem seja estável entre páginas
+        if (!paginacao.ordenacao.some(({ campo }) => campo === "idAuditoria")) {
+            ordenacao.push("idAuditoria DESC");
+        }
+        const ORDER_BY = ordenacao.join(", ");
+
+        // LIMIT/OFFSET são inteiros já validados pela classe Paginacao
+        const SQL = `SELECT * FROM auditoria ${WHERE} ORDER BY ${ORDER_BY} LIMIT ${paginacao.pageSize} OFFSET ${paginacao.offset};`;
+        const SQL_TOTAL = `SELECT COUNT(*) AS total FROM auditoria ${WHERE};`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+        const [[{ total }]] = await executor.execute(SQL_TOTAL, params);
+
+        return {
+            itens: resultado.map(row => ({
+                ...row,
+                // mysql2 já devolve colunas JSON como objeto; outros drivers devolvem texto
+                diff: typeof row.diff === "string" ? JSON.parse(row.diff) : row.diff
+            })),
+            total: Number(total)
+        };
+    };
+
+    /**
+     * Compara dois estados de uma entidade e devolve apenas os campos que mudaram.
+     * Campos sensíveis (CAMPOS_SENSIVEIS) aparecem mascarados.
+     *
+     * @param {Object|null} antes - Valores antes (null em create).
+     * @param {Object|null} depois - Valores depois (null em delete).
+     * @returns {Object} { campo: { antes, depois } }
+     *
+     * @example
+     * AuditoriaDAO.calcularDiff({ nomeCargo: "Dev" }, { nomeCargo: "Dev Jr" });
+     * // { nomeCargo: { antes: "Dev", depois: "Dev Jr" } }
+     */
+    static calcularDiff(antes, depois) {
+        const diff = {};
+        const campos = new Set([...Object.keys(antes || {}), ...Object.keys(depois || {})]);
+
+        for (const campo of campos) {
+            const valorAntes = antes && antes[campo] !== undefined ? antes[campo] : null;
+            const valorDepois = depois && depois[campo] !== undefined ? depois[campo] : null;
+
+            if (valorAntes === valorDepois) {
+                continue;
+            }
+
+            if (AuditoriaDAO.CAMPOS_SENSIVEIS.includes(campo)) {
+                diff[campo] = { antes: antes ? "***" : null, depois: depois ? "***" : null };
+            } else {
+                diff[campo] = { antes: valorAntes, depois: valorDepois };
+            }
+        }
+
+        return diff;
+    }
+}
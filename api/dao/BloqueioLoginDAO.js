@@ -0,0 +1,144 @@
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Paginacao = require("../utils/Paginacao");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelo histórico de bloqueios de login (tabela bloqueio_login).
+ *
+ * Cada bloqueio aplicado gera uma linha que nunca é apagada, para permitir
+ * analisar padrões de ataque (emails mais visados, IPs de origem, horários).
+ */
+module.exports = class BloqueioLoginDAO {
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  BloqueioLoginDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Registra um bloqueio aplicado.
+     *
+     * @param {Object} bloqueio - Dados do bloqueio.
+     * @param {"email"|"ip"} bloqueio.tipo - Tipo da chave bloqueada.
+     * @param {string} bloqueio.valor - Email ou IP bloqueado.
+     * @param {string|null} bloqueio.ip - IP da tentativa que disparou o bloqueio.
+     * @param {number} bloqueio.falhas - Falhas que levaram ao bloqueio.
+     * @param {number} bloqueio.duracaoSegundos - Duração do bloqueio.
+     * @param {Date} bloqueio.bloqueadoAte - Fim do bloqueio.
+     * @returns {Promise<number>} ID do registro criado.
+     */
+    create = async ({ tipo, valor, ip, falhas, duracaoSegundos, bloqueadoAte }) => {
+        Logger.debug("🟢 BloqueioLoginDAO.create()");
+
+        const SQL = `
+            INSERT INTO bloqueio_login (tipo, valor, ip, falhas, duracaoSegundos, bloqueadoAte)
+            VALUES (?, ?, ?, ?, ?, ?);`;
+        const params = [tipo, valor, ip ?? null, falhas, duracaoSegundos, bloqueadoAte];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado.insertId;
+    };
+
+    /**
+     * Marca como liberados manualmente os bloqueios ainda em vigor de uma chave.
+     *
+     * @param {"email"|"ip"} tipo - Tipo da chave.
+     * @param {string} valor - Email ou IP.
+     * @param {number} idFuncionario - Administrador que liberou.
+     * @returns {Promise<number>} Quantidade de bloqueios marcados.
+     */
+    liberar = async (tipo, valor, idFuncionario) => {
+        Logger.debug("🟢 BloqueioLoginDAO.liberar()");
+
+        const SQL = `
+            UPDATE bloqueio_login
+            SET liberadoEm = NOW(), liberadoPor = ?
+            WHERE tipo = ? AND valor = ? AND liberadoEm IS NULL AND bloqueadoAte > NOW();`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idFuncionario ?? null, tipo, valor]);
+
+        return resultado.affectedRows;
+    };
+
+    /**
+     * Colunas que podem ser usadas na ordenação da listagem
+     * (nome do campo na API → coluna SQL).
+     */
+    static COLUNAS_ORDENACAO = {
+        idBloqueioLogin: "idBloqueioLogin",
+        tipo: "tipo",
+        valor: "valor",
+        ip: "ip",
+        falhas: "falhas",
+        bloqueadoEm: "bloqueadoEm",
+        bloqueadoAte: "bloqueadoAte",
+    };
+
+    /**
+     * Retorna uma página do histórico de bloqueios.
+     *
+     * @param {Object} filtros - Filtros opcionais.
+     * @param {"email"|"ip"} [filtros.tipo] - Apenas bloqueios deste tipo.
+     * @param {string} [filtros.valor] - Email ou IP exato.
+     * @param {string} [filtros.ip] - IP de origem exato.
+     * @param {Date} [filtros.desde] - Apenas bloqueios a partir desta data.
+     * @param {Paginacao} paginacao - Página, tamanho da página e ordenação.
+     * @returns {Promise<{itens: Array, total: number}>} Bloqueios da página e total que atende aos filtros.
+     */
+    findAll = async (filtros, paginacao) => {
+        Logger.debug("🟢 BloqueioLoginDAO.findAll()");
+
+        const condicoes = [];
+        const params = [];
+
+        if (filtros.tipo !== undefined) {
+            condicoes.push("tipo = ?");
+            params.push(filtros.tipo);
+        }
+
+        if (filtros.valor !== undefined) {
+            condicoes.push("valor = ?");
+            params.push(filtros.valor);
+        }
+
+        if (filtros.ip !== undefined) {
+            condicoes.push("ip = ?");
+            params.push(filtros.ip);
+        }
+
+        if (filtros.desde !== undefined) {
+            condicoes.push("bloqueadoEm >= ?");
+            params.push(filtros.desde);
+        }
+
+        const WHERE = condicoes.length > 0 ? `WHERE ${condicoes.join(" AND ")}` : "";
+
+        const ordenacao = paginacao.ordenacao
+            .map(({ campo, direcao }) => `${BloqueioLoginDAO.COLUNAS_ORDENACAO[campo]} ${direcao}`);
+
+        // Desempate pela chave primária para que a ordem seja estável entre páginas
+        if (!paginacao.ordenacao.some(({ campo }) => campo === "idBloqueioLogin")) {
+            ordenacao.push("idBloqueioLogin DESC");
+        }
+        const ORDER_BY = ordenacao.join(", ");
+
+        // LIMIT/OFFSET são inteiros já validados pela classe Paginacao
+        const SQL = `SELECT * FROM bloqueio_login ${WHERE} ORDER BY ${ORDER_BY} LIMIT ${paginacao.pageSize} OFFSET ${paginacao.offset};`;
+        const SQL_TOTAL = `SELECT COUNT(*) AS total FROM bloqueio_login ${WHERE};`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+        const [[{ total }]] = await executor.execute(SQL_TOTAL, params);
+
+        return { itens: resultado, total: Number(total) };
+    };
+}
@@ -1,99 +1,293 @@
 const Cargo = require("../models/Cargo");
 const MysqlDatabase = require("../database/MysqlDatabase");
+const SqliteDatabase = require("../database/SqliteDatabase");
+const AuditoriaDAO = require("./AuditoriaDAO");
+const FusaoCargoDAO = require("./FusaoCargoDAO");
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável por realizar operações no banco de dados
  * relacionadas à entidade Cargo.
  * 
  * Implementa métodos CRUD utilizando injeção de dependência
- * de uma instância de MysqlDatabase.
+ * de uma instância de banco (MysqlDatabase ou SqliteDatabase; ver Database.criar()).
  */
 module.exports = class CargoDAO {
     #database;
+    #auditoriaDAO;
+    #fusaoCargoDAO;
 
     /**
-     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     * Construtor do DAO, recebe a instância do banco.
      * 
-     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     * @param {MysqlDatabase|SqliteDatabase} databaseInstance - Instância do banco injetada.
+     * @param {AuditoriaDAO} auditoriaDAODependency - Registra cada alteração na trilha de auditoria.
+     * @param {FusaoCargoDAO} fusaoCargoDAODependency - Registra cada fusão de cargos no histórico.
      */
-    constructor(databaseInstance) {
-        console.log("⬆️  CargoDAO.constructor()");
+    constructor(databaseInstance, auditoriaDAODependency, fusaoCargoDAODependency) {
+        Logger.debug("⬆️  CargoDAO.constructor()");
         this.#database = databaseInstance;
+        this.#auditoriaDAO = auditoriaDAODependency;
+        this.#fusaoCargoDAO = fusaoCargoDAODependency;
     }
 
     /**
      * Cria um novo cargo no banco de dados.
      * 
      * @param {Cargo} objCargoModel - Objeto Cargo contendo os dados do cargo.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
      * @returns {Promise<number>} ID do cargo criado.
      * @throws {Error} Caso a inserção falhe.
      */
-    create = async (objCargoModel) => {
-        console.log("🟢 CargoDAO.create()");
+    create = async (objCargoModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 CargoDAO.create()");
 
         const SQL = "INSERT INTO cargo (nomeCargo) VALUES (?);";
         const params = [objCargoModel.nomeCargo];
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL, params);
+        return this.#database.transaction(async (executor) => {
+            const [resultado] = await executor.execute(SQL, params);
 
-        if (!resultado.insertId) {
-            throw new Error("Falha ao inserir cargo");
-        }
+            if (!resultado.insertId) {
+                throw new Error("Falha ao inserir cargo");
+            }
+
+            await this.#auditar(executor, idFuncionarioAutor, resultado.insertId, "create", null, { nomeCargo: objCargoModel.nomeCargo });
 
-        return resultado.insertId;
+            return resultado.insertId;
+        });
     };
 
     /**
      * Remove um cargo do banco de dados pelo ID.
      * 
      * @param {Cargo} objCargoModel - Objeto Cargo contendo o ID do cargo a ser removido.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
      * @returns {Promise<boolean>} True se a exclusão foi bem-sucedida.
      */
-    delete = async (objCargoModel) => {
-        console.log("🟢 CargoDAO.delete()");
+    delete = async (objCargoModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 CargoDAO.delete()");
 
         const SQL = "DELETE FROM cargo WHERE idCargo = ?;";
         const params = [objCargoModel.idCargo];
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL, params);
+        return this.#database.transaction(async (executor) => {
+            const antes = await this.#estadoAtual(executor, objCargoModel.idCargo);
+
+            const [resultado] = await executor.execute(SQL, params);
+
+            if (resultado.affectedRows > 0) {
+                await this.#auditar(executor, idFuncionarioAutor, objCargoModel.idCargo, "delete", antes, null);
+            }
+
+            return resultado.affectedRows > 0;
+        });
+    };
+
+    /**
+     * Move todos os funcionários de um cargo para outro e, opcionalmente, exclui o cargo de origem,
+     * tudo em uma única transação. Cada funcionário movido gera um registro de auditoria.
+     * 
+     * @param {Cargo} objCargoOrigem - Cargo cujos funcionários serão movidos.
+     * @param {Cargo} objCargoDestino - Cargo que passará a ser o dos funcionários.
+     * @param {boolean} excluirOrigem - Se true, o cargo de origem é excluído depois da reatribuição.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
+     * @returns {Promise<{idsFuncionarios: number[], cargoExcluido: boolean}>} Funcionários movidos e se o cargo foi excluído.
+     */
+    reatribuirFuncionarios = async (objCargoOrigem, objCargoDestino, excluirOrigem, idFuncionarioAutor) => {
+        Logger.debug("🟢 CargoDAO.reatribuirFuncionarios()");
+
+        return this.#database.transaction(async (executor) => {
+            // Bloqueia os dois cargos: nenhum deles pode ser excluído ou renomeado no meio da operação
+            const antesOrigem = await this.#estadoAtual(executor, objCargoOrigem.idCargo);
+            const antesDestino = await this.#estadoAtual(executor, objCargoDestino.idCargo);
+            if (!antesOrigem || !antesDestino) {
+                throw new Error("Cargo de origem ou de destino não existe mais");
+            }
+
+            const funcionarios = await this.#moverFuncionarios(executor, objCargoOrigem.idCargo, objCargoDestino.idCargo, idFuncionarioAutor);
+            const idsFuncionarios = funcionarios.map(funcionario => funcionario.idFuncionario);
+
+            let cargoExcluido = false;
+            if (excluirOrigem) {
+                const [resultado] = await executor.execute("DELETE FROM cargo WHERE idCargo = ?;", [objCargoOrigem.idCargo]);
+                cargoExcluido = resultado.affectedRows > 0;
+
+                if (cargoExcluido) {
+                    await this.#auditar(executor, idFuncionarioAutor, objCargoOrigem.idCargo, "delete", antesOrigem, null);
+                }
+            }
+
+            return { idsFuncionarios, cargoExcluido };
+        });
+    };
+
+    /**
+     * Funde vários cargos em um só, em uma única transação: os funcionários de cada cargo de origem
+     * passam para o cargo de destino, os cargos de origem são excluídos e a fusão é registrada no histórico.
+     * Se qualquer passo falhar, nada é gravado.
+     * 
+     * @param {Cargo} objCargoDestino - Cargo que permanece e recebe os funcionários.
+     * @param {Cargo[]} cargosOrigem - Cargos que serão fundidos no destino (e excluídos).
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
+     * @returns {Promise<{idFusaoCargo: number, cargosOrigem: Array}>} ID do registro no histórico e, para cada
+     *          cargo de origem, { idCargo, nomeCargo, funcionarios } com os funcionários movidos.
+     */
+    fundir = async (objCargoDestino, cargosOrigem, idFuncionarioAutor) => {
+        Logger.debug("🟢 CargoDAO.fundir()");
+
+        return this.#database.transaction(async (executor) => {
+            const antesDestino = await this.#estadoAtual(executor, objCargoDestino.idCargo);
+            if (!antesDestino) {
+                throw new Error("Cargo de destino não existe mais");
+            }
+
+            const fundidos = [];
+
+            for (const objCargoOrigem of cargosOrigem) {
+                const antesOrigem = await this.#estadoAtual(executor, objCargoOrigem.idCargo);
+                if (!antesOrigem) {
+                    throw new Error(`Cargo de origem ${objCargoOrigem.idCargo} não existe mais`);
+                }
+
+                const funcionarios = await this.#moverFuncionarios(executor, objCargoOrigem.idCargo, objCargoDestino.idCargo, idFuncionarioAutor);
+
+                await executor.execute("DELETE FROM cargo WHERE idCargo = ?;", [objCargoOrigem.idCargo]);
+                await this.#auditar(executor, idFuncionarioAutor, objCargoOrigem.idCargo, "delete", antesOrigem, null);
+
+                fundidos.push({ idCargo: objCargoOrigem.idCargo, nomeCargo: antesOrigem.nomeCargo, funcionarios });
+            }
 
-        return resultado.affectedRows > 0;
+            const idFusaoCargo = await this.#fusaoCargoDAO.registrar(executor, {
+                idCargoDestino: objCargoDestino.idCargo,
+                nomeCargoDestino: antesDestino.nomeCargo,
+                cargosOrigem: fundidos.map(({ idCargo, nomeCargo, funcionarios }) => ({
+                    idCargo,
+                    nomeCargo,
+                    idsFuncionarios: funcionarios.map(funcionario => funcionario.idFuncionario)
+                })),
+                idFuncionarioAutor
+            });
+
+            return { idFusaoCargo, cargosOrigem: fundidos };
+        });
     };
 
     /**
      * Atualiza os dados de um cargo existente.
      * 
      * @param {Cargo} objCargoModel - Objeto Cargo contendo ID e novos dados do cargo.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
      * @returns {Promise<boolean>} True se a atualização foi bem-sucedida.
      */
-    update = async (objCargoModel) => {
-        console.log("🟢 CargoDAO.update()");
+    update = async (objCargoModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 CargoDAO.update()");
+
+        return this.updateParcial(objCargoModel, ["nomeCargo"], idFuncionarioAutor);
+    };
+
+    /**
+     * Campos que podem ser alterados por updateParcial (nome do campo no model → coluna SQL).
+     */
+    static COLUNAS_ATUALIZAVEIS = {
+        nomeCargo: "nomeCargo",
+    };
+
+    /**
+     * Atualiza apenas os campos informados de um cargo (PATCH).
+     * 
+     * @param {Cargo} objCargoModel - Objeto Cargo com o ID e os novos valores.
+     * @param {string[]} campos - Campos a gravar (chaves de COLUNAS_ATUALIZAVEIS).
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
+     * @returns {Promise<boolean>} True se a atualização foi bem-sucedida.
+     * @throws {Error} Se algum campo não puder ser atualizado.
+     */
+    updateParcial = async (objCargoModel, campos, idFuncionarioAutor) => {
+        Logger.debug("🟢 CargoDAO.updateParcial()");
+
+        const atribuicoes = [];
+        const params = [];
+        const novosValores = {};
 
-        const SQL = "UPDATE cargo SET nomeCargo = ? WHERE idCargo = ?;";
-        const params = [objCargoModel.nomeCargo, objCargoModel.idCargo];
+        for (const campo of campos) {
+            const coluna = CargoDAO.COLUNAS_ATUALIZAVEIS[campo];
+            if (!coluna) {
+                throw new Error(`Campo inválido para atualização: ${campo}`);
+            }
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL, params);
+            atribuicoes.push(`${coluna} = ?`);
+            novosValores[campo] = objCargoModel[campo];
+            params.push(novosValores[campo]);
+        }
+
+        if (atribuicoes.length === 0) {
+            return false;
+        }
+
+        const SQL = `UPDATE cargo SET ${atribuicoes.join(", ")} WHERE idCargo = ?;`;
+        params.push(objCargoModel.idCargo);
+
+        return this.#database.transaction(async (executor) => {
+            const antes = await this.#estadoAtual(executor, objCargoModel.idCargo);
+
+            const [resultado] = await executor.execute(SQL, params);
+
+            if (antes) {
+                await this.#auditar(executor, idFuncionarioAutor, objCargoModel.idCargo, "update", antes, { ...antes, ...novosValores });
+            }
 
-        return resultado.affectedRows > 0;
+            return resultado.affectedRows > 0;
+        });
     };
 
     /**
-     * Retorna todos os cargos cadastrados no banco de dados.
+     * Colunas que podem ser usadas na ordenação da listagem
+     * (nome do campo na API → coluna SQL).
+     */
+    static COLUNAS_ORDENACAO = {
+        idCargo: "idCargo",
+        nomeCargo: "nomeCargo",
+    };
+
+    /**
+     * Retorna uma página de cargos, com filtro, ordenação e paginação aplicados no SQL.
      * 
-     * @returns {Promise<Array>} Lista de cargos.
+     * @param {Object} filtros - Filtros opcionais.
+     * @param {string} [filtros.nome] - Trecho do nome do cargo (busca parcial).
+     * @param {Paginacao} paginacao - Página, tamanho da página e ordenação.
+     * @returns {Promise<{itens: Cargo[], total: number}>} Cargos da página e total que atende aos filtros.
      */
-    findAll = async () => {
-        console.log("🟢 CargoDAO.findAll()");
+    findAll = async (filtros, paginacao) => {
+        Logger.debug("🟢 CargoDAO.findAll()");
 
-        const SQL = "SELECT * FROM cargo;";
+        const condicoes = [];
+        const params = [];
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL);
+        if (filtros.nome !== undefined) {
+            condicoes.push("nomeCargo LIKE ?");
+            params.push(`%${this.#escapeLike(filtros.nome)}%`);
+        }
 
-        return resultado;
+        const WHERE = condicoes.length > 0 ? `WHERE ${condicoes.join(" AND ")}` : "";
+
+        const ordenacao = paginacao.ordenacao
+            .map(({ campo, direcao }) => `${CargoDAO.COLUNAS_ORDENACAO[campo]} ${direcao}`);
+
+        // Desempate pela chave primária para que a ordem seja estável entre páginas
+        if (!paginacao.ordenacao.some(({ campo }) => campo === "idCargo")) {
+            ordenacao.push("idCargo ASC");
+        }
+        const ORDER_BY = ordenacao.join(", ");
+
+        // LIMIT/OFFSET são inteiros já validados pela classe Paginacao
+        const SQL = `SELECT * FROM cargo ${WHERE} ORDER BY ${ORDER_BY} LIMIT ${paginacao.pageSize} OFFSET ${paginacao.offset};`;
+        const SQL_TOTAL = `SELECT COUNT(*) AS total FROM cargo ${WHERE};`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+        const [[{ total }]] = await executor.execute(SQL_TOTAL, params);
+
+        return { itens: resultado.map(row => this.#toModel(row)), total: Number(total) };
     };
 
     /**
@@ -103,10 +297,10 @@ module.exports = class CargoDAO {
      * @returns {Promise<Cargo|null>} Objeto Cargo encontrado ou null.
      */
     findById = async (idCargo) => {
-        console.log("🟢 CargoDAO.findById()");
+        Logger.debug("🟢 CargoDAO.findById()");
 
         const resultado = await this.findByField("idCargo", idCargo);
-        return resultado[0] || null;
+        return resultado.length > 0 ? this.#toModel(resultado[0]) : null;
     };
 
     /**
@@ -118,7 +312,7 @@ module.exports = class CargoDAO {
      * @throws {Error} Caso o campo informado não seja permitido.
      */
     findByField = async (field, value) => {
-        console.log(`🟢 CargoDAO.findByField() - Campo: ${field}, Valor: ${value}`);
+        Logger.debug(`🟢 CargoDAO.findByField() - Campo: ${field}, Valor: ${value}`);
 
         const allowedFields = ["idCargo", "nomeCargo"];
         if (!allowedFields.includes(field)) {
@@ -128,9 +322,129 @@ module.exports = class CargoDAO {
         const SQL = `SELECT * FROM cargo WHERE ${field} = ?;`;
         const params = [value];
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL, params);
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
 
         return resultado || [];
     };
+
+    /**
+     * Lista os funcionários (ativos e desativados) que ainda pertencem a um cargo.
+     * Enquanto houver algum, o cargo não pode ser excluído (fk_Funcionario_Cargo).
+     * 
+     * @param {number} idCargo - ID do cargo.
+     * @returns {Promise<Array<{idFuncionario: number, nomeFuncionario: string, email: string, status: string}>>}
+     */
+    findFuncionarios = async (idCargo) => {
+        Logger.debug("🟢 CargoDAO.findFuncionarios()");
+
+        const SQL = `
+            SELECT idFuncionario, nomeFuncionario, email, status
+            FROM funcionario
+            WHERE Cargo_idCargo = ?
+            ORDER BY idFuncionario;`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idCargo]);
+
+        return resultado;
+    };
+
+    /**
+     * Lista o ID e o nome de todos os cargos (usado na detecção de nomes semelhantes).
+     * 
+     * @returns {Promise<Array<{idCargo: number, nomeCargo: string}>>}
+     */
+    findNomes = async () => {
+        Logger.debug("🟢 CargoDAO.findNomes()");
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute("SELECT idCargo, nomeCargo FROM cargo ORDER BY idCargo;");
+
+        return resultado;
+    };
+
+    /**
+     * Move (dentro da transação) todos os funcionários de um cargo para outro,
+     * registrando a troca de cargo de cada um na auditoria.
+     * 
+     * @param {Object} executor - Executor da transação aberta.
+     * @param {number} idCargoOrigem - Cargo atual dos funcionários.
+     * @param {number} idCargoDestino - Novo cargo.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração.
+     * @returns {Promise<Array>} Funcionários movidos { idFuncionario, nomeFuncionario, email, status }.
+     */
+    #moverFuncionarios = async (executor, idCargoOrigem, idCargoDestino, idFuncionarioAutor) => {
+        const [funcionarios] = await executor.execute(
+            "SELECT idFuncionario, nomeFuncionario, email, status FROM funcionario WHERE Cargo_idCargo = ? ORDER BY idFuncionario FOR UPDATE;",
+            [idCargoOrigem]
+        );
+
+        await executor.execute(
+            "UPDATE funcionario SET Cargo_idCargo = ? WHERE Cargo_idCargo = ?;",
+            [idCargoDestino, idCargoOrigem]
+        );
+
+        for (const funcionario of funcionarios) {
+            await this.#auditoriaDAO.registrar(executor, {
+                idFuncionarioAutor,
+                entidade: "funcionario",
+                idEntidade: funcionario.idFuncionario,
+                operacao: "update",
+                antes: { idCargo: idCargoOrigem },
+                depois: { idCargo: idCargoDestino }
+            });
+        }
+
+        return funcionarios;
+    };
+
+    /**
+     * Lê (e bloqueia até o fim da transação) os valores atuais de um cargo, para a auditoria.
+     * 
+     * @param {Object} executor - Executor da transação aberta.
+     * @param {number} idCargo - ID do cargo.
+     * @returns {Promise<Object|null>} { nomeCargo } ou null.
+     */
+    #estadoAtual = async (executor, idCargo) => {
+        const [rows] = await executor.execute("SELECT nomeCargo FROM cargo WHERE idCargo = ? FOR UPDATE;", [idCargo]);
+
+        return rows[0] || null;
+    };
+
+    /**
+     * Registra uma alteração de cargo na auditoria (mesma transação da alteração).
+     */
+    #auditar = async (executor, idFuncionarioAutor, idCargo, operacao, antes, depois) => {
+        await this.#auditoriaDAO.registrar(executor, {
+            idFuncionarioAutor,
+            entidade: "cargo",
+            idEntidade: idCargo,
+            operacao,
+            antes,
+            depois
+        });
+    };
+
+
+    /**
+     * Converte uma linha da tabela cargo em um objeto Cargo.
+     * @param {Object} row - Linha com idCargo e nomeCargo.
+     * @returns {Cargo} Objeto Cargo montado.
+     */
+    #toModel = (row) => {
+        const cargo = new Cargo();
+        cargo.idCargo = row.idCargo;
+        cargo.nomeCargo = row.nomeCargo;
+        return cargo;
+    };
+
+    /**
+     * Escapa os curingas do LIKE (% e _) para que sejam tratados como texto literal.
+     * @param {string} texto - Texto digitado pelo usuário.
+     * @returns {string} Texto escapado.
+     */
+    #escapeLike = (texto) => {
+        return texto.replace(/[\\%_]/g, "\\$&");
+    };
 };
@@ -2,24 +2,30 @@ const bcrypt = require("bcrypt");
 const Funcionario = require("../models/Funcionario");
 const Cargo = require("../models/Cargo");
 const MysqlDatabase = require("../database/MysqlDatabase");
+const SqliteDatabase = require("../database/SqliteDatabase");
+const AuditoriaDAO = require("./AuditoriaDAO");
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável por gerenciar operações CRUD e autenticação
  * para a entidade Funcionario no banco de dados.
  * 
- * Esta classe utiliza a injeção de dependência da classe MysqlDatabase,
+ * Esta classe utiliza a injeção de dependência do banco (MysqlDatabase ou SqliteDatabase),
  * garantindo flexibilidade, reutilização de código e facilitando testes unitários.
  */
 module.exports = class FuncionarioDAO {
     #database;
+    #auditoriaDAO;
 
     /**
      * Construtor da classe FuncionarioDAO.
-     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase para acesso ao banco.
+     * @param {MysqlDatabase|SqliteDatabase} databaseInstance - Instância do banco (MySQL ou SQLite).
+     * @param {AuditoriaDAO} auditoriaDAODependency - Registra cada alteração na trilha de auditoria.
      */
-    constructor(databaseInstance) {
-        console.log("⬆️  FuncionarioDAO.constructor()");
+    constructor(databaseInstance, auditoriaDAODependency) {
+        Logger.debug("⬆️  FuncionarioDAO.constructor()");
         this.#database = databaseInstance;
+        this.#auditoriaDAO = auditoriaDAODependency;
     }
 
     /**
@@ -27,11 +33,12 @@ module.exports = class FuncionarioDAO {
      * Antes de salvar, a senha é criptografada com bcrypt.
      * 
      * @param {Funcionario} objFuncionarioModel - Objeto Funcionario a ser inserido.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
      * @returns {number} ID do funcionário inserido.
      * @throws {Error} Caso a inserção falhe.
      */
-    create = async (objFuncionarioModel) => {
-        console.log("🟢 FuncionarioDAO.create()");
+    create = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 FuncionarioDAO.create()");
 
         // Criptografa a senha antes de salvar
         objFuncionarioModel.senha = await bcrypt.hash(objFuncionarioModel.senha, 12);
@@ -48,32 +55,123 @@ module.exports = class FuncionarioDAO {
             objFuncionarioModel.cargo.idCargo,
         ];
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL, params);
+        return this.#database.transaction(async (executor) => {
+            const [resultado] = await executor.execute(SQL, params);
 
-        if (!resultado.insertId) {
-            throw new Error("Falha ao inserir funcionário");
-        }
+            if (!resultado.insertId) {
+                throw new Error("Falha ao inserir funcionário");
+            }
 
-        return resultado.insertId;
+            await this.#auditoriaDAO.registrar(executor, {
+                idFuncionarioAutor,
+                entidade: "funcionario",
+                idEntidade: resultado.insertId,
+                operacao: "create",
+                antes: null,
+                depois: {
+                    nomeFuncionario: objFuncionarioModel.nomeFuncionario,
+                    email: objFuncionarioModel.email,
+                    senha: objFuncionarioModel.senha,
+                    recebeValeTransporte: objFuncionarioModel.recebeValeTransporte,
+                    idCargo: objFuncionarioModel.cargo.idCargo,
+                    status: "ativo",
+                }
+            });
+
+            return resultado.insertId;
+        });
     };
 
     /**
-     * Remove um funcionário pelo ID.
+     * Remove definitivamente um funcionário pelo ID (purge).
+     * No uso normal o funcionário é apenas desativado (ver desativar()).
      * 
      * @param {number} objFuncionarioModel - ID do funcionário a ser removido.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
      * @returns {boolean} true se a exclusão foi bem-sucedida.
      */
-    delete = async (objFuncionarioModel) => {
-        console.log("🟢 FuncionarioDAO.delete()");
+    delete = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 FuncionarioDAO.delete()");
 
         const SQL = "DELETE FROM funcionario WHERE idFuncionario = ?;";
         const params = [objFuncionarioModel.idFuncionario];
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL, params);
+        return this.#database.transaction(async (executor) => {
+            const antes = await this.#estadoAtual(executor, objFuncionarioModel.idFuncionario);
+
+            const [resultado] = await executor.execute(SQL, params);
+
+            if (resultado.affectedRows > 0) {
+                await this.#auditar(executor, idFuncionarioAutor, objFuncionarioModel.idFuncionario, "delete", antes, null);
+            }
+
+            return resultado.affectedRows > 0;
+        });
+    };
+
+    /**
+     * Desativa um funcionário: ele continua no banco, mas deixa de aparecer nas listagens
+     * e não consegue mais fazer login.
+     * 
+     * @param {Funcionario} objFuncionarioModel - Objeto Funcionario com o idFuncionario.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
+     * @returns {Promise<boolean>} true se o funcionário estava ativo e foi desativado.
+     */
+    desativar = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 FuncionarioDAO.desativar()");
+
+        const dataDesativacao = new Date();
+
+        const SQL = `
+            UPDATE funcionario 
+            SET status = 'inativo', dataDesativacao = ? 
+            WHERE idFuncionario = ? AND status = 'ativo';`;
+        const params = [dataDesativacao, objFuncionarioModel.idFuncionario];
+
+        return this.#database.transaction(async (executor) => {
+            const antes = await this.#estadoAtual(executor, objFuncionarioModel.idFuncionario);
+
+            const [resultado] = await executor.execute(SQL, params);
+
+            if (resultado.affectedRows > 0) {
+                await this.#auditar(executor, idFuncionarioAutor, objFuncionarioModel.idFuncionario, "deactivate", antes, {
+                    ...antes,
+                    status: "inativo",
+                    dataDesativacao: dataDesativacao.toISOString()
+                });
+            }
 
-        return resultado.affectedRows > 0;
+            return resultado.affectedRows > 0;
+        });
+    };
+
+    /**
+     * Reativa um funcionário desativado.
+     * 
+     * @param {Funcionario} objFuncionarioModel - Objeto Funcionario com o idFuncionario.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
+     * @returns {Promise<boolean>} true se o funcionário estava inativo e foi reativado.
+     */
+    restaurar = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 FuncionarioDAO.restaurar()");
+
+        const SQL = `
+            UPDATE funcionario 
+            SET status = 'ativo', dataDesativacao = NULL 
+            WHERE idFuncionario = ? AND status = 'inativo';`;
+        const params = [objFuncionarioModel.idFuncionario];
+
+        return this.#database.transaction(async (executor) => {
+            const antes = await this.#estadoAtual(executor, objFuncionarioModel.idFuncionario);
+
+            const [resultado] = await executor.execute(SQL, params);
+
+            if (resultado.affectedRows > 0) {
+                await this.#auditar(executor, idFuncionarioAutor, objFuncionarioModel.idFuncionario, "restore", antes, { ...antes, status: "ativo" });
+            }
+
+            return resultado.affectedRows > 0;
+        });
     };
 
     /**
@@ -81,16 +179,18 @@ module.exports = class FuncionarioDAO {
      * Se a senha for informada, será criptografada antes da atualização.
      * 
      * @param {Funcionario} objFuncionarioModel - Objeto Funcionario com dados atualizados.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
      * @returns {boolean} true se a atualização foi bem-sucedida.
      */
-    update = async (objFuncionarioModel) => {
-        console.log("🟢 FuncionarioDAO.update()");
+    update = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 FuncionarioDAO.update()");
 
         let SQL;
         let params;
+        let senhaHash = null;
 
         if (objFuncionarioModel.senha) {
-            const senhaHash = await bcrypt.hash(objFuncionarioModel.senha, 12);
+            senhaHash = await bcrypt.hash(objFuncionarioModel.senha, 12);
             SQL = `
                 UPDATE funcionario 
                 SET nomeFuncionario=?, email=?, senha=?, recebeValeTransporte=?, Cargo_idCargo=? 
@@ -117,67 +217,252 @@ module.exports = class FuncionarioDAO {
             ];
         }
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL, params);
+        return this.#database.transaction(async (executor) => {
+            const antes = await this.#estadoAtual(executor, objFuncionarioModel.idFuncionario);
+
+            const [resultado] = await executor.execute(SQL, params);
+
+            if (antes) {
+                await this.#auditar(executor, idFuncionarioAutor, objFuncionarioModel.idFuncionario, "update", antes, {
+                    nomeFuncionario: objFuncionarioModel.nomeFuncionario,
+                    email: objFuncionarioModel.email,
+                    senha: senhaHash ?? antes.senha,
+                    recebeValeTransporte: objFuncionarioModel.recebeValeTransporte,
+                    idCargo: objFuncionarioModel.cargo.idCargo,
+                    status: antes.status,
+                });
+            }
+
+            return resultado.affectedRows > 0;
+        });
+    };
+
+    /**
+     * Atualiza apenas a senha de um funcionário (criptografada com bcrypt).
+     * 
+     * @param {Funcionario} objFuncionarioModel - Objeto Funcionario com idFuncionario e a nova senha.
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
+     * @returns {Promise<boolean>} true se a atualização foi bem-sucedida.
+     */
+    updateSenha = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 FuncionarioDAO.updateSenha()");
+
+        const senhaHash = await bcrypt.hash(objFuncionarioModel.senha, 12);
+
+        const SQL = "UPDATE funcionario SET senha = ? WHERE idFuncionario = ?;";
+        const params = [senhaHash, objFuncionarioModel.idFuncionario];
+
+        return this.#database.transaction(async (executor) => {
+            const antes = await this.#estadoAtual(executor, objFuncionarioModel.idFuncionario);
+
+            const [resultado] = await executor.execute(SQL, params);
+
+            if (antes) {
+                await this.#auditar(executor, idFuncionarioAutor, objFuncionarioModel.idFuncionario, "update", antes, { ...antes, senha: senhaHash });
+            }
+
+            return resultado.affectedRows > 0;
+        });
+    };
+
+    /**
+     * Campos que podem ser alterados por updateParcial (nome do campo no model → coluna SQL).
+     */
+    static COLUNAS_ATUALIZAVEIS = {
+        nomeFuncionario: "nomeFuncionario",
+        email: "email",
+        senha: "senha",
+        recebeValeTransporte: "recebeValeTransporte",
+        cargo: "Cargo_idCargo",
+    };
+
+    /**
+     * Atualiza apenas os campos informados de um funcionário (PATCH).
+     * Se a senha estiver entre os campos, é criptografada antes da atualização.
+     * 
+     * @param {Funcionario} objFuncionarioModel - Objeto Funcionario com o ID e os novos valores.
+     * @param {string[]} campos - Campos a gravar (chaves de COLUNAS_ATUALIZAVEIS).
+     * @param {number|null} idFuncionarioAutor - Funcionário que está fazendo a alteração (auditoria).
+     * @returns {Promise<boolean>} true se a atualização foi bem-sucedida.
+     * @throws {Error} Se algum campo não puder ser atualizado.
+     */
+    updateParcial = async (objFuncionarioModel, campos, idFuncionarioAutor) => {
+        Logger.debug("🟢 FuncionarioDAO.updateParcial()");
+
+        const atribuicoes = [];
+        const params = [];
+        const novosValores = {}; // mesmo formato de #estadoAtual, para a auditoria
+
+        for (const campo of campos) {
+            const coluna = FuncionarioDAO.COLUNAS_ATUALIZAVEIS[campo];
+            if (!coluna) {
+                throw new Error(`Campo inválido para atualização: ${campo}`);
+            }
+
+            atribuicoes.push(`${coluna} = ?`);
+
+            if (campo === "senha") {
+                novosValores.senha = await bcrypt.hash(objFuncionarioModel.senha, 12);
+                params.push(novosValores.senha);
+            } else if (campo === "cargo") {
+                novosValores.idCargo = objFuncionarioModel.cargo.idCargo;
+                params.push(novosValores.idCargo);
+            } else {
+                novosValores[campo] = objFuncionarioModel[campo];
+                params.push(novosValores[campo]);
+            }
+        }
+
+        if (atribuicoes.length === 0) {
+            return false;
+        }
+
+        const SQL = `UPDATE funcionario SET ${atribuicoes.join(", ")} WHERE idFuncionario = ?;`;
+        params.push(objFuncionarioModel.idFuncionario);
+
+        return this.#database.transaction(async (executor) => {
+            const antes = await this.#estadoAtual(executor, objFuncionarioModel.idFuncionario);
 
-        return resultado.affectedRows > 0;
+            const [resultado] = await executor.execute(SQL, params);
+
+            if (antes) {
+                await this.#auditar(executor, idFuncionarioAutor, objFuncionarioModel.idFuncionario, "update", antes, { ...antes, ...novosValores });
+            }
+
+            return resultado.affectedRows > 0;
+        });
     };
 
     /**
-     * Retorna todos os funcionários cadastrados no banco de dados,
-     * incluindo os dados do cargo associado.
+     * Colunas que podem ser usadas na ordenação da listagem.
+     * Mapeia o nome do campo exposto na API para a coluna SQL correspondente,
+     * evitando que valores vindos da requisição sejam concatenados no SQL.
+     */
+    static COLUNAS_ORDENACAO = {
+        idFuncionario: "funcionario.idFuncionario",
+        nomeFuncionario: "funcionario.nomeFuncionario",
+        email: "funcionario.email",
+        recebeValeTransporte: "funcionario.recebeValeTransporte",
+        status: "funcionario.status",
+        dataDesativacao: "funcionario.dataDesativacao",
+        idCargo: "cargo.idCargo",
+        nomeCargo: "cargo.nomeCargo",
+    };
+
+    /**
+     * Retorna uma página de funcionários, incluindo os dados do cargo associado.
+     * Filtros, ordenação e paginação são aplicados no próprio SQL.
+     * Por padrão, apenas funcionários ativos são listados.
      * 
-     * @returns {Array} Lista de objetos Funcionario.
+     * @param {Object} filtros - Filtros opcionais.
+     * @param {"ativo"|"inativo"|"todos"} [filtros.status] - Situação dos funcionários listados (padrão "ativo").
+     * @param {number} [filtros.idCargo] - Apenas funcionários deste cargo.
+     * @param {number} [filtros.recebeValeTransporte] - 0 ou 1.
+     * @param {string} [filtros.nome] - Trecho do nome (busca parcial).
+     * @param {string} [filtros.email] - Trecho do email (busca parcial).
+     * @param {Paginacao} paginacao - Página, tamanho da página e ordenação.
+     * @returns {Promise<{itens: Funcionario[], total: number}>} Funcionários da página e total que atende aos filtros.
      */
-    findAll = async () => {
-        console.log("🟢 FuncionarioDAO.findAll()");
+    findAll = async (filtros, paginacao) => {
+        Logger.debug("🟢 FuncionarioDAO.findAll()");
+
+        const condicoes = [];
+        const params = [];
 
+        const status = filtros.status ?? "ativo";
+        if (status !== "todos") {
+            condicoes.push("funcionario.status = ?");
+            params.push(status);
+        }
+        if (filtros.idCargo !== undefined) {
+            condicoes.push("funcionario.Cargo_idCargo = ?");
+            params.push(filtros.idCargo);
+        }
+        if (filtros.recebeValeTransporte !== undefined) {
+            condicoes.push("funcionario.recebeValeTransporte = ?");
+            params.push(filtros.recebeValeTransporte);
+        }
+        if (filtros.nome !== undefined) {
+            condicoes.push("funcionario.nomeFuncionario LIKE ?");
+            params.push(`%${this.#escapeLike(filtros.nome)}%`);
+        }
+        if (filtros.email !== undefined) {
+            condicoes.push("funcionario.email LIKE ?");
+            params.push(`%${this.#escapeLike(filtros.email)}%`);
+        }
+
+        const WHERE = condicoes.length > 0 ? `WHERE ${condicoes.join(" AND ")}` : "";
+
+        const ordenacao = paginacao.ordenacao
+            .map(({ campo, direcao }) => `${FuncionarioDAO.COLUNAS_ORDENACAO[campo]} ${direcao}`);
+
+        // Desempate pela chave primária para que a ordem seja estável entre páginas
+        if (!paginacao.ordenacao.some(({ campo }) => campo === "idFuncionario")) {
+            ordenacao.push("funcionario.idFuncionario ASC");
+        }
+        const ORDER_BY = ordenacao.join(", ");
+
+        // LIMIT/OFFSET são inteiros já validados pela classe Paginacao
         const SQL = `
-            SELECT idFuncionario, nomeFuncionario, email, recebeValeTransporte, idCargo, nomeCargo 
+            SELECT funcionario.idFuncionario, nomeFuncionario, email, recebeValeTransporte, status, dataDesativacao, idCargo, nomeCargo 
             FROM funcionario
-            JOIN cargo ON funcionario.Cargo_idCargo = idCargo;`;
-
-        const pool = await this.#database.getPool();
-        const [matrizDados] = await pool.execute(SQL);
-
-        return matrizDados.map(row => ({
-            idFuncionario: row.idFuncionario,
-            nomeFuncionario: row.nomeFuncionario,
-            email: row.email,
-            recebeValeTransporte: row.recebeValeTransporte,
-            cargo: {
-                idCargo: row.idCargo,
-                nomeCargo: row.nomeCargo,
-            }
-        }));
+            JOIN cargo ON funcionario.Cargo_idCargo = cargo.idCargo
+            ${WHERE}
+            ORDER BY ${ORDER_BY}
+            LIMIT ${paginacao.pageSize} OFFSET ${paginacao.offset};`;
+
+        const SQL_TOTAL = `
+            SELECT COUNT(*) AS total
+            FROM funcionario
+            JOIN cargo ON funcionario.Cargo_idCargo = cargo.idCargo
+            ${WHERE};`;
+
+        const executor = await this.#database.getExecutor();
+        const [matrizDados] = await executor.execute(SQL, params);
+        const [[{ total }]] = await executor.execute(SQL_TOTAL, params);
+
+        return {
+            total: Number(total),
+            itens: matrizDados.map(row => this.#toModel(row))
+        };
     };
 
     /**
-     * Busca um funcionário pelo ID.
+     * Busca um funcionário pelo ID, já com o Cargo associado.
+     * Funcionários inativos também são retornados (veja o campo status).
+     * A senha não é selecionada.
      * 
      * @param {number} idFuncionario - ID do funcionário.
      * @returns {Funcionario|null} Objeto Funcionario encontrado ou null se não existir.
      */
     findById = async (idFuncionario) => {
-        console.log("🟢 FuncionarioDAO.findById()");
+        Logger.debug("🟢 FuncionarioDAO.findById()");
 
-        const resultado = await this.findByField("idFuncionario", idFuncionario);
-        return resultado[0] || null;
+        const SQL = `
+            SELECT funcionario.idFuncionario, nomeFuncionario, email, recebeValeTransporte, status, dataDesativacao, idCargo, nomeCargo
+            FROM funcionario
+            JOIN cargo ON funcionario.Cargo_idCargo = cargo.idCargo
+            WHERE funcionario.idFuncionario = ?;`;
+
+        const executor = await this.#database.getExecutor();
+        const [rows] = await executor.execute(SQL, [idFuncionario]);
+
+        return rows.length > 0 ? this.#toModel(rows[0]) : null;
     };
 
     /**
      * Busca funcionários por um campo específico.
      * 
      * @param {string} field - Nome do campo a ser pesquisado. 
-     *                         Valores permitidos: "idFuncionario", "nomeFuncionario", "email", "senha", "recebeValeTransporte", "Cargo_idCargo".
+     *                         Valores permitidos: "idFuncionario", "nomeFuncionario", "email", "senha", "recebeValeTransporte", "status", "Cargo_idCargo".
      * @param {*} value - Valor a ser buscado.
      * @returns {Array} Lista de funcionários encontrados.
      * @throws {Error} Caso o campo informado seja inválido.
      */
     findByField = async (field, value) => {
-        console.log(`🟢 FuncionarioDAO.findByField() - Campo: ${field}, Valor: ${value}`);
+        Logger.debug(`🟢 FuncionarioDAO.findByField() - Campo: ${field}, Valor: ${value}`);
 
-        const allowedFields = ["idFuncionario", "nomeFuncionario", "email", "senha", "recebeValeTransporte", "Cargo_idCargo"];
+        const allowedFields = ["idFuncionario", "nomeFuncionario", "email", "senha", "recebeValeTransporte", "status", "Cargo_idCargo"];
         if (!allowedFields.includes(field)) {
             throw new Error("Campo inválido para busca");
         }
@@ -185,32 +470,33 @@ module.exports = class FuncionarioDAO {
         const SQL = `SELECT * FROM funcionario WHERE ${field} = ?;`;
         const params = [value];
 
-        const pool = await this.#database.getPool();
-        const [rows] = await pool.execute(SQL, params);
+        const executor = await this.#database.getExecutor();
+        const [rows] = await executor.execute(SQL, params);
 
         return rows || [];
     };
 
     /**
      * Autentica um funcionário verificando email e senha.
+     * Funcionários inativos não conseguem se autenticar.
      * 
      * @param {Funcionario} objFuncionarioModel - Objeto contendo email e senha.
      * @returns {Funcionario|null} Objeto Funcionario autenticado ou null se falhar.
      */
     login = async (objFuncionarioModel) => {
-        console.log("🟢 FuncionarioDAO.login()");
+        Logger.debug("🟢 FuncionarioDAO.login()");
 
         const SQL = `
-            SELECT idFuncionario, nomeFuncionario, email, senha, recebeValeTransporte, idCargo, nomeCargo
+            SELECT idFuncionario, nomeFuncionario, email, senha, recebeValeTransporte, status, dataDesativacao, idCargo, nomeCargo
             FROM funcionario
             JOIN cargo ON cargo.idCargo = funcionario.Cargo_idCargo
-            WHERE email = ?;`;
+            WHERE email = ? AND status = 'ativo';`;
 
-        const pool = await this.#database.getPool();
-        const [resultado] = await pool.execute(SQL, [objFuncionarioModel.email]);
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [objFuncionarioModel.email]);
 
         if (resultado.length !== 1) {
-            console.log("❌ Funcionário não encontrado");
+            Logger.debug("❌ Funcionário não encontrado");
             return null;
         }
 
@@ -219,23 +505,78 @@ module.exports = class FuncionarioDAO {
         // Verificação da senha
         const senhaValida = await bcrypt.compare(objFuncionarioModel.senha, funcionarioDB.senha);
         if (!senhaValida) {
-            console.log("❌ Senha inválida");
+            Logger.debug("❌ Senha inválida");
             return null;
         }
 
-        // Monta objeto Cargo
+        // Monta objeto Funcionario (com Cargo), sem a senha
+        return this.#toModel(funcionarioDB);
+    };
+
+    /**
+     * Lê (e bloqueia até o fim da transação) os valores atuais de um funcionário, para a auditoria.
+     * 
+     * @param {Object} executor - Executor da transação aberta.
+     * @param {number} idFuncionario - ID do funcionário.
+     * @returns {Promise<Object|null>} { nomeFuncionario, email, senha, recebeValeTransporte, idCargo, status } ou null.
+     */
+    #estadoAtual = async (executor, idFuncionario) => {
+        const SQL = `
+            SELECT nomeFuncionario, email, senha, recebeValeTransporte, Cargo_idCargo AS idCargo, status
+            FROM funcionario
+            WHERE idFuncionario = ?
+            FOR UPDATE;`;
+
+        const [rows] = await executor.execute(SQL, [idFuncionario]);
+
+        return rows[0] || null;
+    };
+
+    /**
+     * Registra uma alteração de funcionário na auditoria (mesma transação da alteração).
+     */
+    #auditar = async (executor, idFuncionarioAutor, idFuncionario, operacao, antes, depois) => {
+        await this.#auditoriaDAO.registrar(executor, {
+            idFuncionarioAutor,
+            entidade: "funcionario",
+            idEntidade: idFuncionario,
+            operacao,
+            antes,
+            depois
+        });
+    };
+
+
+    /**
+     * Converte uma linha do banco (funcionario JOIN cargo) em um objeto Funcionario com Cargo.
+     * A senha nunca é copiada para o model.
+     * 
+     * @param {Object} row - Linha com idFuncionario, nomeFuncionario, email, recebeValeTransporte, status, dataDesativacao, idCargo e nomeCargo.
+     * @returns {Funcionario} Objeto Funcionario montado.
+     */
+    #toModel = (row) => {
         const objCargo = new Cargo();
-        objCargo.idCargo = parseInt(funcionarioDB.idCargo);
-        objCargo.nomeCargo = funcionarioDB.nomeCargo;
+        objCargo.idCargo = parseInt(row.idCargo);
+        objCargo.nomeCargo = row.nomeCargo;
 
-        // Monta objeto Funcionario
         const funcionario = new Funcionario();
-        funcionario.idFuncionario = funcionarioDB.idFuncionario;
-        funcionario.nomeFuncionario = funcionarioDB.nomeFuncionario;
-        funcionario.email = funcionarioDB.email;
-        funcionario.recebeValeTransporte = funcionarioDB.recebeValeTransporte;
+        funcionario.idFuncionario = row.idFuncionario;
+        funcionario.nomeFuncionario = row.nomeFuncionario;
+        funcionario.email = row.email;
+        funcionario.recebeValeTransporte = row.recebeValeTransporte;
+        funcionario.status = row.status ?? "ativo";
+        funcionario.dataDesativacao = row.dataDesativacao ?? null;
         funcionario.cargo = objCargo;
 
         return funcionario;
     };
+
+    /**
+     * Escapa os curingas do LIKE (% e _) para que sejam tratados como texto literal.
+     * @param {string} texto - Texto digitado pelo usuário.
+     * @returns {string} Texto escapado.
+     */
+    #escapeLike = (texto) => {
+        return texto.replace(/[\\%_]/g, "\\$&");
+    };
 };
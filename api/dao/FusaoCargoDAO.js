@@ -0,0 +1,109 @@
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Paginacao = require("../utils/Paginacao");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelo histórico de fusões de cargos (tabela fusao_cargo).
+ *
+ * Cada fusão guarda o cargo de destino, os cargos de origem (que foram excluídos)
+ * com os funcionários que cada um tinha, o autor e a data/hora.
+ *
+ * registrar() recebe o executor da transação aberta pelo CargoDAO: a fusão e o seu
+ * registro no histórico são gravados juntos ou nenhum dos dois.
+ */
+module.exports = class FusaoCargoDAO {
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  FusaoCargoDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Grava uma fusão no histórico dentro da transação de quem fez a fusão.
+     *
+     * @param {Object} executor - Executor da transação aberta (MysqlDatabase.transaction()).
+     * @param {Object} fusao - Dados da fusão.
+     * @param {number} fusao.idCargoDestino - Cargo que recebeu os funcionários.
+     * @param {string} fusao.nomeCargoDestino - Nome do cargo de destino no momento da fusão.
+     * @param {Array<{idCargo: number, nomeCargo: string, idsFuncionarios: number[]}>} fusao.cargosOrigem - Cargos fundidos (excluídos).
+     * @param {number|null} fusao.idFuncionarioAutor - Funcionário que fez a fusão.
+     * @returns {Promise<number>} ID do registro criado.
+     */
+    registrar = async (executor, { idCargoDestino, nomeCargoDestino, cargosOrigem, idFuncionarioAutor }) => {
+        Logger.debug("🟢 FusaoCargoDAO.registrar()");
+
+        const SQL = `
+            INSERT INTO fusao_cargo (idCargoDestino, nomeCargoDestino, cargosOrigem, idFuncionarioAutor)
+            VALUES (?, ?, ?, ?);`;
+        const params = [idCargoDestino, nomeCargoDestino, JSON.stringify(cargosOrigem), idFuncionarioAutor ?? null];
+
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado.insertId;
+    };
+
+    /**
+     * Colunas que podem ser usadas na ordenação da listagem
+     * (nome do campo na API → coluna SQL).
+     */
+    static COLUNAS_ORDENACAO = {
+        idFusaoCargo: "idFusaoCargo",
+        idCargoDestino: "idCargoDestino",
+        idFuncionarioAutor: "idFuncionarioAutor",
+        dataHora: "dataHora",
+    };
+
+    /**
+     * Retorna uma página do histórico de fusões.
+     *
+     * @param {Object} filtros - Filtros opcionais.
+     * @param {number} [filtros.idCargoDestino] - Apenas fusões para este cargo.
+     * @param {Paginacao} paginacao - Página, tamanho da página e ordenação.
+     * @returns {Promise<{itens: Array, total: number}>} Fusões da página e total que atende aos filtros.
+     */
+    findAll = async (filtros, paginacao) => {
+        Logger.debug("🟢 FusaoCargoDAO.findAll()");
+
+        const condicoes = [];
+        const params = [];
+
+        if (filtros.idCargoDestino !== undefined) {
+            condicoes.push("idCargoDestino = ?");
+            params.push(filtros.idCargoDestino);
+        }
+
+        const WHERE = condicoes.length > 0 ? `WHERE ${condicoes.join(" AND ")}` : "";
+
+        const ordenacao = paginacao.ordenacao
+            .map(({ campo, direcao }) => `${FusaoCargoDAO.COLUNAS_ORDENACAO[campo]} ${direcao}`);
+
+        // Desempate pela chave primária para que a ordem seja estável entre páginas
+        if (!paginacao.ordenacao.some(({ campo }) => campo === "idFusaoCargo")) {
+            ordenacao.push("idFusaoCargo DESC");
+        }
+        const ORDER_BY = ordenacao.join(", ");
+
+        // LIMIT/OFFSET são inteiros já validados pela classe Paginacao
+        const SQL = `SELECT * FROM fusao_cargo ${WHERE} ORDER BY ${ORDER_BY} LIMIT ${paginacao.pageSize} OFFSET ${paginacao.offset};`;
+        const SQL_TOTAL = `SELECT COUNT(*) AS total FROM fusao_cargo ${WHERE};`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+        const [[{ total }]] = await executor.execute(SQL_TOTAL, params);
+
+        return {
+            itens: resultado.map(row => ({
+                ...row,
+                // mysql2 já devolve colunas JSON como objeto; outros drivers devolvem texto
+                cargosOrigem: typeof row.cargosOrigem === "string" ? JSON.parse(row.cargosOrigem) : row.cargosOrigem
+            })),
+            total: Number(total)
+        };
+    };
+}
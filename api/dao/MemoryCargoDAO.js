@@ -0,0 +1,265 @@
+const Cargo = require("../models/Cargo");
+const MemoryDatabase = require("../database/MemoryDatabase");
+const CargoDAO = require("./CargoDAO");
+const Logger = require("../utils/Logger");
+
+/**
+ * Implementação em memória do CargoDAO, com o mesmo contrato (métodos, retornos e erros),
+ * para testar Services e rotas sem banco de dados.
+ *
+ * - nomeCargo é único (sem diferenciar maiúsculas e acentos): violação lança ER_DUP_ENTRY.
+ * - Excluir cargo que ainda tem funcionários lança ER_ROW_IS_REFERENCED_2, como a fk_Funcionario_Cargo.
+ * - Os funcionários são os do MemoryFuncionarioDAO criado com o mesmo MemoryDatabase.
+ * - Não grava auditoria; as fusões ficam na tabela fusao_cargo do MemoryDatabase.
+ */
+module.exports = class MemoryCargoDAO {
+    static COLUNAS_ATUALIZAVEIS = CargoDAO.COLUNAS_ATUALIZAVEIS;
+    static COLUNAS_ORDENACAO = CargoDAO.COLUNAS_ORDENACAO;
+
+    #database;
+
+    /**
+     * @param {MemoryDatabase} databaseInstance - Banco em memória compartilhado com o MemoryFuncionarioDAO.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  MemoryCargoDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * @param {Cargo} objCargoModel
+     * @param {number|null} idFuncionarioAutor - Ignorado (sem auditoria em memória).
+     * @returns {Promise<number>} ID do cargo criado.
+     */
+    create = async (objCargoModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryCargoDAO.create()");
+
+        this.#database.verificarUnico("cargo", "nomeCargo", objCargoModel.nomeCargo);
+
+        const idCargo = this.#database.proximoId("cargo");
+        this.#cargos().set(idCargo, { idCargo, nomeCargo: objCargoModel.nomeCargo });
+
+        return idCargo;
+    };
+
+    /**
+     * @param {Cargo} objCargoModel - Cargo com o ID a remover.
+     * @param {number|null} idFuncionarioAutor
+     * @returns {Promise<boolean>} True se o cargo existia.
+     */
+    delete = async (objCargoModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryCargoDAO.delete()");
+
+        return this.#excluir(objCargoModel.idCargo);
+    };
+
+    /**
+     * Move os funcionários de um cargo para outro e, opcionalmente, exclui o de origem (tudo ou nada).
+     *
+     * @returns {Promise<{idsFuncionarios: number[], cargoExcluido: boolean}>}
+     */
+    reatribuirFuncionarios = async (objCargoOrigem, objCargoDestino, excluirOrigem, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryCargoDAO.reatribuirFuncionarios()");
+
+        return this.#database.transaction(async () => {
+            if (!this.#cargos().has(objCargoOrigem.idCargo) || !this.#cargos().has(objCargoDestino.idCargo)) {
+                throw new Error("Cargo de origem ou de destino não existe mais");
+            }
+
+            const funcionarios = this.#moverFuncionarios(objCargoOrigem.idCargo, objCargoDestino.idCargo);
+            const cargoExcluido = excluirOrigem ? this.#excluir(objCargoOrigem.idCargo) : false;
+
+            return { idsFuncionarios: funcionarios.map(funcionario => funcionario.idFuncionario), cargoExcluido };
+        });
+    };
+
+    /**
+     * Funde vários cargos no de destino (tudo ou nada) e registra a fusão.
+     *
+     * @returns {Promise<{idFusaoCargo: number, cargosOrigem: Array}>}
+     */
+    fundir = async (objCargoDestino, cargosOrigem, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryCargoDAO.fundir()");
+
+        return this.#database.transaction(async () => {
+            const destino = this.#cargos().get(objCargoDestino.idCargo);
+            if (!destino) {
+                throw new Error("Cargo de destino não existe mais");
+            }
+
+            const fundidos = [];
+
+            for (const objCargoOrigem of cargosOrigem) {
+                const origem = this.#cargos().get(objCargoOrigem.idCargo);
+                if (!origem) {
+                    throw new Error(`Cargo de origem ${objCargoOrigem.idCargo} não existe mais`);
+                }
+
+                const funcionarios = this.#moverFuncionarios(origem.idCargo, destino.idCargo);
+                this.#excluir(origem.idCargo);
+
+                fundidos.push({ idCargo: origem.idCargo, nomeCargo: origem.nomeCargo, funcionarios });
+            }
+
+            const idFusaoCargo = this.#database.proximoId("fusao_cargo");
+            this.#database.tabela("fusao_cargo").set(idFusaoCargo, {
+                idFusaoCargo,
+                idCargoDestino: destino.idCargo,
+                nomeCargoDestino: destino.nomeCargo,
+                cargosOrigem: fundidos.map(({ idCargo, nomeCargo, funcionarios }) => ({
+                    idCargo,
+                    nomeCargo,
+                    idsFuncionarios: funcionarios.map(funcionario => funcionario.idFuncionario)
+                })),
+                idFuncionarioAutor: idFuncionarioAutor ?? null,
+                dataHora: new Date()
+            });
+
+            return { idFusaoCargo, cargosOrigem: fundidos };
+        });
+    };
+
+    /**
+     * @returns {Promise<boolean>} True se o cargo existe.
+     */
+    update = async (objCargoModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryCargoDAO.update()");
+
+        return this.updateParcial(objCargoModel, ["nomeCargo"], idFuncionarioAutor);
+    };
+
+    /**
+     * @param {Cargo} objCargoModel - Cargo com o ID e os novos valores.
+     * @param {string[]} campos - Chaves de COLUNAS_ATUALIZAVEIS.
+     * @returns {Promise<boolean>} True se o cargo existe.
+     * @throws {Error} Se algum campo não puder ser atualizado.
+     */
+    updateParcial = async (objCargoModel, campos, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryCargoDAO.updateParcial()");
+
+        for (const campo of campos) {
+            if (!MemoryCargoDAO.COLUNAS_ATUALIZAVEIS[campo]) {
+                throw new Error(`Campo inválido para atualização: ${campo}`);
+            }
+        }
+
+        const linha = this.#cargos().get(objCargoModel.idCargo);
+        if (campos.length === 0 || !linha) {
+            return false;
+        }
+
+        if (campos.includes("nomeCargo")) {
+            this.#database.verificarUnico("cargo", "nomeCargo", objCargoModel.nomeCargo, linha.idCargo);
+            linha.nomeCargo = objCargoModel.nomeCargo;
+        }
+        return true;
+    };
+
+    /**
+     * @param {Object} filtros - { nome } (busca parcial).
+     * @param {Paginacao} paginacao
+     * @returns {Promise<{itens: Cargo[], total: number}>}
+     */
+    findAll = async (filtros, paginacao) => {
+        Logger.debug("🟢 MemoryCargoDAO.findAll()");
+
+        const linhas = [...this.#cargos().values()]
+            .filter(linha => filtros.nome === undefined || MemoryDatabase.contem(linha.nomeCargo, filtros.nome));
+
+        return {
+            itens: MemoryDatabase.paginar(linhas, paginacao, "idCargo").map(linha => this.#toModel(linha)),
+            total: linhas.length
+        };
+    };
+
+    /**
+     * @returns {Promise<Cargo|null>}
+     */
+    findById = async (idCargo) => {
+        Logger.debug("🟢 MemoryCargoDAO.findById()");
+
+        const resultado = await this.findByField("idCargo", idCargo);
+        return resultado.length > 0 ? this.#toModel(resultado[0]) : null;
+    };
+
+    /**
+     * @param {string} field - "idCargo" ou "nomeCargo".
+     * @param {*} value
+     * @returns {Promise<Array>} Linhas { idCargo, nomeCargo }.
+     * @throws {Error} Caso o campo informado não seja permitido.
+     */
+    findByField = async (field, value) => {
+        Logger.debug(`🟢 MemoryCargoDAO.findByField() - Campo: ${field}, Valor: ${value}`);
+
+        const allowedFields = ["idCargo", "nomeCargo"];
+        if (!allowedFields.includes(field)) {
+            throw new Error(`Campo inválido para busca: ${field}`);
+        }
+
+        return [...this.#cargos().values()]
+            .filter(linha => MemoryDatabase.comparavel(linha[field]) === MemoryDatabase.comparavel(field === "idCargo" ? Number(value) : value))
+            .map(linha => ({ ...linha }));
+    };
+
+    /**
+     * @returns {Promise<Array<{idFuncionario: number, nomeFuncionario: string, email: string, status: string}>>}
+     */
+    findFuncionarios = async (idCargo) => {
+        Logger.debug("🟢 MemoryCargoDAO.findFuncionarios()");
+
+        return this.#funcionariosDoCargo(idCargo);
+    };
+
+    /**
+     * @returns {Promise<Array<{idCargo: number, nomeCargo: string}>>}
+     */
+    findNomes = async () => {
+        Logger.debug("🟢 MemoryCargoDAO.findNomes()");
+
+        return [...this.#cargos().values()]
+            .sort((a, b) => a.idCargo - b.idCargo)
+            .map(({ idCargo, nomeCargo }) => ({ idCargo, nomeCargo }));
+    };
+
+    #cargos = () => {
+        return this.#database.tabela("cargo");
+    };
+
+    #funcionariosDoCargo = (idCargo) => {
+        return [...this.#database.tabela("funcionario").values()]
+            .filter(linha => linha.Cargo_idCargo === idCargo)
+            .sort((a, b) => a.idFuncionario - b.idFuncionario)
+            .map(({ idFuncionario, nomeFuncionario, email, status }) => ({ idFuncionario, nomeFuncionario, email, status }));
+    };
+
+    #moverFuncionarios = (idCargoOrigem, idCargoDestino) => {
+        const funcionarios = this.#funcionariosDoCargo(idCargoOrigem);
+
+        for (const { idFuncionario } of funcionarios) {
+            this.#database.tabela("funcionario").get(idFuncionario).Cargo_idCargo = idCargoDestino;
+        }
+        return funcionarios;
+    };
+
+    /**
+     * DELETE com a verificação da fk_Funcionario_Cargo.
+     * @returns {boolean} True se o cargo existia.
+     */
+    #excluir = (idCargo) => {
+        if (this.#funcionariosDoCargo(idCargo).length > 0) {
+            throw MemoryDatabase.erro(
+                "ER_ROW_IS_REFERENCED_2",
+                1451,
+                "Cannot delete or update a parent row: a foreign key constraint fails (fk_Funcionario_Cargo)"
+            );
+        }
+        return this.#cargos().delete(idCargo);
+    };
+
+    #toModel = (linha) => {
+        const cargo = new Cargo();
+        cargo.idCargo = linha.idCargo;
+        cargo.nomeCargo = linha.nomeCargo;
+        return cargo;
+    };
+};
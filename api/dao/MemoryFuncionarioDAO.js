@@ -0,0 +1,299 @@
+const bcrypt = require("bcrypt");
+const Funcionario = require("../models/Funcionario");
+const Cargo = require("../models/Cargo");
+const MemoryDatabase = require("../database/MemoryDatabase");
+const FuncionarioDAO = require("./FuncionarioDAO");
+const Logger = require("../utils/Logger");
+
+/**
+ * Implementação em memória do FuncionarioDAO, com o mesmo contrato (métodos, retornos e erros),
+ * para testar Services e rotas sem banco de dados.
+ *
+ * - email é único (sem diferenciar maiúsculas e acentos): violação lança ER_DUP_ENTRY.
+ * - O cargo precisa existir no MemoryCargoDAO do mesmo MemoryDatabase: caso contrário lança
+ *   ER_NO_REFERENCED_ROW_2, como a fk_Funcionario_Cargo.
+ * - Senhas são guardadas com bcrypt, como no banco. Não grava auditoria.
+ */
+module.exports = class MemoryFuncionarioDAO {
+    static COLUNAS_ATUALIZAVEIS = FuncionarioDAO.COLUNAS_ATUALIZAVEIS;
+    static COLUNAS_ORDENACAO = FuncionarioDAO.COLUNAS_ORDENACAO;
+
+    #database;
+
+    /**
+     * @param {MemoryDatabase} databaseInstance - Banco em memória compartilhado com o MemoryCargoDAO.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  MemoryFuncionarioDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * A senha é criptografada com bcrypt antes de ser guardada.
+     *
+     * @param {Funcionario} objFuncionarioModel
+     * @param {number|null} idFuncionarioAutor - Ignorado (sem auditoria em memória).
+     * @returns {Promise<number>} ID do funcionário criado.
+     */
+    create = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.create()");
+
+        objFuncionarioModel.senha = await bcrypt.hash(objFuncionarioModel.senha, 12);
+
+        this.#verificarCargo(objFuncionarioModel.cargo.idCargo);
+        this.#database.verificarUnico("funcionario", "email", objFuncionarioModel.email);
+
+        const idFuncionario = this.#database.proximoId("funcionario");
+        this.#funcionarios().set(idFuncionario, {
+            idFuncionario,
+            nomeFuncionario: objFuncionarioModel.nomeFuncionario,
+            email: objFuncionarioModel.email,
+            senha: objFuncionarioModel.senha,
+            recebeValeTransporte: objFuncionarioModel.recebeValeTransporte,
+            status: "ativo",
+            dataDesativacao: null,
+            Cargo_idCargo: objFuncionarioModel.cargo.idCargo
+        });
+
+        return idFuncionario;
+    };
+
+    /**
+     * Remove definitivamente um funcionário (purge).
+     * @returns {Promise<boolean>} True se o funcionário existia.
+     */
+    delete = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.delete()");
+
+        return this.#funcionarios().delete(objFuncionarioModel.idFuncionario);
+    };
+
+    /**
+     * @returns {Promise<boolean>} True se o funcionário estava ativo e foi desativado.
+     */
+    desativar = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.desativar()");
+
+        const linha = this.#funcionarios().get(objFuncionarioModel.idFuncionario);
+        if (!linha || linha.status !== "ativo") {
+            return false;
+        }
+
+        linha.status = "inativo";
+        linha.dataDesativacao = new Date();
+        return true;
+    };
+
+    /**
+     * @returns {Promise<boolean>} True se o funcionário estava inativo e foi reativado.
+     */
+    restaurar = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.restaurar()");
+
+        const linha = this.#funcionarios().get(objFuncionarioModel.idFuncionario);
+        if (!linha || linha.status !== "inativo") {
+            return false;
+        }
+
+        linha.status = "ativo";
+        linha.dataDesativacao = null;
+        return true;
+    };
+
+    /**
+     * Atualiza todos os dados; a senha só é trocada se for informada.
+     * @returns {Promise<boolean>} True se o funcionário existe.
+     */
+    update = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.update()");
+
+        const campos = ["nomeFuncionario", "email", "recebeValeTransporte", "cargo"];
+        if (objFuncionarioModel.senha) {
+            campos.push("senha");
+        }
+        return this.updateParcial(objFuncionarioModel, campos, idFuncionarioAutor);
+    };
+
+    /**
+     * @returns {Promise<boolean>} True se o funcionário existe.
+     */
+    updateSenha = async (objFuncionarioModel, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.updateSenha()");
+
+        return this.updateParcial(objFuncionarioModel, ["senha"], idFuncionarioAutor);
+    };
+
+    /**
+     * @param {Funcionario} objFuncionarioModel - Funcionario com o ID e os novos valores.
+     * @param {string[]} campos - Chaves de COLUNAS_ATUALIZAVEIS.
+     * @returns {Promise<boolean>} True se o funcionário existe.
+     * @throws {Error} Se algum campo não puder ser atualizado.
+     */
+    updateParcial = async (objFuncionarioModel, campos, idFuncionarioAutor) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.updateParcial()");
+
+        const novosValores = {};
+
+        for (const campo of campos) {
+            const coluna = MemoryFuncionarioDAO.COLUNAS_ATUALIZAVEIS[campo];
+            if (!coluna) {
+                throw new Error(`Campo inválido para atualização: ${campo}`);
+            }
+
+            if (campo === "senha") {
+                novosValores.senha = await bcrypt.hash(objFuncionarioModel.senha, 12);
+            } else if (campo === "cargo") {
+                novosValores.Cargo_idCargo = objFuncionarioModel.cargo.idCargo;
+            } else {
+                novosValores[coluna] = objFuncionarioModel[campo];
+            }
+        }
+
+        const linha = this.#funcionarios().get(objFuncionarioModel.idFuncionario);
+        if (campos.length === 0 || !linha) {
+            return false;
+        }
+
+        if (novosValores.Cargo_idCargo !== undefined) {
+            this.#verificarCargo(novosValores.Cargo_idCargo);
+        }
+        if (novosValores.email !== undefined) {
+            this.#database.verificarUnico("funcionario", "email", novosValores.email, linha.idFuncionario);
+        }
+
+        Object.assign(linha, novosValores);
+        return true;
+    };
+
+    /**
+     * Por padrão, apenas funcionários ativos são listados.
+     *
+     * @param {Object} filtros - { status, idCargo, recebeValeTransporte, nome, email } (nome e email: busca parcial).
+     * @param {Paginacao} paginacao
+     * @returns {Promise<{itens: Funcionario[], total: number}>}
+     */
+    findAll = async (filtros, paginacao) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.findAll()");
+
+        const status = filtros.status ?? "ativo";
+
+        const linhas = this.#comCargo().filter(linha =>
+            (status === "todos" || linha.status === status) &&
+            (filtros.idCargo === undefined || linha.idCargo === Number(filtros.idCargo)) &&
+            (filtros.recebeValeTransporte === undefined || linha.recebeValeTransporte === Number(filtros.recebeValeTransporte)) &&
+            (filtros.nome === undefined || MemoryDatabase.contem(linha.nomeFuncionario, filtros.nome)) &&
+            (filtros.email === undefined || MemoryDatabase.contem(linha.email, filtros.email))
+        );
+
+        return {
+            total: linhas.length,
+            itens: MemoryDatabase.paginar(linhas, paginacao, "idFuncionario").map(linha => this.#toModel(linha))
+        };
+    };
+
+    /**
+     * Funcionários inativos também são retornados.
+     * @returns {Promise<Funcionario|null>}
+     */
+    findById = async (idFuncionario) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.findById()");
+
+        const linha = this.#comCargo().find(linha => linha.idFuncionario === Number(idFuncionario));
+        return linha ? this.#toModel(linha) : null;
+    };
+
+    /**
+     * @param {string} field - "idFuncionario", "nomeFuncionario", "email", "senha", "recebeValeTransporte", "status" ou "Cargo_idCargo".
+     * @param {*} value
+     * @returns {Promise<Array>} Linhas da tabela funcionario (com a senha, como o SELECT *).
+     * @throws {Error} Caso o campo informado seja inválido.
+     */
+    findByField = async (field, value) => {
+        Logger.debug(`🟢 MemoryFuncionarioDAO.findByField() - Campo: ${field}, Valor: ${value}`);
+
+        const allowedFields = ["idFuncionario", "nomeFuncionario", "email", "senha", "recebeValeTransporte", "status", "Cargo_idCargo"];
+        if (!allowedFields.includes(field)) {
+            throw new Error("Campo inválido para busca");
+        }
+
+        // Colunas numéricas aceitam o valor como texto ("1" = 1), como no MySQL
+        const procurado = ["idFuncionario", "recebeValeTransporte", "Cargo_idCargo"].includes(field) ? Number(value) : value;
+
+        return [...this.#funcionarios().values()]
+            .filter(linha => MemoryDatabase.comparavel(linha[field]) === MemoryDatabase.comparavel(procurado))
+            .sort((a, b) => a.idFuncionario - b.idFuncionario)
+            .map(linha => ({ ...linha }));
+    };
+
+    /**
+     * Autentica um funcionário ativo pelo email e senha.
+     * @returns {Promise<Funcionario|null>}
+     */
+    login = async (objFuncionarioModel) => {
+        Logger.debug("🟢 MemoryFuncionarioDAO.login()");
+
+        const resultado = this.#comCargo().filter(linha =>
+            linha.status === "ativo" && MemoryDatabase.comparavel(linha.email) === MemoryDatabase.comparavel(objFuncionarioModel.email)
+        );
+
+        if (resultado.length !== 1) {
+            Logger.debug("❌ Funcionário não encontrado");
+            return null;
+        }
+
+        const senhaValida = await bcrypt.compare(objFuncionarioModel.senha, resultado[0].senha);
+        if (!senhaValida) {
+            Logger.debug("❌ Senha inválida");
+            return null;
+        }
+
+        return this.#toModel(resultado[0]);
+    };
+
+    #funcionarios = () => {
+        return this.#database.tabela("funcionario");
+    };
+
+    /**
+     * Equivalente a funcionario JOIN cargo.
+     * @returns {Object[]} Linhas com idCargo e nomeCargo.
+     */
+    #comCargo = () => {
+        const cargos = this.#database.tabela("cargo");
+
+        return [...this.#funcionarios().values()]
+            .filter(linha => cargos.has(linha.Cargo_idCargo))
+            .map(linha => ({ ...linha, idCargo: linha.Cargo_idCargo, nomeCargo: cargos.get(linha.Cargo_idCargo).nomeCargo }));
+    };
+
+    /**
+     * Verificação da fk_Funcionario_Cargo.
+     * @throws {Error} ER_NO_REFERENCED_ROW_2 se o cargo não existir.
+     */
+    #verificarCargo = (idCargo) => {
+        if (!this.#database.tabela("cargo").has(idCargo)) {
+            throw MemoryDatabase.erro(
+                "ER_NO_REFERENCED_ROW_2",
+                1452,
+                "Cannot add or update a child row: a foreign key constraint fails (fk_Funcionario_Cargo)"
+            );
+        }
+    };
+
+    #toModel = (linha) => {
+        const objCargo = new Cargo();
+        objCargo.idCargo = parseInt(linha.idCargo);
+        objCargo.nomeCargo = linha.nomeCargo;
+
+        const funcionario = new Funcionario();
+        funcionario.idFuncionario = linha.idFuncionario;
+        funcionario.nomeFuncionario = linha.nomeFuncionario;
+        funcionario.email = linha.email;
+        funcionario.recebeValeTransporte = linha.recebeValeTransporte;
+        funcionario.status = linha.status ?? "ativo";
+        funcionario.dataDesativacao = linha.dataDesativacao ?? null;
+        funcionario.cargo = objCargo;
+
+        return funcionario;
+    };
+};
@@ -0,0 +1,255 @@
+const Perfil = require("../models/Perfil");
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por realizar operações no banco de dados
+ * relacionadas à entidade Perfil.
+ *
+ * Além do CRUD do perfil, gerencia as duas relações muitos-para-muitos:
+ * - perfil_has_permissao      → permissões concedidas por cada perfil;
+ * - funcionario_has_perfil    → perfis atribuídos a cada funcionário.
+ */
+module.exports = class PerfilDAO {
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  PerfilDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Cria um novo perfil no banco de dados.
+     *
+     * @param {Perfil} objPerfilModel - Objeto Perfil contendo o nome.
+     * @returns {Promise<number>} ID do perfil criado.
+     * @throws {Error} Caso a inserção falhe.
+     */
+    create = async (objPerfilModel) => {
+        Logger.debug("🟢 PerfilDAO.create()");
+
+        const SQL = "INSERT INTO perfil (nomePerfil) VALUES (?);";
+        const params = [objPerfilModel.nomePerfil];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        if (!resultado.insertId) {
+            throw new Error("Falha ao inserir perfil");
+        }
+
+        return resultado.insertId;
+    };
+
+    /**
+     * Remove um perfil pelo ID.
+     * Os vínculos com permissões e funcionários são removidos em cascata pela chave estrangeira.
+     *
+     * @param {Perfil} objPerfilModel - Objeto Perfil contendo o ID.
+     * @returns {Promise<boolean>} True se a exclusão foi bem-sucedida.
+     */
+    delete = async (objPerfilModel) => {
+        Logger.debug("🟢 PerfilDAO.delete()");
+
+        const SQL = "DELETE FROM perfil WHERE idPerfil = ?;";
+        const params = [objPerfilModel.idPerfil];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado.affectedRows > 0;
+    };
+
+    /**
+     * Atualiza o nome de um perfil existente.
+     *
+     * @param {Perfil} objPerfilModel - Objeto Perfil contendo ID e novo nome.
+     * @returns {Promise<boolean>} True se a atualização foi bem-sucedida.
+     */
+    update = async (objPerfilModel) => {
+        Logger.debug("🟢 PerfilDAO.update()");
+
+        const SQL = "UPDATE perfil SET nomePerfil = ? WHERE idPerfil = ?;";
+        const params = [objPerfilModel.nomePerfil, objPerfilModel.idPerfil];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado.affectedRows > 0;
+    };
+
+    /**
+     * Retorna todos os perfis cadastrados, cada um com a lista de permissões concedidas.
+     *
+     * @returns {Promise<Array>} Lista de perfis no formato { idPerfil, nomePerfil, permissoes: [...] }.
+     */
+    findAll = async () => {
+        Logger.debug("🟢 PerfilDAO.findAll()");
+
+        const executor = await this.#database.getExecutor();
+        const [perfis] = await executor.execute("SELECT idPerfil, nomePerfil FROM perfil ORDER BY nomePerfil;");
+
+        const SQL = `
+            SELECT perfil_has_permissao.Perfil_idPerfil, idPermissao, codigo, descricao
+            FROM perfil_has_permissao
+            JOIN permissao ON permissao.idPermissao = perfil_has_permissao.Permissao_idPermissao
+            ORDER BY codigo;`;
+        const [vinculos] = await executor.execute(SQL);
+
+        return perfis.map(perfil => ({
+            idPerfil: perfil.idPerfil,
+            nomePerfil: perfil.nomePerfil,
+            permissoes: vinculos
+                .filter(row => row.Perfil_idPerfil === perfil.idPerfil)
+                .map(row => ({ idPermissao: row.idPermissao, codigo: row.codigo, descricao: row.descricao }))
+        }));
+    };
+
+    /**
+     * Busca um perfil pelo ID, incluindo suas permissões.
+     *
+     * @param {number} idPerfil - ID do perfil.
+     * @returns {Promise<Object|null>} Perfil encontrado ou null.
+     */
+    findById = async (idPerfil) => {
+        Logger.debug("🟢 PerfilDAO.findById()");
+
+        const resultado = await this.findByField("idPerfil", idPerfil);
+        if (resultado.length === 0) {
+            return null;
+        }
+
+        const perfil = resultado[0];
+        perfil.permissoes = await this.findPermissoes(perfil.idPerfil);
+        return perfil;
+    };
+
+    /**
+     * Busca perfis por um campo específico.
+     *
+     * @param {string} field - Nome do campo para busca (permitidos: "idPerfil", "nomePerfil").
+     * @param {*} value - Valor a ser buscado.
+     * @returns {Promise<Array>} Lista de perfis encontrados.
+     * @throws {Error} Caso o campo informado não seja permitido.
+     */
+    findByField = async (field, value) => {
+        Logger.debug(`🟢 PerfilDAO.findByField() - Campo: ${field}, Valor: ${value}`);
+
+        const allowedFields = ["idPerfil", "nomePerfil"];
+        if (!allowedFields.includes(field)) {
+            throw new Error(`Campo inválido para busca: ${field}`);
+        }
+
+        const SQL = `SELECT idPerfil, nomePerfil FROM perfil WHERE ${field} = ?;`;
+        const params = [value];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado || [];
+    };
+
+    /**
+     * Retorna as permissões concedidas por um perfil.
+     *
+     * @param {number} idPerfil - ID do perfil.
+     * @returns {Promise<Array>} Lista de permissões { idPermissao, codigo, descricao }.
+     */
+    findPermissoes = async (idPerfil) => {
+        Logger.debug("🟢 PerfilDAO.findPermissoes()");
+
+        const SQL = `
+            SELECT idPermissao, codigo, descricao
+            FROM perfil_has_permissao
+            JOIN permissao ON permissao.idPermissao = perfil_has_permissao.Permissao_idPermissao
+            WHERE perfil_has_permissao.Perfil_idPerfil = ?
+            ORDER BY codigo;`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idPerfil]);
+
+        return resultado;
+    };
+
+    /**
+     * Substitui o conjunto de permissões de um perfil.
+     *
+     * @param {Perfil} objPerfilModel - Perfil que terá as permissões redefinidas.
+     * @param {number[]} idsPermissoes - IDs das permissões que o perfil passará a ter.
+     * @returns {Promise<void>}
+     */
+    definirPermissoes = async (objPerfilModel, idsPermissoes) => {
+        Logger.debug("🟢 PerfilDAO.definirPermissoes()");
+
+        await this.#substituirVinculos(
+            "perfil_has_permissao", "Perfil_idPerfil", "Permissao_idPermissao",
+            objPerfilModel.idPerfil, idsPermissoes
+        );
+    };
+
+    /**
+     * Retorna os perfis atribuídos a um funcionário.
+     *
+     * @param {number} idFuncionario - ID do funcionário.
+     * @returns {Promise<Array>} Lista de perfis { idPerfil, nomePerfil }.
+     */
+    findByFuncionario = async (idFuncionario) => {
+        Logger.debug("🟢 PerfilDAO.findByFuncionario()");
+
+        const SQL = `
+            SELECT idPerfil, nomePerfil
+            FROM funcionario_has_perfil
+            JOIN perfil ON perfil.idPerfil = funcionario_has_perfil.Perfil_idPerfil
+            WHERE funcionario_has_perfil.Funcionario_idFuncionario = ?
+            ORDER BY nomePerfil;`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idFuncionario]);
+
+        return resultado;
+    };
+
+    /**
+     * Substitui o conjunto de perfis de um funcionário.
+     *
+     * @param {number} idFuncionario - ID do funcionário.
+     * @param {number[]} idsPerfis - IDs dos perfis que o funcionário passará a ter.
+     * @returns {Promise<void>}
+     */
+    definirPerfisFuncionario = async (idFuncionario, idsPerfis) => {
+        Logger.debug("🟢 PerfilDAO.definirPerfisFuncionario()");
+
+        await this.#substituirVinculos(
+            "funcionario_has_perfil", "Funcionario_idFuncionario", "Perfil_idPerfil",
+            idFuncionario, idsPerfis
+        );
+    };
+
+    /**
+     * Apaga e recria os vínculos de uma tabela associativa dentro de uma transação,
+     * para que o conjunto nunca fique pela metade em caso de falha.
+     *
+     * @param {string} tabela - Tabela associativa.
+     * @param {string} colunaDono - Coluna que identifica o "dono" dos vínculos.
+     * @param {string} colunaVinculo - Coluna que identifica o item vinculado.
+     * @param {number} idDono - Valor da coluna dono.
+     * @param {number[]} idsVinculos - Novos valores da coluna vinculada.
+     */
+    #substituirVinculos = async (tabela, colunaDono, colunaVinculo, idDono, idsVinculos) => {
+        await this.#database.transaction(async (executor) => {
+            await executor.execute(`DELETE FROM ${tabela} WHERE ${colunaDono} = ?;`, [idDono]);
+
+            for (const idVinculo of idsVinculos) {
+                await executor.execute(
+                    `INSERT INTO ${tabela} (${colunaDono}, ${colunaVinculo}) VALUES (?, ?);`,
+                    [idDono, idVinculo]
+                );
+            }
+        });
+    };
+};
@@ -0,0 +1,162 @@
+const Permissao = require("../models/Permissao");
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por realizar operações no banco de dados
+ * relacionadas à entidade Permissao.
+ *
+ * Implementa métodos CRUD utilizando injeção de dependência
+ * de uma instância de MysqlDatabase.
+ */
+module.exports = class PermissaoDAO {
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  PermissaoDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Cria uma nova permissão no banco de dados.
+     *
+     * @param {Permissao} objPermissaoModel - Objeto Permissao contendo código e descrição.
+     * @returns {Promise<number>} ID da permissão criada.
+     * @throws {Error} Caso a inserção falhe.
+     */
+    create = async (objPermissaoModel) => {
+        Logger.debug("🟢 PermissaoDAO.create()");
+
+        const SQL = "INSERT INTO permissao (codigo, descricao) VALUES (?, ?);";
+        const params = [objPermissaoModel.codigo, objPermissaoModel.descricao];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        if (!resultado.insertId) {
+            throw new Error("Falha ao inserir permissão");
+        }
+
+        return resultado.insertId;
+    };
+
+    /**
+     * Remove uma permissão pelo ID.
+     * Os vínculos com perfis são removidos em cascata pela chave estrangeira.
+     *
+     * @param {Permissao} objPermissaoModel - Objeto Permissao contendo o ID.
+     * @returns {Promise<boolean>} True se a exclusão foi bem-sucedida.
+     */
+    delete = async (objPermissaoModel) => {
+        Logger.debug("🟢 PermissaoDAO.delete()");
+
+        const SQL = "DELETE FROM permissao WHERE idPermissao = ?;";
+        const params = [objPermissaoModel.idPermissao];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado.affectedRows > 0;
+    };
+
+    /**
+     * Atualiza os dados de uma permissão existente.
+     *
+     * @param {Permissao} objPermissaoModel - Objeto Permissao contendo ID e novos dados.
+     * @returns {Promise<boolean>} True se a atualização foi bem-sucedida.
+     */
+    update = async (objPermissaoModel) => {
+        Logger.debug("🟢 PermissaoDAO.update()");
+
+        const SQL = "UPDATE permissao SET codigo = ?, descricao = ? WHERE idPermissao = ?;";
+        const params = [objPermissaoModel.codigo, objPermissaoModel.descricao, objPermissaoModel.idPermissao];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado.affectedRows > 0;
+    };
+
+    /**
+     * Retorna todas as permissões cadastradas.
+     *
+     * @returns {Promise<Array>} Lista de permissões.
+     */
+    findAll = async () => {
+        Logger.debug("🟢 PermissaoDAO.findAll()");
+
+        const SQL = "SELECT idPermissao, codigo, descricao FROM permissao ORDER BY codigo;";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL);
+
+        return resultado;
+    };
+
+    /**
+     * Busca uma permissão pelo ID.
+     *
+     * @param {number} idPermissao - ID da permissão.
+     * @returns {Promise<Object|null>} Permissão encontrada ou null.
+     */
+    findById = async (idPermissao) => {
+        Logger.debug("🟢 PermissaoDAO.findById()");
+
+        const resultado = await this.findByField("idPermissao", idPermissao);
+        return resultado[0] || null;
+    };
+
+    /**
+     * Busca permissões por um campo específico.
+     *
+     * @param {string} field - Nome do campo para busca (permitidos: "idPermissao", "codigo").
+     * @param {*} value - Valor a ser buscado.
+     * @returns {Promise<Array>} Lista de permissões encontradas.
+     * @throws {Error} Caso o campo informado não seja permitido.
+     */
+    findByField = async (field, value) => {
+        Logger.debug(`🟢 PermissaoDAO.findByField() - Campo: ${field}, Valor: ${value}`);
+
+        const allowedFields = ["idPermissao", "codigo"];
+        if (!allowedFields.includes(field)) {
+            throw new Error(`Campo inválido para busca: ${field}`);
+        }
+
+        const SQL = `SELECT idPermissao, codigo, descricao FROM permissao WHERE ${field} = ?;`;
+        const params = [value];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado || [];
+    };
+
+    /**
+     * Retorna os códigos de todas as permissões de um funcionário,
+     * somando as permissões de todos os perfis vinculados a ele.
+     *
+     * @param {number} idFuncionario - ID do funcionário.
+     * @returns {Promise<string[]>} Lista de códigos (sem repetição), ex: ["cargo:delete", "funcionario:write"].
+     */
+    findCodigosByFuncionario = async (idFuncionario) => {
+        Logger.debug("🟢 PermissaoDAO.findCodigosByFuncionario()");
+
+        const SQL = `
+            SELECT DISTINCT permissao.codigo
+            FROM funcionario_has_perfil
+            JOIN perfil_has_permissao ON perfil_has_permissao.Perfil_idPerfil = funcionario_has_perfil.Perfil_idPerfil
+            JOIN permissao ON permissao.idPermissao = perfil_has_permissao.Permissao_idPermissao
+            WHERE funcionario_has_perfil.Funcionario_idFuncionario = ?
+            ORDER BY permissao.codigo;`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idFuncionario]);
+
+        return resultado.map(row => row.codigo);
+    };
+};
@@ -0,0 +1,106 @@
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelos pedidos de redefinição de senha (tabela redefinicao_senha).
+ *
+ * Observações:
+ * - O token enviado por email nunca é gravado: apenas o hash SHA-256 (tokenHash).
+ * - Cada token é de uso único: ao ser consumido, usadoEm é preenchido.
+ */
+module.exports = class RedefinicaoSenhaDAO {
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  RedefinicaoSenhaDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Registra um novo pedido de redefinição.
+     *
+     * @param {Object} redefinicao - Dados do pedido.
+     * @param {number} redefinicao.idFuncionario - Funcionário que pediu a redefinição.
+     * @param {string} redefinicao.tokenHash - Hash SHA-256 (hex) do token enviado por email.
+     * @param {Date} redefinicao.expiraEm - Data de expiração.
+     * @returns {Promise<number>} ID do registro criado.
+     * @throws {Error} Caso a inserção falhe.
+     */
+    create = async ({ idFuncionario, tokenHash, expiraEm }) => {
+        Logger.debug("🟢 RedefinicaoSenhaDAO.create()");
+
+        const SQL = `
+            INSERT INTO redefinicao_senha (Funcionario_idFuncionario, tokenHash, expiraEm)
+            VALUES (?, ?, ?);`;
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idFuncionario, tokenHash, expiraEm]);
+
+        if (!resultado.insertId) {
+            throw new Error("Falha ao registrar redefinição de senha");
+        }
+
+        return resultado.insertId;
+    };
+
+    /**
+     * Busca um pedido pelo hash do token.
+     *
+     * @param {string} tokenHash - Hash SHA-256 (hex) do token.
+     * @returns {Promise<Object|null>} { idRedefinicaoSenha, idFuncionario, expiraEm, usadoEm } ou null.
+     */
+    findByHash = async (tokenHash) => {
+        Logger.debug("🟢 RedefinicaoSenhaDAO.findByHash()");
+
+        const SQL = `
+            SELECT idRedefinicaoSenha, Funcionario_idFuncionario AS idFuncionario, expiraEm, usadoEm
+            FROM redefinicao_senha
+            WHERE tokenHash = ?;`;
+
+        const executor = await this.#database.getExecutor();
+        const [rows] = await executor.execute(SQL, [tokenHash]);
+
+        return rows[0] || null;
+    };
+
+    /**
+     * Marca um pedido como usado.
+     * Só altera pedidos ainda não usados, então o mesmo token não pode ser consumido duas vezes.
+     *
+     * @param {number} idRedefinicaoSenha - ID do pedido.
+     * @returns {Promise<boolean>} True se o pedido estava disponível e foi marcado agora.
+     */
+    marcarUsado = async (idRedefinicaoSenha) => {
+        Logger.debug("🟢 RedefinicaoSenhaDAO.marcarUsado()");
+
+        const SQL = "UPDATE redefinicao_senha SET usadoEm = NOW() WHERE idRedefinicaoSenha = ? AND usadoEm IS NULL;";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idRedefinicaoSenha]);
+
+        return resultado.affectedRows > 0;
+    };
+
+    /**
+     * Invalida todos os pedidos pendentes de um funcionário
+     * (um novo pedido substitui os anteriores).
+     *
+     * @param {number} idFuncionario - ID do funcionário.
+     * @returns {Promise<number>} Quantidade de pedidos invalidados.
+     */
+    invalidarPendentes = async (idFuncionario) => {
+        Logger.debug("🟢 RedefinicaoSenhaDAO.invalidarPendentes()");
+
+        const SQL = "UPDATE redefinicao_senha SET usadoEm = NOW() WHERE Funcionario_idFuncionario = ? AND usadoEm IS NULL;";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idFuncionario]);
+
+        return resultado.affectedRows;
+    };
+}
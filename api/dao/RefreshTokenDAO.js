@@ -0,0 +1,128 @@
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por persistir os refresh tokens emitidos para os funcionários.
+ *
+ * Observações:
+ * - O token em si nunca é gravado: apenas o hash SHA-256 (tokenHash).
+ * - Cada linha guarda também o jti do access token emitido junto (jtiAcesso),
+ *   o que permite revogar o par no logout e revogar todos os acessos de um funcionário.
+ * - Um refresh token é de uso único: ao ser usado ele é marcado como revogado (revogadoEm)
+ *   e um novo é emitido no lugar (rotação).
+ */
+module.exports = class RefreshTokenDAO {
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  RefreshTokenDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Registra um novo refresh token.
+     *
+     * @param {Object} refreshToken - Dados do token.
+     * @param {number} refreshToken.idFuncionario - Dono do token.
+     * @param {string} refreshToken.tokenHash - Hash SHA-256 (hex) do token entregue ao cliente.
+     * @param {string} refreshToken.jtiAcesso - jti do access token emitido junto.
+     * @param {Date} refreshToken.expiraEm - Data de expiração.
+     * @returns {Promise<number>} ID do registro criado.
+     * @throws {Error} Caso a inserção falhe.
+     */
+    create = async ({ idFuncionario, tokenHash, jtiAcesso, expiraEm }) => {
+        Logger.debug("🟢 RefreshTokenDAO.create()");
+
+        const SQL = `
+            INSERT INTO refresh_token (Funcionario_idFuncionario, tokenHash, jtiAcesso, expiraEm)
+            VALUES (?, ?, ?, ?);`;
+        const params = [idFuncionario, tokenHash, jtiAcesso, expiraEm];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        if (!resultado.insertId) {
+            throw new Error("Falha ao registrar refresh token");
+        }
+
+        return resultado.insertId;
+    };
+
+    /**
+     * Busca um refresh token pelo hash.
+     *
+     * @param {string} tokenHash - Hash SHA-256 (hex) do token.
+     * @returns {Promise<Object|null>} { idRefreshToken, idFuncionario, jtiAcesso, expiraEm, revogadoEm } ou null.
+     */
+    findByHash = async (tokenHash) => {
+        Logger.debug("🟢 RefreshTokenDAO.findByHash()");
+
+        const SQL = `
+            SELECT idRefreshToken, Funcionario_idFuncionario AS idFuncionario, jtiAcesso, expiraEm, revogadoEm
+            FROM refresh_token
+            WHERE tokenHash = ?;`;
+
+        const executor = await this.#database.getExecutor();
+        const [rows] = await executor.execute(SQL, [tokenHash]);
+
+        return rows[0] || null;
+    };
+
+    /**
+     * Marca um refresh token como revogado.
+     * Só altera tokens ainda ativos, então duas requisições concorrentes
+     * com o mesmo token não conseguem usá-lo duas vezes.
+     *
+     * @param {number} idRefreshToken - ID do registro.
+     * @returns {Promise<boolean>} True se o token estava ativo e foi revogado agora.
+     */
+    revogar = async (idRefreshToken) => {
+        Logger.debug("🟢 RefreshTokenDAO.revogar()");
+
+        const SQL = "UPDATE refresh_token SET revogadoEm = NOW() WHERE idRefreshToken = ? AND revogadoEm IS NULL;";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idRefreshToken]);
+
+        return resultado.affectedRows > 0;
+    };
+
+    /**
+     * Revoga o refresh token emitido junto com um access token.
+     *
+     * @param {string} jtiAcesso - jti do access token.
+     * @returns {Promise<number>} Quantidade de tokens revogados.
+     */
+    revogarPorJtiAcesso = async (jtiAcesso) => {
+        Logger.debug("🟢 RefreshTokenDAO.revogarPorJtiAcesso()");
+
+        const SQL = "UPDATE refresh_token SET revogadoEm = NOW() WHERE jtiAcesso = ? AND revogadoEm IS NULL;";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [jtiAcesso]);
+
+        return resultado.affectedRows;
+    };
+
+    /**
+     * Revoga todos os refresh tokens ativos de um funcionário.
+     *
+     * @param {number} idFuncionario - ID do funcionário.
+     * @returns {Promise<number>} Quantidade de tokens revogados.
+     */
+    revogarTodosDoFuncionario = async (idFuncionario) => {
+        Logger.debug("🟢 RefreshTokenDAO.revogarTodosDoFuncionario()");
+
+        const SQL = "UPDATE refresh_token SET revogadoEm = NOW() WHERE Funcionario_idFuncionario = ? AND revogadoEm IS NULL;";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idFuncionario]);
+
+        return resultado.affectedRows;
+    };
+}
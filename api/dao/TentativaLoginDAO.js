@@ -0,0 +1,160 @@
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelo estado atual das falhas de login (tabela tentativa_login).
+ *
+ * Cada linha é uma chave monitorada: um email ou um IP (coluna tipo).
+ * Guarda quantas falhas seguidas houve, quantos bloqueios a chave já sofreu
+ * (usado no backoff exponencial) e até quando ela está bloqueada.
+ */
+module.exports = class TentativaLoginDAO {
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  TentativaLoginDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Busca o estado de uma chave.
+     *
+     * @param {"email"|"ip"} tipo - Tipo da chave.
+     * @param {string} valor - Email ou IP.
+     * @returns {Promise<Object|null>} { idTentativaLogin, tipo, valor, falhas, bloqueios, ultimaFalha, bloqueadoAte } ou null.
+     */
+    findByChave = async (tipo, valor) => {
+        Logger.debug("🟢 TentativaLoginDAO.findByChave()");
+
+        const SQL = "SELECT * FROM tentativa_login WHERE tipo = ? AND valor = ?;";
+
+        const executor = await this.#database.getExecutor();
+        const [rows] = await executor.execute(SQL, [tipo, valor]);
+
+        return rows[0] || null;
+    };
+
+    /**
+     * Busca o estado de uma chave pelo ID.
+     *
+     * @param {number} idTentativaLogin - ID do registro.
+     * @returns {Promise<Object|null>} Registro encontrado ou null.
+     */
+    findById = async (idTentativaLogin) => {
+        Logger.debug("🟢 TentativaLoginDAO.findById()");
+
+        const SQL = "SELECT * FROM tentativa_login WHERE idTentativaLogin = ?;";
+
+        const executor = await this.#database.getExecutor();
+        const [rows] = await executor.execute(SQL, [idTentativaLogin]);
+
+        return rows[0] || null;
+    };
+
+    /**
+     * Lista as chaves bloqueadas neste momento, das que ficam bloqueadas por mais tempo para as de menos.
+     *
+     * @returns {Promise<Array>} Registros com bloqueadoAte no futuro.
+     */
+    findBloqueadas = async () => {
+        Logger.debug("🟢 TentativaLoginDAO.findBloqueadas()");
+
+        const SQL = "SELECT * FROM tentativa_login WHERE bloqueadoAte > NOW() ORDER BY bloqueadoAte DESC;";
+
+        const executor = await this.#database.getExecutor();
+        const [rows] = await executor.execute(SQL);
+
+        return rows;
+    };
+
+    /**
+     * Conta mais uma falha para a chave (insere a chave na primeira falha) e devolve o estado atualizado.
+     *
+     * O incremento é feito pelo próprio banco, sobre o valor gravado: falhas simultâneas não se
+     * sobrescrevem. Dentro de uma transação a linha da chave fica travada até o commit, então quem
+     * chama pode decidir o bloqueio pelo estado devolvido sem que outra falha o altere no meio.
+     *
+     * @param {Object} falha
+     * @param {"email"|"ip"} falha.tipo
+     * @param {string} falha.valor
+     * @param {Date} falha.agora - Momento da falha (nova ultimaFalha).
+     * @param {Date} falha.inicioJanela - Se a falha anterior for mais antiga que isso, a contagem recomeça em 1.
+     * @param {Date} falha.inicioHistorico - Se a falha anterior for mais antiga que isso, os bloqueios anteriores são esquecidos.
+     * @returns {Promise<Object>} { idTentativaLogin, tipo, valor, falhas, bloqueios, ultimaFalha, bloqueadoAte }
+     */
+    registrarFalha = async ({ tipo, valor, agora, inicioJanela, inicioHistorico }) => {
+        Logger.debug("🟢 TentativaLoginDAO.registrarFalha()");
+
+        // ultimaFalha é atualizada por último: no MySQL as atribuições seguintes já veriam o valor novo
+        const SQL = `
+            INSERT INTO tentativa_login (tipo, valor, falhas, bloqueios, ultimaFalha, bloqueadoAte)
+            VALUES (?, ?, 1, 0, ?, NULL)
+            ON DUPLICATE KEY UPDATE
+                falhas = CASE WHEN ultimaFalha IS NULL OR ultimaFalha < ? THEN 1 ELSE falhas + 1 END,
+                bloqueios = CASE WHEN ultimaFalha IS NULL OR ultimaFalha < ? THEN 0 ELSE bloqueios END,
+                ultimaFalha = VALUES(ultimaFalha);`;
+        const params = [tipo, valor, agora, inicioJanela, inicioHistorico];
+
+        const executor = await this.#database.getExecutor();
+        await executor.execute(SQL, params);
+
+        const [rows] = await executor.execute("SELECT * FROM tentativa_login WHERE tipo = ? AND valor = ? FOR UPDATE;", [tipo, valor]);
+        return rows[0];
+    };
+
+    /**
+     * Bloqueia a chave até bloqueadoAte: zera as falhas e conta mais um bloqueio (backoff).
+     *
+     * @param {number} idTentativaLogin - ID da chave.
+     * @param {Date} bloqueadoAte - Fim do bloqueio.
+     * @returns {Promise<void>}
+     */
+    bloquear = async (idTentativaLogin, bloqueadoAte) => {
+        Logger.debug("🟢 TentativaLoginDAO.bloquear()");
+
+        const SQL = "UPDATE tentativa_login SET falhas = 0, bloqueios = bloqueios + 1, bloqueadoAte = ? WHERE idTentativaLogin = ?;";
+
+        const executor = await this.#database.getExecutor();
+        await executor.execute(SQL, [bloqueadoAte, idTentativaLogin]);
+    };
+
+    /**
+     * Remove o estado de uma chave (ex: login bem-sucedido zera as falhas do email).
+     *
+     * @param {"email"|"ip"} tipo
+     * @param {string} valor
+     * @returns {Promise<boolean>} True se havia registro.
+     */
+    deleteByChave = async (tipo, valor) => {
+        Logger.debug("🟢 TentativaLoginDAO.deleteByChave()");
+
+        const SQL = "DELETE FROM tentativa_login WHERE tipo = ? AND valor = ?;";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [tipo, valor]);
+
+        return resultado.affectedRows > 0;
+    };
+
+    /**
+     * Remove o estado de uma chave pelo ID (liberação manual por um administrador).
+     *
+     * @param {number} idTentativaLogin - ID do registro.
+     * @returns {Promise<boolean>} True se havia registro.
+     */
+    delete = async (idTentativaLogin) => {
+        Logger.debug("🟢 TentativaLoginDAO.delete()");
+
+        const SQL = "DELETE FROM tentativa_login WHERE idTentativaLogin = ?;";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, [idTentativaLogin]);
+
+        return resultado.affectedRows > 0;
+    };
+}
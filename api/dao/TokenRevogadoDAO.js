@@ -0,0 +1,100 @@
+const MysqlDatabase = require("../database/MysqlDatabase");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pela lista de revogação de access tokens (tabela token_revogado).
+ *
+ * Cada linha é o jti de um access token que não deve mais ser aceito,
+ * mesmo que a assinatura e a expiração ainda sejam válidas.
+ * Depois que o token expira a linha deixa de ser necessária e pode ser removida.
+ */
+module.exports = class TokenRevogadoDAO {
+    #database;
+
+    /**
+     * Construtor do DAO, recebe a instância de MysqlDatabase.
+     *
+     * @param {MysqlDatabase} databaseInstance - Instância de MysqlDatabase injetada.
+     */
+    constructor(databaseInstance) {
+        Logger.debug("⬆️  TokenRevogadoDAO.constructor()");
+        this.#database = databaseInstance;
+    }
+
+    /**
+     * Adiciona um jti à lista de revogação (ignora se já estiver lá).
+     *
+     * @param {string} jti - Identificador do access token.
+     * @param {number|null} idFuncionario - Dono do token.
+     * @param {Date} expiraEm - Expiração do access token.
+     * @returns {Promise<void>}
+     */
+    create = async (jti, idFuncionario, expiraEm) => {
+        Logger.debug("🟢 TokenRevogadoDAO.create()");
+
+        const SQL = "INSERT IGNORE INTO token_revogado (jti, idFuncionario, expiraEm) VALUES (?, ?, ?);";
+
+        const executor = await this.#database.getExecutor();
+        await executor.execute(SQL, [jti, idFuncionario ?? null, expiraEm]);
+    };
+
+    /**
+     * Verifica se um jti está na lista de revogação.
+     *
+     * @param {string} jti - Identificador do access token.
+     * @returns {Promise<boolean>} True se o token foi revogado.
+     */
+    existe = async (jti) => {
+        Logger.debug("🟢 TokenRevogadoDAO.existe()");
+
+        const SQL = "SELECT 1 FROM token_revogado WHERE jti = ? LIMIT 1;";
+
+        const executor = await this.#database.getExecutor();
+        const [rows] = await executor.execute(SQL, [jti]);
+
+        return rows.length > 0;
+    };
+
+    /**
+     * Revoga todos os access tokens de um funcionário que ainda podem estar válidos.
+     *
+     * Os jti são obtidos da tabela refresh_token (todo access token é emitido junto com um refresh token).
+     * Só entram os emitidos dentro da janela em que o access token (com renovações) ainda pode ser válido.
+     *
+     * @param {number} idFuncionario - ID do funcionário.
+     * @param {number} duracaoAcesso - Tempo máximo de validade de um access token (com renovações), em segundos.
+     * @returns {Promise<number>} Quantidade de jti adicionados à lista.
+     */
+    revogarAcessosDoFuncionario = async (idFuncionario, duracaoAcesso) => {
+        Logger.debug("🟢 TokenRevogadoDAO.revogarAcessosDoFuncionario()");
+
+        const SQL = `
+            INSERT IGNORE INTO token_revogado (jti, idFuncionario, expiraEm)
+            SELECT jtiAcesso, Funcionario_idFuncionario, DATE_ADD(criadoEm, INTERVAL ? SECOND)
+            FROM refresh_token
+            WHERE Funcionario_idFuncionario = ?
+              AND criadoEm > DATE_SUB(NOW(), INTERVAL ? SECOND);`;
+        const params = [duracaoAcesso, idFuncionario, duracaoAcesso];
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL, params);
+
+        return resultado.affectedRows;
+    };
+
+    /**
+     * Remove da lista os tokens que já expiraram (não precisam mais ser bloqueados).
+     *
+     * @returns {Promise<number>} Quantidade de linhas removidas.
+     */
+    deleteExpirados = async () => {
+        Logger.debug("🟢 TokenRevogadoDAO.deleteExpirados()");
+
+        const SQL = "DELETE FROM token_revogado WHERE expiraEm < NOW();";
+
+        const executor = await this.#database.getExecutor();
+        const [resultado] = await executor.execute(SQL);
+
+        return resultado.affectedRows;
+    };
+}
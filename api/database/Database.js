@@ -0,0 +1,43 @@
+const MysqlDatabase = require("./MysqlDatabase");
+const SqliteDatabase = require("./SqliteDatabase");
+
+/**
+ * Classe responsável por escolher a implementação do banco de dados pela configuração (banco.cliente).
+ *
+ * Todas as implementações têm a mesma interface, usada pelos DAOs, Services e pelo Migrador:
+ * - connect(), criarBanco() e encerrar();
+ * - getExecutor() e transaction(callback), cujo executor tem apenas execute(sql, params),
+ *   que recebe SQL no dialeto do MySQL e devolve o resultado no formato do mysql2;
+ * - emTransacao() e o getter dialeto (pasta das migrações);
+ * - ping(), usado em GET /health/ready, e estatisticasPool(), usado nas métricas (null quando não há pool).
+ *
+ * @example
+ * const database = Database.criar(configuracao.banco); // MysqlDatabase ou SqliteDatabase
+ * await database.connect();
+ */
+module.exports = class Database {
+    /**
+     * Valores aceitos em banco.cliente (DB_CLIENT) → implementação.
+     */
+    static CLIENTES = {
+        mysql: MysqlDatabase,
+        sqlite: SqliteDatabase,
+    };
+
+    /**
+     * Cria o banco configurado.
+     *
+     * @param {Object} configuracaoBanco - Seção banco da Configuracao.
+     * @returns {MysqlDatabase|SqliteDatabase}
+     * @throws {Error} Se o cliente não for conhecido.
+     */
+    static criar(configuracaoBanco) {
+        const cliente = configuracaoBanco.cliente ?? "mysql";
+        const Implementacao = Database.CLIENTES[cliente];
+
+        if (!Implementacao) {
+            throw new Error(`Banco "${cliente}" desconhecido (use ${Object.keys(Database.CLIENTES).join(" ou ")})`);
+        }
+        return new Implementacao(configuracaoBanco);
+    }
+};
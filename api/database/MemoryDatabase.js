@@ -0,0 +1,244 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const Logger = require("../utils/Logger");
+
+/**
+ * Banco em memória usado pelos DAOs em memória (MemoryCargoDAO e MemoryFuncionarioDAO),
+ * para testar Services e rotas sem nenhum banco de dados.
+ *
+ * - Guarda as tabelas cargo, funcionario e fusao_cargo em Maps (id → linha, com os nomes de coluna do SQL).
+ * - Imita o MySQL no que os Services dependem: chaves únicas e estrangeiras geram erros com os mesmos
+ *   códigos do mysql2 (ER_DUP_ENTRY, ER_NO_REFERENCED_ROW_2, ER_ROW_IS_REFERENCED_2), textos são
+ *   comparados sem diferenciar maiúsculas e acentos (como a collation utf8_general_ci) e os IDs
+ *   não são reaproveitados, nem depois de um rollback.
+ * - transaction() tem as mesmas regras do MysqlDatabase (commit, rollback, transações aninhadas):
+ *   no rollback as tabelas voltam ao estado do início da transação. Transações são executadas uma de cada vez.
+ * - Não executa SQL: getExecutor() e o executor da transação lançam erro.
+ *
+ * @example
+ * const database = new MemoryDatabase();
+ * const cargoDAO = new MemoryCargoDAO(database);
+ * const funcionarioDAO = new MemoryFuncionarioDAO(database);
+ * const cargoService = new CargoService(cargoDAO, null, database);
+ */
+module.exports = class MemoryDatabase {
+    static TABELAS = ["cargo", "funcionario", "fusao_cargo"];
+
+    // Transação em andamento no fluxo assíncrono atual
+    static #transacaoAtual = new AsyncLocalStorage();
+
+    static #EXECUTOR = Object.freeze({
+        execute: async () => {
+            throw new Error("MemoryDatabase não executa SQL: use os DAOs em memória (MemoryCargoDAO, MemoryFuncionarioDAO)");
+        }
+    });
+
+    #tabelas = new Map(MemoryDatabase.TABELAS.map(nome => [nome, new Map()]));
+    #sequencias = new Map(MemoryDatabase.TABELAS.map(nome => [nome, 0]));
+
+    // Fim da última transação enfileirada
+    #fila = Promise.resolve();
+
+    constructor() {
+        Logger.debug("⬆️  MemoryDatabase.constructor()");
+    }
+
+    /**
+     * @returns {string}
+     */
+    get dialeto() {
+        return "memory";
+    }
+
+    /**
+     * Nada a conectar; existe para manter a interface dos outros bancos.
+     * @returns {Promise<MemoryDatabase>}
+     */
+    async connect() {
+        return this;
+    }
+
+    async criarBanco() {}
+
+    /**
+     * Apaga todos os dados e reinicia os IDs.
+     * @returns {Promise<void>}
+     */
+    async encerrar() {
+        await this.#fila;
+        for (const nome of MemoryDatabase.TABELAS) {
+            this.#tabelas.get(nome).clear();
+            this.#sequencias.set(nome, 0);
+        }
+    }
+
+    /**
+     * Existe para manter a interface: o banco em memória sempre responde.
+     * @returns {Promise<void>}
+     */
+    async ping() {}
+
+    /**
+     * Existe para manter a interface: não há pool de conexões.
+     * @returns {null}
+     */
+    estatisticasPool() {
+        return null;
+    }
+
+    /**
+     * Existe para manter a interface: o execute() do executor sempre lança erro, pois este banco não executa SQL.
+     * @returns {Promise<{execute: Function}>}
+     */
+    async getExecutor() {
+        return MemoryDatabase.#EXECUTOR;
+    }
+
+    /**
+     * Indica se a chamada atual está dentro de uma transação.
+     * @returns {boolean}
+     */
+    emTransacao() {
+        return MemoryDatabase.#transacaoAtual.getStore() !== undefined;
+    }
+
+    /**
+     * Executa o callback em uma transação: se ele lançar erro, as tabelas voltam ao estado anterior.
+     * Chamadas aninhadas participam da transação externa.
+     *
+     * @param {Function} callback - async (executor) => resultado
+     * @returns {Promise<*>} O valor retornado pelo callback.
+     */
+    async transaction(callback) {
+        if (this.emTransacao()) {
+            return callback(MemoryDatabase.#EXECUTOR);
+        }
+
+        const resultado = this.#fila.then(async () => {
+            const copia = this.#copiarTabelas();
+            try {
+                return await MemoryDatabase.#transacaoAtual.run(true, () => callback(MemoryDatabase.#EXECUTOR));
+            } catch (error) {
+                this.#tabelas = copia;
+                throw error;
+            }
+        });
+        this.#fila = resultado.catch(() => {});
+        return resultado;
+    }
+
+    /**
+     * Tabela pelo nome (Map id → linha). Use sempre este método: no rollback as tabelas são trocadas.
+     * @param {string} nome - Um de TABELAS.
+     * @returns {Map<number, Object>}
+     */
+    tabela = (nome) => {
+        const tabela = this.#tabelas.get(nome);
+        if (!tabela) {
+            throw new Error(`Tabela ${nome} não existe no MemoryDatabase`);
+        }
+        return tabela;
+    };
+
+    /**
+     * Próximo valor do AUTO_INCREMENT da tabela.
+     * @param {string} nome
+     * @returns {number}
+     */
+    proximoId = (nome) => {
+        const id = this.#sequencias.get(nome) + 1;
+        this.#sequencias.set(nome, id);
+        return id;
+    };
+
+    /**
+     * Lança ER_DUP_ENTRY se outra linha da tabela já tiver o mesmo valor na coluna (NULL pode repetir).
+     *
+     * @param {string} nome - Tabela.
+     * @param {string} coluna - Coluna com chave única.
+     * @param {*} valor - Valor a gravar.
+     * @param {number} [idIgnorado] - ID da própria linha (em atualizações).
+     * @throws {Error}
+     */
+    verificarUnico = (nome, coluna, valor, idIgnorado) => {
+        if (valor === null || valor === undefined) {
+            return;
+        }
+
+        for (const [id, linha] of this.tabela(nome)) {
+            if (id !== idIgnorado && MemoryDatabase.comparavel(linha[coluna]) === MemoryDatabase.comparavel(valor)) {
+                throw MemoryDatabase.erro("ER_DUP_ENTRY", 1062, `Duplicate entry '${valor}' for key '${coluna}_UNIQUE'`);
+            }
+        }
+    };
+
+    /**
+     * Texto como a collation do MySQL o compara: sem acentos, minúsculo e sem espaços no fim.
+     * @param {*} valor
+     * @returns {*} O texto normalizado (outros tipos voltam iguais).
+     */
+    static comparavel(valor) {
+        if (typeof valor !== "string") {
+            return valor;
+        }
+        return valor.normalize("NFD").replace(/\p{Diacritic}/gu, "").toLowerCase().trimEnd();
+    }
+
+    /**
+     * Equivalente a coluna LIKE '%trecho%'.
+     * @param {string|null} texto
+     * @param {string} trecho
+     * @returns {boolean}
+     */
+    static contem(texto, trecho) {
+        return texto !== null && texto !== undefined && MemoryDatabase.comparavel(String(texto)).includes(MemoryDatabase.comparavel(trecho));
+    }
+
+    /**
+     * Ordena como o ORDER BY do MySQL (NULL primeiro no ASC) e aplica LIMIT/OFFSET da Paginacao.
+     *
+     * @param {Object[]} linhas
+     * @param {Paginacao} paginacao
+     * @param {string} chavePrimaria - Coluna de desempate (ASC), se não estiver na ordenação.
+     * @returns {Object[]} Linhas da página.
+     */
+    static paginar(linhas, paginacao, chavePrimaria) {
+        const ordenacao = [...paginacao.ordenacao];
+        if (!ordenacao.some(({ campo }) => campo === chavePrimaria)) {
+            ordenacao.push({ campo: chavePrimaria, direcao: "ASC" });
+        }
+
+        const comparar = (a, b) => {
+            if (a === b) return 0;
+            if (a === null || a === undefined) return -1;
+            if (b === null || b === undefined) return 1;
+            if (typeof a === "string" && typeof b === "string") {
+                return a.localeCompare(b, "pt-BR", { sensitivity: "base" });
+            }
+            return a < b ? -1 : a > b ? 1 : 0;
+        };
+
+        return [...linhas]
+            .sort((a, b) => {
+                for (const { campo, direcao } of ordenacao) {
+                    const resultado = comparar(a[campo], b[campo]);
+                    if (resultado !== 0) {
+                        return direcao === "DESC" ? -resultado : resultado;
+                    }
+                }
+                return 0;
+            })
+            .slice(paginacao.offset, paginacao.offset + paginacao.pageSize);
+    }
+
+    /**
+     * Erro no formato do mysql2 (code, errno), para que os Services o tratem igual.
+     * @returns {Error}
+     */
+    static erro(code, errno, message) {
+        return Object.assign(new Error(message), { code, errno });
+    }
+
+    #copiarTabelas = () => {
+        return new Map([...this.#tabelas].map(([nome, linhas]) => [nome, structuredClone(linhas)]));
+    };
+};
@@ -0,0 +1,292 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const MysqlDatabase = require("./MysqlDatabase");
+const SqliteDatabase = require("./SqliteDatabase");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelas migrações versionadas do esquema do banco.
+ *
+ * Cada migração é um arquivo em api/database/migrations/<dialeto>/ (mysql ou sqlite, conforme o
+ * banco configurado), numerado pela ordem de aplicação:
+ * - NNN_nome.up.sql e NNN_nome.down.sql (comandos separados por ";"), ou
+ * - NNN_nome.js, exportando { up: async (executor) => {}, down: async (executor) => {} }.
+ *
+ * As migrações aplicadas ficam registradas na tabela schema_migrations (versão, nome,
+ * checksum do "up" e data). Cada migração e o seu registro rodam em uma transação;
+ * no MySQL, porém, comandos DDL (CREATE/ALTER/DROP) fazem commit implícito, então uma
+ * migração com DDL que falhe no meio pode precisar ser corrigida à mão.
+ *
+ * @example
+ * const migrador = new Migrador(database);
+ * await migrador.migrar();              // aplica as pendentes
+ * await migrador.reverter({ passos: 1 }); // desfaz a última
+ * await migrador.status();              // [{ versao, nome, situacao, aplicadaEm }]
+ */
+module.exports = class Migrador {
+    static PASTA_PADRAO = path.join(__dirname, "migrations");
+
+    static #SQL_TABELA_CONTROLE = `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            versao INT UNSIGNED NOT NULL,
+            nome VARCHAR(128) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            aplicadaEm DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (versao)
+        ) ENGINE = InnoDB;`;
+
+    #database;
+    #pasta;
+
+    /**
+     * @param {MysqlDatabase|SqliteDatabase} databaseInstance - Banco onde as migrações são aplicadas.
+     * @param {string} [pasta] - Pasta com os arquivos de migração (padrão: PASTA_PADRAO/<dialeto do banco>).
+     */
+    constructor(databaseInstance, pasta = path.join(Migrador.PASTA_PADRAO, databaseInstance.dialeto)) {
+        Logger.debug("⬆️  Migrador.constructor()");
+        this.#database = databaseInstance;
+        this.#pasta = pasta;
+    }
+
+    /**
+     * Lê as migrações da pasta, em ordem crescente de versão.
+     *
+     * @returns {Array<{versao: number, nome: string, checksum: string, up: Function, down: Function|null}>}
+     * @throws {Error} Se houver versões repetidas ou uma migração sem o arquivo "up".
+     */
+    listar = () => {
+        const migracoes = new Map();
+
+        for (const arquivo of fs.readdirSync(this.#pasta).sort()) {
+            const partes = /^(\d+)_(.+?)(\.up\.sql|\.down\.sql|\.js)$/.exec(arquivo);
+            if (!partes) {
+                continue;
+            }
+
+            const [, numero, nome, tipo] = partes;
+            const versao = Number(numero);
+            const caminho = path.join(this.#pasta, arquivo);
+
+            const migracao = migracoes.get(versao) ?? { versao, nome, checksum: null, up: null, down: null, js: false };
+            const repetida = migracao.nome !== nome || (tipo === ".js" ? migracoes.has(versao) : migracao.js);
+            if (repetida) {
+                throw new Error(`Migração ${versao} definida em mais de um arquivo (${arquivo})`);
+            }
+
+            if (tipo === ".js") {
+                const modulo = require(caminho);
+                migracao.js = true;
+                migracao.up = (executor) => modulo.up(executor);
+                migracao.down = modulo.down ? (executor) => modulo.down(executor) : null;
+                migracao.checksum = this.#checksum(fs.readFileSync(caminho, "utf8"));
+            } else {
+                const comandos = Migrador.dividirComandos(fs.readFileSync(caminho, "utf8"));
+                const executar = async (executor) => {
+                    for (const comando of comandos) {
+                        await executor.execute(comando);
+                    }
+                };
+
+                if (tipo === ".up.sql") {
+                    migracao.up = executar;
+                    migracao.checksum = this.#checksum(fs.readFileSync(caminho, "utf8"));
+                } else {
+                    migracao.down = executar;
+                }
+            }
+
+            migracoes.set(versao, migracao);
+        }
+
+        for (const migracao of migracoes.values()) {
+            if (!migracao.up) {
+                throw new Error(`Migração ${migracao.versao}_${migracao.nome} não tem o arquivo .up.sql`);
+            }
+        }
+
+        return [...migracoes.values()].sort((a, b) => a.versao - b.versao);
+    };
+
+    /**
+     * Situação de cada migração: "aplicada", "pendente", "alterada" (o arquivo mudou depois de
+     * aplicado) ou "ausente" (registrada no banco, mas o arquivo não existe mais).
+     *
+     * @returns {Promise<Array<{versao: number, nome: string, situacao: string, aplicadaEm: Date|null}>>}
+     */
+    status = async () => {
+        Logger.debug("🟣 Migrador.status()");
+
+        const aplicadas = await this.#aplicadas();
+        const situacoes = this.listar().map(migracao => {
+            const registro = aplicadas.get(migracao.versao);
+            let situacao = "pendente";
+            if (registro) {
+                situacao = registro.checksum === migracao.checksum ? "aplicada" : "alterada";
+            }
+            return { versao: migracao.versao, nome: migracao.nome, situacao, aplicadaEm: registro?.aplicadaEm ?? null };
+        });
+
+        for (const registro of aplicadas.values()) {
+            if (!situacoes.some(migracao => migracao.versao === registro.versao)) {
+                situacoes.push({ versao: registro.versao, nome: registro.nome, situacao: "ausente", aplicadaEm: registro.aplicadaEm });
+            }
+        }
+
+        return situacoes.sort((a, b) => a.versao - b.versao);
+    };
+
+    /**
+     * Aplica, em ordem, as migrações pendentes (até a versão informada, se houver).
+     *
+     * @param {Object} [opcoes]
+     * @param {number} [opcoes.ate] - Última versão a aplicar.
+     * @returns {Promise<Array<{versao: number, nome: string}>>} Migrações aplicadas agora.
+     */
+    migrar = async ({ ate = Infinity } = {}) => {
+        Logger.debug("🟣 Migrador.migrar()");
+
+        const aplicadas = await this.#aplicadas();
+        const pendentes = this.listar().filter(migracao => !aplicadas.has(migracao.versao) && migracao.versao <= ate);
+
+        for (const migracao of pendentes) {
+            Logger.info(`⬆️  Aplicando migração ${this.#rotulo(migracao)}`);
+
+            await this.#database.transaction(async (executor) => {
+                await migracao.up(executor);
+                await executor.execute(
+                    "INSERT INTO schema_migrations (versao, nome, checksum) VALUES (?, ?, ?);",
+                    [migracao.versao, migracao.nome, migracao.checksum]
+                );
+            });
+        }
+
+        return pendentes.map(({ versao, nome }) => ({ versao, nome }));
+    };
+
+    /**
+     * Desfaz as últimas migrações aplicadas, da mais nova para a mais antiga.
+     *
+     * @param {Object} [opcoes]
+     * @param {number} [opcoes.passos=1] - Quantas migrações desfazer.
+     * @returns {Promise<Array<{versao: number, nome: string}>>} Migrações desfeitas.
+     * @throws {Error} Se uma das migrações não tiver "down" ou o arquivo não existir mais.
+     */
+    reverter = async ({ passos = 1 } = {}) => {
+        Logger.debug("🟣 Migrador.reverter()");
+
+        const migracoes = new Map(this.listar().map(migracao => [migracao.versao, migracao]));
+        const aplicadas = [...(await this.#aplicadas()).values()]
+            .sort((a, b) => b.versao - a.versao)
+            .slice(0, passos);
+
+        for (const registro of aplicadas) {
+            const migracao = migracoes.get(registro.versao);
+            if (!migracao || !migracao.down) {
+                throw new Error(`A migração ${registro.versao}_${registro.nome} não pode ser desfeita (arquivo "down" não encontrado)`);
+            }
+        }
+
+        for (const registro of aplicadas) {
+            const migracao = migracoes.get(registro.versao);
+            Logger.info(`⬇️  Desfazendo migração ${this.#rotulo(migracao)}`);
+
+            await this.#database.transaction(async (executor) => {
+                await migracao.down(executor);
+                await executor.execute("DELETE FROM schema_migrations WHERE versao = ?;", [migracao.versao]);
+            });
+        }
+
+        return aplicadas.map(({ versao, nome }) => ({ versao, nome }));
+    };
+
+    /**
+     * Marca migrações como aplicadas sem executá-las.
+     * Usado em bancos criados antes das migrações pelo antigo docs/Banco.sql, que têm o esquema da
+     * versão 1: baseline({ ate: 1 }) e depois migrar() para as demais.
+     *
+     * @param {Object} [opcoes]
+     * @param {number} [opcoes.ate] - Última versão a marcar (padrão: todas).
+     * @returns {Promise<Array<{versao: number, nome: string}>>} Migrações marcadas.
+     */
+    baseline = async ({ ate = Infinity } = {}) => {
+        Logger.debug("🟣 Migrador.baseline()");
+
+        const aplicadas = await this.#aplicadas();
+        const marcadas = this.listar().filter(migracao => !aplicadas.has(migracao.versao) && migracao.versao <= ate);
+
+        const executor = await this.#database.getExecutor();
+        for (const migracao of marcadas) {
+            await executor.execute(
+                "INSERT INTO schema_migrations (versao, nome, checksum) VALUES (?, ?, ?);",
+                [migracao.versao, migracao.nome, migracao.checksum]
+            );
+        }
+
+        return marcadas.map(({ versao, nome }) => ({ versao, nome }));
+    };
+
+    /**
+     * Divide um script SQL em comandos, separando por ";" fora de strings, identificadores e comentários.
+     * Comentários de linha (--) e de bloco são descartados.
+     *
+     * @param {string} sql
+     * @returns {string[]}
+     */
+    static dividirComandos(sql) {
+        const comandos = [];
+        let atual = "";
+        let aspas = null;
+
+        for (let i = 0; i < sql.length; i++) {
+            const caractere = sql[i];
+
+            if (aspas) {
+                atual += caractere;
+                if (caractere === "\\" && aspas !== "`") {
+                    atual += sql[++i] ?? "";
+                } else if (caractere === aspas) {
+                    aspas = null;
+                }
+            } else if (caractere === "-" && sql[i + 1] === "-") {
+                i = sql.indexOf("\n", i);
+                if (i === -1) break;
+                atual += "\n";
+            } else if (caractere === "/" && sql[i + 1] === "*") {
+                i = sql.indexOf("*/", i + 2) + 1;
+                if (i === 0) break;
+            } else if (caractere === ";") {
+                comandos.push(atual.trim());
+                atual = "";
+            } else {
+                if (caractere === "'" || caractere === '"' || caractere === "`") {
+                    aspas = caractere;
+                }
+                atual += caractere;
+            }
+        }
+        comandos.push(atual.trim());
+
+        return comandos.filter(comando => comando !== "");
+    }
+
+    /**
+     * Cria a tabela de controle (se preciso) e devolve as migrações já aplicadas.
+     * @returns {Promise<Map<number, {versao: number, nome: string, checksum: string, aplicadaEm: Date}>>}
+     */
+    #aplicadas = async () => {
+        const executor = await this.#database.getExecutor();
+        await executor.execute(Migrador.#SQL_TABELA_CONTROLE);
+
+        const [rows] = await executor.execute("SELECT versao, nome, checksum, aplicadaEm FROM schema_migrations ORDER BY versao;");
+        return new Map(rows.map(row => [Number(row.versao), { ...row, versao: Number(row.versao) }]));
+    };
+
+    #checksum = (conteudo) => {
+        return crypto.createHash("sha256").update(conteudo.replace(/\r\n/g, "\n")).digest("hex");
+    };
+
+    #rotulo = (migracao) => {
+        return `${String(migracao.versao).padStart(3, "0")}_${migracao.nome}`;
+    };
+};
@@ -1,4 +1,7 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const mysql = require("mysql2/promise");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável por gerenciar a conexão com o banco MySQL.
@@ -6,11 +9,44 @@ const mysql = require("mysql2/promise");
  * - Suporta passagem de dados de conexão e configurações do pool via construtor.
  * - Usa atributos privados para segurança.
  * - Mantém um pool estático (singleton), compartilhado entre todas as instâncias.
+ * - Na inicialização, tenta conectar várias vezes com backoff exponencial antes de desistir.
+ * - Com o servidor no ar, quedas do banco não derrubam o processo: são registradas em log e
+ *   as consultas falham com ErrorResponse 503 (o pool reconecta sozinho quando o banco volta).
+ * - Oferece transações (unidade de trabalho) com commit/rollback automáticos: dentro de
+ *   transaction(), todo DAO que usa getExecutor() executa na mesma conexão e na mesma transação.
+ *
+ * @example
+ * // Service: várias chamadas de DAO em uma única unidade de trabalho
+ * await database.transaction(async () => {
+ *     await funcionarioDAO.desativar(funcionario, idAutor);
+ *     await tokenService.revogarTodos(funcionario.idFuncionario);
+ * }); // commit se o callback terminar; rollback se lançar erro
+ *
+ * // DAO: usa a transação em andamento, se houver, ou o pool
+ * const executor = await this.#database.getExecutor();
+ * const [rows] = await executor.execute(SQL, params);
  */
 module.exports = class MysqlDatabase {
+    /**
+     * Códigos de erro do driver/sistema que indicam banco inacessível (e não erro na consulta).
+     */
+    static ERROS_CONEXAO = [
+        "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "EHOSTUNREACH", "ENOTFOUND", "EPIPE",
+        "PROTOCOL_CONNECTION_LOST", "PROTOCOL_SEQUENCE_TIMEOUT", "ER_CON_COUNT_ERROR", "ER_SERVER_SHUTDOWN"
+    ];
+
     // Pool compartilhado (singleton)
     static #pool;
 
+    // Conexão inicial em andamento (chamadas simultâneas de connect() aguardam a mesma tentativa)
+    static #conectando;
+
+    // Executor da transação em andamento no fluxo assíncrono atual (um por requisição)
+    static #transacaoAtual = new AsyncLocalStorage();
+
+    // Filas internas do pool do mysql2 que já geraram aviso por não existirem (um aviso por fila)
+    static #filasAusentes = new Set();
+
     // Atributos privados de configuração
     #host;
     #user;
@@ -20,6 +56,9 @@ module.exports = class MysqlDatabase {
     #waitForConnections;
     #connectionLimit;
     #queueLimit;
+    #tentativasConexao;
+    #intervaloInicial;
+    #intervaloMaximo;
 
     /**
      * Construtor recebe dados de conexão e do pool.
@@ -27,7 +66,10 @@ module.exports = class MysqlDatabase {
      * Exemplo:
      * {
      *   host, user, password, database, port,
-     *   waitForConnections, connectionLimit, queueLimit
+     *   waitForConnections, connectionLimit, queueLimit,
+     *   tentativasConexao,   // tentativas na inicialização (padrão 5)
+     *   intervaloInicial,    // ms de espera após a 1ª falha; dobra a cada nova falha (padrão 1000)
+     *   intervaloMaximo      // ms: espera máxima entre tentativas (padrão 30000)
      * }
      */
     constructor(config = {}) {
@@ -39,36 +81,39 @@ module.exports = class MysqlDatabase {
         this.#waitForConnections = config.waitForConnections ?? true;
         this.#connectionLimit = config.connectionLimit || 10;
         this.#queueLimit = config.queueLimit || 10;
+        this.#tentativasConexao = config.tentativasConexao || 5;
+        this.#intervaloInicial = config.intervaloInicial ?? 1000;
+        this.#intervaloMaximo = config.intervaloMaximo ?? 30000;
+    }
+
+    /**
+     * Dialeto do SQL das migrações (pasta api/database/migrations/mysql).
+     * @returns {string}
+     */
+    get dialeto() {
+        return "mysql";
     }
 
     /**
      * Cria e retorna o pool de conexões MySQL.
      * Se o pool já existir, reutiliza o mesmo (singleton).
+     *
+     * A primeira conexão é testada: se falhar, tenta de novo até tentativasConexao vezes,
+     * esperando intervaloInicial, 2x, 4x... (limitado a intervaloMaximo) entre as tentativas.
+     *
      * @returns {Promise<Pool>} Pool de conexões MySQL.
+     * @throws {ErrorResponse} 503 se o banco não responder em nenhuma das tentativas.
      */
     async connect() {
-        if (!MysqlDatabase.#pool) {
-            MysqlDatabase.#pool = mysql.createPool({
-                host: this.#host,
-                user: this.#user,
-                password: this.#password,
-                database: this.#database,
-                port: this.#port,
-                waitForConnections: this.#waitForConnections,
-                connectionLimit: this.#connectionLimit,
-                queueLimit: this.#queueLimit
-            });
+        if (MysqlDatabase.#pool) {
+            return MysqlDatabase.#pool;
+        }
 
-            try {
-                const connection = await MysqlDatabase.#pool.getConnection();
-                console.log("⬆️  Conectado ao MySQL com sucesso!");
-                connection.release();
-            } catch (error) {
-                console.error("❌ Falha ao conectar ao MySQL:", error.message);
-                process.exit(1);
-            }
+        if (!MysqlDatabase.#conectando) {
+            MysqlDatabase.#conectando = this.#conectarComRetry()
+                .finally(() => { MysqlDatabase.#conectando = undefined; });
         }
-        return MysqlDatabase.#pool;
+        return MysqlDatabase.#conectando;
     }
 
     /**
@@ -78,4 +123,257 @@ module.exports = class MysqlDatabase {
     async getPool() {
         return await this.connect();
     }
+
+    /**
+     * Cria o banco de dados configurado, se ainda não existir (usado antes das migrações).
+     * Conecta sem selecionar banco, pois o pool falharia com ER_BAD_DB_ERROR.
+     * @returns {Promise<void>}
+     */
+    async criarBanco() {
+        const connection = await mysql.createConnection({
+            host: this.#host,
+            user: this.#user,
+            password: this.#password,
+            port: this.#port
+        });
+
+        try {
+            await connection.query(`CREATE DATABASE IF NOT EXISTS \`${this.#database}\` DEFAULT CHARACTER SET utf8;`);
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Fecha o pool compartilhado (as conexões em uso terminam antes).
+     * Uma nova chamada a connect() cria outro pool.
+     * @returns {Promise<void>}
+     */
+    async encerrar() {
+        const pool = MysqlDatabase.#pool;
+        MysqlDatabase.#pool = undefined;
+
+        if (pool) {
+            await pool.end();
+            Logger.info("⬇️  Pool do MySQL encerrado");
+        }
+    }
+
+    /**
+     * Verifica se o banco responde (GET /health/ready), executando SELECT 1 no pool.
+     * Não cria o pool nem tenta de novo: antes de connect() ou depois de encerrar() falha na hora.
+     *
+     * @returns {Promise<void>}
+     * @throws {ErrorResponse} 503 se o pool não existir ou o banco não responder.
+     */
+    async ping() {
+        const pool = MysqlDatabase.#pool;
+        if (!pool) {
+            throw new ErrorResponse(503, "Banco de dados indisponível", { message: "O pool do MySQL não está conectado" });
+        }
+
+        await pool.query("SELECT 1").catch(this.#traduzirErro);
+    }
+
+    /**
+     * Situação do pool, para as métricas (GET /metrics).
+     * O mysql2 não tem API pública para isso: os números vêm das filas internas do pool
+     * (_allConnections, _freeConnections e _connectionQueue). Os eventos públicos do pool não bastam:
+     * não há evento quando um pedido sai da fila nem quando uma conexão ociosa é fechada.
+     * Se uma versão do mysql2 mudar essas filas, o número correspondente fica undefined e a métrica
+     * é omitida (com um aviso no log), em vez de quebrar a coleta ou exportar um valor errado.
+     *
+     * @returns {{ativas: number|undefined, ociosas: number|undefined, naFila: number|undefined,
+     *          limiteConexoes: number, limiteFila: number}|null}
+     *          ativas = conexões emprestadas, ociosas = abertas e livres, naFila = pedidos esperando conexão;
+     *          null antes de connect().
+     */
+    estatisticasPool() {
+        const pool = MysqlDatabase.#pool?.pool;
+        if (!pool) {
+            return null;
+        }
+
+        const abertas = MysqlDatabase.#tamanhoFila(pool, "_allConnections");
+        const ociosas = MysqlDatabase.#tamanhoFila(pool, "_freeConnections");
+        return {
+            ativas: abertas === undefined || ociosas === undefined ? undefined : abertas - ociosas,
+            ociosas,
+            naFila: MysqlDatabase.#tamanhoFila(pool, "_connectionQueue"),
+            limiteConexoes: this.#connectionLimit,
+            limiteFila: this.#queueLimit
+        };
+    }
+
+    /**
+     * Tamanho de uma fila interna do pool do mysql2, ou undefined se ela não existir nesta versão.
+     * @param {object} pool - Pool (callback) do mysql2.
+     * @param {string} campo - Nome do campo interno.
+     * @returns {number|undefined}
+     */
+    static #tamanhoFila(pool, campo) {
+        const tamanho = pool[campo]?.length;
+        if (Number.isInteger(tamanho)) {
+            return tamanho;
+        }
+
+        if (!MysqlDatabase.#filasAusentes.has(campo)) {
+            MysqlDatabase.#filasAusentes.add(campo);
+            Logger.warn(`⚠️  Pool do mysql2 sem ${campo}: a métrica correspondente do pool será omitida`);
+        }
+        return undefined;
+    }
+
+    /**
+     * Retorna onde os DAOs devem executar o SQL: o executor da transação em andamento
+     * (se a chamada estiver dentro de transaction()) ou o próprio pool.
+     * Os dois têm o mesmo método execute(sql, params); falhas de conexão viram ErrorResponse 503.
+     *
+     * @returns {Promise<{execute: Function}>}
+     */
+    async getExecutor() {
+        const executorAtual = MysqlDatabase.#transacaoAtual.getStore();
+        if (executorAtual) {
+            return executorAtual;
+        }
+
+        const pool = await this.getPool();
+        return Object.freeze({
+            execute: (sql, params) => pool.execute(sql, params).catch(this.#traduzirErro)
+        });
+    }
+
+    /**
+     * Indica se a chamada atual está dentro de uma transação.
+     * @returns {boolean}
+     */
+    emTransacao() {
+        return MysqlDatabase.#transacaoAtual.getStore() !== undefined;
+    }
+
+    /**
+     * Executa o callback em uma transação (unidade de trabalho).
+     *
+     * - Obtém uma conexão do pool, inicia a transação e entrega ao callback um executor
+     *   ligado a essa conexão (apenas execute(); commit/rollback/release ficam a cargo desta classe).
+     * - O executor também é devolvido por getExecutor() em qualquer DAO chamado dentro do callback.
+     * - Commit se o callback terminar; rollback (e o erro é relançado) se ele lançar erro.
+     * - Chamadas aninhadas participam da transação externa: quem abriu a transação é quem faz
+     *   o commit ou o rollback. Um erro capturado dentro do callback não desfaz nada sozinho.
+     *
+     * @param {Function} callback - async (executor) => resultado
+     * @returns {Promise<*>} O valor retornado pelo callback.
+     */
+    async transaction(callback) {
+        const executorAtual = MysqlDatabase.#transacaoAtual.getStore();
+        if (executorAtual) {
+            return callback(executorAtual);
+        }
+
+        const pool = await this.getPool();
+        const connection = await pool.getConnection().catch(this.#traduzirErro);
+
+        const executor = Object.freeze({
+            execute: (sql, params) => connection.execute(sql, params).catch(this.#traduzirErro)
+        });
+
+        try {
+            await connection.beginTransaction().catch(this.#traduzirErro);
+            const resultado = await MysqlDatabase.#transacaoAtual.run(executor, () => callback(executor));
+            await connection.commit().catch(this.#traduzirErro);
+            return resultado;
+        } catch (error) {
+            try {
+                await connection.rollback();
+            } catch (erroRollback) {
+                Logger.error("❌ Falha no rollback", erroRollback);
+            }
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Indica se o erro significa que o banco está inacessível (queda, rede, limite de conexões).
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static ehErroDeConexao(error) {
+        return Boolean(error) && (MysqlDatabase.ERROS_CONEXAO.includes(error.code) || error.fatal === true);
+    }
+
+    /**
+     * Cria o pool e testa a primeira conexão, repetindo com backoff exponencial.
+     * @returns {Promise<Pool>}
+     */
+    #conectarComRetry = async () => {
+        const pool = mysql.createPool({
+            host: this.#host,
+            user: this.#user,
+            password: this.#password,
+            database: this.#database,
+            port: this.#port,
+            waitForConnections: this.#waitForConnections,
+            connectionLimit: this.#connectionLimit,
+            queueLimit: this.#queueLimit
+        });
+
+        // Sem um ouvinte de "error", a queda de uma conexão ociosa encerraria o processo
+        pool.on("connection", (connection) => {
+            connection.on("error", (error) => this.#registrarErroConexao(error));
+        });
+
+        let espera = this.#intervaloInicial;
+
+        for (let tentativa = 1; tentativa <= this.#tentativasConexao; tentativa++) {
+            try {
+                const connection = await pool.getConnection();
+                connection.release();
+                Logger.info("⬆️  Conectado ao MySQL com sucesso!", { host: this.#host, database: this.#database });
+
+                MysqlDatabase.#pool = pool;
+                return pool;
+            } catch (error) {
+                Logger.warn(`❌ Falha ao conectar ao MySQL (tentativa ${tentativa}/${this.#tentativasConexao})`, { code: error.code, erro: error.message });
+
+                if (tentativa < this.#tentativasConexao) {
+                    await new Promise(resolve => setTimeout(resolve, espera));
+                    espera = Math.min(espera * 2, this.#intervaloMaximo);
+                } else {
+                    this.#registrarErroConexao(error);
+                }
+            }
+        }
+
+        await pool.end().catch(() => {});
+        throw new ErrorResponse(503, "Banco de dados indisponível", {
+            message: `Não foi possível conectar ao MySQL em ${this.#host}:${this.#port} após ${this.#tentativasConexao} tentativas`
+        });
+    };
+
+    /**
+     * Converte falhas de conexão em ErrorResponse 503; outros erros (SQL, constraints) seguem intactos.
+     * @param {Error} error
+     * @throws {ErrorResponse|Error}
+     */
+    #traduzirErro = (error) => {
+        if (!MysqlDatabase.ehErroDeConexao(error)) {
+            throw error;
+        }
+
+        this.#registrarErroConexao(error);
+        throw new ErrorResponse(503, "Banco de dados indisponível", {
+            message: "Não foi possível acessar o banco de dados. Tente novamente em instantes",
+            code: error.code
+        });
+    };
+
+    /**
+     * Registra no log uma falha de conexão com o banco.
+     * @param {Error} error
+     */
+    #registrarErroConexao = (error) => {
+        Logger.error("❌ Erro de conexão com o MySQL", error);
+    };
 };
@@ -0,0 +1,340 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const fs = require("fs");
+const path = require("path");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelo banco SQLite (arquivo ou memória), alternativa ao MysqlDatabase
+ * para desenvolvimento local e testes automatizados, sem servidor de banco.
+ *
+ * - Mesma interface do MysqlDatabase: connect(), getExecutor(), transaction(), emTransacao(),
+ *   criarBanco() e encerrar(); os DAOs não sabem qual dos dois estão usando.
+ * - Os DAOs continuam escrevendo SQL no dialeto do MySQL: traduzir() adapta o que difere
+ *   (NOW(), FOR UPDATE, INSERT IGNORE, ON DUPLICATE KEY UPDATE, DATE_ADD/DATE_SUB, LIKE com "\").
+ * - Os resultados têm o formato do mysql2: [rows] em consultas e [{ insertId, affectedRows }]
+ *   em alterações; erros de constraint recebem o código equivalente do MySQL (ex: ER_DUP_ENTRY).
+ * - Datas são gravadas como texto ISO 8601 em UTC e lidas de volta como Date.
+ * - Há uma única conexão por instância: transações e consultas avulsas são executadas uma de
+ *   cada vez, em fila, para que uma consulta avulsa nunca caia dentro da transação de outra requisição.
+ * - Com arquivo ":memory:", cada instância tem o seu próprio banco, que some ao encerrar().
+ *
+ * Requer o pacote better-sqlite3 (dependência opcional, carregada apenas quando este banco é usado).
+ *
+ * @example
+ * const database = new SqliteDatabase({ arquivo: ":memory:" });
+ * await database.connect();
+ * const executor = await database.getExecutor();
+ * const [rows] = await executor.execute("SELECT * FROM cargo WHERE idCargo = ?;", [1]);
+ */
+module.exports = class SqliteDatabase {
+    /**
+     * Códigos de erro do SQLite → código equivalente do mysql2 (usado pelos Services).
+     */
+    static ERROS_MYSQL = {
+        SQLITE_CONSTRAINT_UNIQUE: "ER_DUP_ENTRY",
+        SQLITE_CONSTRAINT_PRIMARYKEY: "ER_DUP_ENTRY",
+        SQLITE_CONSTRAINT_NOTNULL: "ER_BAD_NULL_ERROR",
+    };
+
+    /**
+     * Códigos de erro que indicam banco inacessível (e não erro na consulta).
+     */
+    static ERROS_CONEXAO = ["SQLITE_CANTOPEN", "SQLITE_BUSY", "SQLITE_LOCKED", "SQLITE_IOERR", "SQLITE_FULL", "SQLITE_READONLY"];
+
+    // Formato em que as datas são gravadas (o mesmo de Date.toISOString())
+    static #AGORA = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+    static #DATA_ISO = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+    // Executor da transação em andamento no fluxo assíncrono atual (um por requisição)
+    static #transacaoAtual = new AsyncLocalStorage();
+
+    #arquivo;
+    #conexao;
+
+    // Fim da última operação enfileirada (transação ou consulta avulsa)
+    #fila = Promise.resolve();
+
+    /**
+     * @param {object} config - Objeto de configuração.
+     * Exemplo:
+     * {
+     *   arquivo   // caminho do arquivo do banco ou ":memory:" (padrão ":memory:")
+     * }
+     */
+    constructor(config = {}) {
+        this.#arquivo = config.arquivo || ":memory:";
+    }
+
+    /**
+     * Dialeto do SQL das migrações (pasta api/database/migrations/sqlite).
+     * @returns {string}
+     */
+    get dialeto() {
+        return "sqlite";
+    }
+
+    /**
+     * Abre o banco (se ainda não estiver aberto, criando a pasta do arquivo) e liga as chaves estrangeiras.
+     *
+     * @returns {Promise<Object>} Conexão do better-sqlite3.
+     * @throws {ErrorResponse} 503 se o arquivo não puder ser aberto.
+     */
+    async connect() {
+        if (this.#conexao) {
+            return this.#conexao;
+        }
+
+        // Carregado aqui para que quem usa MySQL não precise instalar o better-sqlite3
+        const BetterSqlite3 = require("better-sqlite3");
+
+        try {
+            await this.criarBanco();
+            const conexao = new BetterSqlite3(this.#arquivo, { timeout: 5000 });
+            conexao.pragma("foreign_keys = ON");
+            if (this.#arquivo !== ":memory:") {
+                conexao.pragma("journal_mode = WAL");
+            }
+
+            this.#conexao = conexao;
+            Logger.info(`⬆️  Conectado ao SQLite com sucesso! (${this.#arquivo})`);
+            return conexao;
+        } catch (error) {
+            this.#registrarErroConexao(error);
+            throw new ErrorResponse(503, "Banco de dados indisponível", {
+                message: `Não foi possível abrir o banco SQLite ${this.#arquivo}: ${error.message}`
+            });
+        }
+    }
+
+    /**
+     * Cria a pasta do arquivo do banco, se ainda não existir (usado antes das migrações).
+     * O arquivo em si é criado pelo SQLite na primeira conexão.
+     * @returns {Promise<void>}
+     */
+    async criarBanco() {
+        if (this.#arquivo !== ":memory:") {
+            fs.mkdirSync(path.dirname(path.resolve(this.#arquivo)), { recursive: true });
+        }
+    }
+
+    /**
+     * Fecha o banco, esperando as operações em andamento. Uma nova chamada a connect() abre outra conexão
+     * (com ":memory:", um banco novo e vazio).
+     * @returns {Promise<void>}
+     */
+    async encerrar() {
+        await this.#fila;
+
+        const conexao = this.#conexao;
+        this.#conexao = undefined;
+
+        if (conexao) {
+            conexao.close();
+            Logger.info("⬇️  Conexão com o SQLite encerrada");
+        }
+    }
+
+    /**
+     * Verifica se o banco responde (GET /health/ready), executando SELECT 1 na vez da fila.
+     * @returns {Promise<void>}
+     * @throws {ErrorResponse} 503 se a conexão estiver fechada.
+     */
+    async ping() {
+        if (!this.#conexao) {
+            throw new ErrorResponse(503, "Banco de dados indisponível", { message: "A conexão com o SQLite não está aberta" });
+        }
+
+        const executor = await this.getExecutor();
+        await executor.execute("SELECT 1");
+    }
+
+    /**
+     * Mantém a interface do MysqlDatabase: há uma única conexão, sem pool para medir.
+     * @returns {null}
+     */
+    estatisticasPool() {
+        return null;
+    }
+
+    /**
+     * Retorna onde os DAOs devem executar o SQL: o executor da transação em andamento
+     * (se a chamada estiver dentro de transaction()) ou um executor que espera a vez na fila.
+     *
+     * @returns {Promise<{execute: Function}>}
+     */
+    async getExecutor() {
+        const executorAtual = SqliteDatabase.#transacaoAtual.getStore();
+        if (executorAtual) {
+            return executorAtual;
+        }
+
+        const conexao = await this.connect();
+        return Object.freeze({
+            execute: (sql, params) => this.#enfileirar(async () => this.#executar(conexao, sql, params))
+        });
+    }
+
+    /**
+     * Indica se a chamada atual está dentro de uma transação.
+     * @returns {boolean}
+     */
+    emTransacao() {
+        return SqliteDatabase.#transacaoAtual.getStore() !== undefined;
+    }
+
+    /**
+     * Executa o callback em uma transação (unidade de trabalho), com as mesmas regras do
+     * MysqlDatabase: commit se o callback terminar, rollback se lançar erro, e chamadas
+     * aninhadas participam da transação externa.
+     *
+     * @param {Function} callback - async (executor) => resultado
+     * @returns {Promise<*>} O valor retornado pelo callback.
+     */
+    async transaction(callback) {
+        const executorAtual = SqliteDatabase.#transacaoAtual.getStore();
+        if (executorAtual) {
+            return callback(executorAtual);
+        }
+
+        const conexao = await this.connect();
+
+        return this.#enfileirar(async () => {
+            const executor = Object.freeze({
+                execute: async (sql, params) => this.#executar(conexao, sql, params)
+            });
+
+            // IMMEDIATE: reserva a escrita já no início, como o FOR UPDATE dos DAOs espera
+            this.#executar(conexao, "BEGIN IMMEDIATE;");
+            try {
+                const resultado = await SqliteDatabase.#transacaoAtual.run(executor, () => callback(executor));
+                this.#executar(conexao, "COMMIT;");
+                return resultado;
+            } catch (error) {
+                try {
+                    if (conexao.inTransaction) {
+                        conexao.exec("ROLLBACK;");
+                    }
+                } catch (erroRollback) {
+                    Logger.error("❌ Falha no rollback", erroRollback);
+                }
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Adapta ao SQLite o SQL escrito para o MySQL.
+     *
+     * @param {string} sql - Comando no dialeto do MySQL.
+     * @returns {string} Comando equivalente no SQLite.
+     */
+    static traduzir(sql) {
+        let [comando, atualizacao] = sql.split(/\bON\s+DUPLICATE\s+KEY\s+UPDATE\b/i);
+
+        comando = comando
+            .replace(/\bDATE_(ADD|SUB)\(\s*([\w.]+|NOW\(\))\s*,\s*INTERVAL\s+(\?|\d+)\s+SECOND\s*\)/gi,
+                (_, operacao, data, segundos) =>
+                    `strftime('%Y-%m-%dT%H:%M:%fZ', ${data}, '${operacao.toUpperCase() === "ADD" ? "+" : "-"}' || ${segundos} || ' seconds')`)
+            .replace(/\bNOW\(\)/gi, SqliteDatabase.#AGORA)
+            .replace(/\bINSERT\s+IGNORE\b/gi, "INSERT OR IGNORE")
+            .replace(/\s+FOR\s+UPDATE\b/gi, "")
+            .replace(/\bLIKE\s+\?(?!\s*ESCAPE)/gi, "LIKE ? ESCAPE '\\'")
+            .replace(/\)\s*ENGINE\s*=\s*\w+/gi, ")");
+
+        if (atualizacao !== undefined) {
+            // Sem alvo do conflito: vale para qualquer chave única, como no MySQL
+            comando += "ON CONFLICT DO UPDATE SET" + atualizacao.replace(/\bVALUES\((\w+)\)/gi, "excluded.$1");
+        }
+
+        return comando;
+    }
+
+    /**
+     * Coloca a operação na fila: ela só começa quando a anterior terminar.
+     * @param {Function} operacao - async () => resultado
+     * @returns {Promise<*>}
+     */
+    #enfileirar = (operacao) => {
+        const resultado = this.#fila.then(operacao);
+        this.#fila = resultado.catch(() => {});
+        return resultado;
+    };
+
+    /**
+     * Executa um comando e devolve o resultado no formato do mysql2.
+     * @returns {Array} [rows] ou [{ insertId, affectedRows }]
+     */
+    #executar = (conexao, sql, params = []) => {
+        try {
+            const comando = conexao.prepare(SqliteDatabase.traduzir(sql));
+            const valores = params.map(valor => this.#paraSqlite(valor));
+
+            if (comando.reader) {
+                return [comando.all(valores).map(row => this.#linha(row))];
+            }
+
+            const { changes, lastInsertRowid } = comando.run(valores);
+            return [{ insertId: Number(lastInsertRowid), affectedRows: changes }];
+        } catch (error) {
+            throw this.#traduzirErro(error, sql);
+        }
+    };
+
+    /**
+     * O better-sqlite3 não aceita Date nem boolean: datas viram texto ISO (UTC) e booleanos 1/0.
+     */
+    #paraSqlite = (valor) => {
+        if (valor instanceof Date) {
+            return valor.toISOString();
+        }
+        if (typeof valor === "boolean") {
+            return valor ? 1 : 0;
+        }
+        return valor ?? null;
+    };
+
+    /**
+     * Converte de volta para Date as colunas gravadas como data ISO.
+     */
+    #linha = (row) => {
+        for (const [coluna, valor] of Object.entries(row)) {
+            if (typeof valor === "string" && SqliteDatabase.#DATA_ISO.test(valor)) {
+                row[coluna] = new Date(valor);
+            }
+        }
+        return row;
+    };
+
+    /**
+     * Dá aos erros do SQLite o código equivalente do MySQL; falhas de acesso ao arquivo viram ErrorResponse 503.
+     * @param {Error} error
+     * @param {string} sql - Comando que falhou (a violação de FK em um DELETE tem outro código no MySQL).
+     * @returns {Error}
+     */
+    #traduzirErro = (error, sql) => {
+        if (SqliteDatabase.ERROS_CONEXAO.some(codigo => error.code?.startsWith(codigo))) {
+            this.#registrarErroConexao(error);
+            return new ErrorResponse(503, "Banco de dados indisponível", {
+                message: "Não foi possível acessar o banco de dados. Tente novamente em instantes",
+                code: error.code
+            });
+        }
+
+        error.sqliteCode = error.code;
+        if (error.code === "SQLITE_CONSTRAINT_FOREIGNKEY") {
+            error.code = /^\s*DELETE\b/i.test(sql) ? "ER_ROW_IS_REFERENCED_2" : "ER_NO_REFERENCED_ROW_2";
+        } else {
+            error.code = SqliteDatabase.ERROS_MYSQL[error.code] ?? error.code;
+        }
+        return error;
+    };
+
+    /**
+     * Registra no log uma falha de acesso ao banco.
+     * @param {Error} error
+     */
+    #registrarErroConexao = (error) => {
+        Logger.error("❌ Erro de acesso ao SQLite", error);
+    };
+};
@@ -1,14 +1,6 @@
-
--- Remove o schema se existir
-DROP SCHEMA IF EXISTS `gestao_rh`;
-
--- Cria o schema novamente
-CREATE SCHEMA IF NOT EXISTS `gestao_rh` DEFAULT CHARACTER SET utf8;
-USE `gestao_rh`;
-
--- Remove tabelas caso existam (ordem importa por causa da FK)
-DROP TABLE IF EXISTS `Funcionario`;
-DROP TABLE IF EXISTS `Cargo`;
+-- Migração 001: esquema inicial (antes em docs/Banco.sql)
+-- Cargos e funcionários, com os cargos e funcionários iniciais. Bancos criados pelo docs/Banco.sql
+-- já estão nesta versão: marque-a com "node migrate.js baseline --to 1" e aplique as seguintes.
 
 -- Criação da tabela Cargo
 CREATE TABLE IF NOT EXISTS `Cargo` (
@@ -50,4 +42,3 @@ VALUES
 ('adm', 'adm@adm.com', '$2b$12$6ixafy0UKZx.A8ujEEDfnO2QH7IonQ/5/5UCqzQ51YvISdSO4VVle', 1, 1),
 ('adm1', 'adm1@adm.com', '$2b$12$6ixafy0UKZx.A8ujEEDfnO2QH7IonQ/5/5UCqzQ51YvISdSO4VVle', 1, 1),
 ('Hélio', 'helioesperidiao@gmail.com', '$2b$12$6ixafy0UKZx.A8ujEEDfnO2QH7IonQ/5/5UCqzQ51YvISdSO4VVle', 1, 1);
-
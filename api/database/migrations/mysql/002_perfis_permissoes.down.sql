@@ -0,0 +1,5 @@
+-- Desfaz a migração 002: remove perfis e permissões (ordem importa por causa das FKs)
+DROP TABLE IF EXISTS `Funcionario_has_Perfil`;
+DROP TABLE IF EXISTS `Perfil_has_Permissao`;
+DROP TABLE IF EXISTS `Permissao`;
+DROP TABLE IF EXISTS `Perfil`;
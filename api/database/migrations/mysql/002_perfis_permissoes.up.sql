@@ -0,0 +1,85 @@
+-- Migração 002: perfis e permissões (autorização por permissão no JWT)
+
+-- Criação da tabela Perfil (o que a pessoa pode fazer no sistema)
+CREATE TABLE IF NOT EXISTS `Perfil` (
+  `idPerfil` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `nomePerfil` VARCHAR(64) NOT NULL,
+  PRIMARY KEY (`idPerfil`),
+  UNIQUE INDEX `nomePerfil_UNIQUE` (`nomePerfil` ASC)
+) ENGINE = InnoDB;
+
+-- Criação da tabela Permissao (códigos verificados nas rotas, ex: cargo:delete)
+CREATE TABLE IF NOT EXISTS `Permissao` (
+  `idPermissao` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `codigo` VARCHAR(64) NOT NULL,
+  `descricao` VARCHAR(128) NULL,
+  PRIMARY KEY (`idPermissao`),
+  UNIQUE INDEX `codigo_UNIQUE` (`codigo` ASC)
+) ENGINE = InnoDB;
+
+-- Relação N:N entre Perfil e Permissao
+CREATE TABLE IF NOT EXISTS `Perfil_has_Permissao` (
+  `Perfil_idPerfil` INT UNSIGNED NOT NULL,
+  `Permissao_idPermissao` INT UNSIGNED NOT NULL,
+  PRIMARY KEY (`Perfil_idPerfil`, `Permissao_idPermissao`),
+  INDEX `fk_Perfil_has_Permissao_Permissao_idx` (`Permissao_idPermissao` ASC),
+  CONSTRAINT `fk_Perfil_has_Permissao_Perfil`
+    FOREIGN KEY (`Perfil_idPerfil`)
+    REFERENCES `Perfil` (`idPerfil`)
+    ON DELETE CASCADE
+    ON UPDATE NO ACTION,
+  CONSTRAINT `fk_Perfil_has_Permissao_Permissao`
+    FOREIGN KEY (`Permissao_idPermissao`)
+    REFERENCES `Permissao` (`idPermissao`)
+    ON DELETE CASCADE
+    ON UPDATE NO ACTION
+) ENGINE = InnoDB;
+
+-- Relação N:N entre Funcionario e Perfil
+CREATE TABLE IF NOT EXISTS `Funcionario_has_Perfil` (
+  `Funcionario_idFuncionario` INT UNSIGNED NOT NULL,
+  `Perfil_idPerfil` INT UNSIGNED NOT NULL,
+  PRIMARY KEY (`Funcionario_idFuncionario`, `Perfil_idPerfil`),
+  INDEX `fk_Funcionario_has_Perfil_Perfil_idx` (`Perfil_idPerfil` ASC),
+  CONSTRAINT `fk_Funcionario_has_Perfil_Funcionario`
+    FOREIGN KEY (`Funcionario_idFuncionario`)
+    REFERENCES `Funcionario` (`idFuncionario`)
+    ON DELETE CASCADE
+    ON UPDATE NO ACTION,
+  CONSTRAINT `fk_Funcionario_has_Perfil_Perfil`
+    FOREIGN KEY (`Perfil_idPerfil`)
+    REFERENCES `Perfil` (`idPerfil`)
+    ON DELETE CASCADE
+    ON UPDATE NO ACTION
+) ENGINE = InnoDB;
+
+-- Inserção de permissões
+INSERT INTO `Permissao` (`idPermissao`, `codigo`, `descricao`) VALUES
+(1, 'cargo:write', 'Criar e alterar cargos'),
+(2, 'cargo:delete', 'Excluir cargos'),
+(3, 'funcionario:write', 'Criar e alterar funcionários'),
+(4, 'funcionario:delete', 'Excluir funcionários'),
+(5, 'perfil:read', 'Consultar perfis e permissões'),
+(6, 'perfil:write', 'Criar e alterar perfis, suas permissões e os perfis dos funcionários'),
+(7, 'perfil:delete', 'Excluir perfis'),
+(8, 'permissao:write', 'Criar e alterar permissões'),
+(9, 'permissao:delete', 'Excluir permissões');
+
+-- Inserção de perfis
+INSERT INTO `Perfil` (`idPerfil`, `nomePerfil`) VALUES
+(1, 'Administrador'),
+(2, 'Gestor de RH'),
+(3, 'Colaborador');
+
+-- Administrador: todas as permissões
+INSERT INTO `Perfil_has_Permissao` (`Perfil_idPerfil`, `Permissao_idPermissao`)
+SELECT 1, `idPermissao` FROM `Permissao`;
+
+-- Gestor de RH: mantém cargos e funcionários, sem exclusões
+INSERT INTO `Perfil_has_Permissao` (`Perfil_idPerfil`, `Permissao_idPermissao`) VALUES
+(2, 1), (2, 3), (2, 5);
+
+-- Funcionários existentes: quem tem o cargo Administrador recebe o perfil Administrador;
+-- os demais, o perfil Colaborador (sem permissões de escrita)
+INSERT INTO `Funcionario_has_Perfil` (`Funcionario_idFuncionario`, `Perfil_idPerfil`)
+SELECT `idFuncionario`, CASE WHEN `Cargo_idCargo` = 1 THEN 1 ELSE 3 END FROM `Funcionario`;
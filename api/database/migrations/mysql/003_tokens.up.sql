@@ -0,0 +1,33 @@
+-- Migração 003: refresh tokens e lista de revogação de access tokens
+
+-- Criação da tabela Refresh_Token (refresh tokens emitidos no login/refresh; só o hash SHA-256 é guardado)
+-- jtiAcesso: jti do access token emitido junto, usado para revogar os dois no logout
+CREATE TABLE IF NOT EXISTS `Refresh_Token` (
+  `idRefreshToken` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `Funcionario_idFuncionario` INT UNSIGNED NOT NULL,
+  `tokenHash` CHAR(64) NOT NULL,
+  `jtiAcesso` VARCHAR(64) NOT NULL,
+  `criadoEm` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `expiraEm` DATETIME NOT NULL,
+  `revogadoEm` DATETIME NULL,
+  PRIMARY KEY (`idRefreshToken`),
+  UNIQUE INDEX `tokenHash_UNIQUE` (`tokenHash` ASC),
+  INDEX `jtiAcesso_idx` (`jtiAcesso` ASC),
+  INDEX `fk_Refresh_Token_Funcionario_idx` (`Funcionario_idFuncionario` ASC),
+  CONSTRAINT `fk_Refresh_Token_Funcionario`
+    FOREIGN KEY (`Funcionario_idFuncionario`)
+    REFERENCES `Funcionario` (`idFuncionario`)
+    ON DELETE CASCADE
+    ON UPDATE NO ACTION
+) ENGINE = InnoDB;
+
+-- Criação da tabela Token_Revogado (lista de revogação de access tokens, consultada pelo JwtMiddleware)
+-- Sem FK: a revogação precisa continuar valendo depois que o funcionário é excluído
+CREATE TABLE IF NOT EXISTS `Token_Revogado` (
+  `jti` VARCHAR(64) NOT NULL,
+  `idFuncionario` INT UNSIGNED NULL,
+  `expiraEm` DATETIME NOT NULL,
+  `revogadoEm` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`jti`),
+  INDEX `expiraEm_idx` (`expiraEm` ASC)
+) ENGINE = InnoDB;
@@ -0,0 +1,41 @@
+-- Migração 004: proteção do login contra tentativas repetidas
+
+-- Criação da tabela Tentativa_Login (estado atual das falhas de login por email e por IP)
+-- bloqueios: quantos bloqueios seguidos a chave já sofreu (define o backoff exponencial)
+CREATE TABLE IF NOT EXISTS `Tentativa_Login` (
+  `idTentativaLogin` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `tipo` ENUM('email', 'ip') NOT NULL,
+  `valor` VARCHAR(128) NOT NULL,
+  `falhas` INT UNSIGNED NOT NULL DEFAULT 0,
+  `bloqueios` INT UNSIGNED NOT NULL DEFAULT 0,
+  `ultimaFalha` DATETIME NULL,
+  `bloqueadoAte` DATETIME NULL,
+  PRIMARY KEY (`idTentativaLogin`),
+  UNIQUE INDEX `tipo_valor_UNIQUE` (`tipo` ASC, `valor` ASC)
+) ENGINE = InnoDB;
+
+-- Criação da tabela Bloqueio_Login (histórico de bloqueios, para análise de padrões de ataque)
+CREATE TABLE IF NOT EXISTS `Bloqueio_Login` (
+  `idBloqueioLogin` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `tipo` ENUM('email', 'ip') NOT NULL,
+  `valor` VARCHAR(128) NOT NULL,
+  `ip` VARCHAR(64) NULL,
+  `falhas` INT UNSIGNED NOT NULL,
+  `duracaoSegundos` INT UNSIGNED NOT NULL,
+  `bloqueadoEm` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `bloqueadoAte` DATETIME NOT NULL,
+  `liberadoEm` DATETIME NULL,
+  `liberadoPor` INT UNSIGNED NULL,
+  PRIMARY KEY (`idBloqueioLogin`),
+  INDEX `tipo_valor_idx` (`tipo` ASC, `valor` ASC),
+  INDEX `bloqueadoEm_idx` (`bloqueadoEm` ASC)
+) ENGINE = InnoDB;
+
+-- Inserção de permissões
+INSERT INTO `Permissao` (`idPermissao`, `codigo`, `descricao`) VALUES
+(10, 'bloqueio:read', 'Consultar bloqueios de login'),
+(11, 'bloqueio:delete', 'Liberar bloqueios de login');
+
+-- Administrador: recebe as novas permissões
+INSERT INTO `Perfil_has_Permissao` (`Perfil_idPerfil`, `Permissao_idPermissao`) VALUES
+(1, 10), (1, 11);
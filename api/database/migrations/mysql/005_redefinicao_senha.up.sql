@@ -0,0 +1,20 @@
+-- Migração 005: tokens de redefinição de senha
+
+-- Criação da tabela Redefinicao_Senha (tokens de "esqueci minha senha"; só o hash SHA-256 é guardado)
+-- usadoEm: preenchido quando o token é consumido ou substituído por um novo pedido
+CREATE TABLE IF NOT EXISTS `Redefinicao_Senha` (
+  `idRedefinicaoSenha` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `Funcionario_idFuncionario` INT UNSIGNED NOT NULL,
+  `tokenHash` CHAR(64) NOT NULL,
+  `criadoEm` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `expiraEm` DATETIME NOT NULL,
+  `usadoEm` DATETIME NULL,
+  PRIMARY KEY (`idRedefinicaoSenha`),
+  UNIQUE INDEX `tokenHash_UNIQUE` (`tokenHash` ASC),
+  INDEX `fk_Redefinicao_Senha_Funcionario_idx` (`Funcionario_idFuncionario` ASC),
+  CONSTRAINT `fk_Redefinicao_Senha_Funcionario`
+    FOREIGN KEY (`Funcionario_idFuncionario`)
+    REFERENCES `Funcionario` (`idFuncionario`)
+    ON DELETE CASCADE
+    ON UPDATE NO ACTION
+) ENGINE = InnoDB;
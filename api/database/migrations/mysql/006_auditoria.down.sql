@@ -0,0 +1,4 @@
+-- Desfaz a migração 006: remove a auditoria e a sua permissão
+DELETE FROM `Perfil_has_Permissao` WHERE `Permissao_idPermissao` = 12;
+DELETE FROM `Permissao` WHERE `idPermissao` = 12;
+DROP TABLE IF EXISTS `Auditoria`;
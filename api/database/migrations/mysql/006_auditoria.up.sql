@@ -0,0 +1,27 @@
+-- Migração 006: auditoria das alterações de cargos e funcionários
+
+-- Criação da tabela Auditoria (quem criou, alterou ou excluiu cargos e funcionários)
+-- Gravada na mesma transação da alteração. Sem FK: o histórico continua existindo
+-- depois que o autor ou a entidade são excluídos.
+-- diff: { "campo": { "antes": ..., "depois": ... } } apenas com os campos que mudaram
+CREATE TABLE IF NOT EXISTS `Auditoria` (
+  `idAuditoria` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `idFuncionarioAutor` INT UNSIGNED NULL,
+  `entidade` ENUM('cargo', 'funcionario') NOT NULL,
+  `idEntidade` INT UNSIGNED NOT NULL,
+  `operacao` ENUM('create', 'update', 'delete', 'deactivate', 'restore') NOT NULL,
+  `dataHora` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `diff` JSON NOT NULL,
+  PRIMARY KEY (`idAuditoria`),
+  INDEX `entidade_idx` (`entidade` ASC, `idEntidade` ASC),
+  INDEX `idFuncionarioAutor_idx` (`idFuncionarioAutor` ASC),
+  INDEX `dataHora_idx` (`dataHora` ASC)
+) ENGINE = InnoDB;
+
+-- Inserção da permissão
+INSERT INTO `Permissao` (`idPermissao`, `codigo`, `descricao`) VALUES
+(12, 'auditoria:read', 'Consultar a auditoria de alterações');
+
+-- Administrador: recebe a nova permissão
+INSERT INTO `Perfil_has_Permissao` (`Perfil_idPerfil`, `Permissao_idPermissao`) VALUES
+(1, 12);
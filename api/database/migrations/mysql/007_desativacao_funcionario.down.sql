@@ -0,0 +1,7 @@
+-- Desfaz a migração 007: remove a desativação de funcionários e a sua permissão
+DELETE FROM `Perfil_has_Permissao` WHERE `Permissao_idPermissao` = 13;
+DELETE FROM `Permissao` WHERE `idPermissao` = 13;
+ALTER TABLE `Funcionario`
+  DROP INDEX `status_idx`,
+  DROP COLUMN `dataDesativacao`,
+  DROP COLUMN `status`;
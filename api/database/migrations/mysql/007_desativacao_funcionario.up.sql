@@ -0,0 +1,15 @@
+-- Migração 007: desativação (exclusão lógica) de funcionários
+
+-- Funcionários desativados continuam no banco (status inativo) até a exclusão definitiva
+ALTER TABLE `Funcionario`
+  ADD COLUMN `status` ENUM('ativo', 'inativo') NOT NULL DEFAULT 'ativo' AFTER `recebeValeTransporte`,
+  ADD COLUMN `dataDesativacao` DATETIME NULL AFTER `status`,
+  ADD INDEX `status_idx` (`status` ASC);
+
+-- Inserção da permissão
+INSERT INTO `Permissao` (`idPermissao`, `codigo`, `descricao`) VALUES
+(13, 'funcionario:purge', 'Excluir definitivamente funcionários desativados');
+
+-- Administrador: recebe a nova permissão
+INSERT INTO `Perfil_has_Permissao` (`Perfil_idPerfil`, `Permissao_idPermissao`) VALUES
+(1, 13);
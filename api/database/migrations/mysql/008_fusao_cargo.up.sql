@@ -0,0 +1,16 @@
+-- Migração 008: histórico de fusões de cargos duplicados
+
+-- Criação da tabela Fusao_Cargo (histórico de fusões de cargos duplicados)
+-- Gravada na mesma transação da fusão. Sem FK: os cargos de origem deixam de existir.
+-- cargosOrigem: [{ "idCargo": ..., "nomeCargo": ..., "idsFuncionarios": [...] }]
+CREATE TABLE IF NOT EXISTS `Fusao_Cargo` (
+  `idFusaoCargo` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `idCargoDestino` INT UNSIGNED NOT NULL,
+  `nomeCargoDestino` VARCHAR(64) NOT NULL,
+  `cargosOrigem` JSON NOT NULL,
+  `idFuncionarioAutor` INT UNSIGNED NULL,
+  `dataHora` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`idFusaoCargo`),
+  INDEX `idCargoDestino_idx` (`idCargoDestino` ASC),
+  INDEX `dataHora_idx` (`dataHora` ASC)
+) ENGINE = InnoDB;
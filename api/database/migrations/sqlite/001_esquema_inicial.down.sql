@@ -0,0 +1,3 @@
+-- Desfaz a migração 001 (SQLite): remove as tabelas do esquema inicial (ordem importa por causa da FK)
+DROP TABLE IF EXISTS Funcionario;
+DROP TABLE IF EXISTS Cargo;
@@ -0,0 +1,39 @@
+-- Migração 001 (SQLite): esquema inicial, equivalente a ../mysql/001_esquema_inicial.up.sql
+-- Diferenças em relação ao MySQL, nesta e nas migrações seguintes: ENUM vira CHECK, JSON vira TEXT, datas
+-- são texto ISO 8601 em UTC (o formato que o SqliteDatabase grava e lê) e nomes/emails comparam sem
+-- diferenciar maiúsculas (NOCASE).
+
+-- Criação da tabela Cargo
+CREATE TABLE IF NOT EXISTS Cargo (
+  idCargo INTEGER PRIMARY KEY AUTOINCREMENT,
+  nomeCargo VARCHAR(64) NOT NULL COLLATE NOCASE UNIQUE
+);
+
+-- Criação da tabela Funcionario
+CREATE TABLE IF NOT EXISTS Funcionario (
+  idFuncionario INTEGER PRIMARY KEY AUTOINCREMENT,
+  nomeFuncionario VARCHAR(128) NULL,
+  email VARCHAR(64) NULL COLLATE NOCASE UNIQUE,
+  senha VARCHAR(64) NULL,
+  recebeValeTransporte TINYINT(1) NULL,
+  Cargo_idCargo INTEGER NOT NULL,
+  CONSTRAINT fk_Funcionario_Cargo
+    FOREIGN KEY (Cargo_idCargo)
+    REFERENCES Cargo (idCargo)
+    ON DELETE NO ACTION
+    ON UPDATE NO ACTION
+);
+CREATE INDEX IF NOT EXISTS fk_Funcionario_Cargo_idx ON Funcionario (Cargo_idCargo);
+
+-- Inserção de cargos
+INSERT INTO Cargo (idCargo, nomeCargo) VALUES (1, 'Administrador');
+INSERT INTO Cargo (idCargo, nomeCargo) VALUES (2, 'Técnico em Informática Jr');
+INSERT INTO Cargo (idCargo, nomeCargo) VALUES (3, 'Técnico em Informática Pleno');
+INSERT INTO Cargo (idCargo, nomeCargo) VALUES (4, 'Analista de Sistemas Jr');
+
+-- Inserção de funcionários
+INSERT INTO Funcionario (nomeFuncionario, email, senha, recebeValeTransporte, Cargo_idCargo) 
+VALUES 
+('adm', 'adm@adm.com', '$2b$12$6ixafy0UKZx.A8ujEEDfnO2QH7IonQ/5/5UCqzQ51YvISdSO4VVle', 1, 1),
+('adm1', 'adm1@adm.com', '$2b$12$6ixafy0UKZx.A8ujEEDfnO2QH7IonQ/5/5UCqzQ51YvISdSO4VVle', 1, 1),
+('Hélio', 'helioesperidiao@gmail.com', '$2b$12$6ixafy0UKZx.A8ujEEDfnO2QH7IonQ/5/5UCqzQ51YvISdSO4VVle', 1, 1);
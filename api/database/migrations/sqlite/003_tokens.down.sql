@@ -0,0 +1,3 @@
+-- Desfaz a migração 003 (SQLite): remove as tabelas de tokens
+DROP TABLE IF EXISTS Token_Revogado;
+DROP TABLE IF EXISTS Refresh_Token;
@@ -0,0 +1,29 @@
+-- Migração 003 (SQLite): refresh tokens e lista de revogação de access tokens, equivalente a ../mysql/003_tokens.up.sql
+
+-- Criação da tabela Refresh_Token (refresh tokens emitidos no login/refresh; só o hash SHA-256 é guardado)
+-- jtiAcesso: jti do access token emitido junto, usado para revogar os dois no logout
+CREATE TABLE IF NOT EXISTS Refresh_Token (
+  idRefreshToken INTEGER PRIMARY KEY AUTOINCREMENT,
+  Funcionario_idFuncionario INTEGER NOT NULL,
+  tokenHash CHAR(64) NOT NULL UNIQUE,
+  jtiAcesso VARCHAR(64) NOT NULL,
+  criadoEm DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expiraEm DATETIME NOT NULL,
+  revogadoEm DATETIME NULL,
+  CONSTRAINT fk_Refresh_Token_Funcionario
+    FOREIGN KEY (Funcionario_idFuncionario)
+    REFERENCES Funcionario (idFuncionario)
+    ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS jtiAcesso_idx ON Refresh_Token (jtiAcesso);
+CREATE INDEX IF NOT EXISTS fk_Refresh_Token_Funcionario_idx ON Refresh_Token (Funcionario_idFuncionario);
+
+-- Criação da tabela Token_Revogado (lista de revogação de access tokens, consultada pelo JwtMiddleware)
+-- Sem FK: a revogação precisa continuar valendo depois que o funcionário é excluído
+CREATE TABLE IF NOT EXISTS Token_Revogado (
+  jti VARCHAR(64) NOT NULL PRIMARY KEY,
+  idFuncionario INTEGER NULL,
+  expiraEm DATETIME NOT NULL,
+  revogadoEm DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS expiraEm_idx ON Token_Revogado (expiraEm);
@@ -0,0 +1,5 @@
+-- Desfaz a migração 004 (SQLite): remove a proteção do login e as suas permissões
+DELETE FROM Perfil_has_Permissao WHERE Permissao_idPermissao IN (10, 11);
+DELETE FROM Permissao WHERE idPermissao IN (10, 11);
+DROP TABLE IF EXISTS Bloqueio_Login;
+DROP TABLE IF EXISTS Tentativa_Login;
@@ -0,0 +1,39 @@
+-- Migração 004 (SQLite): proteção do login contra tentativas repetidas, equivalente a ../mysql/004_protecao_login.up.sql
+
+-- Criação da tabela Tentativa_Login (estado atual das falhas de login por email e por IP)
+-- bloqueios: quantos bloqueios seguidos a chave já sofreu (define o backoff exponencial)
+CREATE TABLE IF NOT EXISTS Tentativa_Login (
+  idTentativaLogin INTEGER PRIMARY KEY AUTOINCREMENT,
+  tipo TEXT NOT NULL CHECK (tipo IN ('email', 'ip')),
+  valor VARCHAR(128) NOT NULL COLLATE NOCASE,
+  falhas INTEGER NOT NULL DEFAULT 0,
+  bloqueios INTEGER NOT NULL DEFAULT 0,
+  ultimaFalha DATETIME NULL,
+  bloqueadoAte DATETIME NULL,
+  UNIQUE (tipo, valor)
+);
+
+-- Criação da tabela Bloqueio_Login (histórico de bloqueios, para análise de padrões de ataque)
+CREATE TABLE IF NOT EXISTS Bloqueio_Login (
+  idBloqueioLogin INTEGER PRIMARY KEY AUTOINCREMENT,
+  tipo TEXT NOT NULL CHECK (tipo IN ('email', 'ip')),
+  valor VARCHAR(128) NOT NULL COLLATE NOCASE,
+  ip VARCHAR(64) NULL,
+  falhas INTEGER NOT NULL,
+  duracaoSegundos INTEGER NOT NULL,
+  bloqueadoEm DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  bloqueadoAte DATETIME NOT NULL,
+  liberadoEm DATETIME NULL,
+  liberadoPor INTEGER NULL
+);
+CREATE INDEX IF NOT EXISTS tipo_valor_idx ON Bloqueio_Login (tipo, valor);
+CREATE INDEX IF NOT EXISTS bloqueadoEm_idx ON Bloqueio_Login (bloqueadoEm);
+
+-- Inserção de permissões
+INSERT INTO Permissao (idPermissao, codigo, descricao) VALUES
+(10, 'bloqueio:read', 'Consultar bloqueios de login'),
+(11, 'bloqueio:delete', 'Liberar bloqueios de login');
+
+-- Administrador: recebe as novas permissões
+INSERT INTO Perfil_has_Permissao (Perfil_idPerfil, Permissao_idPermissao) VALUES
+(1, 10), (1, 11);
@@ -0,0 +1,2 @@
+-- Desfaz a migração 005 (SQLite): remove os tokens de redefinição de senha
+DROP TABLE IF EXISTS Redefinicao_Senha;
@@ -0,0 +1,17 @@
+-- Migração 005 (SQLite): tokens de redefinição de senha, equivalente a ../mysql/005_redefinicao_senha.up.sql
+
+-- Criação da tabela Redefinicao_Senha (tokens de "esqueci minha senha"; só o hash SHA-256 é guardado)
+-- usadoEm: preenchido quando o token é consumido ou substituído por um novo pedido
+CREATE TABLE IF NOT EXISTS Redefinicao_Senha (
+  idRedefinicaoSenha INTEGER PRIMARY KEY AUTOINCREMENT,
+  Funcionario_idFuncionario INTEGER NOT NULL,
+  tokenHash CHAR(64) NOT NULL UNIQUE,
+  criadoEm DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expiraEm DATETIME NOT NULL,
+  usadoEm DATETIME NULL,
+  CONSTRAINT fk_Redefinicao_Senha_Funcionario
+    FOREIGN KEY (Funcionario_idFuncionario)
+    REFERENCES Funcionario (idFuncionario)
+    ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS fk_Redefinicao_Senha_Funcionario_idx ON Redefinicao_Senha (Funcionario_idFuncionario);
@@ -0,0 +1,26 @@
+-- Migração 006 (SQLite): auditoria das alterações de cargos e funcionários, equivalente a ../mysql/006_auditoria.up.sql
+
+-- Criação da tabela Auditoria (quem criou, alterou ou excluiu cargos e funcionários)
+-- Gravada na mesma transação da alteração. Sem FK: o histórico continua existindo
+-- depois que o autor ou a entidade são excluídos.
+-- diff: { "campo": { "antes": ..., "depois": ... } } apenas com os campos que mudaram
+CREATE TABLE IF NOT EXISTS Auditoria (
+  idAuditoria INTEGER PRIMARY KEY AUTOINCREMENT,
+  idFuncionarioAutor INTEGER NULL,
+  entidade TEXT NOT NULL CHECK (entidade IN ('cargo', 'funcionario')),
+  idEntidade INTEGER NOT NULL,
+  operacao TEXT NOT NULL CHECK (operacao IN ('create', 'update', 'delete', 'deactivate', 'restore')),
+  dataHora DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  diff TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS entidade_idx ON Auditoria (entidade, idEntidade);
+CREATE INDEX IF NOT EXISTS idFuncionarioAutor_idx ON Auditoria (idFuncionarioAutor);
+CREATE INDEX IF NOT EXISTS dataHora_idx ON Auditoria (dataHora);
+
+-- Inserção da permissão
+INSERT INTO Permissao (idPermissao, codigo, descricao) VALUES
+(12, 'auditoria:read', 'Consultar a auditoria de alterações');
+
+-- Administrador: recebe a nova permissão
+INSERT INTO Perfil_has_Permissao (Perfil_idPerfil, Permissao_idPermissao) VALUES
+(1, 12);
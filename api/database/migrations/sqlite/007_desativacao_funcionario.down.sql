@@ -0,0 +1,6 @@
+-- Desfaz a migração 007 (SQLite): remove a desativação de funcionários e a sua permissão
+DELETE FROM Perfil_has_Permissao WHERE Permissao_idPermissao = 13;
+DELETE FROM Permissao WHERE idPermissao = 13;
+DROP INDEX IF EXISTS status_idx;
+ALTER TABLE Funcionario DROP COLUMN dataDesativacao;
+ALTER TABLE Funcionario DROP COLUMN status;
@@ -0,0 +1,14 @@
+-- Migração 007 (SQLite): desativação (exclusão lógica) de funcionários, equivalente a ../mysql/007_desativacao_funcionario.up.sql
+
+-- Funcionários desativados continuam no banco (status inativo) até a exclusão definitiva
+ALTER TABLE Funcionario ADD COLUMN status TEXT NOT NULL DEFAULT 'ativo' CHECK (status IN ('ativo', 'inativo'));
+ALTER TABLE Funcionario ADD COLUMN dataDesativacao DATETIME NULL;
+CREATE INDEX IF NOT EXISTS status_idx ON Funcionario (status);
+
+-- Inserção da permissão
+INSERT INTO Permissao (idPermissao, codigo, descricao) VALUES
+(13, 'funcionario:purge', 'Excluir definitivamente funcionários desativados');
+
+-- Administrador: recebe a nova permissão
+INSERT INTO Perfil_has_Permissao (Perfil_idPerfil, Permissao_idPermissao) VALUES
+(1, 13);
@@ -0,0 +1,2 @@
+-- Desfaz a migração 008 (SQLite): remove o histórico de fusões de cargos
+DROP TABLE IF EXISTS Fusao_Cargo;
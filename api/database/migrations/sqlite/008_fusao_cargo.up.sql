@@ -0,0 +1,15 @@
+-- Migração 008 (SQLite): histórico de fusões de cargos duplicados, equivalente a ../mysql/008_fusao_cargo.up.sql
+
+-- Criação da tabela Fusao_Cargo (histórico de fusões de cargos duplicados)
+-- Gravada na mesma transação da fusão. Sem FK: os cargos de origem deixam de existir.
+-- cargosOrigem: [{ "idCargo": ..., "nomeCargo": ..., "idsFuncionarios": [...] }]
+CREATE TABLE IF NOT EXISTS Fusao_Cargo (
+  idFusaoCargo INTEGER PRIMARY KEY AUTOINCREMENT,
+  idCargoDestino INTEGER NOT NULL,
+  nomeCargoDestino VARCHAR(64) NOT NULL,
+  cargosOrigem TEXT NOT NULL,
+  idFuncionarioAutor INTEGER NULL,
+  dataHora DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idCargoDestino_idx ON Fusao_Cargo (idCargoDestino);
+CREATE INDEX IF NOT EXISTS fusao_dataHora_idx ON Fusao_Cargo (dataHora);
@@ -1,12 +1,13 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável por gerar e validar tokens JWT (JSON Web Token) para autenticação.
  * 
  * Implementa:
  * - Geração de token com claims personalizados;
- * - Validação de token, incluindo verificação de expiração;
+ * - Validação de token, incluindo verificação de expiração, emissor (iss) e audiência (aud);
  * - Configuração de cabeçalhos e payload do JWT.
  * 
  * Os atributos principais são privados e podem ser acessados/modificados via getters/setters.
@@ -24,22 +25,36 @@ module.exports = class MeuTokenJWT {
 
     /**
      * Construtor da classe MeuTokenJWT
-     * Inicializa valores padrão como chave secreta, algoritmo, tipo e duração do token.
+     * Recebe chave, emissor, audiência e duração da configuração (seção jwt de Configuracao).
+     *
+     * @param {Object} configuracao - Configuração do JWT.
+     * @param {string} configuracao.chave - Chave secreta (JWT_SECRET).
+     * @param {string} configuracao.emissor - Claim iss (JWT_ISSUER).
+     * @param {string} configuracao.audiencia - Claim aud (JWT_AUDIENCE).
+     * @param {number} configuracao.duracaoToken - Validade em segundos (JWT_EXPIRES_IN).
+     * @throws {Error} Se a chave não for informada.
      */
-    constructor() {
-        this.#key = "x9S4q0v+V0IjvHkG20uAxaHx1ijj+q1HWjHKv+ohxp/oK+77qyXkVj/l4QYHHTF3";
+    constructor(configuracao = {}) {
+        if (!configuracao.chave) {
+            throw new Error("MeuTokenJWT: a chave de assinatura (jwt.chave) não foi configurada");
+        }
+
+        this.#key = configuracao.chave;
         this.#alg = "HS256";
         this.#type = "JWT";
-        this.#iss = "http://localhost";
-        this.#aud = "http://localhost";
+        this.#iss = configuracao.emissor ?? "http://localhost";
+        this.#aud = configuracao.audiencia ?? "http://localhost";
         this.#sub = "acesso_sistema";
-        this.#duracaoToken = 3600 * 24 * 60; // 60 dias em segundos
+        this.#duracaoToken = configuracao.duracaoToken ?? 60 * 15; // sessões longas usam refresh token, ver TokenService
         this.#payload = null;
     }
 
     /**
      * Gera um token JWT assinado com os claims fornecidos.
-     * @param {Object} claims - Objeto com informações do usuário: { email, role, name, idFuncionario }
+     * @param {Object} claims - Objeto com informações do usuário: { email, name, idFuncionario, perfis, permissoes }
+     * @param {string} [claims.jti] - Identificador do token; se omitido, um aleatório é gerado.
+     *                                É por ele que o token pode ser revogado (ver TokenService).
+     * @param {number} [claims.auth_time] - Momento do login (segundos Unix); limita a renovação da sessão.
      * @returns {string} Token JWT assinado
      */
     gerarToken = (claims) => {
@@ -55,12 +70,14 @@ module.exports = class MeuTokenJWT {
             iat: Math.floor(Date.now() / 1000),
             exp: Math.floor(Date.now() / 1000) + this.#duracaoToken,
             nbf: Math.floor(Date.now() / 1000),
-            jti: crypto.randomBytes(16).toString("hex"),
+            jti: claims.jti || crypto.randomBytes(16).toString("hex"),
 
             email: claims.email,
-            role: claims.role,
             name: claims.name,
-            idFuncionario: claims.idFuncionario
+            idFuncionario: claims.idFuncionario,
+            perfis: claims.perfis || [],          // Nomes dos perfis do funcionário
+            permissoes: claims.permissoes || [],  // Códigos de permissão (ex: "cargo:delete")
+            auth_time: claims.auth_time           // Momento do login (mantido nas renovações)
         };
 
         //console.log(payload)
@@ -80,30 +97,33 @@ module.exports = class MeuTokenJWT {
      */
     validarToken = (stringToken) => {
         if (!stringToken) {
-            console.error("Token não fornecido");
+            Logger.debug("Token não fornecido");
             return false;
         }
 
         if (stringToken.trim() === "") {
-            console.error("Token em branco");
+            Logger.debug("Token em branco");
             return false;
         }
 
         const token = stringToken.replace("Bearer ", "").trim();
 
         try {
+            // Um token assinado com a mesma chave para outro emissor/audiência não é aceito
             const decoded = jwt.verify(token, this.#key, {
                 algorithms: [this.#alg],
+                issuer: this.#iss,
+                audience: this.#aud,
             });
             this.#payload = decoded;
             return true;
         } catch (err) {
             if (err instanceof jwt.TokenExpiredError) {
-                console.error("Token expirado");
+                Logger.debug("Token expirado");
             } else if (err instanceof jwt.JsonWebTokenError) {
-                console.error("Token inválido");
+                Logger.warn("Token inválido", { erro: err.message });
             } else {
-                console.error("Erro geral", err);
+                Logger.error("Erro geral ao validar o token", err);
             }
             return false;
         }
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+const Logger = require("../utils/Logger");
+
+/**
+ * Transporte de email que grava as mensagens em um arquivo local, em vez de enviá-las.
+ *
+ * Útil em desenvolvimento: o link de redefinição de senha pode ser copiado do arquivo.
+ *
+ * Todo transporte de email do projeto implementa o mesmo método:
+ *   enviar({ para, assunto, texto }) → Promise<void>
+ * e é injetado nos services que enviam emails, então trocar de transporte
+ * (arquivo, memória, SMTP...) não exige mudar regra de negócio.
+ */
+module.exports = class FileMailTransport {
+    #arquivo;
+
+    /**
+     * @param {string} [arquivo="api/system/emails.log"] - Caminho do arquivo onde as mensagens são gravadas.
+     */
+    constructor(arquivo = "api/system/emails.log") {
+        Logger.debug("⬆️  FileMailTransport.constructor()");
+        this.#arquivo = arquivo;
+    }
+
+    /**
+     * Grava a mensagem no final do arquivo.
+     *
+     * @param {Object} mensagem
+     * @param {string} mensagem.para - Destinatário.
+     * @param {string} mensagem.assunto - Assunto.
+     * @param {string} mensagem.texto - Corpo em texto puro.
+     * @returns {Promise<void>}
+     */
+    enviar = async ({ para, assunto, texto }) => {
+        Logger.debug("📧 FileMailTransport.enviar()");
+
+        await fs.promises.mkdir(path.dirname(this.#arquivo), { recursive: true });
+
+        const entrada = [
+            `Data: ${new Date().toISOString()}`,
+            `Para: ${para}`,
+            `Assunto: ${assunto}`,
+            "",
+            texto,
+            "----------------------------------------------------------------",
+            ""
+        ].join("\n");
+
+        await fs.promises.appendFile(this.#arquivo, entrada, { encoding: "utf8" });
+    }
+}
@@ -0,0 +1,43 @@
+const Logger = require("../utils/Logger");
+
+/**
+ * Transporte de email que guarda as mensagens em memória (caixa de saída).
+ *
+ * Usado em testes: depois de chamar o fluxo, basta inspecionar caixaDeSaida.
+ * Implementa a mesma interface de FileMailTransport: enviar({ para, assunto, texto }).
+ */
+module.exports = class MemoryMailTransport {
+    #caixaDeSaida = [];
+
+    constructor() {
+        Logger.debug("⬆️  MemoryMailTransport.constructor()");
+    }
+
+    /**
+     * Guarda a mensagem na caixa de saída.
+     *
+     * @param {Object} mensagem
+     * @param {string} mensagem.para - Destinatário.
+     * @param {string} mensagem.assunto - Assunto.
+     * @param {string} mensagem.texto - Corpo em texto puro.
+     * @returns {Promise<void>}
+     */
+    enviar = async ({ para, assunto, texto }) => {
+        Logger.debug("📧 MemoryMailTransport.enviar()");
+        this.#caixaDeSaida.push({ para, assunto, texto, enviadoEm: new Date() });
+    }
+
+    /**
+     * @returns {Array<{para: string, assunto: string, texto: string, enviadoEm: Date}>} Mensagens enviadas, da mais antiga para a mais nova.
+     */
+    get caixaDeSaida() {
+        return [...this.#caixaDeSaida];
+    }
+
+    /**
+     * Esvazia a caixa de saída.
+     */
+    limpar = () => {
+        this.#caixaDeSaida = [];
+    }
+}
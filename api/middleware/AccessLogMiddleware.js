@@ -0,0 +1,145 @@
+const Logger = require("../utils/Logger");
+
+/**
+ * Middleware de log de acesso: um registro por requisição atendida.
+ *
+ * Campos: method, path, status, durationMs (latência até o fim do envio da resposta), size (bytes do
+ * corpo da resposta, pelo Content-Length), ip, idFuncionario (do token, nas rotas autenticadas) e userAgent.
+ * Requisições interrompidas pelo cliente antes do fim da resposta são registradas com aborted: true.
+ *
+ * Formatos (LOG_ACCESS_FORMAT):
+ * - curto:     "GET /api/v1/cargos 200 3.4ms 512B" e os campos acima.
+ * - detalhado: o mesmo, mais os cabeçalhos e o corpo da requisição.
+ * - combined:  linha no formato combined do Apache/Nginx, para ferramentas que já o leem.
+ * - desligado: nenhum registro.
+ *
+ * Cabeçalhos de credenciais (Authorization, Cookie) e campos de senha/token do corpo e da query string
+ * são trocados por "[REDACTED]" antes de irem para o log.
+ *
+ * Respostas 5xx são registradas como warn (o erro em si já é registrado pelo tratamento de erros);
+ * as demais como info.
+ */
+module.exports = class AccessLogMiddleware {
+    // Nomes de cabeçalho, campo do corpo ou parâmetro da query string cujo valor não vai para o log
+    static CAMPOS_SENSIVEIS = /authorization|cookie|senha|password|token|secret/i;
+
+    static REDIGIDO = "[REDACTED]";
+
+    static #MESES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+    #formato;
+
+    /**
+     * @param {Object} configuracao - Seção log da configuração.
+     * @param {string} [configuracao.formatoAcesso="curto"] - Um de Logger.FORMATOS_ACESSO.
+     * @throws {Error} Se o formato for desconhecido.
+     */
+    constructor(configuracao = {}) {
+        Logger.debug("⬆️  AccessLogMiddleware.constructor()");
+        this.#formato = configuracao.formatoAcesso ?? "curto";
+
+        if (!Logger.FORMATOS_ACESSO.includes(this.#formato)) {
+            throw new Error(`Formato do log de acesso inválido: "${this.#formato}" (use ${Logger.FORMATOS_ACESSO.join(", ")})`);
+        }
+    }
+
+    /**
+     * Mede a requisição e, quando a resposta termina (ou a conexão é fechada), grava o registro.
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     */
+    handle = (request, response, next) => {
+        if (this.#formato === "desligado") {
+            return next();
+        }
+
+        const inicio = process.hrtime.bigint();
+        const data = new Date();
+        // O evento "close" pode ser emitido fora do contexto assíncrono da requisição
+        const contexto = Logger.contexto();
+
+        response.once("close", () => {
+            const durationMs = Number(process.hrtime.bigint() - inicio) / 1e6;
+            Logger.executarComContexto(contexto, () => this.#registrar(request, response, data, durationMs));
+        });
+
+        next();
+    }
+
+    /**
+     * Copia o objeto trocando os valores das chaves sensíveis (em qualquer nível) por "[REDACTED]".
+     *
+     * @param {*} valor - Cabeçalhos, corpo ou query string.
+     * @returns {*}
+     */
+    static redigir(valor) {
+        if (Array.isArray(valor)) {
+            return valor.map(item => AccessLogMiddleware.redigir(item));
+        }
+        if (valor === null || typeof valor !== "object") {
+            return valor;
+        }
+
+        return Object.fromEntries(Object.entries(valor).map(([chave, item]) => [
+            chave,
+            AccessLogMiddleware.CAMPOS_SENSIVEIS.test(chave) ? AccessLogMiddleware.REDIGIDO : AccessLogMiddleware.redigir(item)
+        ]));
+    }
+
+    #registrar = (request, response, data, durationMs) => {
+        const [path, queryString] = request.originalUrl.split(/\?(.*)/s);
+        const url = queryString === undefined ? path : `${path}?${AccessLogMiddleware.#redigirQueryString(queryString)}`;
+        const tamanho = response.getHeader("content-length");
+
+        const campos = {
+            method: request.method,
+            path,
+            status: response.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            size: tamanho === undefined ? null : Number(tamanho),
+            ip: request.ip,
+            idFuncionario: request.jwtPayload?.idFuncionario ?? null,
+            userAgent: request.get("user-agent") ?? null
+        };
+        if (!response.writableFinished) {
+            campos.aborted = true;
+        }
+
+        let mensagem = `${campos.method} ${url} ${campos.status} ${campos.durationMs}ms ${campos.size ?? "-"}B`;
+        if (this.#formato === "combined") {
+            mensagem = AccessLogMiddleware.#combined(request, url, campos, data);
+        } else if (this.#formato === "detalhado") {
+            campos.headers = AccessLogMiddleware.redigir(request.headers);
+            if (request.body !== undefined && Object.keys(request.body).length > 0) {
+                campos.body = AccessLogMiddleware.redigir(request.body);
+            }
+        }
+
+        if (campos.status >= 500) {
+            Logger.warn(mensagem, campos);
+        } else {
+            Logger.info(mensagem, campos);
+        }
+    }
+
+    /**
+     * 127.0.0.1 - 1 [19/Oct/2026:18:42:39 +0000] "GET /api/v1/cargos HTTP/1.1" 200 512 "-" "curl/8.5.0"
+     */
+    static #combined(request, url, campos, data) {
+        const dia = String(data.getUTCDate()).padStart(2, "0");
+        const hora = data.toISOString().slice(11, 19);
+        const quando = `${dia}/${AccessLogMiddleware.#MESES[data.getUTCMonth()]}/${data.getUTCFullYear()}:${hora} +0000`;
+
+        return `${campos.ip ?? "-"} - ${campos.idFuncionario ?? "-"} [${quando}] "${campos.method} ${url} HTTP/${request.httpVersion}" ` +
+            `${campos.status} ${campos.size ?? "-"} "${request.get("referer") ?? "-"}" "${campos.userAgent ?? "-"}"`;
+    }
+
+    static #redigirQueryString(queryString) {
+        return queryString.split("&").map((parametro) => {
+            const [chave] = parametro.split("=", 1);
+            return AccessLogMiddleware.CAMPOS_SENSIVEIS.test(chave) ? `${chave}=${AccessLogMiddleware.REDIGIDO}` : parametro;
+        }).join("&");
+    }
+}
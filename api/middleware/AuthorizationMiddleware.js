@@ -0,0 +1,120 @@
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Middleware de autorização baseado nos perfis e permissões do usuário autenticado.
+ *
+ * Objetivo:
+ * - Complementar o JwtMiddleware: enquanto ele garante que o token é válido (autenticação),
+ *   este middleware verifica se o usuário pode executar a operação (autorização).
+ * - Permitir que os roteadores declarem, rota a rota, quais permissões (ou perfis) são exigidos.
+ *
+ * Pré-requisito:
+ * - Deve ser executado DEPOIS de JwtMiddleware.validateToken, que disponibiliza
+ *   o payload do token em request.jwtPayload (claims "perfis" e "permissoes").
+ *
+ * @example
+ * router.delete("/:idCargo",
+ *     jwtMiddleware.validateToken,
+ *     authorizationMiddleware.requirePermission("cargo:delete"),
+ *     cargoControl.destroy
+ * );
+ */
+module.exports = class AuthorizationMiddleware {
+
+    /**
+     * Cria um middleware que só permite a passagem de usuários que possuam
+     * TODAS as permissões informadas.
+     *
+     * @param {...string} codigosExigidos - Códigos de permissão exigidos (ex: "cargo:delete").
+     * @returns {Function} Middleware Express (request, response, next).
+     *
+     * Lança ErrorResponse com código HTTP 401 se não houver usuário autenticado
+     * e 403 se faltar alguma das permissões.
+     */
+    requirePermission = (...codigosExigidos) => {
+        return (request, response, next) => {
+            Logger.debug(`🔷 AuthorizationMiddleware.requirePermission(${codigosExigidos.join(", ")})`);
+            const payload = this.#getPayload(request);
+
+            const permissoesUsuario = payload.permissoes || [];
+            const faltantes = codigosExigidos.filter(codigo => !permissoesUsuario.includes(codigo));
+
+            if (faltantes.length > 0) {
+                throw new ErrorResponse(403, "Acesso negado", {
+                    message: "O usuário não possui as permissões necessárias para acessar este recurso",
+                    permissoesNecessarias: faltantes
+                });
+            }
+
+            next(); // Usuário autorizado: segue para o próximo middleware ou controller
+        }
+    }
+
+    /**
+     * Igual a requirePermission, mas só exige as permissões quando a condição for verdadeira
+     * para a requisição (ex: uma opção do body que torna a operação mais destrutiva).
+     *
+     * @param {Function} condicao - (request) => boolean
+     * @param {...string} codigosExigidos - Códigos de permissão exigidos quando a condição for verdadeira.
+     * @returns {Function} Middleware Express (request, response, next).
+     *
+     * @example
+     * authorizationMiddleware.requirePermissionWhen(request => request.body.excluirCargo === true, "cargo:delete")
+     */
+    requirePermissionWhen = (condicao, ...codigosExigidos) => {
+        const verificar = this.requirePermission(...codigosExigidos);
+
+        return (request, response, next) => {
+            if (!condicao(request)) {
+                return next();
+            }
+
+            verificar(request, response, next);
+        }
+    }
+
+    /**
+     * Cria um middleware que só permite a passagem de usuários com ao menos
+     * um dos perfis informados.
+     *
+     * @param {...string} perfisPermitidos - Nomes dos perfis autorizados (ex: "Administrador").
+     * @returns {Function} Middleware Express (request, response, next).
+     *
+     * Lança ErrorResponse com código HTTP 401 se não houver usuário autenticado
+     * e 403 se o usuário não tiver nenhum dos perfis.
+     */
+    permit = (...perfisPermitidos) => {
+        return (request, response, next) => {
+            Logger.debug(`🔷 AuthorizationMiddleware.permit(${perfisPermitidos.join(", ")})`);
+            const payload = this.#getPayload(request);
+
+            const perfisUsuario = payload.perfis || [];
+
+            if (!perfisUsuario.some(perfil => perfisPermitidos.includes(perfil))) {
+                throw new ErrorResponse(403, "Acesso negado", {
+                    message: "O perfil do usuário não tem permissão para acessar este recurso",
+                    perfisPermitidos: perfisPermitidos
+                });
+            }
+
+            next();
+        }
+    }
+
+    /**
+     * Recupera o payload do token disponibilizado pelo JwtMiddleware.
+     * @param {Request} request - Objeto de requisição do Express
+     * @returns {Object} Payload do token
+     * @throws {ErrorResponse} 401 se a rota não passou pela autenticação
+     */
+    #getPayload = (request) => {
+        const payload = request.jwtPayload;
+
+        if (!payload) {
+            throw new ErrorResponse(401, "Usuário não autenticado", { message: "É necessário estar autenticado para acessar este recurso" });
+        }
+
+        return payload;
+    }
+}
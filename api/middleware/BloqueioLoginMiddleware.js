@@ -0,0 +1,33 @@
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Middleware para validação de requisições das rotas de bloqueios de login.
+ *
+ * Objetivo:
+ * - Garantir que os parâmetros obrigatórios estejam presentes antes de chamar
+ *   os métodos do Controller ou Service.
+ * - Lançar erros padronizados usando ErrorResponse quando a validação falhar.
+ */
+module.exports = class BloqueioLoginMiddleware {
+
+    /**
+     * Valida o parâmetro de rota 'idTentativaLogin'.
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 400 caso 'idTentativaLogin' não seja fornecido.
+     */
+    validateIdParam = (request, response, next) => {
+        Logger.debug("🔷 BloqueioLoginMiddleware.validateIdParam()");
+        const { idTentativaLogin } = request.params;
+
+        if (!idTentativaLogin) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'idTentativaLogin' é obrigatório!" });
+        }
+
+        next();
+    }
+}
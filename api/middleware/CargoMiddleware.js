@@ -1,44 +1,116 @@
-const ErrorResponse = require("../utils/ErrorResponse");
 const Cargo = require("../models/Cargo");
-const CargoDAO = require("../dao/CargoDAO");
+const Validador = require("../utils/Validador");
+const Logger = require("../utils/Logger");
 
 /**
  * Middleware para validação de requisições relacionadas à entidade Cargo.
  * 
  * Objetivo:
- * - Garantir que os dados obrigatórios estejam presentes antes de chamar
+ * - Garantir que os dados obrigatórios estejam presentes e válidos antes de chamar
  *   os métodos do Controller ou Service.
- * - Lançar erros padronizados usando ErrorResponse quando a validação falhar.
+ * - Cada corpo e parâmetro é descrito por um schema do Validador; nomeCargo e os ids de cargo
+ *   são validados pelos próprios setters do model Cargo.
+ * - Todos os erros são devolvidos de uma vez (ErrorResponse 422 para o corpo, 400 para parâmetros).
  */
 module.exports = class CargoMiddleware {
 
+    static #CORPO = Validador.objeto({
+        cargo: Validador.objeto({ nomeCargo: Validador.modelo(Cargo, "nomeCargo") })
+    });
+
+    static #CORPO_PATCH = Validador.objeto({
+        cargo: Validador.objeto({ nomeCargo: Validador.modelo(Cargo, "nomeCargo") }, { parcial: true })
+    });
+
+    static #CORPO_REASSIGN = Validador.objeto({
+        idCargoDestino: Validador.modelo(Cargo, "idCargo"),
+        excluirCargo: Validador.booleano({ obrigatorio: false })
+    });
+
+    static #CORPO_MERGE = Validador.objeto({
+        idsCargosOrigem: Validador.lista(Validador.modelo(Cargo, "idCargo"), { minimo: 1 }),
+        dryRun: Validador.booleano({ obrigatorio: false })
+    });
+
+    static #PARAMETROS_ID = Validador.objeto({
+        idCargo: Validador.modelo(Cargo, "idCargo")
+    });
+
     /**
      * Valida o corpo da requisição (request.body) para operações de Cargo.
      * 
      * Verifica:
      * - Se o objeto 'cargo' existe
-     * - Se o campo obrigatório 'nomeCargo' está presente e não é vazio
+     * - nomeCargo, pelas regras do model Cargo (3 a 64 caracteres)
      * 
      * @param {Request} request - Objeto de requisição do Express
      * @param {Response} response - Objeto de resposta do Express
      * @param {Function} next - Função next() para passar para o próximo middleware
      * 
-     * Lança ErrorResponse com código HTTP 400 em caso de validação falha.
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
      */
     validateBody = (request, response, next) => {
-        console.log("🔷 CargoMiddleware.validateBody()");
-        const body = request.body;
-
-        if (!body.cargo) {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'cargo' é obrigatório!" });
-        }
+        Logger.debug("🔷 CargoMiddleware.validateBody()");
+        Validador.corpo(CargoMiddleware.#CORPO, request.body);
+        next(); // Passa para o próximo middleware ou controller
+    }
 
-        const cargo = body.cargo;
+    /**
+     * Valida o corpo da requisição de atualização parcial (PATCH, JSON Merge Patch - RFC 7396).
+     * 
+     * Verifica:
+     * - Se o objeto 'cargo' existe
+     * - Se todos os campos enviados podem ser alterados (nomeCargo)
+     * - Se nenhum campo é null: no RFC 7396 null remove o campo, mas nomeCargo é obrigatório
+     * - nomeCargo, quando enviado, pelas regras do model Cargo
+     * 
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     * 
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validatePatchBody = (request, response, next) => {
+        Logger.debug("🔷 CargoMiddleware.validatePatchBody()");
+        Validador.corpo(CargoMiddleware.#CORPO_PATCH, request.body);
+        next(); // Passa para o próximo middleware ou controller
+    }
 
-        if (!cargo.nomeCargo || cargo.nomeCargo.trim() === "") {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'nomeCargo' é obrigatório!" });
-        }
+    /**
+     * Valida o corpo da reatribuição de funcionários para outro cargo.
+     * 
+     * Verifica:
+     * - idCargoDestino, pelas regras do model Cargo (inteiro positivo)
+     * - Se 'excluirCargo', quando informado, é booleano
+     * 
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     * 
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validateReassignBody = (request, response, next) => {
+        Logger.debug("🔷 CargoMiddleware.validateReassignBody()");
+        Validador.corpo(CargoMiddleware.#CORPO_REASSIGN, request.body);
+        next(); // Passa para o próximo middleware ou controller
+    }
 
+    /**
+     * Valida o corpo da fusão de cargos.
+     * 
+     * Verifica:
+     * - Se 'idsCargosOrigem' é um array não vazio de ids válidos pelas regras do model Cargo
+     * - Se 'dryRun', quando informado, é booleano
+     * 
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     * 
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validateMergeBody = (request, response, next) => {
+        Logger.debug("🔷 CargoMiddleware.validateMergeBody()");
+        Validador.corpo(CargoMiddleware.#CORPO_MERGE, request.body);
         next(); // Passa para o próximo middleware ou controller
     }
 
@@ -46,22 +118,17 @@ module.exports = class CargoMiddleware {
      * Valida o parâmetro de rota 'idCargo' em requisições que necessitam de identificação do cargo.
      * 
      * Verifica:
-     * - Se o parâmetro 'idCargo' foi passado na URL
+     * - Se 'idCargo' é um número inteiro positivo, pelas regras do model Cargo
      * 
      * @param {Request} request - Objeto de requisição do Express
      * @param {Response} response - Objeto de resposta do Express
      * @param {Function} next - Função next() para passar para o próximo middleware
      * 
-     * Lança ErrorResponse com código HTTP 400 caso 'idCargo' não seja fornecido.
+     * Lança ErrorResponse com código HTTP 400 caso 'idCargo' seja inválido (ex: /cargos/abc).
      */
     validateIdParam = (request, response, next) => {
-        console.log("🔷 CargoMiddleware.validateIdParam()");
-        const { idCargo } = request.params;
-
-        if (!idCargo) {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'idCargo' é obrigatório!" });
-        }
-
+        Logger.debug("🔷 CargoMiddleware.validateIdParam()");
+        Validador.parametros(CargoMiddleware.#PARAMETROS_ID, request.params);
         next(); // Passa para o próximo middleware ou controller
     }
 }
@@ -1,122 +1,270 @@
-const ErrorResponse = require("../utils/ErrorResponse");
+const Funcionario = require("../models/Funcionario");
+const Cargo = require("../models/Cargo");
+const Validador = require("../utils/Validador");
+const Logger = require("../utils/Logger");
 
 /**
  * Middleware para validação de requisições relacionadas à entidade Funcionario.
- * 
+ *
  * Objetivo:
- * - Garantir que os dados obrigatórios estejam presentes antes de chamar
+ * - Garantir que os dados obrigatórios estejam presentes e válidos antes de chamar
  *   os métodos do Controller ou Service.
- * - Lançar erros padronizados usando ErrorResponse quando a validação falhar.
+ * - Cada corpo e parâmetro é descrito por um schema do Validador; os valores que têm regra de
+ *   domínio são validados pelos próprios setters dos models Funcionario e Cargo.
+ * - Todos os erros são devolvidos de uma vez (ErrorResponse 422 para o corpo, 400 para parâmetros).
  */
 module.exports = class FuncionarioMiddleware {
 
+    // Campos de um funcionário completo (POST e PUT); no PATCH os mesmos campos são opcionais
+    static #CAMPOS = {
+        nomeFuncionario: Validador.modelo(Funcionario, "nomeFuncionario"),
+        email: Validador.modelo(Funcionario, "email"),
+        senha: Validador.modelo(Funcionario, "senha"),
+        recebeValeTransporte: Validador.modelo(Funcionario, "recebeValeTransporte"),
+        cargo: Validador.objeto({ idCargo: Validador.modelo(Cargo, "idCargo") })
+    };
+
+    static #CORPO_CRIACAO = Validador.objeto({
+        funcionario: Validador.objeto(FuncionarioMiddleware.#CAMPOS)
+    });
+
+    static #CORPO_PATCH = Validador.objeto({
+        funcionario: Validador.objeto(FuncionarioMiddleware.#CAMPOS, { parcial: true })
+    });
+
+    // Na autenticação a senha não passa pelas regras do model: uma senha fraca só não confere
+    static #CORPO_LOGIN = Validador.objeto({
+        funcionario: Validador.objeto({
+            email: Validador.modelo(Funcionario, "email"),
+            senha: Validador.texto()
+        })
+    });
+
+    static #CORPO_REFRESH = Validador.objeto({
+        refreshToken: Validador.texto()
+    });
+
+    static #CORPO_FORGOT_PASSWORD = Validador.objeto({
+        email: Validador.modelo(Funcionario, "email")
+    });
+
+    static #CORPO_RESET_PASSWORD = Validador.objeto({
+        token: Validador.texto(),
+        senha: Validador.modelo(Funcionario, "senha")
+    });
+
+    // Cargo, vale transporte e senha têm rotas próprias
+    static #CORPO_ME = Validador.objeto({
+        funcionario: Validador.objeto({
+            nomeFuncionario: Validador.modelo(Funcionario, "nomeFuncionario"),
+            email: Validador.modelo(Funcionario, "email")
+        }, { parcial: true, minimoCampos: 1 })
+    });
+
+    static #CORPO_MINHA_SENHA = Validador.objeto({
+        senhaAtual: Validador.texto(),
+        novaSenha: Validador.modelo(Funcionario, "senha")
+    });
+
+    static #CORPO_PERFIS = Validador.objeto({
+        perfis: Validador.lista(Validador.objeto({ idPerfil: Validador.inteiroPositivo() }))
+    });
+
+    static #PARAMETROS_ID = Validador.objeto({
+        idFuncionario: Validador.modelo(Funcionario, "idFuncionario")
+    });
+
     /**
-     * Valida o corpo da requisição para criação de um novo funcionário.
-     * 
+     * Valida o corpo da requisição para criação (POST) ou substituição (PUT) de um funcionário.
+     *
      * Verifica:
      * - Se o objeto 'funcionario' existe
-     * - Campos obrigatórios: nomeFuncionario, email, senha, recebeValeTransporte
-     * - Tipo e valor de recebeValeTransporte (0 ou 1)
-     * - Objeto 'cargo' presente e válido
-     * - idCargo é um inteiro positivo
-     * 
+     * - nomeFuncionario, email, senha e recebeValeTransporte, pelas regras do model Funcionario
+     * - Objeto 'cargo' com idCargo válido pelas regras do model Cargo
+     *
      * @param {Request} request - Objeto de requisição do Express
      * @param {Response} response - Objeto de resposta do Express
      * @param {Function} next - Função next() para passar para o próximo middleware
-     * 
-     * Lança ErrorResponse com código HTTP 400 em caso de validação falha.
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
      */
     validateCreateBody = (request, response, next) => {
-        console.log("🔷 FuncionarioMiddleware.validateCreateBody()");
-        const body = request.body;
-
-        if (!body.funcionario) {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'funcionario' é obrigatório!" });
-        }
-
-        const funcionario = body.funcionario;
-
-        const camposObrigatorios = ["nomeFuncionario", "email", "senha", "recebeValeTransporte"];
-        for (const campo of camposObrigatorios) {
-            if (funcionario[campo] === undefined || funcionario[campo] === null || funcionario[campo] === "") {
-                throw new ErrorResponse(400, "Erro na validação de dados", { message: `O campo '${campo}' é obrigatório!` });
-            }
-        }
-
-        if (![0, 1].includes(funcionario.recebeValeTransporte)) {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'recebeValeTransporte' deve ser 0 ou 1" });
-        }
-
-        if (!funcionario.cargo || typeof funcionario.cargo !== "object") {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'cargo' é obrigatório e deve ser um objeto" });
-        }
-
-        if (!Number.isInteger(funcionario.cargo.idCargo) || funcionario.cargo.idCargo <= 0) {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'idCargo' deve ser um número inteiro positivo" });
-        }
+        Logger.debug("🔷 FuncionarioMiddleware.validateCreateBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_CRIACAO, request.body);
+        next();
+    }
 
+    /**
+     * Valida o corpo da requisição de atualização parcial (PATCH, JSON Merge Patch - RFC 7396).
+     *
+     * Verifica:
+     * - Se o objeto 'funcionario' existe
+     * - Se todos os campos enviados podem ser alterados
+     *   (nomeFuncionario, email, senha, recebeValeTransporte, cargo)
+     * - Se nenhum campo é null: no RFC 7396 null remove o campo, mas todos são obrigatórios
+     * - Os valores enviados, pelas mesmas regras da criação
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validatePatchBody = (request, response, next) => {
+        Logger.debug("🔷 FuncionarioMiddleware.validatePatchBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_PATCH, request.body);
         next();
     }
 
     /**
      * Valida o corpo da requisição para login de um funcionário.
-     * 
+     *
      * Verifica:
      * - Se o objeto 'funcionario' existe
-     * - Campos obrigatórios: email, senha
-     * - Formato básico de email
-     * 
+     * - email válido pelas regras do model Funcionario
+     * - senha não vazia
+     *
      * @param {Request} request - Objeto de requisição do Express
      * @param {Response} response - Objeto de resposta do Express
      * @param {Function} next - Função next() para passar para o próximo middleware
-     * 
-     * Lança ErrorResponse com código HTTP 400 em caso de validação falha.
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
      */
     validateLoginBody = (request, response, next) => {
-        console.log("🔷 FuncionarioMiddleware.validateLoginBody()");
-        const body = request.body;
+        Logger.debug("🔷 FuncionarioMiddleware.validateLoginBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_LOGIN, request.body);
+        next();
+    }
 
-        if (!body.funcionario) {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'funcionario' é obrigatório!" });
-        }
+    /**
+     * Valida o corpo da requisição de renovação de tokens (refresh).
+     *
+     * Verifica:
+     * - Campo obrigatório: refreshToken (string não vazia)
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validateRefreshBody = (request, response, next) => {
+        Logger.debug("🔷 FuncionarioMiddleware.validateRefreshBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_REFRESH, request.body);
+        next();
+    }
 
-        const funcionario = body.funcionario;
+    /**
+     * Valida o corpo da requisição de "esqueci minha senha".
+     *
+     * Verifica:
+     * - Campo obrigatório: email, válido pelas regras do model Funcionario
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validateForgotPasswordBody = (request, response, next) => {
+        Logger.debug("🔷 FuncionarioMiddleware.validateForgotPasswordBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_FORGOT_PASSWORD, request.body);
+        next();
+    }
 
-        const camposObrigatorios = ["email", "senha"];
-        for (const campo of camposObrigatorios) {
-            if (!funcionario[campo] || funcionario[campo].toString().trim() === "") {
-                throw new ErrorResponse(400, "Erro na validação de dados", { message: `O campo '${campo}' é obrigatório!` });
-            }
-        }
+    /**
+     * Valida o corpo da requisição de redefinição de senha.
+     *
+     * Verifica:
+     * - token (string não vazia)
+     * - senha, pelas regras do model Funcionario
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validateResetPasswordBody = (request, response, next) => {
+        Logger.debug("🔷 FuncionarioMiddleware.validateResetPasswordBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_RESET_PASSWORD, request.body);
+        next();
+    }
 
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(funcionario.email)) {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'email' não é um e-mail válido" });
-        }
+    /**
+     * Valida o corpo da requisição em que o funcionário altera os próprios dados (PATCH /me).
+     *
+     * Verifica:
+     * - Se o objeto 'funcionario' existe
+     * - Se há ao menos um campo e todos estão entre os que o próprio funcionário pode alterar
+     *   (nomeFuncionario, email), com valores válidos pelas regras do model Funcionario.
+     *   Cargo, vale transporte e senha têm rotas próprias.
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validateMeBody = (request, response, next) => {
+        Logger.debug("🔷 FuncionarioMiddleware.validateMeBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_ME, request.body);
+        next();
+    }
 
+    /**
+     * Valida o corpo da requisição em que o funcionário troca a própria senha (POST /me/senha).
+     *
+     * Verifica:
+     * - senhaAtual (string não vazia)
+     * - novaSenha, pelas regras do model Funcionario
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validateMinhaSenhaBody = (request, response, next) => {
+        Logger.debug("🔷 FuncionarioMiddleware.validateMinhaSenhaBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_MINHA_SENHA, request.body);
+        next();
+    }
+
+    /**
+     * Valida o corpo da requisição que redefine os perfis de um funcionário.
+     *
+     * Verifica:
+     * - Se 'perfis' é um array
+     * - Se cada item possui 'idPerfil' inteiro positivo
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 422 em caso de validação falha.
+     */
+    validatePerfisBody = (request, response, next) => {
+        Logger.debug("🔷 FuncionarioMiddleware.validatePerfisBody()");
+        Validador.corpo(FuncionarioMiddleware.#CORPO_PERFIS, request.body);
         next();
     }
 
     /**
      * Valida o parâmetro de rota 'idFuncionario' em requisições que necessitam de identificação do funcionário.
-     * 
+     *
      * Verifica:
-     * - Se o parâmetro 'idFuncionario' foi passado na URL
-     * 
+     * - Se 'idFuncionario' é um número inteiro positivo, pelas regras do model Funcionario
+     *
      * @param {Request} request - Objeto de requisição do Express
      * @param {Response} response - Objeto de resposta do Express
      * @param {Function} next - Função next() para passar para o próximo middleware
-     * 
-     * Lança ErrorResponse com código HTTP 400 caso 'idFuncionario' não seja fornecido.
+     *
+     * Lança ErrorResponse com código HTTP 400 caso 'idFuncionario' seja inválido (ex: /funcionarios/abc).
      */
     validateIdParam = (request, response, next) => {
-        console.log("🔷 FuncionarioMiddleware.validateIdParam()");
-        const { idFuncionario } = request.params;
-
-        if (!idFuncionario) {
-            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'idFuncionario' é obrigatório!" });
-        }
-
+        Logger.debug("🔷 FuncionarioMiddleware.validateIdParam()");
+        Validador.parametros(FuncionarioMiddleware.#PARAMETROS_ID, request.params);
         next();
     };
 }
@@ -1,50 +1,77 @@
-const MeuTokenJWT = require("../http/MeuTokenJWT");
+const TokenService = require("../services/TokenService");
+const Logger = require("../utils/Logger");
 
 /**
  * Middleware para validação de tokens JWT em requisições.
  * 
  * Objetivo:
  * - Garantir que apenas requisições com token válido acessem os endpoints protegidos.
- * - Re-gerar o token e anexá-lo no header da requisição se for válido (refresh token).
+ * - Recusar tokens revogados (logout, funcionário excluído), consultando o TokenService pelo jti.
+ * - Renovar o token perto da expiração e devolvê-lo no header de resposta X-Renewed-Token (sessão deslizante).
  */
 module.exports = class JwtMiddleware {
+    static HEADER_TOKEN_RENOVADO = "X-Renewed-Token"; // precisa estar em exposedHeaders do CORS
+    #tokenService;
+
+    /**
+     * Construtor da classe JwtMiddleware
+     * @param {TokenService} tokenServiceDependency - Serviço consultado para saber se o token foi revogado
+     */
+    constructor(tokenServiceDependency) {
+        Logger.debug("⬆️  JwtMiddleware.constructor()");
+        this.#tokenService = tokenServiceDependency;
+    }
 
     /**
      * Valida o token JWT presente no header 'Authorization' da requisição.
      * 
      * Fluxo:
      * 1. Recupera o header 'authorization' da requisição.
-     * 2. Instancia a classe MeuTokenJWT.
-     * 3. Valida o token usando MeuTokenJWT.validarToken().
-     * 4. Se o token for válido:
-     *    - Extrai informações do payload (email, role, name)
-     *    - Gera um novo token atualizado e anexa em request.headers.authorization
+     * 2. Valida o token com TokenService.validarAccessToken() (MeuTokenJWT com a chave configurada).
+     * 3. Obtém o payload decodificado.
+     * 4. Verifica se o jti do token está na lista de revogação.
+     * 5. Se o token for válido e não revogado:
+     *    - Disponibiliza o payload decodificado em request.jwtPayload (usado na autorização)
+     *    - Se faltarem poucos minutos para expirar, gera um token renovado com os mesmos claims
+     *      e o envia no header de resposta X-Renewed-Token
      *    - Chama next() para prosseguir para o próximo middleware ou controller
-     * 5. Se o token for inválido:
+     * 6. Se o token for inválido ou revogado:
      *    - Retorna status HTTP 401 com mensagem de token inválido
      * 
      * @param {Request} request - Objeto de requisição do Express
      * @param {Response} response - Objeto de resposta do Express
      * @param {Function} next - Função next() para passar para o próximo middleware
      */
-    validateToken = (request, response, next) => {
-        console.log("🔷 JwtMiddleware.validateToken()");
+    validateToken = async (request, response, next) => {
+        Logger.debug("🔷 JwtMiddleware.validateToken()");
         const authorization = request.headers.authorization;
 
-        const jwt = new MeuTokenJWT();
+        const payload = this.#tokenService.validarAccessToken(authorization);
 
-        const autorizado = jwt.validarToken(authorization);
+        let autorizado = payload !== null;
 
         if (autorizado === true) {
-            const payload = jwt.payload;
-            const obj = {
-                email: payload.email,
-                role: payload.role,
-                name: payload.name,
-            };
+            try {
+                autorizado = !(await this.#tokenService.estaRevogado(payload.jti));
+            } catch (error) {
+                return next(error);
+            }
+        }
+
+        if (autorizado === true) {
+
+            // Disponibiliza os dados do usuário autenticado para os próximos middlewares
+            request.jwtPayload = payload;
 
-            // Re-gerar token e atualizar no header da requisição
-            request.headers.authorization = jwt.gerarToken(obj);
+            // Sessão deslizante: perto de expirar, devolve ao cliente um token renovado (perfis e permissões atuais)
+            try {
+                const tokenRenovado = await this.#tokenService.renovarSeNecessario(payload);
+                if (tokenRenovado) {
+                    response.setHeader(JwtMiddleware.HEADER_TOKEN_RENOVADO, tokenRenovado);
+                }
+            } catch (error) {
+                return next(error);
+            }
 
             next(); // Prossegue para o próximo middleware ou controller
         } else {
@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Metricas = require("../utils/Metricas");
+const Logger = require("../utils/Logger");
+
+/**
+ * Middlewares das métricas HTTP (ver Metricas e GET /metrics).
+ *
+ * - medir: conta as requisições e mede a latência por método, rota e status. A rota é o padrão
+ *   declarado no roteador (ex: /api/v1/cargos/:idCargo), e não a URL, para que cada id não vire
+ *   uma série nova; requisições que não casam com nenhuma rota usam a rota "desconhecida".
+ * - contarErros: conta os erros que chegam ao tratamento de erros, por ErrorResponse.httpCode
+ *   (erros genéricos contam como 500). Deve ser registrado logo antes do middleware de erros.
+ * - validarToken: protege GET /metrics com o token METRICS_TOKEN (Authorization: Bearer),
+ *   quando ele estiver configurado.
+ */
+module.exports = class MetricasMiddleware {
+    static ROTA_DESCONHECIDA = "desconhecida";
+
+    #requisicoes;
+    #duracao;
+    #erros;
+    #token;
+
+    /**
+     * @param {Metricas} metricasDependency - Registro onde as métricas são gravadas
+     * @param {Object} [configuracao] - Seção metricas da configuração.
+     * @param {string} [configuracao.token] - Token exigido em GET /metrics (METRICS_TOKEN); sem ele o endpoint é aberto.
+     */
+    constructor(metricasDependency, configuracao = {}) {
+        Logger.debug("⬆️  MetricasMiddleware.constructor()");
+        this.#token = configuracao.token;
+
+        this.#requisicoes = metricasDependency.contador("http_requests_total", "Requisições HTTP atendidas", ["method", "route", "status"]);
+        this.#duracao = metricasDependency.histograma("http_request_duration_seconds", "Latência das requisições HTTP, em segundos", ["method", "route", "status"]);
+        this.#erros = metricasDependency.contador("http_errors_total", "Erros tratados pelo middleware de erros, por código HTTP do ErrorResponse", ["http_code"]);
+    }
+
+    /**
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     */
+    medir = (request, response, next) => {
+        const inicio = process.hrtime.bigint();
+        let route = MetricasMiddleware.ROTA_DESCONHECIDA;
+
+        // O Express atribui request.route ao casar a rota, quando request.baseUrl ainda é o caminho do
+        // roteador; depois de um erro o baseUrl volta a ser "" e a rota completa não poderia mais ser montada
+        let rotaExpress;
+        Object.defineProperty(request, "route", {
+            configurable: true,
+            enumerable: true,
+            get: () => rotaExpress,
+            set: (valor) => {
+                rotaExpress = valor;
+                route = `${request.baseUrl}${valor.path === "/" && request.baseUrl ? "" : valor.path}`;
+            }
+        });
+
+        response.once("close", () => {
+            const rotulos = { method: request.method, route, status: response.statusCode };
+
+            this.#requisicoes.inc(rotulos);
+            this.#duracao.observar(rotulos, Number(process.hrtime.bigint() - inicio) / 1e9);
+        });
+
+        next();
+    }
+
+    /**
+     * Middleware de erro (4 parâmetros): conta o erro e o repassa ao tratamento de erros.
+     */
+    contarErros = (error, request, response, next) => {
+        this.#erros.inc({ http_code: error instanceof ErrorResponse ? error.httpCode : 500 });
+        next(error);
+    }
+
+    /**
+     * Exige Authorization: Bearer <METRICS_TOKEN>, se o token estiver configurado.
+     * @throws {ErrorResponse} 401 se o token não for informado ou não conferir.
+     */
+    validarToken = (request, response, next) => {
+        Logger.debug("🔷 MetricasMiddleware.validarToken()");
+        if (!this.#token) {
+            return next();
+        }
+
+        const informado = Buffer.from((request.headers.authorization ?? "").replace(/^Bearer /, ""));
+        const esperado = Buffer.from(this.#token);
+
+        // timingSafeEqual: a comparação não revela, pelo tempo de resposta, quantos caracteres conferem
+        if (informado.length !== esperado.length || !crypto.timingSafeEqual(informado, esperado)) {
+            throw new ErrorResponse(401, "Não autorizado", { message: "Informe o token das métricas em Authorization: Bearer" });
+        }
+
+        next();
+    }
+}
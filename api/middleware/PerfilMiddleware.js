@@ -0,0 +1,93 @@
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Middleware para validação de requisições relacionadas à entidade Perfil.
+ *
+ * Objetivo:
+ * - Garantir que os dados obrigatórios estejam presentes antes de chamar
+ *   os métodos do Controller ou Service.
+ * - Lançar erros padronizados usando ErrorResponse quando a validação falhar.
+ */
+module.exports = class PerfilMiddleware {
+
+    /**
+     * Valida o corpo da requisição para criação/atualização de Perfil.
+     *
+     * Verifica:
+     * - Se o objeto 'perfil' existe
+     * - Se o campo obrigatório 'nomePerfil' está presente e não é vazio
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 400 em caso de validação falha.
+     */
+    validateBody = (request, response, next) => {
+        Logger.debug("🔷 PerfilMiddleware.validateBody()");
+        const body = request.body;
+
+        if (!body.perfil) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'perfil' é obrigatório!" });
+        }
+
+        const perfil = body.perfil;
+
+        if (typeof perfil.nomePerfil !== "string" || perfil.nomePerfil.trim() === "") {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'nomePerfil' é obrigatório!" });
+        }
+
+        next();
+    }
+
+    /**
+     * Valida o corpo da requisição que redefine as permissões de um perfil.
+     *
+     * Verifica:
+     * - Se 'permissoes' é um array
+     * - Se cada item possui 'idPermissao' inteiro positivo
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 400 em caso de validação falha.
+     */
+    validatePermissoesBody = (request, response, next) => {
+        Logger.debug("🔷 PerfilMiddleware.validatePermissoesBody()");
+        const permissoes = request.body.permissoes;
+
+        if (!Array.isArray(permissoes)) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'permissoes' é obrigatório e deve ser um array" });
+        }
+
+        for (const permissao of permissoes) {
+            if (!permissao || !Number.isInteger(permissao.idPermissao) || permissao.idPermissao <= 0) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: "Cada item de 'permissoes' deve ter 'idPermissao' inteiro positivo" });
+            }
+        }
+
+        next();
+    }
+
+    /**
+     * Valida o parâmetro de rota 'idPerfil'.
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 400 caso 'idPerfil' não seja fornecido.
+     */
+    validateIdParam = (request, response, next) => {
+        Logger.debug("🔷 PerfilMiddleware.validateIdParam()");
+        const { idPerfil } = request.params;
+
+        if (!idPerfil) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'idPerfil' é obrigatório!" });
+        }
+
+        next();
+    }
+}
@@ -0,0 +1,63 @@
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Middleware para validação de requisições relacionadas à entidade Permissao.
+ *
+ * Objetivo:
+ * - Garantir que os dados obrigatórios estejam presentes antes de chamar
+ *   os métodos do Controller ou Service.
+ * - Lançar erros padronizados usando ErrorResponse quando a validação falhar.
+ */
+module.exports = class PermissaoMiddleware {
+
+    /**
+     * Valida o corpo da requisição para criação/atualização de Permissao.
+     *
+     * Verifica:
+     * - Se o objeto 'permissao' existe
+     * - Se o campo obrigatório 'codigo' está presente e não é vazio
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 400 em caso de validação falha.
+     */
+    validateBody = (request, response, next) => {
+        Logger.debug("🔷 PermissaoMiddleware.validateBody()");
+        const body = request.body;
+
+        if (!body.permissao) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'permissao' é obrigatório!" });
+        }
+
+        const permissao = body.permissao;
+
+        if (typeof permissao.codigo !== "string" || permissao.codigo.trim() === "") {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O campo 'codigo' é obrigatório!" });
+        }
+
+        next();
+    }
+
+    /**
+     * Valida o parâmetro de rota 'idPermissao'.
+     *
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     *
+     * Lança ErrorResponse com código HTTP 400 caso 'idPermissao' não seja fornecido.
+     */
+    validateIdParam = (request, response, next) => {
+        Logger.debug("🔷 PermissaoMiddleware.validateIdParam()");
+        const { idPermissao } = request.params;
+
+        if (!idPermissao) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'idPermissao' é obrigatório!" });
+        }
+
+        next();
+    }
+}
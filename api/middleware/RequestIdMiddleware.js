@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const Logger = require("../utils/Logger");
+
+/**
+ * Middleware que identifica cada requisição.
+ *
+ * - Reaproveita o cabeçalho X-Request-Id enviado pelo cliente (ou por um proxy) quando ele é
+ *   um identificador seguro; caso contrário gera um UUID.
+ * - Devolve o identificador no cabeçalho X-Request-Id da resposta e em request.requestId.
+ * - Executa o restante da requisição dentro do contexto do Logger: todo registro feito por
+ *   controllers, services e DAOs durante a requisição recebe o campo requestId.
+ *
+ * Precisa ser registrado depois do express.json(): o parser do corpo continua a requisição
+ * em callbacks do stream, fora do contexto assíncrono aberto antes dele.
+ */
+module.exports = class RequestIdMiddleware {
+    static HEADER = "X-Request-Id"; // precisa estar em exposedHeaders do CORS
+
+    // Evita que um valor do cliente quebre o formato do log (quebras de linha, textos enormes)
+    static FORMATO_VALIDO = /^[\w.-]{1,128}$/;
+
+    /**
+     * @param {Request} request - Objeto de requisição do Express
+     * @param {Response} response - Objeto de resposta do Express
+     * @param {Function} next - Função next() para passar para o próximo middleware
+     */
+    handle = (request, response, next) => {
+        const recebido = request.get(RequestIdMiddleware.HEADER);
+        const requestId = RequestIdMiddleware.FORMATO_VALIDO.test(recebido ?? "") ? recebido : crypto.randomUUID();
+
+        request.requestId = requestId;
+        response.setHeader(RequestIdMiddleware.HEADER, requestId);
+
+        Logger.executarComContexto({ requestId }, next);
+    }
+}
@@ -1,3 +1,5 @@
+const Logger = require("../utils/Logger");
+
 /**
  * Representa a entidade Cargo do sistema.
  * 
@@ -11,7 +13,7 @@ module.exports = class Cargo {
     #nomeCargo;
 
     constructor() {
-        console.log("⬆️  Cargo.constructor()");
+        Logger.debug("⬆️  Cargo.constructor()");
     }
 
     /**
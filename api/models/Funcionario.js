@@ -17,6 +17,8 @@ module.exports = class Funcionario {
     #email;
     #senha;
     #recebeValeTransporte;
+    #status = "ativo";
+    #dataDesativacao = null;
 
     /**
      * Getter e Setter para idFuncionario
@@ -260,4 +262,66 @@ module.exports = class Funcionario {
         // Atribui valor ao atributo privado
         this.#recebeValeTransporte = value;
     }
+
+    /**
+     * Getter e Setter para status
+     * @returns {"ativo"|"inativo"} Situação do funcionário
+     */
+    get status() {
+        return this.#status;
+    }
+
+    /**
+     * Define a situação do funcionário.
+     *
+     * 🔹 Regra de domínio: funcionários inativos continuam no banco, mas não aparecem
+     * nas listagens e não conseguem fazer login.
+     *
+     * @param {string} value - "ativo" ou "inativo".
+     * @throws {Error} - Lança erro se o valor não for "ativo" nem "inativo".
+     *
+     * @example
+     * funcionario.status = "inativo"; // ✅ válido
+     * funcionario.status = "demitido"; // ❌ lança erro
+     */
+    set status(value) {
+        if (!["ativo", "inativo"].includes(value)) {
+            throw new Error("status deve ser 'ativo' ou 'inativo'.");
+        }
+
+        this.#status = value;
+    }
+
+    /**
+     * Getter e Setter para dataDesativacao
+     * @returns {Date|null} Momento em que o funcionário foi desativado (null se ativo)
+     */
+    get dataDesativacao() {
+        return this.#dataDesativacao;
+    }
+
+    /**
+     * Define o momento da desativação.
+     *
+     * @param {Date|string|null} value - Data válida ou null.
+     * @throws {Error} - Lança erro se o valor não for uma data válida.
+     *
+     * @example
+     * funcionario.dataDesativacao = new Date(); // ✅ válido
+     * funcionario.dataDesativacao = null;       // ✅ válido (funcionário ativo)
+     * funcionario.dataDesativacao = "ontem";    // ❌ lança erro
+     */
+    set dataDesativacao(value) {
+        if (value === null || value === undefined) {
+            this.#dataDesativacao = null;
+            return;
+        }
+
+        const data = value instanceof Date ? value : new Date(value);
+        if (isNaN(data.getTime())) {
+            throw new Error("dataDesativacao deve ser uma data válida.");
+        }
+
+        this.#dataDesativacao = data;
+    }
 }
@@ -0,0 +1,95 @@
+const Logger = require("../utils/Logger");
+
+/**
+ * Representa a entidade Perfil do sistema.
+ *
+ * Objetivo:
+ * - Encapsular os dados de um perfil de acesso (ex: "Administrador", "Colaborador").
+ * - Garantir integridade dos atributos via getters e setters.
+ *
+ * Observação:
+ * - O Cargo descreve a função do funcionário na empresa.
+ * - O Perfil descreve o que a pessoa pode fazer no sistema (conjunto de permissões).
+ */
+module.exports = class Perfil {
+    // Atributos privados
+    #idPerfil;
+    #nomePerfil;
+
+    constructor() {
+        Logger.debug("⬆️  Perfil.constructor()");
+    }
+
+    /**
+     * Getter para idPerfil
+     * @returns {number} Identificador único do perfil
+     */
+    get idPerfil() {
+        return this.#idPerfil;
+    }
+
+    /**
+     * Define o ID do perfil.
+     *
+     * 🔹 Regra de domínio: garante que o ID seja sempre um número inteiro positivo.
+     *
+     * @param {number} value - Número inteiro positivo representando o ID do perfil.
+     * @throws {Error} - Lança erro se o valor não for número, não for inteiro ou for menor/igual a zero.
+     *
+     * @example
+     * perfil.idPerfil = 1;  // ✅ válido
+     * perfil.idPerfil = 0;  // ❌ lança erro
+     */
+    set idPerfil(value) {
+        const parsed = Number(value);
+
+        if (!Number.isInteger(parsed)) {
+            throw new Error("idPerfil deve ser um número inteiro.");
+        }
+
+        if (parsed <= 0) {
+            throw new Error("idPerfil deve ser maior que zero.");
+        }
+
+        this.#idPerfil = parsed;
+    }
+
+    /**
+     * Getter para nomePerfil
+     * @returns {string} Nome do perfil
+     */
+    get nomePerfil() {
+        return this.#nomePerfil;
+    }
+
+    /**
+     * Define o nome do perfil.
+     *
+     * 🔹 Regra de domínio: garante que o nome seja uma string com
+     * pelo menos 3 e no máximo 64 caracteres.
+     *
+     * @param {string} value - Nome do perfil.
+     * @throws {Error} - Lança erro se o valor não for string ou não respeitar o tamanho.
+     *
+     * @example
+     * perfil.nomePerfil = "Administrador"; // ✅ válido
+     * perfil.nomePerfil = "AB";            // ❌ lança erro
+     */
+    set nomePerfil(value) {
+        if (typeof value !== "string") {
+            throw new Error("nomePerfil deve ser uma string.");
+        }
+
+        const nome = value.trim();
+
+        if (nome.length < 3) {
+            throw new Error("nomePerfil deve ter pelo menos 3 caracteres.");
+        }
+
+        if (nome.length > 64) {
+            throw new Error("nomePerfil deve ter no máximo 64 caracteres.");
+        }
+
+        this.#nomePerfil = nome;
+    }
+}
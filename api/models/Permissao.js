@@ -0,0 +1,130 @@
+const Logger = require("../utils/Logger");
+
+/**
+ * Representa a entidade Permissao do sistema.
+ *
+ * Objetivo:
+ * - Encapsular uma permissão de acesso, identificada por um código no formato "recurso:acao"
+ *   (ex: "funcionario:write", "cargo:delete").
+ * - Garantir integridade dos atributos via getters e setters.
+ */
+module.exports = class Permissao {
+    // Atributos privados
+    #idPermissao;
+    #codigo;
+    #descricao;
+
+    constructor() {
+        Logger.debug("⬆️  Permissao.constructor()");
+    }
+
+    /**
+     * Getter para idPermissao
+     * @returns {number} Identificador único da permissão
+     */
+    get idPermissao() {
+        return this.#idPermissao;
+    }
+
+    /**
+     * Define o ID da permissão.
+     *
+     * 🔹 Regra de domínio: garante que o ID seja sempre um número inteiro positivo.
+     *
+     * @param {number} value - Número inteiro positivo representando o ID da permissão.
+     * @throws {Error} - Lança erro se o valor não for número, não for inteiro ou for menor/igual a zero.
+     *
+     * @example
+     * permissao.idPermissao = 1;  // ✅ válido
+     * permissao.idPermissao = -5; // ❌ lança erro
+     */
+    set idPermissao(value) {
+        const parsed = Number(value);
+
+        if (!Number.isInteger(parsed)) {
+            throw new Error("idPermissao deve ser um número inteiro.");
+        }
+
+        if (parsed <= 0) {
+            throw new Error("idPermissao deve ser maior que zero.");
+        }
+
+        this.#idPermissao = parsed;
+    }
+
+    /**
+     * Getter para codigo
+     * @returns {string} Código da permissão (ex: "cargo:delete")
+     */
+    get codigo() {
+        return this.#codigo;
+    }
+
+    /**
+     * Define o código da permissão.
+     *
+     * 🔹 Regra de domínio: o código segue o formato "recurso:acao", apenas com letras
+     * minúsculas, e é o valor verificado nas rotas protegidas.
+     *
+     * @param {string} value - Código da permissão.
+     * @throws {Error} - Lança erro se o valor não for string ou não estiver no formato "recurso:acao".
+     *
+     * @example
+     * permissao.codigo = "cargo:delete";   // ✅ válido
+     * permissao.codigo = "Cargo Delete";   // ❌ lança erro
+     * permissao.codigo = "cargo";          // ❌ lança erro
+     */
+    set codigo(value) {
+        if (typeof value !== "string") {
+            throw new Error("codigo deve ser uma string.");
+        }
+
+        const codigo = value.trim();
+
+        if (!/^[a-z]+:[a-z]+$/.test(codigo)) {
+            throw new Error("codigo deve estar no formato 'recurso:acao' (ex: cargo:delete).");
+        }
+
+        if (codigo.length > 64) {
+            throw new Error("codigo deve ter no máximo 64 caracteres.");
+        }
+
+        this.#codigo = codigo;
+    }
+
+    /**
+     * Getter para descricao
+     * @returns {string|null} Descrição da permissão
+     */
+    get descricao() {
+        return this.#descricao;
+    }
+
+    /**
+     * Define a descrição da permissão.
+     *
+     * 🔹 Regra de domínio: a descrição é opcional, mas quando informada deve ser
+     * uma string de no máximo 128 caracteres.
+     *
+     * @param {string|null} value - Descrição da permissão.
+     * @throws {Error} - Lança erro se o valor não for string (ou null) ou exceder 128 caracteres.
+     */
+    set descricao(value) {
+        if (value === undefined || value === null) {
+            this.#descricao = null;
+            return;
+        }
+
+        if (typeof value !== "string") {
+            throw new Error("descricao deve ser uma string.");
+        }
+
+        const descricao = value.trim();
+
+        if (descricao.length > 128) {
+            throw new Error("descricao deve ter no máximo 128 caracteres.");
+        }
+
+        this.#descricao = descricao;
+    }
+}
@@ -0,0 +1,57 @@
+const express = require("express");
+const JwtMiddleware = require("../middleware/JwtMiddleware");
+const AuthorizationMiddleware = require("../middleware/AuthorizationMiddleware");
+const AuditoriaController = require("../controllers/AuditoriaController");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por configurar as rotas de consulta da auditoria.
+ *
+ * Observações sobre injeção de dependência:
+ * - O roteador não cria suas próprias instâncias de middlewares ou controladores.
+ * - Ele recebe instâncias externas de JwtMiddleware, AuthorizationMiddleware e AuditoriaControl via construtor.
+ */
+module.exports = class AuditoriaRoteador {
+    // Atributos privados
+    #router;
+    #jwtMiddleware;
+    #authorizationMiddleware;
+    #auditoriaControl;
+
+    /**
+     * Construtor da classe AuditoriaRoteador
+     *
+     * Injeção de dependência:
+     * @param {JwtMiddleware} jwtMiddlewareDependency - Middleware JWT externo injetado
+     * @param {AuthorizationMiddleware} authorizationMiddlewareDependency - Middleware de autorização por permissão injetado
+     * @param {AuditoriaController} auditoriaControllerDependency - Controlador da auditoria injetado
+     */
+    constructor(jwtMiddlewareDependency, authorizationMiddlewareDependency, auditoriaControllerDependency) {
+        Logger.debug("⬆️  AuditoriaRoteador.constructor()");
+        this.#router = express.Router();
+
+        this.#jwtMiddleware = jwtMiddlewareDependency;
+        this.#authorizationMiddleware = authorizationMiddlewareDependency;
+        this.#auditoriaControl = auditoriaControllerDependency;
+    }
+
+    /**
+     * Configura as rotas da API REST da auditoria.
+     *
+     * Rotas configuradas:
+     * GET "/" -> Listar a trilha de auditoria, paginada e filtrada (validação JWT + permissão auditoria:read)
+     *
+     * @returns {express.Router} Router configurado com as rotas da auditoria
+     */
+    createRoutes = () => {
+        Logger.debug("⬆️  AuditoriaRoteador.createRoutes()");
+
+        this.#router.get("/",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("auditoria:read"),
+            this.#auditoriaControl.index
+        );
+
+        return this.#router;
+    }
+}
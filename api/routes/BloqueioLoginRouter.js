@@ -0,0 +1,77 @@
+const express = require("express");
+const JwtMiddleware = require("../middleware/JwtMiddleware");
+const AuthorizationMiddleware = require("../middleware/AuthorizationMiddleware");
+const BloqueioLoginMiddleware = require("../middleware/BloqueioLoginMiddleware");
+const BloqueioLoginController = require("../controllers/BloqueioLoginController");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por configurar as rotas administrativas de bloqueios de login.
+ *
+ * Observações sobre injeção de dependência:
+ * - O roteador não cria suas próprias instâncias de middlewares ou controladores.
+ * - Ele recebe instâncias externas de JwtMiddleware, AuthorizationMiddleware,
+ *   BloqueioLoginMiddleware e BloqueioLoginControl via construtor.
+ */
+module.exports = class BloqueioLoginRoteador {
+    // Atributos privados
+    #router;
+    #jwtMiddleware;
+    #authorizationMiddleware;
+    #bloqueioLoginMiddleware;
+    #bloqueioLoginControl;
+
+    /**
+     * Construtor da classe BloqueioLoginRoteador
+     *
+     * Injeção de dependência:
+     * @param {JwtMiddleware} jwtMiddlewareDependency - Middleware JWT externo injetado
+     * @param {AuthorizationMiddleware} authorizationMiddlewareDependency - Middleware de autorização por permissão injetado
+     * @param {BloqueioLoginMiddleware} bloqueioLoginMiddlewareDependency - Middleware de validação injetado
+     * @param {BloqueioLoginController} bloqueioLoginControllerDependency - Controlador de bloqueios injetado
+     */
+    constructor(jwtMiddlewareDependency, authorizationMiddlewareDependency, bloqueioLoginMiddlewareDependency, bloqueioLoginControllerDependency) {
+        Logger.debug("⬆️  BloqueioLoginRoteador.constructor()");
+        this.#router = express.Router();
+
+        this.#jwtMiddleware = jwtMiddlewareDependency;
+        this.#authorizationMiddleware = authorizationMiddlewareDependency;
+        this.#bloqueioLoginMiddleware = bloqueioLoginMiddlewareDependency;
+        this.#bloqueioLoginControl = bloqueioLoginControllerDependency;
+    }
+
+    /**
+     * Configura as rotas da API REST de bloqueios de login.
+     *
+     * Rotas configuradas:
+     * GET "/"                     -> Listar emails/IPs bloqueados agora (validação JWT + permissão bloqueio:read)
+     * GET "/historico"            -> Histórico de bloqueios, paginado (validação JWT + permissão bloqueio:read)
+     * DELETE "/:idTentativaLogin" -> Liberar um email/IP (validação JWT + permissão bloqueio:delete + id param)
+     *
+     * @returns {express.Router} Router configurado com todas as rotas de bloqueios
+     */
+    createRoutes = () => {
+        Logger.debug("⬆️  BloqueioLoginRoteador.createRoutes()");
+
+        this.#router.get("/",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("bloqueio:read"),
+            this.#bloqueioLoginControl.index
+        );
+
+        this.#router.get("/historico",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("bloqueio:read"),
+            this.#bloqueioLoginControl.historico
+        );
+
+        this.#router.delete("/:idTentativaLogin",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("bloqueio:delete"),
+            this.#bloqueioLoginMiddleware.validateIdParam,
+            this.#bloqueioLoginControl.destroy
+        );
+
+        return this.#router;
+    }
+}
@@ -1,39 +1,45 @@
 const express = require("express");
 const JwtMiddleware = require("../middleware/JwtMiddleware");
+const AuthorizationMiddleware = require("../middleware/AuthorizationMiddleware");
 const CargoMiddleware = require("../middleware/CargoMiddleware");
 const CargoController = require("../controllers/CargoController");
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável por configurar as rotas da entidade Cargo.
  * 
  * Observações sobre injeção de dependência:
  * - O roteador não cria suas próprias instâncias de middlewares ou controladores.
- * - Ele recebe instâncias externas de JwtMiddleware, CargoMiddleware e CargoControle via construtor.
+ * - Ele recebe instâncias externas de JwtMiddleware, AuthorizationMiddleware, CargoMiddleware e CargoControle via construtor.
  * - Isso permite flexibilidade: 
  *      - Testes unitários podem injetar mocks ou stubs;
  *      - É possível trocar implementações sem alterar o roteador;
  *      - Segue o princípio de inversão de dependência (SOLID).
  */
 module.exports = class CargoRoteador {
+
     // Atributos privados
     #router;
     #cargoMiddleware;
     #cargoControl;
     #jwtMiddleware;
+    #authorizationMiddleware;
 
     /**
      * Construtor da classe CargoRoteador
      * 
      * Injeção de dependência:
      * @param {JwtMiddleware} jwtMiddlewareDependency - Middleware JWT externo injetado
+     * @param {AuthorizationMiddleware} authorizationMiddlewareDependency - Middleware de autorização por permissão injetado
      * @param {CargoMiddleware} cargoMiddlewareDependency - Middleware de validação de Cargo injetado
      * @param {CargoController} cargoControllerDependency - Controlador de Cargo injetado
      */
-    constructor(routerDependency, jwtMiddlewareDependency, cargoMiddlewareDependency, cargoControllerDependency) {
-        console.log("⬆️  CargoRoteador.constructor()");
+    constructor(routerDependency, jwtMiddlewareDependency, authorizationMiddlewareDependency, cargoMiddlewareDependency, cargoControllerDependency) {
+        Logger.debug("⬆️  CargoRoteador.constructor()");
         // Armazenando as instâncias injetadas
         this.#router = routerDependency;
         this.#jwtMiddleware = jwtMiddlewareDependency;
+        this.#authorizationMiddleware = authorizationMiddlewareDependency;
         this.#cargoMiddleware = cargoMiddlewareDependency;
         this.#cargoControl = cargoControllerDependency;
     }
@@ -42,11 +48,17 @@ module.exports = class CargoRoteador {
      * Configura as rotas da API REST para a entidade Cargo.
      * 
      * Rotas configuradas:
-     * POST "/"           -> Criar um novo Cargo (validação JWT + body)
+     * POST "/"           -> Criar um novo Cargo (validação JWT + permissão cargo:write + body)
      * GET "/"            -> Listar todos os Cargos (validação JWT)
+     * GET "/merges"      -> Histórico de fusões de Cargos (validação JWT + permissão auditoria:read)
      * GET "/:idCargo"    -> Buscar Cargo por ID (validação JWT + id param)
-     * PUT "/:idCargo"    -> Atualizar Cargo por ID (validação JWT + id param + body)
-     * DELETE "/:idCargo" -> Deletar Cargo por ID (validação JWT + id param)
+     * PUT "/:idCargo"    -> Atualizar Cargo por ID (validação JWT + permissão cargo:write + id param + body)
+     * PATCH "/:idCargo"  -> Atualizar apenas os campos enviados (JSON Merge Patch) (validação JWT + permissão cargo:write + id param + body)
+     * DELETE "/:idCargo" -> Deletar Cargo por ID, se não tiver funcionários (validação JWT + permissão cargo:delete + id param)
+     * POST "/:idCargo/reassign" -> Mover os funcionários para outro Cargo (validação JWT + permissões cargo:write e funcionario:write
+     *                              + cargo:delete se excluirCargo for true + id param + body)
+     * POST "/:idCargo/merge" -> Fundir outros Cargos neste (validação JWT + permissão cargo:write
+     *                           + funcionario:write e cargo:delete se não for dryRun + id param + body)
      * 
      * Todas as dependências (JWT, middleware de validação, controlador) são fornecidas externamente,
      * permitindo maior flexibilidade e testabilidade do código.
@@ -54,10 +66,11 @@ module.exports = class CargoRoteador {
      * @returns {express.Router} Router configurado com todas as rotas de Cargo
      */
     createRoutes = () => {
-        console.log("⬆️  CargoRoteador.createRoutes()");
+        Logger.debug("⬆️  CargoRoteador.createRoutes()");
 
         this.#router.post("/",
             this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("cargo:write"),
             this.#cargoMiddleware.validateBody,
             this.#cargoControl.store
         );
@@ -67,6 +80,13 @@ module.exports = class CargoRoteador {
             this.#cargoControl.index
         );
 
+        // Declarada antes de "/:idCargo" para que "merges" não seja lido como um ID
+        this.#router.get("/merges",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("auditoria:read"),
+            this.#cargoControl.merges
+        );
+
         this.#router.get("/:idCargo",
             this.#jwtMiddleware.validateToken,
             this.#cargoMiddleware.validateIdParam,
@@ -75,17 +95,45 @@ module.exports = class CargoRoteador {
 
         this.#router.put("/:idCargo",
             this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("cargo:write"),
             this.#cargoMiddleware.validateIdParam,
             this.#cargoMiddleware.validateBody,
             this.#cargoControl.update
         );
 
+        this.#router.patch("/:idCargo",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("cargo:write"),
+            this.#cargoMiddleware.validateIdParam,
+            this.#cargoMiddleware.validatePatchBody,
+            this.#cargoControl.patch
+        );
+
         this.#router.delete("/:idCargo",
             this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("cargo:delete"),
             this.#cargoMiddleware.validateIdParam,
             this.#cargoControl.destroy
         );
 
+        this.#router.post("/:idCargo/reassign",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("cargo:write", "funcionario:write"),
+            this.#cargoMiddleware.validateIdParam,
+            this.#cargoMiddleware.validateReassignBody,
+            this.#authorizationMiddleware.requirePermissionWhen(request => request.body.excluirCargo === true, "cargo:delete"),
+            this.#cargoControl.reassign
+        );
+
+        this.#router.post("/:idCargo/merge",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("cargo:write"),
+            this.#cargoMiddleware.validateIdParam,
+            this.#cargoMiddleware.validateMergeBody,
+            this.#authorizationMiddleware.requirePermissionWhen(request => request.body.dryRun !== true, "funcionario:write", "cargo:delete"),
+            this.#cargoControl.merge
+        );
+
         return this.#router;
     }
 
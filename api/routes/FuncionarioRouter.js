@@ -3,13 +3,15 @@ const CargoMiddleware = require("../middleware/CargoMiddleware");
 const FuncionarioMiddleware = require("../middleware/FuncionarioMiddleware");
 const FuncionarioController = require("../controllers/FuncionarioController");
 const JwtMiddleware = require("../middleware/JwtMiddleware");
+const AuthorizationMiddleware = require("../middleware/AuthorizationMiddleware");
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável por configurar as rotas da entidade Funcionario.
  * 
  * Observações sobre injeção de dependência:
  * - O roteador não cria suas próprias instâncias de middlewares ou controladores.
- * - Ele recebe instâncias externas de JwtMiddleware, FuncionarioMiddleware e FuncionarioControle via construtor.
+ * - Ele recebe instâncias externas de JwtMiddleware, AuthorizationMiddleware, FuncionarioMiddleware e FuncionarioControle via construtor.
  * - Isso permite:
  *      - Testes unitários com mocks ou stubs;
  *      - Troca de implementações sem alterar o roteador;
@@ -21,21 +23,24 @@ module.exports = class FuncionarioRoteador {
     #FuncionarioController;
     #funcionarioMiddleware;
     #jwtMiddleware;
+    #authorizationMiddleware;
 
     /**
      * Construtor da classe FuncionarioRoteador
      * 
      * Injeção de dependência:
      * @param {JwtMiddleware} jwtMiddleware - Middleware JWT externo injetado
+     * @param {AuthorizationMiddleware} authorizationMiddleware - Middleware de autorização por permissão injetado
      * @param {FuncionarioMiddleware} funcionarioMiddleware - Middleware de validação de Funcionario injetado
      * @param {FuncionarioController} FuncionarioController - Controlador de Funcionario injetado
      */
-    constructor(jwtMiddleware, funcionarioMiddleware, FuncionarioController) {
-        console.log("⬆️  FuncionarioRoteador.constructor()");
+    constructor(jwtMiddleware, authorizationMiddleware, funcionarioMiddleware, FuncionarioController) {
+        Logger.debug("⬆️  FuncionarioRoteador.constructor()");
         this.#router = express.Router();
 
         // Armazenando as instâncias injetadas
         this.#jwtMiddleware = jwtMiddleware;
+        this.#authorizationMiddleware = authorizationMiddleware;
         this.#funcionarioMiddleware = funcionarioMiddleware;
         this.#FuncionarioController = FuncionarioController;
     }
@@ -45,11 +50,23 @@ module.exports = class FuncionarioRoteador {
      * 
      * Rotas configuradas:
      * POST "/login"                    -> Efetuar login do funcionário
-     * POST "/"                          -> Criar um novo Funcionario (validação JWT + body)
-     * PUT "/:idFuncionario"             -> Atualizar Funcionario por ID (validação JWT + id param + body)
-     * DELETE "/:idFuncionario"          -> Deletar Funcionario por ID (validação JWT + id param)
+     * POST "/refresh"                  -> Trocar refresh token por um novo par de tokens (body)
+     * POST "/logout"                   -> Encerrar a sessão, revogando os tokens atuais (validação JWT)
+     * POST "/password/forgot"         -> Enviar por email o link de redefinição de senha (body)
+     * POST "/password/reset"          -> Redefinir a senha com o token recebido por email (body)
+     * GET "/me"                        -> Dados do próprio funcionário (validação JWT)
+     * PATCH "/me"                      -> Alterar nome/email do próprio funcionário (validação JWT + body)
+     * POST "/me/senha"                 -> Trocar a própria senha informando a atual (validação JWT + body)
+     * POST "/"                          -> Criar um novo Funcionario (validação JWT + permissão funcionario:write + body)
+     * PUT "/:idFuncionario"             -> Atualizar Funcionario por ID (validação JWT + permissão funcionario:write + id param + body)
+     * PATCH "/:idFuncionario"           -> Atualizar apenas os campos enviados (JSON Merge Patch) (validação JWT + permissão funcionario:write + id param + body)
+     * DELETE "/:idFuncionario"          -> Desativar Funcionario por ID (validação JWT + permissão funcionario:delete + id param)
+     * POST "/:idFuncionario/restore"    -> Reativar Funcionario desativado (validação JWT + permissão funcionario:delete + id param)
+     * DELETE "/:idFuncionario/purge"    -> Excluir definitivamente Funcionario desativado (validação JWT + permissão funcionario:purge + id param)
      * GET "/"                           -> Listar todos os Funcionarios (validação JWT)
      * GET "/:idFuncionario"             -> Buscar Funcionario por ID (validação JWT + id param)
+     * GET "/:idFuncionario/perfis"      -> Listar perfis do Funcionario (validação JWT + permissão perfil:read + id param)
+     * PUT "/:idFuncionario/perfis"      -> Redefinir perfis do Funcionario (validação JWT + permissão funcionario:write + id param + body)
      * 
      * Todas as dependências (JWT, middleware de validação, controlador) são fornecidas externamente,
      * permitindo maior flexibilidade e testabilidade do código.
@@ -57,7 +74,7 @@ module.exports = class FuncionarioRoteador {
      * @returns {express.Router} Router configurado com todas as rotas de Funcionario
      */
     createRoutes = () => {
-        console.log("⬆️  FuncionarioRoteador.createRoutes()");
+        Logger.debug("⬆️  FuncionarioRoteador.createRoutes()");
 
         // ROTA: POST[/funcionarios/login]
         this.#router.post("/login",
@@ -65,9 +82,57 @@ module.exports = class FuncionarioRoteador {
             this.#FuncionarioController.login
         );
 
+        // ROTA: POST[/funcionarios/refresh]
+        this.#router.post("/refresh",
+            this.#funcionarioMiddleware.validateRefreshBody,
+            this.#FuncionarioController.refresh
+        );
+
+        // ROTA: POST[/funcionarios/logout]
+        this.#router.post("/logout",
+            this.#jwtMiddleware.validateToken,
+            this.#FuncionarioController.logout
+        );
+
+        // ROTA: POST[/funcionarios/password/forgot]
+        this.#router.post("/password/forgot",
+            this.#funcionarioMiddleware.validateForgotPasswordBody,
+            this.#FuncionarioController.forgotPassword
+        );
+
+        // ROTA: POST[/funcionarios/password/reset]
+        this.#router.post("/password/reset",
+            this.#funcionarioMiddleware.validateResetPasswordBody,
+            this.#FuncionarioController.resetPassword
+        );
+
+        // ROTAS /me: declaradas antes de "/:idFuncionario" para que "me" não seja lido como um ID.
+        // Não exigem permissão: cada funcionário só acessa os próprios dados (idFuncionario do token).
+
+        // ROTA: GET[/funcionarios/me]
+        this.#router.get("/me",
+            this.#jwtMiddleware.validateToken,
+            this.#FuncionarioController.showMe
+        );
+
+        // ROTA: PATCH[/funcionarios/me]
+        this.#router.patch("/me",
+            this.#jwtMiddleware.validateToken,
+            this.#funcionarioMiddleware.validateMeBody,
+            this.#FuncionarioController.updateMe
+        );
+
+        // ROTA: POST[/funcionarios/me/senha]
+        this.#router.post("/me/senha",
+            this.#jwtMiddleware.validateToken,
+            this.#funcionarioMiddleware.validateMinhaSenhaBody,
+            this.#FuncionarioController.changeMyPassword
+        );
+
         // ROTA: POST[/funcionarios]
         this.#router.post("/",
             this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("funcionario:write"),
             this.#funcionarioMiddleware.validateCreateBody,
             this.#FuncionarioController.store
         );
@@ -75,18 +140,45 @@ module.exports = class FuncionarioRoteador {
         // ROTA: PUT[/funcionarios/:idFuncionario]
         this.#router.put("/:idFuncionario",
             this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("funcionario:write"),
             this.#funcionarioMiddleware.validateIdParam,
             this.#funcionarioMiddleware.validateCreateBody,
             this.#FuncionarioController.update
         );
 
+        // ROTA: PATCH[/funcionarios/:idFuncionario]
+        this.#router.patch("/:idFuncionario",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("funcionario:write"),
+            this.#funcionarioMiddleware.validateIdParam,
+            this.#funcionarioMiddleware.validatePatchBody,
+            this.#FuncionarioController.patch
+        );
+
         // ROTA: DELETE[/funcionarios/:idFuncionario]
         this.#router.delete("/:idFuncionario",
             this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("funcionario:delete"),
             this.#funcionarioMiddleware.validateIdParam,
             this.#FuncionarioController.destroy
         );
 
+        // ROTA: POST[/funcionarios/:idFuncionario/restore]
+        this.#router.post("/:idFuncionario/restore",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("funcionario:delete"),
+            this.#funcionarioMiddleware.validateIdParam,
+            this.#FuncionarioController.restore
+        );
+
+        // ROTA: DELETE[/funcionarios/:idFuncionario/purge]
+        this.#router.delete("/:idFuncionario/purge",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("funcionario:purge"),
+            this.#funcionarioMiddleware.validateIdParam,
+            this.#FuncionarioController.purge
+        );
+
         // ROTA: GET[/funcionarios]
         this.#router.get("/",
             this.#jwtMiddleware.validateToken,
@@ -100,6 +192,24 @@ module.exports = class FuncionarioRoteador {
             this.#FuncionarioController.show
         );
 
+        // ROTA: GET[/funcionarios/:idFuncionario/perfis]
+        this.#router.get("/:idFuncionario/perfis",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:read"),
+            this.#funcionarioMiddleware.validateIdParam,
+            this.#FuncionarioController.perfis
+        );
+
+        // ROTA: PUT[/funcionarios/:idFuncionario/perfis]
+        // Atribuir perfis é administrar permissões: exige perfil:write, não apenas funcionario:write
+        this.#router.put("/:idFuncionario/perfis",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:write"),
+            this.#funcionarioMiddleware.validateIdParam,
+            this.#funcionarioMiddleware.validatePerfisBody,
+            this.#FuncionarioController.updatePerfis
+        );
+
         return this.#router;
     }
 }
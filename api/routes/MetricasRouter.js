@@ -0,0 +1,52 @@
+const express = require("express");
+const MetricasMiddleware = require("../middleware/MetricasMiddleware");
+const MetricasController = require("../controllers/MetricasController");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por configurar a rota das métricas (coletadas pelo Prometheus).
+ *
+ * Observações sobre injeção de dependência:
+ * - O roteador não cria suas próprias instâncias de middlewares ou controladores.
+ * - Ele recebe instâncias externas de MetricasMiddleware e MetricasControl via construtor.
+ */
+module.exports = class MetricasRoteador {
+    // Atributos privados
+    #router;
+    #metricasMiddleware;
+    #metricasControl;
+
+    /**
+     * Construtor da classe MetricasRoteador
+     *
+     * Injeção de dependência:
+     * @param {MetricasMiddleware} metricasMiddlewareDependency - Middleware das métricas (token METRICS_TOKEN)
+     * @param {MetricasController} metricasControllerDependency - Controlador das métricas injetado
+     */
+    constructor(metricasMiddlewareDependency, metricasControllerDependency) {
+        Logger.debug("⬆️  MetricasRoteador.constructor()");
+        this.#router = express.Router();
+
+        this.#metricasMiddleware = metricasMiddlewareDependency;
+        this.#metricasControl = metricasControllerDependency;
+    }
+
+    /**
+     * Configura a rota das métricas.
+     *
+     * Rotas configuradas:
+     * GET "/" -> Métricas no formato texto do Prometheus (token METRICS_TOKEN, se configurado)
+     *
+     * @returns {express.Router} Router configurado com a rota das métricas
+     */
+    createRoutes = () => {
+        Logger.debug("⬆️  MetricasRoteador.createRoutes()");
+
+        this.#router.get("/",
+            this.#metricasMiddleware.validarToken,
+            this.#metricasControl.exportar
+        );
+
+        return this.#router;
+    }
+}
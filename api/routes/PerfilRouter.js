@@ -0,0 +1,104 @@
+const express = require("express");
+const JwtMiddleware = require("../middleware/JwtMiddleware");
+const AuthorizationMiddleware = require("../middleware/AuthorizationMiddleware");
+const PerfilMiddleware = require("../middleware/PerfilMiddleware");
+const PerfilController = require("../controllers/PerfilController");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por configurar as rotas da entidade Perfil.
+ *
+ * Observações sobre injeção de dependência:
+ * - O roteador não cria suas próprias instâncias de middlewares ou controladores.
+ * - Ele recebe instâncias externas de JwtMiddleware, AuthorizationMiddleware,
+ *   PerfilMiddleware e PerfilControl via construtor.
+ */
+module.exports = class PerfilRoteador {
+    // Atributos privados
+    #router;
+    #jwtMiddleware;
+    #authorizationMiddleware;
+    #perfilMiddleware;
+    #perfilControl;
+
+    /**
+     * Construtor da classe PerfilRoteador
+     *
+     * Injeção de dependência:
+     * @param {JwtMiddleware} jwtMiddlewareDependency - Middleware JWT externo injetado
+     * @param {AuthorizationMiddleware} authorizationMiddlewareDependency - Middleware de autorização por permissão injetado
+     * @param {PerfilMiddleware} perfilMiddlewareDependency - Middleware de validação de Perfil injetado
+     * @param {PerfilController} perfilControllerDependency - Controlador de Perfil injetado
+     */
+    constructor(jwtMiddlewareDependency, authorizationMiddlewareDependency, perfilMiddlewareDependency, perfilControllerDependency) {
+        Logger.debug("⬆️  PerfilRoteador.constructor()");
+        this.#router = express.Router();
+
+        this.#jwtMiddleware = jwtMiddlewareDependency;
+        this.#authorizationMiddleware = authorizationMiddlewareDependency;
+        this.#perfilMiddleware = perfilMiddlewareDependency;
+        this.#perfilControl = perfilControllerDependency;
+    }
+
+    /**
+     * Configura as rotas da API REST para a entidade Perfil.
+     *
+     * Rotas configuradas:
+     * POST "/"                      -> Criar um novo Perfil (validação JWT + permissão perfil:write + body)
+     * GET "/"                       -> Listar todos os Perfis (validação JWT + permissão perfil:read)
+     * GET "/:idPerfil"              -> Buscar Perfil por ID (validação JWT + permissão perfil:read + id param)
+     * PUT "/:idPerfil"              -> Atualizar Perfil por ID (validação JWT + permissão perfil:write + id param + body)
+     * DELETE "/:idPerfil"           -> Deletar Perfil por ID (validação JWT + permissão perfil:delete + id param)
+     * PUT "/:idPerfil/permissoes"   -> Redefinir permissões do Perfil (validação JWT + permissão perfil:write + id param + body)
+     *
+     * @returns {express.Router} Router configurado com todas as rotas de Perfil
+     */
+    createRoutes = () => {
+        Logger.debug("⬆️  PerfilRoteador.createRoutes()");
+
+        this.#router.post("/",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:write"),
+            this.#perfilMiddleware.validateBody,
+            this.#perfilControl.store
+        );
+
+        this.#router.get("/",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:read"),
+            this.#perfilControl.index
+        );
+
+        this.#router.get("/:idPerfil",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:read"),
+            this.#perfilMiddleware.validateIdParam,
+            this.#perfilControl.show
+        );
+
+        this.#router.put("/:idPerfil",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:write"),
+            this.#perfilMiddleware.validateIdParam,
+            this.#perfilMiddleware.validateBody,
+            this.#perfilControl.update
+        );
+
+        this.#router.delete("/:idPerfil",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:delete"),
+            this.#perfilMiddleware.validateIdParam,
+            this.#perfilControl.destroy
+        );
+
+        this.#router.put("/:idPerfil/permissoes",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:write"),
+            this.#perfilMiddleware.validateIdParam,
+            this.#perfilMiddleware.validatePermissoesBody,
+            this.#perfilControl.updatePermissoes
+        );
+
+        return this.#router;
+    }
+}
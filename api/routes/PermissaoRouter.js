@@ -0,0 +1,95 @@
+const express = require("express");
+const JwtMiddleware = require("../middleware/JwtMiddleware");
+const AuthorizationMiddleware = require("../middleware/AuthorizationMiddleware");
+const PermissaoMiddleware = require("../middleware/PermissaoMiddleware");
+const PermissaoController = require("../controllers/PermissaoController");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por configurar as rotas da entidade Permissao.
+ *
+ * Observações sobre injeção de dependência:
+ * - O roteador não cria suas próprias instâncias de middlewares ou controladores.
+ * - Ele recebe instâncias externas de JwtMiddleware, AuthorizationMiddleware,
+ *   PermissaoMiddleware e PermissaoControl via construtor.
+ */
+module.exports = class PermissaoRoteador {
+    // Atributos privados
+    #router;
+    #jwtMiddleware;
+    #authorizationMiddleware;
+    #permissaoMiddleware;
+    #permissaoControl;
+
+    /**
+     * Construtor da classe PermissaoRoteador
+     *
+     * Injeção de dependência:
+     * @param {JwtMiddleware} jwtMiddlewareDependency - Middleware JWT externo injetado
+     * @param {AuthorizationMiddleware} authorizationMiddlewareDependency - Middleware de autorização por permissão injetado
+     * @param {PermissaoMiddleware} permissaoMiddlewareDependency - Middleware de validação de Permissao injetado
+     * @param {PermissaoController} permissaoControllerDependency - Controlador de Permissao injetado
+     */
+    constructor(jwtMiddlewareDependency, authorizationMiddlewareDependency, permissaoMiddlewareDependency, permissaoControllerDependency) {
+        Logger.debug("⬆️  PermissaoRoteador.constructor()");
+        this.#router = express.Router();
+
+        this.#jwtMiddleware = jwtMiddlewareDependency;
+        this.#authorizationMiddleware = authorizationMiddlewareDependency;
+        this.#permissaoMiddleware = permissaoMiddlewareDependency;
+        this.#permissaoControl = permissaoControllerDependency;
+    }
+
+    /**
+     * Configura as rotas da API REST para a entidade Permissao.
+     *
+     * Rotas configuradas:
+     * POST "/"                -> Criar uma nova Permissao (validação JWT + permissão permissao:write + body)
+     * GET "/"                 -> Listar todas as Permissoes (validação JWT + permissão perfil:read)
+     * GET "/:idPermissao"     -> Buscar Permissao por ID (validação JWT + permissão perfil:read + id param)
+     * PUT "/:idPermissao"     -> Atualizar Permissao por ID (validação JWT + permissão permissao:write + id param + body)
+     * DELETE "/:idPermissao"  -> Deletar Permissao por ID (validação JWT + permissão permissao:delete + id param)
+     *
+     * @returns {express.Router} Router configurado com todas as rotas de Permissao
+     */
+    createRoutes = () => {
+        Logger.debug("⬆️  PermissaoRoteador.createRoutes()");
+
+        this.#router.post("/",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("permissao:write"),
+            this.#permissaoMiddleware.validateBody,
+            this.#permissaoControl.store
+        );
+
+        this.#router.get("/",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:read"),
+            this.#permissaoControl.index
+        );
+
+        this.#router.get("/:idPermissao",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("perfil:read"),
+            this.#permissaoMiddleware.validateIdParam,
+            this.#permissaoControl.show
+        );
+
+        this.#router.put("/:idPermissao",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("permissao:write"),
+            this.#permissaoMiddleware.validateIdParam,
+            this.#permissaoMiddleware.validateBody,
+            this.#permissaoControl.update
+        );
+
+        this.#router.delete("/:idPermissao",
+            this.#jwtMiddleware.validateToken,
+            this.#authorizationMiddleware.requirePermission("permissao:delete"),
+            this.#permissaoMiddleware.validateIdParam,
+            this.#permissaoControl.destroy
+        );
+
+        return this.#router;
+    }
+}
@@ -0,0 +1,45 @@
+const express = require("express");
+const SaudeController = require("../controllers/SaudeController");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável por configurar as rotas de saúde, consultadas por balanceadores e orquestradores.
+ *
+ * As rotas são públicas (sem JWT): quem as consulta não tem credenciais, e elas não expõem dados.
+ */
+module.exports = class SaudeRoteador {
+    // Atributos privados
+    #router;
+    #saudeControl;
+
+    /**
+     * Construtor da classe SaudeRoteador
+     *
+     * Injeção de dependência:
+     * @param {SaudeController} saudeControllerDependency - Controlador de saúde injetado
+     */
+    constructor(saudeControllerDependency) {
+        Logger.debug("⬆️  SaudeRoteador.constructor()");
+        this.#router = express.Router();
+
+        this.#saudeControl = saudeControllerDependency;
+    }
+
+    /**
+     * Configura as rotas de saúde.
+     *
+     * Rotas configuradas:
+     * GET "/live"  -> Liveness: o processo está no ar
+     * GET "/ready" -> Readiness: o banco responde e o servidor não está encerrando (503 caso contrário)
+     *
+     * @returns {express.Router} Router configurado com as rotas de saúde
+     */
+    createRoutes = () => {
+        Logger.debug("⬆️  SaudeRoteador.createRoutes()");
+
+        this.#router.get("/live", this.#saudeControl.live);
+        this.#router.get("/ready", this.#saudeControl.ready);
+
+        return this.#router;
+    }
+}
@@ -0,0 +1,42 @@
+const Cargo = require("../models/Cargo");
+
+/**
+ * Classe responsável por converter a entidade Cargo na sua representação pública (JSON de resposta).
+ *
+ * Objetivo:
+ * - Definir em um único lugar quais campos de um Cargo podem sair na resposta da API.
+ * - Funcionar como lista branca: campos que não estão aqui nunca chegam ao cliente,
+ *   mesmo que o DAO passe a buscar colunas novas.
+ */
+module.exports = class CargoSerializer {
+
+    /**
+     * Converte um Cargo na representação pública.
+     *
+     * @param {Cargo} cargo - Instância de Cargo (ou objeto com os mesmos campos).
+     * @returns {{idCargo: number, nomeCargo: string}|null} Representação pública ou null se não houver cargo.
+     *
+     * @example
+     * CargoSerializer.toJSON(cargo); // { idCargo: 1, nomeCargo: "Administrador" }
+     */
+    static toJSON(cargo) {
+        if (!cargo) {
+            return null;
+        }
+
+        return {
+            idCargo: cargo.idCargo,
+            nomeCargo: cargo.nomeCargo
+        };
+    }
+
+    /**
+     * Converte uma lista de Cargos.
+     *
+     * @param {Cargo[]} cargos - Lista de cargos.
+     * @returns {Array<Object>} Lista de representações públicas.
+     */
+    static toJSONList(cargos) {
+        return cargos.map(cargo => CargoSerializer.toJSON(cargo));
+    }
+}
@@ -0,0 +1,53 @@
+const Funcionario = require("../models/Funcionario");
+const CargoSerializer = require("./CargoSerializer");
+
+/**
+ * Classe responsável por converter a entidade Funcionario na sua representação pública (JSON de resposta).
+ *
+ * Objetivo:
+ * - Garantir que dados sensíveis (senha/hash) e colunas internas (Cargo_idCargo)
+ *   nunca cheguem a uma resposta HTTP: somente os campos listados aqui são copiados.
+ * - Padronizar o formato do funcionário em todas as rotas, sempre com o cargo aninhado.
+ */
+module.exports = class FuncionarioSerializer {
+
+    /**
+     * Converte um Funcionario na representação pública.
+     *
+     * @param {Funcionario} funcionario - Instância de Funcionario (ou objeto com os mesmos campos).
+     * @returns {Object|null} Representação pública ou null se não houver funcionário.
+     *
+     * @example
+     * FuncionarioSerializer.toJSON(funcionario);
+     * // {
+     * //   idFuncionario: 1, nomeFuncionario: "João", email: "joao@email.com",
+     * //   recebeValeTransporte: 1, status: "ativo", dataDesativacao: null,
+     * //   cargo: { idCargo: 2, nomeCargo: "Analista" }
+     * // }
+     */
+    static toJSON(funcionario) {
+        if (!funcionario) {
+            return null;
+        }
+
+        return {
+            idFuncionario: funcionario.idFuncionario,
+            nomeFuncionario: funcionario.nomeFuncionario,
+            email: funcionario.email,
+            recebeValeTransporte: funcionario.recebeValeTransporte,
+            status: funcionario.status,
+            dataDesativacao: funcionario.dataDesativacao ?? null,
+            cargo: CargoSerializer.toJSON(funcionario.cargo)
+        };
+    }
+
+    /**
+     * Converte uma lista de Funcionarios.
+     *
+     * @param {Funcionario[]} funcionarios - Lista de funcionários.
+     * @returns {Array<Object>} Lista de representações públicas.
+     */
+    static toJSONList(funcionarios) {
+        return funcionarios.map(funcionario => FuncionarioSerializer.toJSON(funcionario));
+    }
+}
@@ -0,0 +1,122 @@
+const AuditoriaDAO = require("../dao/AuditoriaDAO");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Paginacao = require("../utils/Paginacao");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pela consulta da trilha de auditoria.
+ *
+ * A gravação não passa por aqui: cada DAO registra a própria alteração
+ * (AuditoriaDAO.registrar) dentro da mesma transação.
+ */
+module.exports = class AuditoriaService {
+    static ENTIDADES = ["cargo", "funcionario"];
+    static OPERACOES = ["create", "update", "delete", "deactivate", "restore"];
+
+    #auditoriaDAO;
+
+    /**
+     * Construtor da classe AuditoriaService
+     * @param {AuditoriaDAO} auditoriaDAODependency - Instância de AuditoriaDAO
+     */
+    constructor(auditoriaDAODependency) {
+        Logger.debug("⬆️  AuditoriaService.constructor()");
+        this.#auditoriaDAO = auditoriaDAODependency;
+    }
+
+    /**
+     * Retorna uma página da trilha de auditoria.
+     *
+     * @param {Object} query - Query string da requisição
+     * @param {string} [query.entidade] - "cargo" ou "funcionario"
+     * @param {number} [query.idEntidade] - ID do cargo/funcionário alterado
+     * @param {string} [query.operacao] - "create", "update", "delete", "deactivate" ou "restore"
+     * @param {number} [query.idFuncionarioAutor] - Funcionário que fez as alterações
+     * @param {string} [query.desde] - Data ISO (ex: 2025-01-31 ou 2025-01-31T08:00:00) a partir da qual listar
+     * @param {string} [query.ate] - Data ISO até a qual listar (uma data sem hora inclui o dia inteiro)
+     * @param {number} [query.page] - Página (padrão 1)
+     * @param {number} [query.pageSize] - Itens por página
+     * @param {string} [query.sort] - Ordenação (padrão "-dataHora")
+     * @returns {Promise<{auditoria: Array, paginacao: Object}>}
+     * @throws {ErrorResponse} - 400 se algum parâmetro for inválido
+     */
+    findAll = async (query = {}) => {
+        Logger.debug("🟣 AuditoriaService.findAll()");
+
+        const paginacao = new Paginacao(
+            query,
+            ["idAuditoria", "idFuncionarioAutor", "entidade", "idEntidade", "operacao", "dataHora"],
+            "-dataHora"
+        );
+
+        const filtros = {};
+
+        if (this.#informado(query.entidade)) {
+            if (!AuditoriaService.ENTIDADES.includes(query.entidade)) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: `O parâmetro 'entidade' deve ser um de: ${AuditoriaService.ENTIDADES.join(", ")}` });
+            }
+            filtros.entidade = query.entidade;
+        }
+
+        if (this.#informado(query.operacao)) {
+            if (!AuditoriaService.OPERACOES.includes(query.operacao)) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: `O parâmetro 'operacao' deve ser um de: ${AuditoriaService.OPERACOES.join(", ")}` });
+            }
+            filtros.operacao = query.operacao;
+        }
+
+        for (const campo of ["idEntidade", "idFuncionarioAutor"]) {
+            if (this.#informado(query[campo])) {
+                const id = Number(query[campo]);
+                if (!Number.isInteger(id) || id <= 0) {
+                    throw new ErrorResponse(400, "Erro na validação de dados", { message: `O parâmetro '${campo}' deve ser um número inteiro positivo` });
+                }
+                filtros[campo] = id;
+            }
+        }
+
+        if (this.#informado(query.desde)) {
+            filtros.desde = this.#data("desde", query.desde);
+        }
+
+        if (this.#informado(query.ate)) {
+            filtros.ate = this.#data("ate", query.ate);
+
+            // "ate=2025-01-31" inclui todo o dia 31
+            if (/^\d{4}-\d{2}-\d{2}$/.test(query.ate)) {
+                filtros.ate = new Date(filtros.ate.getTime() + (24 * 3600 - 1) * 1000);
+            }
+        }
+
+        if (filtros.desde && filtros.ate && filtros.desde > filtros.ate) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'desde' deve ser anterior a 'ate'" });
+        }
+
+        const { itens, total } = await this.#auditoriaDAO.findAll(filtros, paginacao);
+
+        return { auditoria: itens, paginacao: paginacao.toMeta(total) };
+    }
+
+    /**
+     * @returns {boolean} True se o parâmetro da query string foi informado.
+     */
+    #informado = (valor) => {
+        return valor !== undefined && valor !== "";
+    }
+
+    /**
+     * Converte um parâmetro de data da query string.
+     * Datas sem hora (ex: 2025-01-31) são interpretadas no fuso local, como as gravadas pelo MySQL.
+     * @throws {ErrorResponse} 400 se a data for inválida.
+     */
+    #data = (parametro, valor) => {
+        const texto = /^\d{4}-\d{2}-\d{2}$/.test(valor) ? `${valor}T00:00:00` : valor;
+        const data = new Date(texto);
+
+        if (isNaN(data.getTime())) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: `O parâmetro '${parametro}' deve ser uma data válida (ex: 2025-01-31)` });
+        }
+
+        return data;
+    }
+}
@@ -1,6 +1,10 @@
 const CargoDAO = require("../dao/CargoDAO");
+const FusaoCargoDAO = require("../dao/FusaoCargoDAO");
+const MysqlDatabase = require("../database/MysqlDatabase");
 const Cargo = require("../models/Cargo");
 const ErrorResponse = require("../utils/ErrorResponse");
+const Paginacao = require("../utils/Paginacao");
+const Logger = require("../utils/Logger");
 
 /**
  * Classe responsável pela camada de serviço para a entidade Cargo.
@@ -12,67 +16,107 @@ const ErrorResponse = require("../utils/ErrorResponse");
  */
 module.exports = class CargoService {
     #cargoDAO;
+    #fusaoCargoDAO;
+    #database;
 
     /**
      * Construtor da classe CargoService
      * @param {CargoDAO} cargoDAODependency - Instância de CargoDAO
+     * @param {FusaoCargoDAO} fusaoCargoDAODependency - Instância de FusaoCargoDAO (histórico de fusões)
+     * @param {MysqlDatabase} databaseDependency - Instância de MysqlDatabase (transações que envolvem várias consultas)
      */
-    constructor(cargoDAODependency) {
-        console.log("⬆️  CargoService.constructor()");
+    constructor(cargoDAODependency, fusaoCargoDAODependency, databaseDependency) {
+        Logger.debug("⬆️  CargoService.constructor()");
         this.#cargoDAO = cargoDAODependency; // injeção de dependência
+        this.#fusaoCargoDAO = fusaoCargoDAODependency;
+        this.#database = databaseDependency;
+    }
+
+    /**
+     * Normaliza um nome de cargo para comparação: sem acentos, minúsculo e com espaços simples.
+     *
+     * @param {string} nome
+     * @returns {string}
+     *
+     * @example
+     * CargoService.normalizarNome("  Técnico em  INFORMÁTICA Jr "); // "tecnico em informatica jr"
+     */
+    static normalizarNome(nome) {
+        return String(nome)
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase()
+            .replace(/\s+/g, " ")
+            .trim();
     }
 
     /**
      * Cria um novo cargo
      * @param {Object} cargoJson - Dados do cargo { nomeCargo }
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
      * @returns {Promise<number>} - ID do novo cargo criado
      * 
      * Validações:
      * - nomeCargo não pode estar vazio
-     * - Não pode existir outro cargo com mesmo nome
+     * - Não pode existir outro cargo com mesmo nome nem com nome semelhante
+     *   (mesmo nome ignorando acentos, maiúsculas e espaços): 409
      */
-    createCargo = async (cargoJson) => {
-        console.log("🟣 CargoService.createCargo()");
+    createCargo = async (cargoJson, idFuncionarioAutor) => {
+        Logger.debug("🟣 CargoService.createCargo()");
 
         const cargo = new Cargo();
        
         //valida regra de dominimo
         cargo.nomeCargo = cargoJson.nomeCargo;
 
-        //valida regra de negócio
-        const resultado = await this.#cargoDAO.findByField("nomeCargo", cargo.nomeCargo);
-
-        if (resultado.length > 0) {
-            throw new ErrorResponse(
-                400, 
-                "Cargo já existe",
-                { message: `O cargo ${cargo.nomeCargo} já existe` }
-            );
-        }
-
-        return this.#cargoDAO.create(cargo);
+        return this.#gravarComNomeUnico(cargo, () => this.#cargoDAO.create(cargo, idFuncionarioAutor));
     }
 
     /**
-     * Retorna todos os cargos
+     * Retorna uma página de cargos.
+     * @param {Object} query - Query string da requisição
+     * @param {string} [query.nome] - Trecho do nome do cargo
+     * @param {number} [query.page] - Página (padrão 1)
+     * @param {number} [query.pageSize] - Itens por página
+     * @param {string} [query.sort] - Ordenação (ex: "nomeCargo" ou "-idCargo")
+     * @returns {Promise<{cargos: Cargo[], paginacao: Object}>} - Cargos da página e metadados de paginação
+     * @throws {ErrorResponse} - 400 se algum parâmetro for inválido
      */
-    findAll = async () => {
-        console.log("🟣 CargoService.findAll()");
-        return this.#cargoDAO.findAll();
+    findAll = async (query = {}) => {
+        Logger.debug("🟣 CargoService.findAll()");
+
+        const paginacao = new Paginacao(query, ["idCargo", "nomeCargo"], "idCargo");
+
+        const filtros = {};
+        if (query.nome !== undefined && query.nome !== "") {
+            filtros.nome = String(query.nome).trim();
+        }
+
+        const { itens, total } = await this.#cargoDAO.findAll(filtros, paginacao);
+
+        return { cargos: itens, paginacao: paginacao.toMeta(total) };
     }
 
     /**
      * Retorna um cargo por ID
      * @param {number} idCargo
+     * @returns {Promise<Cargo>} - Objeto Cargo encontrado
+     * @throws {ErrorResponse} - 404 se o cargo não existir
      */
     findById = async (idCargo) => {
-        console.log("🟣 CargoService.findById()");
+        Logger.debug("🟣 CargoService.findById()");
         const cargo = new Cargo();
         
         //passa pela validação de regra de dominio.
         cargo.idCargo = idCargo;
       
-        return this.#cargoDAO.findById(cargo.idCargo);
+        const encontrado = await this.#cargoDAO.findById(cargo.idCargo);
+
+        if (!encontrado) {
+            throw new ErrorResponse(404, "Cargo não encontrado", { message: `Não existe cargo com id ${idCargo}` });
+        }
+
+        return encontrado;
     }
 
     /**
@@ -83,15 +127,17 @@ module.exports = class CargoService {
      * @param {number} idCargo - Identificador do cargo a ser atualizado.
      * @param {Object} nomeCargo - Objeto contendo os dados do cargo.
      * @param {string} nomeCargo.nomeCargo - Nome do cargo (deve ser string não vazia).
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
      *
      * @returns {Promise<Cargo>} - Objeto Cargo atualizado.
      * @throws {Error} - Se idCargo for inválido ou nomeCargo não atender às regras de domínio.
+     * @throws {ErrorResponse} - 409 se outro cargo já tiver o mesmo nome ou um nome semelhante.
      *
      * @example
      * const cargoAtualizado = await cargoService.updateCargo(3, { nomeCargo: "Gerente" });
      */
-    updateCargo = async (idCargo, nomeCargo) => {
-        console.log("🟣 CargoService.updateCargo()");
+    updateCargo = async (idCargo, nomeCargo, idFuncionarioAutor) => {
+        Logger.debug("🟣 CargoService.updateCargo()");
        
         const cargo = new Cargo();
 
@@ -99,22 +145,300 @@ module.exports = class CargoService {
         cargo.idCargo = idCargo;
         cargo.nomeCargo = nomeCargo;
 
-        return this.#cargoDAO.update(cargo);
+        return this.#gravarComNomeUnico(cargo, () => this.#cargoDAO.update(cargo, idFuncionarioAutor));
     }
 
+    /**
+     * Atualiza parcialmente um cargo (JSON Merge Patch, RFC 7396).
+     *
+     * Apenas os campos presentes no patch passam pelos setters do model e são gravados.
+     * null (remoção no RFC 7396) é recusado pelo CargoMiddleware, pois nomeCargo é obrigatório.
+     *
+     * @param {number} idCargo - ID do cargo
+     * @param {Object} patch - Campos a alterar: { nomeCargo? }
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
+     * @returns {Promise<Cargo>} - Cargo completo, lido novamente do banco
+     * @throws {ErrorResponse} - 404 se o cargo não existir, 400 se algum valor for inválido,
+     *                           409 se outro cargo já tiver o mesmo nome ou um nome semelhante
+     */
+    patchCargo = async (idCargo, patch, idFuncionarioAutor) => {
+        Logger.debug("🟣 CargoService.patchCargo()");
+
+        // Leitura, verificação do nome e UPDATE formam uma unidade de trabalho
+        return this.#database.transaction(async () => {
+            const cargo = await this.findById(idCargo);
+            const campos = Object.keys(patch);
+
+            //validação de regras de dominio apenas nos campos enviados
+            try {
+                for (const campo of campos) {
+                    cargo[campo] = patch[campo];
+                }
+            } catch (error) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: error.message });
+            }
+
+            if (campos.includes("nomeCargo")) {
+                await this.#gravarComNomeUnico(cargo, () => this.#cargoDAO.updateParcial(cargo, campos, idFuncionarioAutor));
+            } else if (campos.length > 0) {
+                await this.#cargoDAO.updateParcial(cargo, campos, idFuncionarioAutor);
+            }
+
+            return this.findById(cargo.idCargo);
+        });
+    }
 
     /**
      * Deleta um cargo por ID
      * @param {number} idCargo
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
+     * @returns {Promise<boolean>} - True se excluído com sucesso
+     * @throws {ErrorResponse} - 404 se o cargo não existir,
+     *                           409 se ainda houver funcionários no cargo (error.funcionarios lista quais)
      */
-    deleteCargo = async (idCargo) => {
-        console.log("🟣 CargoService.deleteCargo()");
+    deleteCargo = async (idCargo, idFuncionarioAutor) => {
+        Logger.debug("🟣 CargoService.deleteCargo()");
 
+        const cargo = await this.findById(idCargo);
 
-        const cargo = new Cargo();
-        cargo.idCargo = idCargo;    //validação de regra de dominio
+        //regra de negocio => cargo com funcionários não pode ser excluído (use a reatribuição antes)
+        await this.#verificarSemFuncionarios(cargo);
+
+        try {
+            //passa como parametro objeto que será excluido
+            return await this.#cargoDAO.delete(cargo, idFuncionarioAutor);
+        } catch (error) {
+            // Um funcionário pode ter sido associado ao cargo entre a verificação e o DELETE
+            if (error.code === "ER_ROW_IS_REFERENCED_2") {
+                await this.#verificarSemFuncionarios(cargo);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Move todos os funcionários de um cargo para outro, em uma única transação,
+     * e opcionalmente exclui o cargo de origem.
+     *
+     * @param {number} idCargo - Cargo de origem
+     * @param {Object} reatribuicaoJson - { idCargoDestino, excluirCargo? }
+     * @param {number} reatribuicaoJson.idCargoDestino - Cargo que receberá os funcionários
+     * @param {boolean} [reatribuicaoJson.excluirCargo] - Excluir o cargo de origem ao final (padrão false)
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
+     * @returns {Promise<Object>} - { cargoOrigem, cargoDestino, idsFuncionarios, cargoExcluido }
+     * @throws {ErrorResponse} - 404 se o cargo de origem não existir,
+     *                           400 se o destino for inválido, não existir ou for o próprio cargo de origem
+     */
+    reatribuirCargo = async (idCargo, reatribuicaoJson, idFuncionarioAutor) => {
+        Logger.debug("🟣 CargoService.reatribuirCargo()");
+
+        const cargoOrigem = await this.findById(idCargo);
 
-        //passa como parametro objeto que será excluido
-        return this.#cargoDAO.delete(cargo);
+        const cargoDestino = new Cargo();
+        try {
+            cargoDestino.idCargo = reatribuicaoJson.idCargoDestino; //validação de regra de dominio
+        } catch (error) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: error.message });
+        }
+
+        if (cargoDestino.idCargo === cargoOrigem.idCargo) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O cargo de destino deve ser diferente do cargo de origem" });
+        }
+
+        const destinoExiste = await this.#cargoDAO.findById(cargoDestino.idCargo);
+        if (!destinoExiste) {
+            throw new ErrorResponse(400, "O cargo de destino não existe", { message: `Não existe cargo com id ${cargoDestino.idCargo}` });
+        }
+
+        const excluirCargo = reatribuicaoJson.excluirCargo === true;
+        const { idsFuncionarios, cargoExcluido } = await this.#cargoDAO.reatribuirFuncionarios(cargoOrigem, destinoExiste, excluirCargo, idFuncionarioAutor);
+
+        return { cargoOrigem, cargoDestino: destinoExiste, idsFuncionarios, cargoExcluido };
+    }
+
+    /**
+     * Funde cargos duplicados no cargo de destino: todos os funcionários dos cargos de origem
+     * passam para o destino e os cargos de origem são excluídos, em uma única transação,
+     * com o registro da fusão no histórico.
+     *
+     * Com dryRun nada é alterado: a resposta mostra quais funcionários seriam movidos.
+     *
+     * @param {number} idCargo - Cargo de destino (permanece)
+     * @param {Object} fusaoJson - { idsCargosOrigem, dryRun? }
+     * @param {number[]} fusaoJson.idsCargosOrigem - Cargos que serão fundidos no destino
+     * @param {boolean} [fusaoJson.dryRun] - Apenas simular (padrão false)
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
+     * @returns {Promise<Object>} - { dryRun, idFusaoCargo, cargoDestino, cargosOrigem: [{ idCargo, nomeCargo, funcionarios }], totalFuncionarios }
+     * @throws {ErrorResponse} - 404 se o cargo de destino não existir,
+     *                           400 se algum cargo de origem for inválido, não existir ou for o próprio destino
+     */
+    fundirCargos = async (idCargo, fusaoJson, idFuncionarioAutor) => {
+        Logger.debug("🟣 CargoService.fundirCargos()");
+
+        const cargoDestino = await this.findById(idCargo);
+
+        const idsOrigem = [];
+        try {
+            for (const idCargoOrigem of fusaoJson.idsCargosOrigem) {
+                const cargo = new Cargo();
+                cargo.idCargo = idCargoOrigem; //validação de regra de dominio
+                if (!idsOrigem.includes(cargo.idCargo)) {
+                    idsOrigem.push(cargo.idCargo);
+                }
+            }
+        } catch (error) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: error.message });
+        }
+
+        if (idsOrigem.includes(cargoDestino.idCargo)) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O cargo de destino não pode estar entre os cargos de origem" });
+        }
+
+        // Ordem crescente de ID: as transações bloqueiam os cargos sempre na mesma ordem
+        idsOrigem.sort((a, b) => a - b);
+
+        const cargosOrigem = [];
+        const inexistentes = [];
+        for (const idCargoOrigem of idsOrigem) {
+            const cargo = await this.#cargoDAO.findById(idCargoOrigem);
+            if (cargo) {
+                cargosOrigem.push(cargo);
+            } else {
+                inexistentes.push(idCargoOrigem);
+            }
+        }
+
+        if (inexistentes.length > 0) {
+            throw new ErrorResponse(400, "Cargo de origem não existe", { message: `Não existe cargo com id ${inexistentes.join(", ")}` });
+        }
+
+        let idFusaoCargo = null;
+        let fundidos;
+
+        if (fusaoJson.dryRun === true) {
+            fundidos = [];
+            for (const cargo of cargosOrigem) {
+                const funcionarios = await this.#cargoDAO.findFuncionarios(cargo.idCargo);
+                fundidos.push({ idCargo: cargo.idCargo, nomeCargo: cargo.nomeCargo, funcionarios });
+            }
+        } else {
+            ({ idFusaoCargo, cargosOrigem: fundidos } = await this.#cargoDAO.fundir(cargoDestino, cargosOrigem, idFuncionarioAutor));
+        }
+
+        return {
+            dryRun: fusaoJson.dryRun === true,
+            idFusaoCargo,
+            cargoDestino,
+            cargosOrigem: fundidos,
+            totalFuncionarios: fundidos.reduce((total, cargo) => total + cargo.funcionarios.length, 0)
+        };
+    }
+
+    /**
+     * Retorna uma página do histórico de fusões de cargos.
+     * @param {Object} query - Query string da requisição
+     * @param {number} [query.idCargoDestino] - Apenas fusões para este cargo
+     * @param {number} [query.page] - Página (padrão 1)
+     * @param {number} [query.pageSize] - Itens por página
+     * @param {string} [query.sort] - Ordenação (padrão "-dataHora")
+     * @returns {Promise<{fusoes: Array, paginacao: Object}>}
+     * @throws {ErrorResponse} - 400 se algum parâmetro for inválido
+     */
+    findFusoes = async (query = {}) => {
+        Logger.debug("🟣 CargoService.findFusoes()");
+
+        const paginacao = new Paginacao(query, ["idFusaoCargo", "idCargoDestino", "idFuncionarioAutor", "dataHora"], "-dataHora");
+
+        const filtros = {};
+        if (query.idCargoDestino !== undefined && query.idCargoDestino !== "") {
+            const idCargoDestino = Number(query.idCargoDestino);
+            if (!Number.isInteger(idCargoDestino) || idCargoDestino <= 0) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'idCargoDestino' deve ser um número inteiro positivo" });
+            }
+            filtros.idCargoDestino = idCargoDestino;
+        }
+
+        const { itens, total } = await this.#fusaoCargoDAO.findAll(filtros, paginacao);
+
+        return { fusoes: itens, paginacao: paginacao.toMeta(total) };
+    }
+
+    /**
+     * Verifica o nome do cargo e grava, na mesma transação.
+     *
+     * Regras de negócio (cadastro, PUT e PATCH):
+     * - Não pode existir outro cargo com o mesmo nome
+     * - Nem com nome semelhante: "Tecnico em informatica jr" é o mesmo cargo que "Técnico em Informática Jr"
+     * O próprio cargo (mesmo idCargo) não conta, para permitir corrigir acentos e maiúsculas do nome.
+     *
+     * Se outra requisição gravar o mesmo nome entre a verificação e a escrita, a chave única do
+     * banco recusa (ER_DUP_ENTRY) e a resposta é a mesma.
+     *
+     * @param {Cargo} cargo - Cargo com o nome novo (e o idCargo, se já existir).
+     * @param {Function} gravar - Escrita no DAO, executada depois da verificação.
+     * @returns {Promise<*>} O retorno de gravar().
+     * @throws {ErrorResponse} - 409 se o nome já existir ou for semelhante ao de outro cargo
+     */
+    #gravarComNomeUnico = async (cargo, gravar) => {
+        return this.#database.transaction(async () => {
+            const outro = (existente) => existente.idCargo !== cargo.idCargo;
+
+            const iguais = (await this.#cargoDAO.findByField("nomeCargo", cargo.nomeCargo)).filter(outro);
+            if (iguais.length > 0) {
+                throw CargoService.#erroNomeDuplicado(cargo.nomeCargo);
+            }
+
+            const nomeNormalizado = CargoService.normalizarNome(cargo.nomeCargo);
+            const semelhantes = (await this.#cargoDAO.findNomes())
+                .filter(existente => outro(existente) && CargoService.normalizarNome(existente.nomeCargo) === nomeNormalizado);
+
+            if (semelhantes.length > 0) {
+                throw new ErrorResponse(
+                    409,
+                    "Cargo semelhante já existe",
+                    {
+                        message: `Já existe cargo com nome semelhante a ${cargo.nomeCargo}: ${semelhantes.map(existente => existente.nomeCargo).join(", ")}`,
+                        cargosSemelhantes: semelhantes
+                    }
+                );
+            }
+
+            try {
+                return await gravar();
+            } catch (error) {
+                if (error.code === "ER_DUP_ENTRY") {
+                    throw CargoService.#erroNomeDuplicado(cargo.nomeCargo);
+                }
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * @param {string} nomeCargo
+     * @returns {ErrorResponse} 409 de cargo com nome repetido.
+     */
+    static #erroNomeDuplicado(nomeCargo) {
+        return new ErrorResponse(
+            409,
+            "Cargo já existe",
+            { message: `O cargo ${nomeCargo} já existe` }
+        );
+    }
+
+    /**
+     * Lança 409 com a lista de funcionários se o cargo ainda tiver algum.
+     * @param {Cargo} cargo
+     * @throws {ErrorResponse}
+     */
+    #verificarSemFuncionarios = async (cargo) => {
+        const funcionarios = await this.#cargoDAO.findFuncionarios(cargo.idCargo);
+
+        if (funcionarios.length > 0) {
+            throw new ErrorResponse(409, "Cargo possui funcionários", {
+                message: `O cargo ${cargo.nomeCargo} possui ${funcionarios.length} funcionário(s). Reatribua-os a outro cargo antes de excluí-lo`,
+                funcionarios: funcionarios
+            });
+        }
     }
 }
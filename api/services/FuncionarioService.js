@@ -1,9 +1,17 @@
 const CargoDAO = require("../dao/CargoDAO");
 const FuncionarioDAO = require("../dao/FuncionarioDAO");
+const PerfilDAO = require("../dao/PerfilDAO");
+const PermissaoDAO = require("../dao/PermissaoDAO");
+const TokenService = require("./TokenService");
+const LoginProtecaoService = require("./LoginProtecaoService");
+const MysqlDatabase = require("../database/MysqlDatabase");
 const Cargo = require("../models/Cargo");
 const Funcionario = require("../models/Funcionario");
-const MeuTokenJWT = require("../http/MeuTokenJWT");
+const Perfil = require("../models/Perfil");
 const ErrorResponse = require("../utils/ErrorResponse");
+const Paginacao = require("../utils/Paginacao");
+const Metricas = require("../utils/Metricas");
+const Logger = require("../utils/Logger");
 
 
 /**
@@ -17,15 +25,33 @@ const ErrorResponse = require("../utils/ErrorResponse");
 module.exports = class FuncionarioService {
     #funcionarioDAO;
     #cargoDAO;
+    #perfilDAO;
+    #permissaoDAO;
+    #tokenService;
+    #loginProtecaoService;
+    #database;
+    #logins; // Contador de tentativas de login por resultado (métrica auth_login_attempts_total)
     /**
      * Construtor da classe FuncionarioService
      * @param {FuncionarioDAO} funcionarioDAODependency - Instância de FuncionarioDAO
-     * @param {CargoDAO} cargoDAODependency - Instância de FuncionarioDAO
+     * @param {CargoDAO} cargoDAODependency - Instância de CargoDAO
+     * @param {PerfilDAO} perfilDAODependency - Instância de PerfilDAO (perfis do funcionário)
+     * @param {PermissaoDAO} permissaoDAODependency - Instância de PermissaoDAO (permissões colocadas no token)
+     * @param {TokenService} tokenServiceDependency - Instância de TokenService (emissão e revogação de tokens)
+     * @param {LoginProtecaoService} loginProtecaoServiceDependency - Instância de LoginProtecaoService (bloqueio por força bruta)
+     * @param {MysqlDatabase} databaseDependency - Instância de MysqlDatabase (transações que envolvem vários DAOs)
+     * @param {Metricas} metricasDependency - Registro das métricas (logins com sucesso, falha e bloqueados)
      */
-    constructor(funcionarioDAODependency, cargoDAODependency) {
-        console.log("⬆️  FuncionarioService.constructor()");
+    constructor(funcionarioDAODependency, cargoDAODependency, perfilDAODependency, permissaoDAODependency, tokenServiceDependency, loginProtecaoServiceDependency, databaseDependency, metricasDependency) {
+        Logger.debug("⬆️  FuncionarioService.constructor()");
         this.#funcionarioDAO = funcionarioDAODependency; // injeção de dependência
         this.#cargoDAO = cargoDAODependency;
+        this.#perfilDAO = perfilDAODependency;
+        this.#permissaoDAO = permissaoDAODependency;
+        this.#tokenService = tokenServiceDependency;
+        this.#loginProtecaoService = loginProtecaoServiceDependency;
+        this.#database = databaseDependency;
+        this.#logins = metricasDependency.contador("auth_login_attempts_total", "Tentativas de login por resultado (success, failure, blocked)", ["result"]);
     }
 
     /**
@@ -39,6 +65,7 @@ module.exports = class FuncionarioService {
      * @param {boolean} requestBody.funcionario.recebeValeTransporte - Se recebe vale transporte
      * @param {Object} requestBody.funcionario.cargo - Objeto cargo
      * @param {number} requestBody.funcionario.cargo.idCargo - ID do cargo
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
      *
      * @returns {Promise<Funcionario>} - Objeto Funcionario criado com ID atribuído
      * @throws {ErrorResponse} - Em caso de validação de dados inválidos ou email já existente
@@ -46,8 +73,8 @@ module.exports = class FuncionarioService {
      * @example
      * const funcionario = await funcionarioService.createFuncionario({ funcionario: {...} });
      */
-    createFuncionario = async (jsonFuncionario) => {
-        console.log("🟣 FuncionarioService.createFuncionario()");
+    createFuncionario = async (jsonFuncionario, idFuncionarioAutor) => {
+        Logger.debug("🟣 FuncionarioService.createFuncionario()");
 
         //criar o cargo que será utilizado pelo funcionário
         const objetoCargo = new Cargo();
@@ -63,28 +90,31 @@ module.exports = class FuncionarioService {
         objFuncionario.recebeValeTransporte = jsonFuncionario.recebeValeTransporte; // regra de dominio
         objFuncionario.cargo = objetoCargo; // regra de dominio
 
-        //regra de negocio => verificar se cargo fornecido existe antes de cadastrar
-        const cargoExiste = this.#cargoDAO.findByField("idCargo", objFuncionario.cargo.idCargo);
-        if (cargoExiste.length == 0) {
-            throw new ErrorResponse(
-                400,
-                "O cargo informado não existe",
-                { message: `O email ${objFuncionario.email} já está cadastrado` }
-            );
-        }
+        // As verificações e o INSERT formam uma unidade de trabalho: rodam na mesma conexão e transação
+        await this.#database.transaction(async () => {
+            //regra de negocio => verificar se cargo fornecido existe antes de cadastrar
+            const cargoExiste = await this.#cargoDAO.findByField("idCargo", objFuncionario.cargo.idCargo);
+            if (cargoExiste.length == 0) {
+                throw new ErrorResponse(
+                    400,
+                    "O cargo informado não existe",
+                    { message: `O cargo ${objFuncionario.cargo.idCargo} não está cadastrado` }
+                );
+            }
 
-        //regra de negocio => Verificação de email duplicado
-        const emailExiste = await this.#funcionarioDAO.findByField("email", objFuncionario.email);
-        if (emailExiste.length > 0) {
-            throw new ErrorResponse(
-                400,
-                "´Já existe um Funcionário com o email fornecido",
-                { message: `O email ${objFuncionario.email} já está cadastrado` }
-            );
-        }
+            //regra de negocio => Verificação de email duplicado
+            const emailExiste = await this.#funcionarioDAO.findByField("email", objFuncionario.email);
+            if (emailExiste.length > 0) {
+                throw new ErrorResponse(
+                    400,
+                    "´Já existe um Funcionário com o email fornecido",
+                    { message: `O email ${objFuncionario.email} já está cadastrado` }
+                );
+            }
 
-        // Persistência e atribuição de ID
-        objFuncionario.idFuncionario = await this.#funcionarioDAO.create(objFuncionario);
+            // Persistência e atribuição de ID
+            objFuncionario.idFuncionario = await this.#funcionarioDAO.create(objFuncionario, idFuncionarioAutor);
+        });
 
         return objFuncionario;
     }
@@ -99,22 +129,37 @@ module.exports = class FuncionarioService {
      * @param {Object} jsonFuncionario.funcionario - Dados do funcionário para login.
      * @param {string} requestBody.funcionario.email - Email do funcionário.
      * @param {string} requestBody.funcionario.senha - Senha do funcionário.
+     * @param {string} [ip] - IP de origem da requisição (contagem de falhas por IP).
      *
      * @returns {Promise<Object>} - Retorna um objeto contendo:
-     *                              { user: { idFuncionario, name, email, role }, token }
+     *                              { user: { funcionario: { idFuncionario, name, email, perfis, permissoes } },
+     *                                token, refreshToken, expiresIn }
+     * 
+     * Observação: as permissões vêm dos perfis do funcionário (e não do cargo),
+     * então renomear um cargo não altera o acesso de ninguém.
      *
      * @throws {ErrorResponse} - Lança erro 401 se usuário ou senha forem inválidos,
+     *                            429 se o email ou o IP estiverem bloqueados,
      *                            ou erro 500 em caso de falha interna.
      *
      * @example
      * const resultado = await funcionarioService.loginFuncionario({
      *   funcionario: { email: "teste@dominio.com", senha: "123456" }
      * });
-     * console.log(resultado.user, resultado.token);
+     * console.log(resultado.user, resultado.token, resultado.refreshToken);
      */
-    loginFuncionario = async (jsonFuncionario) => {
-        console.log("🟣 FuncionarioService.loginFuncionario()");
-
+    loginFuncionario = async (jsonFuncionario, ip) => {
+        Logger.debug("🟣 FuncionarioService.loginFuncionario()");
+
+        //regra de negocio => email ou IP bloqueados por excesso de falhas não podem tentar de novo
+        try {
+            await this.#loginProtecaoService.verificarBloqueio(jsonFuncionario.email, ip);
+        } catch (error) {
+            if (error instanceof ErrorResponse && error.httpCode === 429) {
+                this.#logins.inc({ result: "blocked" });
+            }
+            throw error;
+        }
 
         const objetoFuncionario = new Funcionario();
         objetoFuncionario.email = jsonFuncionario.email;
@@ -125,30 +170,114 @@ module.exports = class FuncionarioService {
         const encontrado = await this.#funcionarioDAO.login(objetoFuncionario);
 
         if (!encontrado) {
+            this.#logins.inc({ result: "failure" });
+            await this.#loginProtecaoService.registrarFalha(jsonFuncionario.email, ip);
             throw new ErrorResponse(401, "Usuário ou senha inválidos", { message: "Não foi possível realizar autenticação" });
         }
 
-        // Geração de token JWT
-        const jwt = new MeuTokenJWT();
-        const user = {
-            funcionario: {
-                email: encontrado.email,
-                role: encontrado.cargo?.nomeCargo || null,
-                name: encontrado.nomeFuncionario || null,
-                idFuncionario: encontrado.idFuncionario
-            }
-        };
+        this.#logins.inc({ result: "success" });
+        await this.#loginProtecaoService.registrarSucesso(jsonFuncionario.email);
 
-        return { user, token: jwt.gerarToken(user.funcionario) };
+        return this.#iniciarSessao(encontrado);
     }
 
     /**
-     * Retorna todos os funcionários
-     * @returns {Promise<Funcionario[]>} - Lista de funcionários
+     * Troca um refresh token por um novo par access token + refresh token (rotação).
+     *
+     * Perfis e permissões são lidos novamente do banco, então alterações de acesso
+     * passam a valer na próxima renovação.
+     *
+     * @param {string} refreshToken - Refresh token recebido no login ou na última renovação.
+     * @returns {Promise<Object>} - Mesmo formato de loginFuncionario().
+     * @throws {ErrorResponse} - 401 se o refresh token for inválido, expirado, já usado
+     *                           ou se o funcionário não existir mais ou estiver desativado.
      */
-    findAll = async () => {
-        console.log("🟣 FuncionarioService.findAll()");
-        return this.#funcionarioDAO.findAll();
+    refreshToken = async (refreshToken) => {
+        Logger.debug("🟣 FuncionarioService.refreshToken()");
+
+        const idFuncionario = await this.#tokenService.consumirRefreshToken(refreshToken);
+
+        const funcionario = await this.#funcionarioDAO.findById(idFuncionario);
+        if (!funcionario) {
+            throw new ErrorResponse(401, "Refresh token inválido", { message: "O funcionário do token não existe mais" });
+        }
+        if (funcionario.status !== "ativo") {
+            throw new ErrorResponse(401, "Refresh token inválido", { message: "O funcionário do token está desativado" });
+        }
+
+        return this.#iniciarSessao(funcionario);
+    }
+
+    /**
+     * Encerra a sessão atual: o access token usado na requisição e o refresh token
+     * emitido com ele deixam de ser aceitos.
+     *
+     * @param {Object} jwtPayload - Payload do token autenticado (request.jwtPayload).
+     * @param {string} [refreshToken] - Refresh token a revogar também (opcional).
+     * @returns {Promise<void>}
+     */
+    logout = async (jwtPayload, refreshToken) => {
+        Logger.debug("🟣 FuncionarioService.logout()");
+
+        await this.#tokenService.logout(jwtPayload, refreshToken);
+    }
+
+    /**
+     * Retorna uma página de funcionários (por padrão, apenas os ativos).
+     * @param {Object} query - Query string da requisição
+     * @param {string} [query.status] - "ativo" (padrão), "inativo" ou "todos"
+     * @param {number} [query.idCargo] - Apenas funcionários deste cargo
+     * @param {number} [query.recebeValeTransporte] - 0 ou 1
+     * @param {string} [query.nome] - Trecho do nome
+     * @param {string} [query.email] - Trecho do email
+     * @param {number} [query.page] - Página (padrão 1)
+     * @param {number} [query.pageSize] - Itens por página
+     * @param {string} [query.sort] - Ordenação (ex: "nomeFuncionario,-idFuncionario")
+     * @returns {Promise<{funcionarios: Array, paginacao: Object}>} - Funcionários da página e metadados de paginação
+     * @throws {ErrorResponse} - 400 se algum parâmetro for inválido
+     */
+    findAll = async (query = {}) => {
+        Logger.debug("🟣 FuncionarioService.findAll()");
+
+        const paginacao = new Paginacao(
+            query,
+            ["idFuncionario", "nomeFuncionario", "email", "recebeValeTransporte", "status", "dataDesativacao", "idCargo", "nomeCargo"],
+            "idFuncionario"
+        );
+
+        const filtros = {};
+
+        if (query.status !== undefined && query.status !== "") {
+            if (!["ativo", "inativo", "todos"].includes(query.status)) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'status' deve ser 'ativo', 'inativo' ou 'todos'" });
+            }
+            filtros.status = query.status;
+        }
+
+        if (query.idCargo !== undefined && query.idCargo !== "") {
+            const idCargo = Number(query.idCargo);
+            if (!Number.isInteger(idCargo) || idCargo <= 0) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'idCargo' deve ser um número inteiro positivo" });
+            }
+            filtros.idCargo = idCargo;
+        }
+
+        if (query.recebeValeTransporte !== undefined && query.recebeValeTransporte !== "") {
+            if (!["0", "1"].includes(String(query.recebeValeTransporte))) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'recebeValeTransporte' deve ser 0 ou 1" });
+            }
+            filtros.recebeValeTransporte = Number(query.recebeValeTransporte);
+        }
+
+        for (const campo of ["nome", "email"]) {
+            if (query[campo] !== undefined && query[campo] !== "") {
+                filtros[campo] = String(query[campo]).trim();
+            }
+        }
+
+        const { itens, total } = await this.#funcionarioDAO.findAll(filtros, paginacao);
+
+        return { funcionarios: itens, paginacao: paginacao.toMeta(total) };
     }
 
     /**
@@ -175,11 +304,12 @@ module.exports = class FuncionarioService {
      * Atualiza um funcionário
      * @param {number} idFuncionario - ID do funcionário
      * @param {Object} requestBody - Dados atualizados do funcionário
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
      * @returns {Promise<Funcionario>} - Objeto Funcionario atualizado
      * @throws {ErrorResponse} - Em caso de dados inválidos
      */
-    updateFuncionario = async (idFuncionario, requestBody) => {
-        console.log("🟣 FuncionarioService.updateFuncionario()");
+    updateFuncionario = async (idFuncionario, requestBody, idFuncionarioAutor) => {
+        Logger.debug("🟣 FuncionarioService.updateFuncionario()");
         const jsonFuncionario = requestBody.funcionario;
 
         const objCargo = new Cargo();
@@ -197,19 +327,376 @@ module.exports = class FuncionarioService {
             objFuncionario.cargo = objCargo
 
         //envia um objeto valido de funcionario para atualizar
-        return await this.#funcionarioDAO.update(objFuncionario);
+        return await this.#funcionarioDAO.update(objFuncionario, idFuncionarioAutor);
+    }
+
+    /**
+     * Atualiza parcialmente um funcionário (JSON Merge Patch, RFC 7396).
+     *
+     * Apenas os campos presentes no patch passam pelos setters do model e são gravados;
+     * os demais permanecem como estão no banco. Como todos os campos são obrigatórios,
+     * null (que no RFC 7396 remove o campo) é recusado pelo FuncionarioMiddleware.
+     *
+     * @param {number} idFuncionario - ID do funcionário
+     * @param {Object} patch - Campos a alterar: { nomeFuncionario?, email?, senha?, recebeValeTransporte?, cargo?: { idCargo } }
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
+     * @returns {Promise<Funcionario>} - Funcionário completo, lido novamente do banco
+     * @throws {ErrorResponse} - 404 se o funcionário não existir,
+     *                           400 se algum valor for inválido, o cargo não existir ou o email já pertencer a outro funcionário
+     */
+    patchFuncionario = async (idFuncionario, patch, idFuncionarioAutor) => {
+        Logger.debug("🟣 FuncionarioService.patchFuncionario()");
+
+        const objFuncionario = await this.findById(idFuncionario);
+        const campos = Object.keys(patch);
+
+        //validação das regras de dominio apenas nos campos enviados
+        try {
+            for (const campo of campos) {
+                if (campo === "cargo") {
+                    const objCargo = new Cargo();
+                    objCargo.idCargo = patch.cargo.idCargo;
+                    objFuncionario.cargo = objCargo;
+                } else {
+                    objFuncionario[campo] = patch[campo];
+                }
+            }
+        } catch (error) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: error.message });
+        }
+
+        // As verificações e o UPDATE formam uma unidade de trabalho: rodam na mesma conexão e transação
+        await this.#database.transaction(async () => {
+            //regra de negocio => o cargo informado precisa existir
+            if (campos.includes("cargo")) {
+                const cargoExiste = await this.#cargoDAO.findById(objFuncionario.cargo.idCargo);
+                if (!cargoExiste) {
+                    throw new ErrorResponse(400, "O cargo informado não existe", { message: `Não existe cargo com id ${objFuncionario.cargo.idCargo}` });
+                }
+            }
+
+            //regra de negocio => o email não pode pertencer a outro funcionário
+            if (campos.includes("email")) {
+                await this.#verificarEmailDisponivel(objFuncionario);
+            }
+
+            if (campos.length > 0) {
+                await this.#updateParcial(objFuncionario, campos, idFuncionarioAutor);
+            }
+        });
+
+        return this.findById(objFuncionario.idFuncionario);
+    }
+
+    /**
+     * Retorna o funcionário autenticado (claim idFuncionario do token).
+     * @param {Object} jwtPayload - Payload do token autenticado (request.jwtPayload)
+     * @returns {Promise<Funcionario>} - Objeto Funcionario do próprio usuário
+     * @throws {ErrorResponse} - 404 se o funcionário do token não existir mais
+     */
+    findMe = async (jwtPayload) => {
+        Logger.debug("🟣 FuncionarioService.findMe()");
+
+        return this.findById(jwtPayload.idFuncionario);
+    }
+
+    /**
+     * Atualiza os dados que o próprio funcionário pode alterar: nome e email.
+     * Cargo, vale transporte e perfis continuam sendo alterados apenas por quem tem funcionario:write;
+     * a senha é trocada por alterarMinhaSenha().
+     *
+     * @param {Object} jwtPayload - Payload do token autenticado (request.jwtPayload)
+     * @param {Object} jsonFuncionario - Campos a alterar: { nomeFuncionario?, email? }
+     * @returns {Promise<Funcionario>} - Objeto Funcionario atualizado
+     * @throws {ErrorResponse} - 400 se algum valor for inválido ou o email já pertencer a outro funcionário
+     */
+    updateMe = async (jwtPayload, jsonFuncionario) => {
+        Logger.debug("🟣 FuncionarioService.updateMe()");
+
+        const objFuncionario = await this.findMe(jwtPayload);
+
+        //validação das regras de dominio apenas nos campos enviados
+        try {
+            if (jsonFuncionario.nomeFuncionario !== undefined) {
+                objFuncionario.nomeFuncionario = jsonFuncionario.nomeFuncionario;
+            }
+            if (jsonFuncionario.email !== undefined) {
+                objFuncionario.email = jsonFuncionario.email;
+            }
+        } catch (error) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: error.message });
+        }
+
+        const campos = ["nomeFuncionario", "email"].filter(campo => jsonFuncionario[campo] !== undefined);
+
+        // A verificação do email e o UPDATE formam uma unidade de trabalho: rodam na mesma conexão e transação
+        await this.#database.transaction(async () => {
+            //regra de negocio => o email não pode pertencer a outro funcionário
+            await this.#verificarEmailDisponivel(objFuncionario);
+
+            await this.#updateParcial(objFuncionario, campos, objFuncionario.idFuncionario);
+        });
+
+        return this.findById(objFuncionario.idFuncionario);
+    }
+
+    /**
+     * Troca a senha do próprio funcionário, exigindo a senha atual.
+     *
+     * Erros na senha atual contam como falhas de login (mesmo bloqueio por email/IP),
+     * para que um token roubado não sirva para descobrir a senha por tentativa e erro.
+     * Depois da troca todas as sessões são encerradas e um novo par de tokens é emitido
+     * para quem fez a troca continuar logado.
+     *
+     * @param {Object} jwtPayload - Payload do token autenticado (request.jwtPayload)
+     * @param {string} senhaAtual - Senha atual
+     * @param {string} novaSenha - Nova senha (mesmas regras do cadastro)
+     * @param {string} [ip] - IP de origem da requisição
+     * @returns {Promise<Object>} - Mesmo formato de loginFuncionario()
+     * @throws {ErrorResponse} - 400 se a nova senha for inválida ou a senha atual não conferir,
+     *                           429 se o email ou o IP estiverem bloqueados
+     */
+    alterarMinhaSenha = async (jwtPayload, senhaAtual, novaSenha, ip) => {
+        Logger.debug("🟣 FuncionarioService.alterarMinhaSenha()");
+
+        const funcionario = await this.findMe(jwtPayload);
+
+        //validação da regra de dominio da nova senha
+        const objNovaSenha = new Funcionario();
+        objNovaSenha.idFuncionario = funcionario.idFuncionario;
+        try {
+            objNovaSenha.senha = novaSenha;
+        } catch (error) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: error.message });
+        }
+
+        if (senhaAtual === novaSenha) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "A nova senha deve ser diferente da senha atual" });
+        }
+
+        await this.#loginProtecaoService.verificarBloqueio(funcionario.email, ip);
+
+        // A senha atual é conferida pelo mesmo caminho do login
+        const credenciais = { email: funcionario.email, senha: senhaAtual };
+        const confere = await this.#funcionarioDAO.login(credenciais);
+
+        if (!confere) {
+            await this.#loginProtecaoService.registrarFalha(funcionario.email, ip);
+            throw new ErrorResponse(400, "Senha atual incorreta", { message: "A senha atual informada não confere" });
+        }
+
+        await this.#loginProtecaoService.registrarSucesso(funcionario.email);
+
+        // A troca de senha e a revogação das sessões são gravadas juntas ou nenhuma das duas
+        await this.#database.transaction(async () => {
+            await this.#funcionarioDAO.updateSenha(objNovaSenha, funcionario.idFuncionario);
+
+            //regra de negocio => outras sessões (possivelmente de quem conhecia a senha antiga) são encerradas
+            await this.#tokenService.revogarTodos(funcionario.idFuncionario);
+        });
+
+        return this.#iniciarSessao(funcionario);
     }
 
     /**
-     * Exclui um funcionário
+     * Desativa um funcionário e revoga todos os seus tokens.
+     * O registro continua no banco e pode ser reativado com restaurarFuncionario().
      * @param {number} idFuncionario - ID do funcionário
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
+     * @returns {Promise<boolean>} - True se desativado com sucesso
+     * @throws {ErrorResponse} - 404 se o funcionário não existir, 409 se já estiver desativado
+     */
+    deleteFuncionario = async (idFuncionario, idFuncionarioAutor) => {
+        Logger.debug("🟣 FuncionarioService.deleteFuncionario()");
+
+        const funcionario = await this.findById(idFuncionario);
+
+        if (funcionario.status !== "ativo") {
+            throw new ErrorResponse(409, "Funcionário já está desativado", { message: `O funcionário ${funcionario.idFuncionario} já está desativado` });
+        }
+
+        return this.#database.transaction(async () => {
+            const desativou = await this.#funcionarioDAO.desativar(funcionario, idFuncionarioAutor);
+
+            //regra de negocio => funcionário desativado perde o acesso imediatamente
+            await this.#tokenService.revogarTodos(funcionario.idFuncionario);
+
+            return desativou;
+        });
+    }
+
+    /**
+     * Reativa um funcionário desativado. Ele volta às listagens e pode fazer login de novo
+     * (as sessões revogadas na desativação continuam revogadas).
+     * @param {number} idFuncionario - ID do funcionário
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
+     * @returns {Promise<Funcionario>} - Funcionário reativado
+     * @throws {ErrorResponse} - 404 se o funcionário não existir, 409 se já estiver ativo
+     */
+    restaurarFuncionario = async (idFuncionario, idFuncionarioAutor) => {
+        Logger.debug("🟣 FuncionarioService.restaurarFuncionario()");
+
+        const funcionario = await this.findById(idFuncionario);
+
+        if (funcionario.status === "ativo") {
+            throw new ErrorResponse(409, "Funcionário já está ativo", { message: `O funcionário ${funcionario.idFuncionario} não está desativado` });
+        }
+
+        await this.#funcionarioDAO.restaurar(funcionario, idFuncionarioAutor);
+
+        return this.findById(funcionario.idFuncionario);
+    }
+
+    /**
+     * Exclui definitivamente um funcionário (purge).
+     * Só funcionários já desativados podem ser excluídos, para que a exclusão
+     * definitiva seja sempre um segundo passo consciente.
+     * @param {number} idFuncionario - ID do funcionário
+     * @param {number} idFuncionarioAutor - Funcionário autenticado que faz a alteração (registrado na auditoria)
      * @returns {Promise<boolean>} - True se excluído com sucesso
-     * @throws {ErrorResponse} - Em caso de ID inválido
+     * @throws {ErrorResponse} - 404 se o funcionário não existir, 409 se ainda estiver ativo
      */
-    deleteFuncionario = async (idFuncionario) => {
+    purgeFuncionario = async (idFuncionario, idFuncionarioAutor) => {
+        Logger.debug("🟣 FuncionarioService.purgeFuncionario()");
+
+        const funcionario = await this.findById(idFuncionario);
+
+        if (funcionario.status === "ativo") {
+            throw new ErrorResponse(409, "Funcionário ainda está ativo", { message: `Desative o funcionário ${funcionario.idFuncionario} antes de excluí-lo definitivamente` });
+        }
+
+        return this.#database.transaction(async () => {
+            //A revogação vem antes do DELETE porque os refresh tokens são apagados em cascata.
+            await this.#tokenService.revogarTodos(funcionario.idFuncionario);
+
+            return await this.#funcionarioDAO.delete(funcionario, idFuncionarioAutor);
+        });
+    }
+
+    /**
+     * Retorna os perfis atribuídos a um funcionário
+     * @param {number} idFuncionario - ID do funcionário
+     * @returns {Promise<Array>} - Lista de perfis { idPerfil, nomePerfil }
+     * @throws {ErrorResponse} - 404 se o funcionário não existir
+     */
+    findPerfis = async (idFuncionario) => {
+        Logger.debug("🟣 FuncionarioService.findPerfis()");
+        const funcionario = await this.findById(idFuncionario);
+
+        return this.#perfilDAO.findByFuncionario(funcionario.idFuncionario);
+    }
+
+    /**
+     * Redefine os perfis de um funcionário.
+     *
+     * Quem atribui um perfil precisa ter todas as permissões que ele concede; sem isso, quem
+     * pode alterar perfis de funcionários poderia se dar (ou dar a outro) o perfil Administrador.
+     *
+     * @param {number} idFuncionario - ID do funcionário
+     * @param {Array<{idPerfil: number}>} perfisJson - Perfis que o funcionário passará a ter
+     * @param {number} idFuncionarioAutor - ID do funcionário que está redefinindo os perfis
+     * @returns {Promise<Array>} - Nova lista de perfis do funcionário
+     * @throws {ErrorResponse} - 404 se o funcionário não existir, 400 se algum perfil não existir,
+     *                           403 se um perfil novo conceder permissões que o autor não tem
+     */
+    definirPerfis = async (idFuncionario, perfisJson, idFuncionarioAutor) => {
+        Logger.debug("🟣 FuncionarioService.definirPerfis()");
+        const funcionario = await this.findById(idFuncionario);
+
+        // Permissões lidas do banco, não do token: o token pode ter sido emitido antes de uma mudança de perfil
+        const permissoesAutor = await this.#permissaoDAO.findCodigosByFuncionario(idFuncionarioAutor);
+        const perfisAtuais = await this.#perfilDAO.findByFuncionario(funcionario.idFuncionario);
+
+        const idsPerfis = [];
+        for (const perfilJson of perfisJson) {
+            const perfil = new Perfil();
+            perfil.idPerfil = perfilJson.idPerfil; // regra de dominio
+
+            //regra de negocio => o perfil precisa existir
+            const perfilExiste = await this.#perfilDAO.findById(perfil.idPerfil);
+            if (!perfilExiste) {
+                throw new ErrorResponse(400, "O perfil informado não existe", { message: `Não existe perfil com id ${perfil.idPerfil}` });
+            }
+
+            //regra de negocio => só concede um perfil novo quem já tem todas as permissões dele
+            const perfilNovo = !perfisAtuais.some(perfilAtual => perfilAtual.idPerfil === perfil.idPerfil);
+            const faltantes = perfilExiste.permissoes
+                .map(permissao => permissao.codigo)
+                .filter(codigo => !permissoesAutor.includes(codigo));
+            if (perfilNovo && faltantes.length > 0) {
+                throw new ErrorResponse(403, "Acesso negado", {
+                    message: `O perfil ${perfilExiste.nomePerfil} concede permissões que o usuário não possui`,
+                    permissoesNecessarias: faltantes
+                });
+            }
+
+            if (!idsPerfis.includes(perfil.idPerfil)) {
+                idsPerfis.push(perfil.idPerfil);
+            }
+        }
+
+        await this.#perfilDAO.definirPerfisFuncionario(funcionario.idFuncionario, idsPerfis);
+
+        return this.#perfilDAO.findByFuncionario(funcionario.idFuncionario);
+    }
+
+    /**
+     * Regra de negócio: o email não pode pertencer a outro funcionário.
+     * @param {Funcionario} objFuncionario - Funcionário com o email novo (e o idFuncionario, se já existir).
+     * @throws {ErrorResponse} - 400 se o email já estiver cadastrado para outro funcionário
+     */
+    #verificarEmailDisponivel = async (objFuncionario) => {
+        const emailExiste = await this.#funcionarioDAO.findByField("email", objFuncionario.email);
+        if (emailExiste.some(funcionario => funcionario.idFuncionario !== objFuncionario.idFuncionario)) {
+            throw FuncionarioService.#erroEmailDuplicado(objFuncionario.email);
+        }
+    }
+
+    /**
+     * Grava os campos alterados. Se outro funcionário gravar o mesmo email entre a verificação e o
+     * UPDATE, o índice único do banco recusa a alteração: a resposta é a mesma 400 da verificação.
+     */
+    #updateParcial = async (objFuncionario, campos, idFuncionarioAutor) => {
+        try {
+            await this.#funcionarioDAO.updateParcial(objFuncionario, campos, idFuncionarioAutor);
+        } catch (error) {
+            if (error.code === "ER_DUP_ENTRY") {
+                throw FuncionarioService.#erroEmailDuplicado(objFuncionario.email);
+            }
+            throw error;
+        }
+    }
+
+    static #erroEmailDuplicado(email) {
+        return new ErrorResponse(
+            400,
+            "´Já existe um Funcionário com o email fornecido",
+            { message: `O email ${email} já está cadastrado` }
+        );
+    }
+
+    /**
+     * Monta os claims do funcionário (perfis e permissões atuais) e emite um novo par de tokens.
+     * @param {Object} funcionario - Funcionário autenticado ({ idFuncionario, nomeFuncionario, email })
+     * @returns {Promise<Object>} - { user, token, refreshToken, expiresIn }
+     */
+    #iniciarSessao = async (funcionario) => {
+        // Perfis e permissões do funcionário (claims de autorização do token)
+        const perfis = await this.#perfilDAO.findByFuncionario(funcionario.idFuncionario);
+        const permissoes = await this.#permissaoDAO.findCodigosByFuncionario(funcionario.idFuncionario);
+
+        const user = {
+            funcionario: {
+                email: funcionario.email,
+                name: funcionario.nomeFuncionario || null,
+                idFuncionario: funcionario.idFuncionario,
+                perfis: perfis.map(perfil => perfil.nomePerfil),
+                permissoes: permissoes
+            }
+        };
+
+        const { token, refreshToken, expiresIn } = await this.#tokenService.emitirTokens(user.funcionario);
 
-        const funcionario = new Funcionario();
-        funcionario.idFuncionario = idFuncionario
-        return await this.#funcionarioDAO.delete(funcionario);
+        return { user, token, refreshToken, expiresIn };
     }
 }
@@ -0,0 +1,248 @@
+const TentativaLoginDAO = require("../dao/TentativaLoginDAO");
+const BloqueioLoginDAO = require("../dao/BloqueioLoginDAO");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Paginacao = require("../utils/Paginacao");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pela proteção do login contra força bruta.
+ *
+ * Regras:
+ * - As falhas de login são contadas por email e por IP (chaves independentes).
+ * - Falhas mais antigas que janelaFalhas deixam de contar.
+ * - Ao atingir o limite de falhas, a chave fica bloqueada por
+ *   bloqueioInicial * fatorBackoff^(bloqueios anteriores), limitado a bloqueioMaximo.
+ * - Um login bem-sucedido zera o histórico do email. O histórico de bloqueios de uma chave
+ *   também é esquecido depois de bloqueioMaximo sem nenhuma falha.
+ * - Todo bloqueio aplicado é registrado em bloqueio_login.
+ *
+ * O bloqueio é aplicado mesmo para emails que não existem, para não revelar quais contas existem.
+ */
+module.exports = class LoginProtecaoService {
+    static CONFIGURACAO_PADRAO = {
+        maxFalhasPorEmail: 5,        // falhas seguidas até bloquear um email
+        maxFalhasPorIp: 20,          // falhas seguidas até bloquear um IP (pode testar vários emails)
+        janelaFalhas: 60 * 15,       // segundos: falhas mais antigas que isso não contam
+        bloqueioInicial: 60,         // segundos do primeiro bloqueio
+        fatorBackoff: 2,             // cada novo bloqueio dura fatorBackoff vezes o anterior
+        bloqueioMaximo: 3600 * 24    // segundos: duração máxima de um bloqueio
+    };
+
+    #tentativaLoginDAO;
+    #bloqueioLoginDAO;
+    #database;
+    #configuracao;
+
+    /**
+     * Construtor da classe LoginProtecaoService
+     * @param {TentativaLoginDAO} tentativaLoginDAODependency - Instância de TentativaLoginDAO
+     * @param {BloqueioLoginDAO} bloqueioLoginDAODependency - Instância de BloqueioLoginDAO
+     * @param {MysqlDatabase} databaseDependency - Contagem da falha e bloqueio na mesma transação
+     * @param {Object} [configuracao] - Sobrescreve valores de CONFIGURACAO_PADRAO
+     */
+    constructor(tentativaLoginDAODependency, bloqueioLoginDAODependency, databaseDependency, configuracao = {}) {
+        Logger.debug("⬆️  LoginProtecaoService.constructor()");
+        this.#tentativaLoginDAO = tentativaLoginDAODependency;
+        this.#bloqueioLoginDAO = bloqueioLoginDAODependency;
+        this.#database = databaseDependency;
+        this.#configuracao = { ...LoginProtecaoService.CONFIGURACAO_PADRAO, ...configuracao };
+    }
+
+    /**
+     * Impede a tentativa de login se o email ou o IP estiverem bloqueados.
+     *
+     * @param {string} email - Email informado no login.
+     * @param {string} [ip] - IP de origem da requisição.
+     * @returns {Promise<void>}
+     * @throws {ErrorResponse} 429 com error.retryAfter (segundos até o fim do bloqueio).
+     */
+    verificarBloqueio = async (email, ip) => {
+        Logger.debug("🟣 LoginProtecaoService.verificarBloqueio()");
+        const agora = new Date();
+
+        for (const [tipo, valor] of this.#chaves(email, ip)) {
+            const tentativa = await this.#tentativaLoginDAO.findByChave(tipo, valor);
+
+            if (tentativa && tentativa.bloqueadoAte && new Date(tentativa.bloqueadoAte) > agora) {
+                const retryAfter = Math.ceil((new Date(tentativa.bloqueadoAte) - agora) / 1000);
+
+                throw new ErrorResponse(429, "Muitas tentativas de login", {
+                    message: `Login bloqueado temporariamente. Tente novamente em ${retryAfter} segundos`,
+                    retryAfter: retryAfter
+                });
+            }
+        }
+    }
+
+    /**
+     * Registra uma falha de login para o email e para o IP, bloqueando as chaves que atingirem o limite.
+     *
+     * @param {string} email - Email informado no login.
+     * @param {string} [ip] - IP de origem da requisição.
+     * @returns {Promise<void>}
+     */
+    registrarFalha = async (email, ip) => {
+        Logger.debug("🟣 LoginProtecaoService.registrarFalha()");
+        const agora = new Date();
+
+        for (const [tipo, valor] of this.#chaves(email, ip)) {
+            // A falha é somada pelo banco e a linha da chave fica travada até o commit: falhas simultâneas
+            // (senhas testadas em paralelo) são contadas uma a uma e só uma delas aplica o bloqueio
+            await this.#database.transaction(async () => {
+                const tentativa = await this.#tentativaLoginDAO.registrarFalha({
+                    tipo,
+                    valor,
+                    agora,
+                    inicioJanela: new Date(agora.getTime() - this.#configuracao.janelaFalhas * 1000),
+                    inicioHistorico: new Date(agora.getTime() - this.#configuracao.bloqueioMaximo * 1000)
+                });
+
+                const limite = tipo === "email" ? this.#configuracao.maxFalhasPorEmail : this.#configuracao.maxFalhasPorIp;
+                if (tentativa.falhas < limite) {
+                    return;
+                }
+
+                const duracaoSegundos = Math.min(
+                    this.#configuracao.bloqueioInicial * Math.pow(this.#configuracao.fatorBackoff, tentativa.bloqueios),
+                    this.#configuracao.bloqueioMaximo
+                );
+                const bloqueadoAte = new Date(agora.getTime() + duracaoSegundos * 1000);
+
+                await this.#bloqueioLoginDAO.create({ tipo, valor, ip, falhas: tentativa.falhas, duracaoSegundos, bloqueadoAte });
+                await this.#tentativaLoginDAO.bloquear(tentativa.idTentativaLogin, bloqueadoAte);
+            });
+        }
+    }
+
+    /**
+     * Zera as falhas do email após um login bem-sucedido.
+     * As falhas do IP não são zeradas: quem tem uma conta válida não deve poder
+     * "limpar" o contador enquanto testa senhas de outras contas.
+     *
+     * @param {string} email - Email autenticado.
+     * @returns {Promise<void>}
+     */
+    registrarSucesso = async (email) => {
+        Logger.debug("🟣 LoginProtecaoService.registrarSucesso()");
+
+        await this.#tentativaLoginDAO.deleteByChave("email", this.#normalizarEmail(email));
+    }
+
+    /**
+     * Lista os emails e IPs bloqueados neste momento.
+     *
+     * @returns {Promise<Array>} [{ idTentativaLogin, tipo, valor, bloqueios, bloqueadoAte, retryAfter }]
+     */
+    findBloqueiosAtivos = async () => {
+        Logger.debug("🟣 LoginProtecaoService.findBloqueiosAtivos()");
+        const agora = new Date();
+
+        const bloqueadas = await this.#tentativaLoginDAO.findBloqueadas();
+
+        return bloqueadas.map(tentativa => ({
+            idTentativaLogin: tentativa.idTentativaLogin,
+            tipo: tentativa.tipo,
+            valor: tentativa.valor,
+            bloqueios: tentativa.bloqueios,
+            bloqueadoAte: tentativa.bloqueadoAte,
+            retryAfter: Math.ceil((new Date(tentativa.bloqueadoAte) - agora) / 1000)
+        }));
+    }
+
+    /**
+     * Retorna uma página do histórico de bloqueios.
+     *
+     * @param {Object} query - Query string da requisição
+     * @param {string} [query.tipo] - "email" ou "ip"
+     * @param {string} [query.valor] - Email ou IP bloqueado
+     * @param {string} [query.ip] - IP de origem
+     * @param {string} [query.desde] - Data ISO (ex: 2025-01-31) a partir da qual listar
+     * @param {number} [query.page] - Página (padrão 1)
+     * @param {number} [query.pageSize] - Itens por página
+     * @param {string} [query.sort] - Ordenação (padrão "-bloqueadoEm")
+     * @returns {Promise<{bloqueios: Array, paginacao: Object}>}
+     * @throws {ErrorResponse} - 400 se algum parâmetro for inválido
+     */
+    findHistorico = async (query = {}) => {
+        Logger.debug("🟣 LoginProtecaoService.findHistorico()");
+
+        const paginacao = new Paginacao(
+            query,
+            ["idBloqueioLogin", "tipo", "valor", "ip", "falhas", "bloqueadoEm", "bloqueadoAte"],
+            "-bloqueadoEm"
+        );
+
+        const filtros = {};
+
+        if (query.tipo !== undefined && query.tipo !== "") {
+            if (!["email", "ip"].includes(query.tipo)) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'tipo' deve ser 'email' ou 'ip'" });
+            }
+            filtros.tipo = query.tipo;
+        }
+
+        if (typeof query.valor === "string" && query.valor.trim() !== "") {
+            filtros.valor = filtros.tipo === "email" ? this.#normalizarEmail(query.valor) : query.valor.trim();
+        }
+
+        if (typeof query.ip === "string" && query.ip.trim() !== "") {
+            filtros.ip = query.ip.trim();
+        }
+
+        if (query.desde !== undefined && query.desde !== "") {
+            const desde = new Date(query.desde);
+            if (isNaN(desde.getTime())) {
+                throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'desde' deve ser uma data válida (ex: 2025-01-31)" });
+            }
+            filtros.desde = desde;
+        }
+
+        const { itens, total } = await this.#bloqueioLoginDAO.findAll(filtros, paginacao);
+
+        return { bloqueios: itens, paginacao: paginacao.toMeta(total) };
+    }
+
+    /**
+     * Libera manualmente um email ou IP bloqueado (zera falhas e backoff).
+     *
+     * @param {number} idTentativaLogin - ID da chave (retornado em findBloqueiosAtivos).
+     * @param {number} idFuncionarioAdmin - Administrador que está liberando (registrado no histórico).
+     * @returns {Promise<void>}
+     * @throws {ErrorResponse} 400 se o ID for inválido, 404 se não existir.
+     */
+    liberar = async (idTentativaLogin, idFuncionarioAdmin) => {
+        Logger.debug("🟣 LoginProtecaoService.liberar()");
+
+        const id = Number(idTentativaLogin);
+        if (!Number.isInteger(id) || id <= 0) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'idTentativaLogin' deve ser um número inteiro positivo" });
+        }
+
+        const tentativa = await this.#tentativaLoginDAO.findById(id);
+        if (!tentativa) {
+            throw new ErrorResponse(404, "Bloqueio não encontrado", { message: `Não existe bloqueio com id ${id}` });
+        }
+
+        await this.#bloqueioLoginDAO.liberar(tentativa.tipo, tentativa.valor, idFuncionarioAdmin);
+        await this.#tentativaLoginDAO.delete(id);
+    }
+
+    /**
+     * Chaves monitoradas para uma tentativa: o email (normalizado) e, se conhecido, o IP.
+     * @returns {Array<["email"|"ip", string]>}
+     */
+    #chaves = (email, ip) => {
+        const chaves = [["email", this.#normalizarEmail(email)]];
+        if (ip) {
+            chaves.push(["ip", String(ip)]);
+        }
+        return chaves;
+    }
+
+    /**
+     * "  Fulano@Email.com " → "fulano@email.com"
+     */
+    #normalizarEmail = (email) => {
+        return String(email).trim().toLowerCase();
+    }
+}
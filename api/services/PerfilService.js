@@ -0,0 +1,159 @@
+const PerfilDAO = require("../dao/PerfilDAO");
+const PermissaoDAO = require("../dao/PermissaoDAO");
+const Perfil = require("../models/Perfil");
+const Permissao = require("../models/Permissao");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pela camada de serviço para a entidade Perfil.
+ *
+ * Observações sobre injeção de dependência:
+ * - O PerfilService recebe PerfilDAO e PermissaoDAO via construtor.
+ * - O PermissaoDAO é usado para validar as permissões vinculadas a um perfil.
+ */
+module.exports = class PerfilService {
+    #perfilDAO;
+    #permissaoDAO;
+
+    /**
+     * Construtor da classe PerfilService
+     * @param {PerfilDAO} perfilDAODependency - Instância de PerfilDAO
+     * @param {PermissaoDAO} permissaoDAODependency - Instância de PermissaoDAO
+     */
+    constructor(perfilDAODependency, permissaoDAODependency) {
+        Logger.debug("⬆️  PerfilService.constructor()");
+        this.#perfilDAO = perfilDAODependency;
+        this.#permissaoDAO = permissaoDAODependency;
+    }
+
+    /**
+     * Cria um novo perfil.
+     * @param {Object} perfilJson - Dados do perfil { nomePerfil }
+     * @returns {Promise<number>} - ID do novo perfil
+     *
+     * Validações:
+     * - nomePerfil válido (regra de domínio)
+     * - Não pode existir outro perfil com o mesmo nome (regra de negócio)
+     */
+    createPerfil = async (perfilJson) => {
+        Logger.debug("🟣 PerfilService.createPerfil()");
+
+        const perfil = new Perfil();
+        perfil.nomePerfil = perfilJson.nomePerfil;
+
+        await this.#garantirNomeDisponivel(perfil.nomePerfil);
+
+        return this.#perfilDAO.create(perfil);
+    }
+
+    /**
+     * Retorna todos os perfis com suas permissões
+     */
+    findAll = async () => {
+        Logger.debug("🟣 PerfilService.findAll()");
+        return this.#perfilDAO.findAll();
+    }
+
+    /**
+     * Retorna um perfil por ID, com suas permissões
+     * @param {number} idPerfil
+     * @throws {ErrorResponse} - 404 se o perfil não existir
+     */
+    findById = async (idPerfil) => {
+        Logger.debug("🟣 PerfilService.findById()");
+        const perfil = new Perfil();
+        perfil.idPerfil = idPerfil;
+
+        const encontrado = await this.#perfilDAO.findById(perfil.idPerfil);
+        if (!encontrado) {
+            throw new ErrorResponse(404, "Perfil não encontrado", { message: `Não existe perfil com id ${idPerfil}` });
+        }
+
+        return encontrado;
+    }
+
+    /**
+     * Atualiza o nome de um perfil.
+     * @param {number} idPerfil - ID do perfil
+     * @param {string} nomePerfil - Novo nome
+     * @returns {Promise<boolean>} - True se atualizou
+     */
+    updatePerfil = async (idPerfil, nomePerfil) => {
+        Logger.debug("🟣 PerfilService.updatePerfil()");
+
+        const perfil = new Perfil();
+        perfil.idPerfil = idPerfil;
+        perfil.nomePerfil = nomePerfil;
+
+        await this.#garantirNomeDisponivel(perfil.nomePerfil, perfil.idPerfil);
+
+        return this.#perfilDAO.update(perfil);
+    }
+
+    /**
+     * Exclui um perfil por ID
+     * @param {number} idPerfil
+     * @returns {Promise<boolean>} - True se excluiu
+     */
+    deletePerfil = async (idPerfil) => {
+        Logger.debug("🟣 PerfilService.deletePerfil()");
+
+        const perfil = new Perfil();
+        perfil.idPerfil = idPerfil;
+
+        return this.#perfilDAO.delete(perfil);
+    }
+
+    /**
+     * Redefine as permissões concedidas por um perfil.
+     *
+     * @param {number} idPerfil - ID do perfil
+     * @param {Array<{idPermissao: number}>} permissoesJson - Permissões que o perfil passará a ter
+     * @returns {Promise<Object>} - Perfil atualizado, com a nova lista de permissões
+     * @throws {ErrorResponse} - 404 se o perfil não existir, 400 se alguma permissão não existir
+     */
+    definirPermissoes = async (idPerfil, permissoesJson) => {
+        Logger.debug("🟣 PerfilService.definirPermissoes()");
+
+        const perfil = new Perfil();
+        perfil.idPerfil = idPerfil;
+
+        if (!(await this.#perfilDAO.findById(perfil.idPerfil))) {
+            throw new ErrorResponse(404, "Perfil não encontrado", { message: `Não existe perfil com id ${idPerfil}` });
+        }
+
+        const idsPermissoes = [];
+        for (const permissaoJson of permissoesJson) {
+            const permissao = new Permissao();
+            permissao.idPermissao = permissaoJson.idPermissao; // regra de domínio
+
+            //regra de negocio => a permissão precisa existir
+            if (!(await this.#permissaoDAO.findById(permissao.idPermissao))) {
+                throw new ErrorResponse(400, "A permissão informada não existe", { message: `Não existe permissão com id ${permissao.idPermissao}` });
+            }
+
+            if (!idsPermissoes.includes(permissao.idPermissao)) {
+                idsPermissoes.push(permissao.idPermissao);
+            }
+        }
+
+        await this.#perfilDAO.definirPermissoes(perfil, idsPermissoes);
+
+        return this.#perfilDAO.findById(perfil.idPerfil);
+    }
+
+    /**
+     * Regra de negócio: o nome do perfil é único no sistema.
+     * @param {string} nomePerfil - Nome a verificar
+     * @param {number} [idIgnorado] - ID do próprio perfil (em atualizações)
+     * @throws {ErrorResponse} - 400 se o nome já estiver em uso
+     */
+    #garantirNomeDisponivel = async (nomePerfil, idIgnorado = null) => {
+        const existentes = await this.#perfilDAO.findByField("nomePerfil", nomePerfil);
+
+        if (existentes.some(perfil => perfil.idPerfil !== idIgnorado)) {
+            throw new ErrorResponse(400, "Perfil já existe", { message: `O perfil ${nomePerfil} já existe` });
+        }
+    }
+}
@@ -0,0 +1,118 @@
+const PermissaoDAO = require("../dao/PermissaoDAO");
+const Permissao = require("../models/Permissao");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pela camada de serviço para a entidade Permissao.
+ *
+ * Observações sobre injeção de dependência:
+ * - O PermissaoService recebe uma instância de PermissaoDAO via construtor.
+ * - Isso desacopla o serviço da implementação concreta do DAO.
+ */
+module.exports = class PermissaoService {
+    #permissaoDAO;
+
+    /**
+     * Construtor da classe PermissaoService
+     * @param {PermissaoDAO} permissaoDAODependency - Instância de PermissaoDAO
+     */
+    constructor(permissaoDAODependency) {
+        Logger.debug("⬆️  PermissaoService.constructor()");
+        this.#permissaoDAO = permissaoDAODependency;
+    }
+
+    /**
+     * Cria uma nova permissão.
+     * @param {Object} permissaoJson - Dados da permissão { codigo, descricao }
+     * @returns {Promise<number>} - ID da nova permissão
+     *
+     * Validações:
+     * - codigo no formato "recurso:acao" (regra de domínio)
+     * - Não pode existir outra permissão com o mesmo código (regra de negócio)
+     */
+    createPermissao = async (permissaoJson) => {
+        Logger.debug("🟣 PermissaoService.createPermissao()");
+
+        const permissao = new Permissao();
+        permissao.codigo = permissaoJson.codigo;
+        permissao.descricao = permissaoJson.descricao;
+
+        await this.#garantirCodigoDisponivel(permissao.codigo);
+
+        return this.#permissaoDAO.create(permissao);
+    }
+
+    /**
+     * Retorna todas as permissões
+     */
+    findAll = async () => {
+        Logger.debug("🟣 PermissaoService.findAll()");
+        return this.#permissaoDAO.findAll();
+    }
+
+    /**
+     * Retorna uma permissão por ID
+     * @param {number} idPermissao
+     * @throws {ErrorResponse} - 404 se a permissão não existir
+     */
+    findById = async (idPermissao) => {
+        Logger.debug("🟣 PermissaoService.findById()");
+        const permissao = new Permissao();
+        permissao.idPermissao = idPermissao;
+
+        const encontrada = await this.#permissaoDAO.findById(permissao.idPermissao);
+        if (!encontrada) {
+            throw new ErrorResponse(404, "Permissão não encontrada", { message: `Não existe permissão com id ${idPermissao}` });
+        }
+
+        return encontrada;
+    }
+
+    /**
+     * Atualiza uma permissão existente.
+     * @param {number} idPermissao - ID da permissão
+     * @param {Object} permissaoJson - Dados da permissão { codigo, descricao }
+     * @returns {Promise<boolean>} - True se atualizou
+     */
+    updatePermissao = async (idPermissao, permissaoJson) => {
+        Logger.debug("🟣 PermissaoService.updatePermissao()");
+
+        const permissao = new Permissao();
+        permissao.idPermissao = idPermissao;
+        permissao.codigo = permissaoJson.codigo;
+        permissao.descricao = permissaoJson.descricao;
+
+        await this.#garantirCodigoDisponivel(permissao.codigo, permissao.idPermissao);
+
+        return this.#permissaoDAO.update(permissao);
+    }
+
+    /**
+     * Exclui uma permissão por ID
+     * @param {number} idPermissao
+     * @returns {Promise<boolean>} - True se excluiu
+     */
+    deletePermissao = async (idPermissao) => {
+        Logger.debug("🟣 PermissaoService.deletePermissao()");
+
+        const permissao = new Permissao();
+        permissao.idPermissao = idPermissao;
+
+        return this.#permissaoDAO.delete(permissao);
+    }
+
+    /**
+     * Regra de negócio: o código da permissão é único no sistema.
+     * @param {string} codigo - Código a verificar
+     * @param {number} [idIgnorado] - ID da própria permissão (em atualizações)
+     * @throws {ErrorResponse} - 400 se o código já estiver em uso
+     */
+    #garantirCodigoDisponivel = async (codigo, idIgnorado = null) => {
+        const existentes = await this.#permissaoDAO.findByField("codigo", codigo);
+
+        if (existentes.some(permissao => permissao.idPermissao !== idIgnorado)) {
+            throw new ErrorResponse(400, "Permissão já existe", { message: `A permissão ${codigo} já existe` });
+        }
+    }
+}
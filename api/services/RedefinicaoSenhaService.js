@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const FuncionarioDAO = require("../dao/FuncionarioDAO");
+const RedefinicaoSenhaDAO = require("../dao/RedefinicaoSenhaDAO");
+const Funcionario = require("../models/Funcionario");
+const TokenService = require("./TokenService");
+const MysqlDatabase = require("../database/MysqlDatabase");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelo fluxo de "esqueci minha senha".
+ *
+ * Fluxo:
+ * 1. solicitar(email): gera um token aleatório de uso único, guarda apenas o hash
+ *    com validade de VALIDADE_TOKEN segundos e envia o link por email (transporte injetado).
+ * 2. redefinir(token, senha): valida a nova senha com as regras do model Funcionario,
+ *    consome o token e grava a nova senha. Todas as sessões do funcionário são encerradas.
+ *
+ * A resposta de solicitar() é a mesma exista ou não o email, para não revelar quais contas existem.
+ */
+module.exports = class RedefinicaoSenhaService {
+    static VALIDADE_TOKEN = 60 * 30; // 30 minutos em segundos
+
+    #funcionarioDAO;
+    #redefinicaoSenhaDAO;
+    #mailTransport;
+    #tokenService;
+    #database;
+    #urlRedefinicao;
+
+    /**
+     * Construtor da classe RedefinicaoSenhaService
+     * @param {FuncionarioDAO} funcionarioDAODependency - Instância de FuncionarioDAO
+     * @param {RedefinicaoSenhaDAO} redefinicaoSenhaDAODependency - Instância de RedefinicaoSenhaDAO
+     * @param {{enviar: Function}} mailTransportDependency - Transporte de email (ex: FileMailTransport, MemoryMailTransport)
+     * @param {TokenService} tokenServiceDependency - Usado para encerrar as sessões após a troca de senha
+     * @param {MysqlDatabase} databaseDependency - Consumo do token, troca de senha e revogação na mesma transação
+     * @param {string} urlRedefinicao - Endereço da página de redefinição; o token é enviado no parâmetro "token"
+     */
+    constructor(funcionarioDAODependency, redefinicaoSenhaDAODependency, mailTransportDependency, tokenServiceDependency, databaseDependency, urlRedefinicao) {
+        Logger.debug("⬆️  RedefinicaoSenhaService.constructor()");
+        this.#funcionarioDAO = funcionarioDAODependency;
+        this.#redefinicaoSenhaDAO = redefinicaoSenhaDAODependency;
+        this.#mailTransport = mailTransportDependency;
+        this.#tokenService = tokenServiceDependency;
+        this.#database = databaseDependency;
+        this.#urlRedefinicao = urlRedefinicao;
+    }
+
+    /**
+     * Gera um token de redefinição e envia o link por email.
+     * Pedidos anteriores ainda pendentes deixam de valer.
+     *
+     * @param {string} email - Email informado pelo funcionário.
+     * @returns {Promise<void>}
+     */
+    solicitar = async (email) => {
+        Logger.debug("🟣 RedefinicaoSenhaService.solicitar()");
+
+        const resultado = await this.#funcionarioDAO.findByField("email", String(email).trim());
+        const funcionario = resultado[0];
+
+        if (!funcionario || funcionario.status !== "ativo") {
+            return; // Mesma resposta para emails inexistentes ou de funcionários desativados
+        }
+
+        await this.#redefinicaoSenhaDAO.invalidarPendentes(funcionario.idFuncionario);
+
+        const token = crypto.randomBytes(32).toString("hex");
+        await this.#redefinicaoSenhaDAO.create({
+            idFuncionario: funcionario.idFuncionario,
+            tokenHash: this.#hash(token),
+            expiraEm: new Date(Date.now() + RedefinicaoSenhaService.VALIDADE_TOKEN * 1000)
+        });
+
+        const link = `${this.#urlRedefinicao}?token=${token}`;
+
+        await this.#mailTransport.enviar({
+            para: funcionario.email,
+            assunto: "Redefinição de senha",
+            texto: [
+                `Olá, ${funcionario.nomeFuncionario}.`,
+                "",
+                "Recebemos um pedido para redefinir a sua senha. Para criar uma nova senha, acesse:",
+                link,
+                "",
+                `O link vale por ${RedefinicaoSenhaService.VALIDADE_TOKEN / 60} minutos e só pode ser usado uma vez.`,
+                "Se você não fez este pedido, ignore este email: sua senha continua a mesma."
+            ].join("\n")
+        });
+    }
+
+    /**
+     * Consome um token de redefinição e grava a nova senha.
+     *
+     * @param {string} token - Token recebido por email.
+     * @param {string} senha - Nova senha (mesmas regras do setter Funcionario.senha).
+     * @returns {Promise<void>}
+     * @throws {ErrorResponse} 400 se a senha não atender às regras ou se o token for inválido, expirado ou já usado.
+     */
+    redefinir = async (token, senha) => {
+        Logger.debug("🟣 RedefinicaoSenhaService.redefinir()");
+
+        //validação da regra de dominio antes de consumir o token, para que o usuário possa tentar outra senha
+        const objFuncionario = new Funcionario();
+        try {
+            objFuncionario.senha = senha;
+        } catch (error) {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: error.message });
+        }
+
+        const redefinicao = await this.#redefinicaoSenhaDAO.findByHash(this.#hash(token));
+
+        if (!redefinicao || redefinicao.usadoEm || new Date(redefinicao.expiraEm) <= new Date()) {
+            throw new ErrorResponse(400, "Token de redefinição inválido ou expirado", { message: "Solicite uma nova redefinição de senha" });
+        }
+
+        // Se a troca de senha falhar, o token não fica consumido e pode ser usado de novo
+        await this.#database.transaction(async () => {
+            const consumiu = await this.#redefinicaoSenhaDAO.marcarUsado(redefinicao.idRedefinicaoSenha);
+            if (!consumiu) {
+                throw new ErrorResponse(400, "Token de redefinição inválido ou expirado", { message: "Solicite uma nova redefinição de senha" });
+            }
+
+            objFuncionario.idFuncionario = redefinicao.idFuncionario;
+            // Na auditoria, o autor da troca é o próprio funcionário (dono do token de redefinição)
+            await this.#funcionarioDAO.updateSenha(objFuncionario, redefinicao.idFuncionario);
+
+            //regra de negocio => quem trocou a senha por esquecimento pode estar recuperando uma conta comprometida
+            await this.#tokenService.revogarTodos(redefinicao.idFuncionario);
+        });
+    }
+
+    /**
+     * Calcula o hash SHA-256 (hex) de um token.
+     * @param {string} token
+     * @returns {string}
+     */
+    #hash = (token) => {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+}
@@ -0,0 +1,98 @@
+const MysqlDatabase = require("../database/MysqlDatabase");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelas verificações de saúde usadas por balanceadores e orquestradores.
+ *
+ * - Liveness (GET /health/live): o processo está no ar e atende requisições. Não consulta o banco,
+ *   para que uma queda do banco não faça o orquestrador reiniciar um servidor que está bem.
+ * - Readiness (GET /health/ready): o servidor pode receber tráfego. Falha se o banco não responder
+ *   ao ping dentro de timeoutBanco ms ou se o servidor estiver encerrando (SIGTERM/SIGINT), para que
+ *   o balanceador pare de enviar requisições enquanto as que estão em andamento terminam.
+ */
+module.exports = class SaudeService {
+    static CONFIGURACAO_PADRAO = {
+        timeoutBanco: 2000 // ms: tempo máximo de resposta do banco na verificação de readiness
+    };
+
+    #database;
+    #configuracao;
+    #encerrando = false;
+
+    /**
+     * Construtor da classe SaudeService
+     * @param {MysqlDatabase} databaseDependency - Banco verificado na readiness (ping)
+     * @param {Object} [configuracao] - Sobrescreve valores de CONFIGURACAO_PADRAO
+     */
+    constructor(databaseDependency, configuracao = {}) {
+        Logger.debug("⬆️  SaudeService.constructor()");
+        this.#database = databaseDependency;
+        this.#configuracao = { ...SaudeService.CONFIGURACAO_PADRAO, ...configuracao };
+    }
+
+    /**
+     * A partir daqui a readiness responde 503 (chamado pelo Server ao iniciar o encerramento).
+     */
+    iniciarEncerramento = () => {
+        this.#encerrando = true;
+    }
+
+    /**
+     * @returns {{status: string, uptimeSegundos: number}}
+     */
+    verificarLiveness = () => {
+        Logger.debug("🟣 SaudeService.verificarLiveness()");
+
+        return { status: "ok", uptimeSegundos: Math.round(process.uptime()) };
+    }
+
+    /**
+     * @returns {Promise<{status: string, verificacoes: Object}>}
+     * @throws {ErrorResponse} 503 com error.verificacoes, se o servidor estiver encerrando ou o banco não responder.
+     */
+    verificarReadiness = async () => {
+        Logger.debug("🟣 SaudeService.verificarReadiness()");
+
+        if (this.#encerrando) {
+            throw new ErrorResponse(503, "Servidor indisponível", {
+                message: "O servidor está encerrando e não aceita novas requisições",
+                status: "encerrando"
+            });
+        }
+
+        const banco = await this.#verificarBanco();
+        if (banco.status !== "ok") {
+            throw new ErrorResponse(503, "Servidor indisponível", {
+                message: "O banco de dados não respondeu",
+                status: "indisponivel",
+                verificacoes: { banco }
+            });
+        }
+
+        return { status: "ok", verificacoes: { banco } };
+    }
+
+    /**
+     * @returns {Promise<{status: string, duracaoMs: number, erro?: string}>}
+     */
+    #verificarBanco = async () => {
+        const inicio = Date.now();
+        let timer;
+
+        try {
+            await Promise.race([
+                this.#database.ping(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`sem resposta em ${this.#configuracao.timeoutBanco} ms`)), this.#configuracao.timeoutBanco);
+                })
+            ]);
+            return { status: "ok", duracaoMs: Date.now() - inicio };
+        } catch (error) {
+            Logger.warn("⚠️  Readiness: o banco não respondeu ao ping", { erro: error.error?.message ?? error.message });
+            return { status: "falha", duracaoMs: Date.now() - inicio, erro: error.error?.message ?? error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+const RefreshTokenDAO = require("../dao/RefreshTokenDAO");
+const TokenRevogadoDAO = require("../dao/TokenRevogadoDAO");
+const PerfilDAO = require("../dao/PerfilDAO");
+const PermissaoDAO = require("../dao/PermissaoDAO");
+const MeuTokenJWT = require("../http/MeuTokenJWT");
+const ErrorResponse = require("../utils/ErrorResponse");
+const Logger = require("../utils/Logger");
+
+/**
+ * Classe responsável pelo ciclo de vida dos tokens de acesso.
+ *
+ * - Access token: JWT de curta duração (MeuTokenJWT), identificado pelo claim "jti".
+ * - Refresh token: valor aleatório opaco, de uso único, guardado no banco apenas como hash.
+ *   Serve para obter um novo par de tokens sem informar a senha novamente.
+ * - Lista de revogação: jti de access tokens que não devem mais ser aceitos
+ *   (logout, exclusão do funcionário), consultada pelo JwtMiddleware.
+ * - Sessão deslizante: perto de expirar, o access token é renovado com os mesmos claims
+ *   (inclusive o jti, para que a revogação continue valendo), exceto perfis e permissões, relidos
+ *   do banco: uma mudança de perfil vale no máximo até o fim da validade do token atual.
+ *   A renovação só acontece até auth_time + duração do refresh token, a mesma idade máxima
+ *   de uma sessão via refresh token.
+ *
+ * Chave, emissor, audiência e durações vêm da seção jwt da configuração (ver Configuracao).
+ */
+module.exports = class TokenService {
+    static DURACAO_REFRESH_TOKEN = 3600 * 24 * 30; // 30 dias em segundos (padrão se jwt.duracaoRefreshToken não for informado)
+    static LIMIAR_RENOVACAO = 60 * 5; // renova o access token quando faltam 5 minutos ou menos
+
+    #refreshTokenDAO;
+    #tokenRevogadoDAO;
+    #perfilDAO;
+    #permissaoDAO;
+    #configuracaoJwt;
+    #duracaoRefreshToken;
+
+    /**
+     * Construtor da classe TokenService
+     * @param {RefreshTokenDAO} refreshTokenDAODependency - Instância de RefreshTokenDAO
+     * @param {TokenRevogadoDAO} tokenRevogadoDAODependency - Instância de TokenRevogadoDAO
+     * @param {PerfilDAO} perfilDAODependency - Perfis atuais do funcionário, relidos na renovação
+     * @param {PermissaoDAO} permissaoDAODependency - Permissões atuais do funcionário, relidas na renovação
+     * @param {Object} configuracaoJwt - Seção jwt da configuração { chave, emissor, audiencia, duracaoToken, duracaoRefreshToken }
+     */
+    constructor(refreshTokenDAODependency, tokenRevogadoDAODependency, perfilDAODependency, permissaoDAODependency, configuracaoJwt) {
+        Logger.debug("⬆️  TokenService.constructor()");
+        this.#refreshTokenDAO = refreshTokenDAODependency;
+        this.#tokenRevogadoDAO = tokenRevogadoDAODependency;
+        this.#perfilDAO = perfilDAODependency;
+        this.#permissaoDAO = permissaoDAODependency;
+        this.#configuracaoJwt = configuracaoJwt;
+        this.#duracaoRefreshToken = configuracaoJwt.duracaoRefreshToken ?? TokenService.DURACAO_REFRESH_TOKEN;
+    }
+
+    /**
+     * Emite um novo par access token + refresh token para um funcionário.
+     *
+     * @param {Object} claims - Claims do access token: { email, name, idFuncionario, perfis, permissoes }
+     * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>}
+     *          expiresIn é a validade do access token em segundos.
+     */
+    emitirTokens = async (claims) => {
+        Logger.debug("🟣 TokenService.emitirTokens()");
+
+        const jwt = this.#novoJwt();
+        const jti = crypto.randomBytes(16).toString("hex");
+        const token = jwt.gerarToken({ ...claims, jti: jti, auth_time: Math.floor(Date.now() / 1000) });
+
+        const refreshToken = crypto.randomBytes(48).toString("hex");
+        await this.#refreshTokenDAO.create({
+            idFuncionario: claims.idFuncionario,
+            tokenHash: this.#hash(refreshToken),
+            jtiAcesso: jti,
+            expiraEm: new Date(Date.now() + this.#duracaoRefreshToken * 1000)
+        });
+
+        return { token, refreshToken, expiresIn: jwt.duracaoToken };
+    }
+
+    /**
+     * Gera um access token renovado quando o atual está perto de expirar.
+     *
+     * O novo token mantém os claims do original (idFuncionario, jti, auth_time...); iat/nbf/exp mudam
+     * e perfis/permissoes são relidos do banco, para que um funcionário rebaixado não carregue as
+     * permissões antigas por toda a sessão.
+     *
+     * @param {Object} payload - Payload do access token já validado (request.jwtPayload).
+     * @returns {Promise<string|null>} Novo token, ou null se ainda não é hora de renovar
+     *                                 (ou se a sessão já atingiu a idade máxima).
+     */
+    renovarSeNecessario = async (payload) => {
+        const agora = Math.floor(Date.now() / 1000);
+
+        if (payload.exp - agora > TokenService.LIMIAR_RENOVACAO) {
+            return null;
+        }
+
+        if (agora >= this.#inicioSessao(payload) + this.#duracaoRefreshToken) {
+            return null; // sessão muito antiga: o cliente precisa usar o refresh token ou logar de novo
+        }
+
+        Logger.debug("🟣 TokenService.renovarSeNecessario()");
+
+        const claimsRegistrados = ["iss", "aud", "sub", "iat", "exp", "nbf"];
+        const claims = Object.fromEntries(
+            Object.entries(payload).filter(([claim]) => !claimsRegistrados.includes(claim))
+        );
+
+        const perfis = await this.#perfilDAO.findByFuncionario(payload.idFuncionario);
+        claims.perfis = perfis.map(perfil => perfil.nomePerfil);
+        claims.permissoes = await this.#permissaoDAO.findCodigosByFuncionario(payload.idFuncionario);
+
+        return this.#novoJwt().gerarToken(claims);
+    }
+
+    /**
+     * Valida e consome (revoga) um refresh token.
+     * Quem chama deve emitir um novo par com emitirTokens() (rotação).
+     *
+     * Se um token já usado for apresentado de novo, ele pode ter sido copiado por terceiros:
+     * por segurança, todos os tokens do funcionário são revogados.
+     *
+     * @param {string} refreshToken - Refresh token recebido do cliente.
+     * @returns {Promise<number>} ID do funcionário dono do token.
+     * @throws {ErrorResponse} 401 se o token for desconhecido, expirado ou já utilizado.
+     */
+    consumirRefreshToken = async (refreshToken) => {
+        Logger.debug("🟣 TokenService.consumirRefreshToken()");
+
+        const registro = await this.#refreshTokenDAO.findByHash(this.#hash(refreshToken));
+
+        if (!registro) {
+            throw new ErrorResponse(401, "Refresh token inválido", { message: "Refresh token não reconhecido" });
+        }
+
+        if (registro.revogadoEm) {
+            await this.revogarTodos(registro.idFuncionario);
+            throw new ErrorResponse(401, "Refresh token inválido", { message: "Refresh token já utilizado ou revogado. Faça login novamente" });
+        }
+
+        if (new Date(registro.expiraEm) <= new Date()) {
+            throw new ErrorResponse(401, "Refresh token expirado", { message: "Faça login novamente" });
+        }
+
+        const revogou = await this.#refreshTokenDAO.revogar(registro.idRefreshToken);
+        if (!revogou) {
+            // Outra requisição usou o mesmo token entre a leitura e a revogação
+            throw new ErrorResponse(401, "Refresh token inválido", { message: "Refresh token já utilizado. Faça login novamente" });
+        }
+
+        return registro.idFuncionario;
+    }
+
+    /**
+     * Encerra a sessão do token atual: revoga o access token (jti) e o refresh token emitido com ele.
+     *
+     * @param {Object} payload - Payload do access token (request.jwtPayload).
+     * @param {string} [refreshToken] - Refresh token informado pelo cliente (opcional).
+     * @returns {Promise<void>}
+     */
+    logout = async (payload, refreshToken) => {
+        Logger.debug("🟣 TokenService.logout()");
+
+        await this.#tokenRevogadoDAO.create(payload.jti, payload.idFuncionario, this.#expiracaoMaxima(payload));
+        await this.#refreshTokenDAO.revogarPorJtiAcesso(payload.jti);
+
+        if (refreshToken) {
+            const registro = await this.#refreshTokenDAO.findByHash(this.#hash(refreshToken));
+            if (registro && registro.idFuncionario === payload.idFuncionario) {
+                await this.#refreshTokenDAO.revogar(registro.idRefreshToken);
+            }
+        }
+
+        await this.#tokenRevogadoDAO.deleteExpirados();
+    }
+
+    /**
+     * Revoga todos os tokens (access e refresh) de um funcionário.
+     * Usado quando o funcionário é excluído/desativado ou quando há reuso de refresh token.
+     *
+     * @param {number} idFuncionario - ID do funcionário.
+     * @returns {Promise<void>}
+     */
+    revogarTodos = async (idFuncionario) => {
+        Logger.debug("🟣 TokenService.revogarTodos()");
+
+        const jwt = this.#novoJwt();
+        await this.#tokenRevogadoDAO.revogarAcessosDoFuncionario(idFuncionario, this.#duracaoRefreshToken + jwt.duracaoToken);
+        await this.#refreshTokenDAO.revogarTodosDoFuncionario(idFuncionario);
+    }
+
+    /**
+     * Valida um access token (header Authorization) com a chave configurada.
+     *
+     * @param {string} authorization - Valor do header Authorization ("Bearer ...").
+     * @returns {Object|null} Payload decodificado, ou null se o token for inválido ou expirado.
+     */
+    validarAccessToken = (authorization) => {
+        const jwt = this.#novoJwt();
+        return jwt.validarToken(authorization) ? jwt.payload : null;
+    }
+
+    /**
+     * Verifica se um access token foi revogado.
+     *
+     * @param {string} jti - Claim jti do access token.
+     * @returns {Promise<boolean>} True se o token não deve mais ser aceito.
+     */
+    estaRevogado = async (jti) => {
+        if (!jti) {
+            return true; // tokens sem jti não podem ser revogados, então não são aceitos
+        }
+
+        return this.#tokenRevogadoDAO.existe(jti);
+    }
+
+    /**
+     * Início da sessão do token (claim auth_time; tokens antigos sem ele usam iat).
+     * @param {Object} payload
+     * @returns {number} Segundos desde a época Unix.
+     */
+    #inicioSessao = (payload) => {
+        return payload.auth_time ?? payload.iat;
+    }
+
+    /**
+     * Último instante em que um token com este jti pode ser válido, considerando as renovações.
+     * É até quando o jti precisa ficar na lista de revogação.
+     * @param {Object} payload
+     * @returns {Date}
+     */
+    #expiracaoMaxima = (payload) => {
+        const jwt = this.#novoJwt();
+        const limite = this.#inicioSessao(payload) + this.#duracaoRefreshToken + jwt.duracaoToken;
+        return new Date(Math.max(payload.exp, limite) * 1000);
+    }
+
+    /**
+     * Cria um MeuTokenJWT com a chave, emissor, audiência e duração configurados.
+     * @returns {MeuTokenJWT}
+     */
+    #novoJwt = () => {
+        return new MeuTokenJWT(this.#configuracaoJwt);
+    }
+
+    /**
+     * Calcula o hash SHA-256 (hex) de um refresh token.
+     * @param {string} token
+     * @returns {string}
+     */
+    #hash = (token) => {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+}
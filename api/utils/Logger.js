@@ -1,66 +1,326 @@
 /**
  * Classe [Logger]
  *
- * Responsável por registrar mensagens de erro e exceções em um arquivo de log.
+ * Registro de logs da aplicação, com níveis, contexto da requisição e rotação do arquivo.
  *
- * Esta classe faz parte de uma API REST didática desenvolvida com o objetivo de
- * ensinar, de forma simples e prática, os principais conceitos da arquitetura REST
- * e do padrão de projeto MVC (Model-View-Controller).
+ * - Níveis (do mais detalhado ao mais grave): debug, info, warn e error; "silent" desliga a saída.
+ *   Os traços de cada camada (⬆️ construtores, 🔵 controllers, 🟣 services, 🟢 DAOs, 🔷 middlewares)
+ *   são debug: com o nível info (padrão do perfil prod) eles deixam de aparecer.
+ * - Console em texto legível ou em JSON (uma linha por registro); o arquivo é sempre JSON lines.
+ * - Contexto: registros feitos durante uma requisição recebem o requestId (ver RequestIdMiddleware),
+ *   sem que controllers, services e DAOs precisem repassá-lo.
+ * - Rotação: o arquivo é renomeado para log.AAAA-MM-DD.N.log quando passa de tamanhoMaximo bytes
+ *   ou quando o dia muda; apenas os arquivosMantidos mais recentes são guardados.
  *
- * @author      
- * @license     GPL (GNU General Public License)
+ * @example
+ * Logger.configurar(configuracao.log);
+ * Logger.debug("🟢 CargoDAO.create()");
+ * Logger.error("❌ Falha ao enviar email", error);
+ * Logger.info("Migração aplicada", { versao: 3 });
+ * // {"time":"2025-08-30T12:34:56.789Z","level":"info","message":"Migração aplicada","requestId":"…","versao":3}
  */
 
 const fs = require("fs");
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 
 module.exports = class Logger {
     /**
-     * Caminho do arquivo de log.
-     * @type {string}
+     * Níveis aceitos em configurar({ nivel, nivelArquivo }) (LOG_LEVEL e LOG_FILE_LEVEL).
      */
-    static LOG_FILE = "api/system/log.log";
+    static NIVEIS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
 
     /**
-     * Registra uma mensagem de erro genérica no log.
-     * @param {string} errorMessage A mensagem de erro a ser registrada.
+     * Formatos aceitos para o console (LOG_FORMAT).
      */
-    static logError(errorMessage) {
-        this.writeLog("ERROR", errorMessage);
+    static FORMATOS = ["texto", "json"];
+
+    /**
+     * Formatos aceitos para o log de acesso (LOG_ACCESS_FORMAT), gravado pelo AccessLogMiddleware.
+     */
+    static FORMATOS_ACESSO = ["curto", "detalhado", "combined", "desligado"];
+
+    /**
+     * Configuração usada até a primeira chamada de configurar() (ex: CLI e testes).
+     */
+    static PADRAO = Object.freeze({
+        nivel: "debug",
+        formato: "texto",
+        arquivo: "api/system/log.log",
+        nivelArquivo: "warn",
+        tamanhoMaximo: 10 * 1024 * 1024,
+        arquivosMantidos: 5
+    });
+
+    static #opcoes = { ...Logger.PADRAO };
+
+    // Contexto (requestId, ...) do fluxo assíncrono atual
+    static #contexto = new AsyncLocalStorage();
+
+    // Arquivo aberto: stream de escrita, tamanho atual e dia (AAAA-MM-DD) dos registros
+    static #stream = null;
+    static #tamanho = 0;
+    static #dia = null;
+
+    /**
+     * Altera a configuração (apenas as opções informadas).
+     *
+     * @param {Object} opcoes
+     * @param {string} [opcoes.nivel] - Nível mínimo no console.
+     * @param {"texto"|"json"} [opcoes.formato] - Formato do console.
+     * @param {string|null} [opcoes.arquivo] - Caminho do arquivo; vazio ou null desliga o arquivo.
+     * @param {string} [opcoes.nivelArquivo] - Nível mínimo no arquivo.
+     * @param {number} [opcoes.tamanhoMaximo] - Bytes a partir dos quais o arquivo é rotacionado.
+     * @param {number} [opcoes.arquivosMantidos] - Arquivos rotacionados guardados.
+     * @throws {Error} Se o nível ou o formato forem desconhecidos.
+     */
+    static configurar(opcoes = {}) {
+        const novas = { ...Logger.#opcoes, ...opcoes };
+
+        for (const chave of ["nivel", "nivelArquivo"]) {
+            if (!Object.hasOwn(Logger.NIVEIS, novas[chave])) {
+                throw new Error(`Nível de log inválido em ${chave}: "${novas[chave]}" (use ${Object.keys(Logger.NIVEIS).join(", ")})`);
+            }
+        }
+        if (!Logger.FORMATOS.includes(novas.formato)) {
+            throw new Error(`Formato de log inválido: "${novas.formato}" (use ${Logger.FORMATOS.join(" ou ")})`);
+        }
+
+        if (novas.arquivo !== Logger.#opcoes.arquivo) {
+            Logger.#fecharArquivo();
+        }
+        Logger.#opcoes = novas;
+    }
+
+    /**
+     * Fecha o arquivo de log, esperando a gravação dos registros pendentes (usado no encerramento).
+     * Um registro feito depois disso reabre o arquivo.
+     * @returns {Promise<void>}
+     */
+    static encerrar() {
+        const stream = Logger.#stream;
+        Logger.#stream = null;
+        return stream ? new Promise(resolve => stream.end(resolve)) : Promise.resolve();
+    }
+
+    /**
+     * Executa o callback com campos de contexto que entram em todos os registros feitos
+     * durante ele, inclusive nas continuações assíncronas (await, callbacks).
+     *
+     * @param {Object} contexto - Ex: { requestId }.
+     * @param {Function} callback
+     * @returns {*} O retorno do callback.
+     */
+    static executarComContexto(contexto, callback) {
+        return Logger.#contexto.run({ ...Logger.contexto(), ...contexto }, callback);
     }
 
     /**
-     * Registra uma exceção ou erro no log.
-     * @param {Error} error A exceção capturada.
+     * @returns {Object} Contexto do fluxo atual ({} fora de uma requisição).
      */
-    static log(error) {
+    static contexto() {
+        return Logger.#contexto.getStore() ?? {};
+    }
+
+    /**
+     * @param {string} mensagem
+     * @param {Object|Error} [detalhes] - Campos adicionais ou o erro.
+     */
+    static debug(mensagem, detalhes) {
+        Logger.#registrar("debug", mensagem, detalhes);
+    }
 
+    static info(mensagem, detalhes) {
+        Logger.#registrar("info", mensagem, detalhes);
+    }
+
+    static warn(mensagem, detalhes) {
+        Logger.#registrar("warn", mensagem, detalhes);
+    }
 
-        this.writeLog("error", JSON.stringify(error));
+    static error(mensagem, detalhes) {
+        Logger.#registrar("error", mensagem, detalhes);
     }
 
     /**
-     * Escreve uma entrada no arquivo de log.
-     * @param {string} type Tipo da mensagem (ex: "ERROR", "Throwable").
-     * @param {string} message Conteúdo da mensagem a ser registrada.
+     * Converte um erro em objeto serializável. JSON.stringify(error) perde message e stack,
+     * que não são propriedades enumeráveis.
+     *
+     * @param {*} error
+     * @returns {Object|*} { name, message, code, errno, httpCode, error, stack, cause } ou o próprio valor.
      */
-    static writeLog(type, message) {
+    static serializarErro(error) {
+        if (!(error instanceof Error)) {
+            return error;
+        }
+
+        const serializado = { name: error.name, message: error.message };
+        for (const chave of ["code", "errno", "sqlState", "httpCode"]) {
+            if (error[chave] !== undefined) {
+                serializado[chave] = error[chave];
+            }
+        }
+        if (error.error !== undefined && error.error !== null) {
+            serializado.error = error.error; // detalhes do ErrorResponse
+        }
+        serializado.stack = error.stack;
+        if (error.cause !== undefined) {
+            serializado.cause = Logger.serializarErro(error.cause);
+        }
+        return serializado;
+    }
 
-        const directoryPath = path.dirname(this.LOG_FILE);
+    static #registrar(nivel, mensagem, detalhes) {
+        const opcoes = Logger.#opcoes;
+        const peso = Logger.NIVEIS[nivel];
+        const noConsole = peso >= Logger.NIVEIS[opcoes.nivel];
+        const noArquivo = Boolean(opcoes.arquivo) && peso >= Logger.NIVEIS[opcoes.nivelArquivo];
 
-        // Garante que o diretório existe
-        if (!fs.existsSync(directoryPath)) {
-            fs.mkdirSync(directoryPath, { recursive: true });
+        if (!noConsole && !noArquivo) {
+            return;
         }
 
-        const dateTime = new Date().toISOString(); // formato ISO: 2025-08-30T12:34:56.789Z
-        const entry = `[${dateTime}] [${type}] [${message}]\n`;
+        const registro = { time: new Date().toISOString(), level: nivel, message: String(mensagem), ...Logger.contexto() };
+
+        if (detalhes instanceof Error) {
+            registro.error = Logger.serializarErro(detalhes);
+        } else if (detalhes !== undefined && detalhes !== null) {
+            for (const [chave, valor] of Object.entries(detalhes)) {
+                registro[chave] = Logger.serializarErro(valor);
+            }
+        }
+
+        const json = Logger.#json(registro);
+
+        if (noConsole) {
+            const saida = peso >= Logger.NIVEIS.warn ? process.stderr : process.stdout;
+            saida.write(opcoes.formato === "json" ? `${json}\n` : Logger.#texto(registro));
+        }
+        if (noArquivo) {
+            Logger.#escreverArquivo(`${json}\n`);
+        }
+    }
+
+    /**
+     * JSON de uma linha; valores que o JSON não representa (BigInt, referências circulares) viram texto.
+     */
+    static #json(registro) {
+        const vistos = new WeakSet();
+        return JSON.stringify(registro, (chave, valor) => {
+            if (typeof valor === "bigint") {
+                return valor.toString();
+            }
+            if (typeof valor === "object" && valor !== null) {
+                if (vistos.has(valor)) {
+                    return "[Circular]";
+                }
+                vistos.add(valor);
+            }
+            return valor;
+        });
+    }
+
+    /**
+     * "12:34:56.789 DEBUG [requestId] mensagem {campos}" e, se houver erro, a stack na linha seguinte.
+     */
+    static #texto(registro) {
+        const { time, level, message, requestId, error, ...campos } = registro;
+
+        let linha = `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ""}${message}`;
+        if (Object.keys(campos).length > 0) {
+            linha += ` ${Logger.#json(campos)}`;
+        }
+        if (error?.stack) {
+            // A stack já começa com "name: message"; code, httpCode e detalhes vêm em seguida
+            const { name, message: mensagemErro, stack, ...extras } = error;
+            linha += `\n${stack}`;
+            if (Object.keys(extras).length > 0) {
+                linha += `\n${Logger.#json(extras)}`;
+            }
+        } else if (error !== undefined) {
+            linha += ` ${Logger.#json(error)}`;
+        }
+        return `${linha}\n`;
+    }
+
+    static #escreverArquivo(linha) {
+        const bytes = Buffer.byteLength(linha);
+        const hoje = new Date().toISOString().slice(0, 10);
 
         try {
-            fs.appendFileSync(this.LOG_FILE, entry, { encoding: "utf8" });
-            console.log("🟡 Erro gravado em log");
-        } catch (err) {
-            console.error("🔴 Falha ao gravar log:", err);
+            if (!Logger.#stream) {
+                Logger.#abrirArquivo();
+            }
+            if (Logger.#tamanho > 0 && (Logger.#dia !== hoje || Logger.#tamanho + bytes > Logger.#opcoes.tamanhoMaximo)) {
+                Logger.#rotacionar();
+            }
+
+            Logger.#stream.write(linha);
+            Logger.#tamanho += bytes;
+            Logger.#dia = hoje;
+        } catch (error) {
+            process.stderr.write(`🔴 Falha ao gravar log em ${Logger.#opcoes.arquivo}: ${error.message}\n`);
         }
     }
+
+    /**
+     * Abre o arquivo para acréscimo. O descritor é aberto de forma síncrona para que uma rotação
+     * logo em seguida nunca renomeie o arquivo antes de o stream abri-lo.
+     */
+    static #abrirArquivo() {
+        const arquivo = Logger.#opcoes.arquivo;
+        fs.mkdirSync(path.dirname(arquivo), { recursive: true });
+
+        const fd = fs.openSync(arquivo, "a");
+        const { size, mtime } = fs.fstatSync(fd);
+
+        Logger.#tamanho = size;
+        Logger.#dia = size > 0 ? mtime.toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10);
+        Logger.#stream = fs.createWriteStream(null, { fd, encoding: "utf8" });
+        Logger.#stream.on("error", (error) => {
+            process.stderr.write(`🔴 Falha ao gravar log em ${arquivo}: ${error.message}\n`);
+        });
+    }
+
+    static #fecharArquivo() {
+        Logger.#stream?.end();
+        Logger.#stream = null;
+    }
+
+    /**
+     * Renomeia o arquivo atual para log.AAAA-MM-DD.N.log (dia dos registros que ele contém),
+     * apaga os rotacionados mais antigos e abre um arquivo novo.
+     * Escritas pendentes do stream anterior continuam indo para o arquivo renomeado.
+     */
+    static #rotacionar() {
+        const arquivo = Logger.#opcoes.arquivo;
+        const pasta = path.dirname(arquivo);
+        const extensao = path.extname(arquivo);
+        const base = path.basename(arquivo, extensao);
+        const padrao = new RegExp(`^${Logger.#escapeRegExp(base)}\\.(\\d{4}-\\d{2}-\\d{2})\\.(\\d+)${Logger.#escapeRegExp(extensao)}$`);
+
+        const rotacionados = fs.readdirSync(pasta)
+            .map(nome => ({ nome, partes: nome.match(padrao) }))
+            .filter(({ partes }) => partes)
+            .map(({ nome, partes }) => ({ nome, dia: partes[1], numero: Number(partes[2]) }));
+
+        const numero = 1 + Math.max(0, ...rotacionados.filter(({ dia }) => dia === Logger.#dia).map(({ numero }) => numero));
+        const nome = `${base}.${Logger.#dia}.${numero}${extensao}`;
+
+        Logger.#fecharArquivo();
+        fs.renameSync(arquivo, path.join(pasta, nome));
+
+        const antigos = [...rotacionados, { nome, dia: Logger.#dia, numero }]
+            .sort((a, b) => b.dia.localeCompare(a.dia) || b.numero - a.numero)
+            .slice(Logger.#opcoes.arquivosMantidos);
+        for (const { nome: antigo } of antigos) {
+            fs.rmSync(path.join(pasta, antigo), { force: true });
+        }
+
+        Logger.#abrirArquivo();
+    }
+
+    static #escapeRegExp(texto) {
+        return texto.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
 }
@@ -0,0 +1,181 @@
+/**
+ * Classe [Metricas]
+ *
+ * Registro de métricas da aplicação, exportadas no formato texto do Prometheus (GET /metrics).
+ *
+ * - Contador: só aumenta (ex: requisições atendidas, logins com falha).
+ * - Histograma: conta observações por faixa (buckets cumulativos), com soma e total (ex: latência).
+ * - Medidor: valor lido no momento da exportação por uma função de coleta (ex: conexões do pool).
+ *
+ * Cada métrica tem rótulos (labels) fixos; cada combinação de valores dos rótulos é uma série.
+ * Registrar de novo uma métrica com o mesmo nome devolve a já existente, então cada módulo pode
+ * declarar as métricas que usa sem depender da ordem de criação.
+ *
+ * @example
+ * const requisicoes = metricas.contador("http_requests_total", "Requisições atendidas", ["method", "status"]);
+ * requisicoes.inc({ method: "GET", status: 200 });
+ * metricas.exportar();
+ * // # HELP http_requests_total Requisições atendidas
+ * // # TYPE http_requests_total counter
+ * // http_requests_total{method="GET",status="200"} 1
+ */
+module.exports = class Metricas {
+    /**
+     * Content-Type da resposta de exportar() (formato texto 0.0.4 do Prometheus).
+     */
+    static TIPO_CONTEUDO = "text/plain; version=0.0.4; charset=utf-8";
+
+    /**
+     * Faixas padrão dos histogramas, em segundos (as mesmas dos clientes oficiais do Prometheus).
+     */
+    static BUCKETS_PADRAO = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+    static #NOME_VALIDO = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+    // nome → { tipo, ajuda, rotulos, series: Map(chave → { valores, valor | buckets/soma/contagem }), coletar }
+    #metricas = new Map();
+
+    /**
+     * @param {string} nome - Nome da métrica (ex: http_requests_total).
+     * @param {string} ajuda - Descrição (linha # HELP).
+     * @param {string[]} [rotulos] - Nomes dos rótulos.
+     * @returns {{inc: Function}} inc(valoresRotulos, quantidade = 1)
+     */
+    contador = (nome, ajuda, rotulos = []) => {
+        const metrica = this.#registrar(nome, "counter", ajuda, rotulos);
+
+        return {
+            inc: (valores = {}, quantidade = 1) => {
+                this.#serie(metrica, valores, () => ({ valor: 0 })).valor += quantidade;
+            }
+        };
+    }
+
+    /**
+     * @param {string} nome - Nome da métrica (ex: http_request_duration_seconds).
+     * @param {string} ajuda - Descrição (linha # HELP).
+     * @param {string[]} [rotulos] - Nomes dos rótulos.
+     * @param {number[]} [buckets] - Limites superiores das faixas, em ordem crescente.
+     * @returns {{observar: Function}} observar(valoresRotulos, valor)
+     */
+    histograma = (nome, ajuda, rotulos = [], buckets = Metricas.BUCKETS_PADRAO) => {
+        const metrica = this.#registrar(nome, "histogram", ajuda, rotulos);
+        metrica.buckets ??= [...buckets].sort((a, b) => a - b);
+
+        return {
+            observar: (valores, valor) => {
+                const serie = this.#serie(metrica, valores, () => ({ buckets: metrica.buckets.map(() => 0), soma: 0, contagem: 0 }));
+
+                metrica.buckets.forEach((limite, indice) => {
+                    if (valor <= limite) {
+                        serie.buckets[indice]++;
+                    }
+                });
+                serie.soma += valor;
+                serie.contagem++;
+            }
+        };
+    }
+
+    /**
+     * Registra um medidor cujo valor é lido por coletar() a cada exportação.
+     *
+     * @param {string} nome - Nome da métrica (ex: db_pool_active_connections).
+     * @param {string} ajuda - Descrição (linha # HELP).
+     * @param {Function} coletar - () => número, ou null/undefined quando não houver valor (a métrica é omitida).
+     */
+    medidor = (nome, ajuda, coletar) => {
+        const metrica = this.#registrar(nome, "gauge", ajuda, []);
+        metrica.coletar = coletar;
+    }
+
+    /**
+     * Gera o texto de todas as métricas, no formato de exposição do Prometheus.
+     * @returns {string}
+     */
+    exportar = () => {
+        const linhas = [];
+
+        for (const [nome, metrica] of this.#metricas) {
+            const amostras = metrica.tipo === "gauge" ? this.#coletar(nome, metrica) : this.#amostras(nome, metrica);
+            if (amostras.length === 0 && metrica.tipo === "gauge") {
+                continue;
+            }
+
+            linhas.push(`# HELP ${nome} ${metrica.ajuda.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+            linhas.push(`# TYPE ${nome} ${metrica.tipo}`);
+            linhas.push(...amostras);
+        }
+
+        return `${linhas.join("\n")}\n`;
+    }
+
+    #registrar = (nome, tipo, ajuda, rotulos) => {
+        const existente = this.#metricas.get(nome);
+        if (existente) {
+            if (existente.tipo !== tipo || existente.rotulos.join() !== rotulos.join()) {
+                throw new Error(`Métrica ${nome} já registrada como ${existente.tipo} com rótulos [${existente.rotulos}]`);
+            }
+            return existente;
+        }
+
+        for (const texto of [nome, ...rotulos]) {
+            if (!Metricas.#NOME_VALIDO.test(texto)) {
+                throw new Error(`Nome inválido para métrica ou rótulo: "${texto}"`);
+            }
+        }
+
+        const metrica = { tipo, ajuda, rotulos, series: new Map() };
+        this.#metricas.set(nome, metrica);
+        return metrica;
+    }
+
+    #serie = (metrica, valores, criar) => {
+        const valoresRotulos = metrica.rotulos.map(rotulo => String(valores[rotulo] ?? ""));
+        const chave = JSON.stringify(valoresRotulos);
+
+        let serie = metrica.series.get(chave);
+        if (!serie) {
+            serie = { valores: valoresRotulos, ...criar() };
+            metrica.series.set(chave, serie);
+        }
+        return serie;
+    }
+
+    #amostras = (nome, metrica) => {
+        const amostras = [];
+
+        for (const serie of metrica.series.values()) {
+            const pares = metrica.rotulos.map((rotulo, indice) => [rotulo, serie.valores[indice]]);
+
+            if (metrica.tipo === "counter") {
+                amostras.push(`${nome}${Metricas.#rotulos(pares)} ${serie.valor}`);
+                continue;
+            }
+
+            metrica.buckets.forEach((limite, indice) => {
+                amostras.push(`${nome}_bucket${Metricas.#rotulos([...pares, ["le", String(limite)]])} ${serie.buckets[indice]}`);
+            });
+            amostras.push(`${nome}_bucket${Metricas.#rotulos([...pares, ["le", "+Inf"]])} ${serie.contagem}`);
+            amostras.push(`${nome}_sum${Metricas.#rotulos(pares)} ${serie.soma}`);
+            amostras.push(`${nome}_count${Metricas.#rotulos(pares)} ${serie.contagem}`);
+        }
+        return amostras;
+    }
+
+    #coletar = (nome, metrica) => {
+        const valor = metrica.coletar();
+        return typeof valor === "number" && Number.isFinite(valor) ? [`${nome} ${valor}`] : [];
+    }
+
+    /**
+     * [["method", "GET"]] → {method="GET"} (com \, " e quebras de linha escapados).
+     */
+    static #rotulos(pares) {
+        if (pares.length === 0) {
+            return "";
+        }
+        const texto = pares.map(([rotulo, valor]) => `${rotulo}="${valor.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`);
+        return `{${texto.join(",")}}`;
+    }
+}
@@ -0,0 +1,128 @@
+const ErrorResponse = require("./ErrorResponse");
+
+/**
+ * Classe [Paginacao]
+ *
+ * Interpreta e valida os parâmetros de paginação e ordenação enviados na query string
+ * das listagens (GET /funcionarios, GET /cargos, ...).
+ *
+ * Parâmetros aceitos:
+ * - page      → número da página, começando em 1 (padrão: 1)
+ * - pageSize  → itens por página, entre 1 e PAGE_SIZE_MAXIMO (padrão: PAGE_SIZE_PADRAO)
+ * - sort      → lista de campos separados por vírgula; prefixo "-" indica ordem decrescente
+ *               (ex: sort=nomeFuncionario,-idFuncionario)
+ *
+ * Os campos de ordenação aceitos são definidos por quem usa a classe (Service),
+ * e o DAO é responsável por traduzi-los para colunas do banco.
+ *
+ * @example
+ * const paginacao = new Paginacao(request.query, ["idCargo", "nomeCargo"], "idCargo");
+ * paginacao.offset;        // 0
+ * paginacao.ordenacao;     // [{ campo: "idCargo", direcao: "ASC" }]
+ * paginacao.toMeta(57);    // { page: 1, pageSize: 20, total: 57, totalPages: 3 }
+ */
+module.exports = class Paginacao {
+    static PAGE_SIZE_PADRAO = 20;
+    static PAGE_SIZE_MAXIMO = 100;
+
+    #page;
+    #pageSize;
+    #ordenacao;
+
+    /**
+     * @param {Object} query - Query string da requisição (request.query).
+     * @param {string[]} camposOrdenacao - Campos aceitos no parâmetro sort.
+     * @param {string} ordenacaoPadrao - Valor de sort usado quando o parâmetro não é enviado.
+     * @throws {ErrorResponse} 400 se algum parâmetro for inválido.
+     */
+    constructor(query = {}, camposOrdenacao = [], ordenacaoPadrao = "") {
+        this.#page = Paginacao.#inteiro("page", query.page, 1);
+        this.#pageSize = Paginacao.#inteiro("pageSize", query.pageSize, Paginacao.PAGE_SIZE_PADRAO);
+
+        if (this.#pageSize > Paginacao.PAGE_SIZE_MAXIMO) {
+            throw new ErrorResponse(400, "Erro na validação de dados", {
+                message: `O parâmetro 'pageSize' deve ser no máximo ${Paginacao.PAGE_SIZE_MAXIMO}`
+            });
+        }
+
+        this.#ordenacao = Paginacao.#ordenacaoFromString(query.sort ?? ordenacaoPadrao, camposOrdenacao);
+    }
+
+    /** @returns {number} Página solicitada (1..n) */
+    get page() {
+        return this.#page;
+    }
+
+    /** @returns {number} Quantidade de itens por página */
+    get pageSize() {
+        return this.#pageSize;
+    }
+
+    /** @returns {number} Quantidade de registros a pular (OFFSET) */
+    get offset() {
+        return (this.#page - 1) * this.#pageSize;
+    }
+
+    /** @returns {Array<{campo: string, direcao: "ASC"|"DESC"}>} Critérios de ordenação */
+    get ordenacao() {
+        return this.#ordenacao;
+    }
+
+    /**
+     * Monta os metadados de paginação devolvidos ao cliente.
+     * @param {number} total - Total de registros que atendem aos filtros.
+     * @returns {{page: number, pageSize: number, total: number, totalPages: number}}
+     */
+    toMeta = (total) => {
+        return {
+            page: this.#page,
+            pageSize: this.#pageSize,
+            total: total,
+            totalPages: Math.ceil(total / this.#pageSize)
+        };
+    }
+
+    /**
+     * Converte um parâmetro da query em inteiro positivo.
+     */
+    static #inteiro(nome, valor, padrao) {
+        if (valor === undefined || valor === "") {
+            return padrao;
+        }
+
+        const parsed = Number(valor);
+        if (!Number.isInteger(parsed) || parsed <= 0) {
+            throw new ErrorResponse(400, "Erro na validação de dados", {
+                message: `O parâmetro '${nome}' deve ser um número inteiro positivo`
+            });
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Converte "campoA,-campoB" em [{ campo: "campoA", direcao: "ASC" }, { campo: "campoB", direcao: "DESC" }].
+     */
+    static #ordenacaoFromString(sort, camposOrdenacao) {
+        if (typeof sort !== "string") {
+            throw new ErrorResponse(400, "Erro na validação de dados", { message: "O parâmetro 'sort' deve ser uma string" });
+        }
+
+        return sort
+            .split(",")
+            .map(item => item.trim())
+            .filter(item => item !== "")
+            .map(item => {
+                const direcao = item.startsWith("-") ? "DESC" : "ASC";
+                const campo = item.replace(/^[-+]/, "");
+
+                if (!camposOrdenacao.includes(campo)) {
+                    throw new ErrorResponse(400, "Erro na validação de dados", {
+                        message: `Não é possível ordenar por '${campo}'. Campos aceitos: ${camposOrdenacao.join(", ")}`
+                    });
+                }
+
+                return { campo, direcao };
+            });
+    }
+}
@@ -0,0 +1,221 @@
+const ErrorResponse = require("./ErrorResponse");
+
+/**
+ * Classe [Validador]
+ *
+ * Validação declarativa do corpo e dos parâmetros de rota das requisições.
+ *
+ * Cada middleware descreve o formato esperado com as regras abaixo (schema) e o Validador percorre o
+ * valor inteiro, juntando todos os erros antes de responder, em vez de parar no primeiro.
+ *
+ * - modelo(Modelo, atributo): aplica o setter do model (ex: Funcionario.email), para que a requisição
+ *   seja recusada pelas mesmas regras de domínio que o Service aplicaria depois.
+ * - texto, inteiroPositivo, booleano: campos que não têm setter no model (tokens, flags, ids de listas).
+ * - objeto(schema) e lista(regra): estrutura. Em objeto({ parcial: true }) (PATCH, JSON Merge Patch)
+ *   os campos são opcionais, null é recusado (removeria um campo obrigatório) e campos fora do
+ *   schema são recusados.
+ *
+ * Resposta de erro (via ErrorResponse):
+ * - 400 para parâmetros de rota inválidos (ex: /funcionarios/abc);
+ * - 422 para corpo inválido;
+ * em ambos, error = { message: todas as mensagens, campos: [{ campo, message }] }.
+ *
+ * @example
+ * static #CORPO = Validador.objeto({
+ *     cargo: Validador.objeto({ nomeCargo: Validador.modelo(Cargo, "nomeCargo") })
+ * });
+ * Validador.corpo(CargoMiddleware.#CORPO, request.body);
+ * // { cargo: { nomeCargo: "AB" } } → 422, campos: [{ campo: "cargo.nomeCargo", message: "nomeCargo deve ter pelo menos 3 caracteres." }]
+ */
+module.exports = class Validador {
+    static MENSAGEM = "Erro na validação de dados";
+
+    /**
+     * Regra que aplica o setter `atributo` de uma instância nova do model; a mensagem do Error lançado
+     * pelo setter vira o erro do campo.
+     *
+     * @param {Function} Modelo - Classe do model (ex: Funcionario, Cargo).
+     * @param {string} atributo - Nome do setter (ex: "email").
+     * @param {Object} [opcoes]
+     * @param {boolean} [opcoes.obrigatorio=true]
+     */
+    static modelo(Modelo, atributo, opcoes) {
+        return Validador.#regra(opcoes, (valor) => {
+            try {
+                new Modelo()[atributo] = valor;
+            } catch (error) {
+                return error.message;
+            }
+        });
+    }
+
+    /**
+     * Regra de string não vazia (desconsiderando espaços).
+     * @param {Object} [opcoes] - { obrigatorio = true }
+     */
+    static texto(opcoes) {
+        return Validador.#regra(opcoes, (valor, caminho) => {
+            if (typeof valor !== "string" || valor.trim() === "") {
+                return `O campo '${caminho}' deve ser um texto não vazio.`;
+            }
+        });
+    }
+
+    /**
+     * Regra de número inteiro positivo (number do JSON, sem conversão de strings).
+     * @param {Object} [opcoes] - { obrigatorio = true }
+     */
+    static inteiroPositivo(opcoes) {
+        return Validador.#regra(opcoes, (valor, caminho) => {
+            if (!Number.isInteger(valor) || valor <= 0) {
+                return `O campo '${caminho}' deve ser um número inteiro positivo.`;
+            }
+        });
+    }
+
+    /**
+     * Regra de booleano (true ou false).
+     * @param {Object} [opcoes] - { obrigatorio = true }
+     */
+    static booleano(opcoes) {
+        return Validador.#regra(opcoes, (valor, caminho) => {
+            if (typeof valor !== "boolean") {
+                return `O campo '${caminho}' deve ser true ou false.`;
+            }
+        });
+    }
+
+    /**
+     * Regra de objeto com um schema para cada campo.
+     *
+     * @param {Object<string, Object>} schema - Campo → regra.
+     * @param {Object} [opcoes]
+     * @param {boolean} [opcoes.obrigatorio=true]
+     * @param {boolean} [opcoes.parcial=false] - Campos opcionais, null e campos fora do schema recusados (PATCH).
+     * @param {number} [opcoes.minimoCampos=0] - Quantidade mínima de campos enviados.
+     */
+    static objeto(schema, { obrigatorio = true, parcial = false, minimoCampos = 0 } = {}) {
+        return {
+            obrigatorio,
+            verificar: (valor, caminho, erros) => {
+                if (valor === null || typeof valor !== "object" || Array.isArray(valor)) {
+                    erros.push({ campo: caminho, message: `O campo '${caminho}' deve ser um objeto.` });
+                    return;
+                }
+
+                const enviados = Object.keys(valor);
+                if (enviados.length < minimoCampos) {
+                    erros.push({ campo: caminho, message: `Informe ao menos um dos campos: ${Object.keys(schema).join(", ")}.` });
+                }
+
+                if (parcial) {
+                    for (const campo of enviados.filter(campo => !Object.hasOwn(schema, campo))) {
+                        const caminhoCampo = Validador.#caminho(caminho, campo);
+                        erros.push({ campo: caminhoCampo, message: `O campo '${caminhoCampo}' não pode ser alterado.` });
+                    }
+                }
+
+                for (const [campo, regra] of Object.entries(schema)) {
+                    const atual = valor[campo];
+                    const caminhoCampo = Validador.#caminho(caminho, campo);
+
+                    if (atual === null && parcial) {
+                        erros.push({ campo: caminhoCampo, message: `O campo '${caminhoCampo}' é obrigatório e não pode ser removido.` });
+                    } else if (atual === undefined || atual === null) {
+                        if (regra.obrigatorio && !parcial) {
+                            erros.push({ campo: caminhoCampo, message: `O campo '${caminhoCampo}' é obrigatório!` });
+                        }
+                    } else {
+                        regra.verificar(atual, caminhoCampo, erros);
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Regra de array em que cada item segue `regraItem`.
+     *
+     * @param {Object} regraItem - Regra aplicada a cada item (caminho "campo[indice]").
+     * @param {Object} [opcoes]
+     * @param {boolean} [opcoes.obrigatorio=true]
+     * @param {number} [opcoes.minimo=0] - Quantidade mínima de itens.
+     */
+    static lista(regraItem, { obrigatorio = true, minimo = 0 } = {}) {
+        return {
+            obrigatorio,
+            verificar: (valor, caminho, erros) => {
+                if (!Array.isArray(valor)) {
+                    erros.push({ campo: caminho, message: `O campo '${caminho}' deve ser um array.` });
+                    return;
+                }
+                if (valor.length < minimo) {
+                    erros.push({ campo: caminho, message: `O campo '${caminho}' deve ter pelo menos ${minimo} item(ns).` });
+                }
+
+                valor.forEach((item, indice) => {
+                    const caminhoItem = `${caminho}[${indice}]`;
+                    if (item === undefined || item === null) {
+                        erros.push({ campo: caminhoItem, message: `O item '${caminhoItem}' é obrigatório!` });
+                    } else {
+                        regraItem.verificar(item, caminhoItem, erros);
+                    }
+                });
+            }
+        };
+    }
+
+    /**
+     * Aplica a regra ao valor e devolve todos os erros encontrados.
+     *
+     * @param {Object} regra - Normalmente um Validador.objeto(...).
+     * @param {*} valor
+     * @returns {{campo: string, message: string}[]} Vazio se o valor for válido.
+     */
+    static validar(regra, valor) {
+        const erros = [];
+        regra.verificar(valor ?? {}, "", erros);
+        return erros;
+    }
+
+    /**
+     * Valida o corpo da requisição.
+     * @throws {ErrorResponse} 422 com todos os erros, se houver algum.
+     */
+    static corpo(regra, body) {
+        Validador.#lancar(422, Validador.validar(regra, body));
+    }
+
+    /**
+     * Valida os parâmetros de rota (request.params).
+     * @throws {ErrorResponse} 400 com todos os erros, se houver algum.
+     */
+    static parametros(regra, params) {
+        Validador.#lancar(400, Validador.validar(regra, params));
+    }
+
+    static #lancar(httpCode, erros) {
+        if (erros.length > 0) {
+            throw new ErrorResponse(httpCode, Validador.MENSAGEM, {
+                message: erros.map(erro => erro.message).join(" "),
+                campos: erros
+            });
+        }
+    }
+
+    static #regra({ obrigatorio = true } = {}, testar) {
+        return {
+            obrigatorio,
+            verificar: (valor, caminho, erros) => {
+                const mensagem = testar(valor, caminho);
+                if (mensagem) {
+                    erros.push({ campo: caminho, message: mensagem });
+                }
+            }
+        };
+    }
+
+    static #caminho(caminho, campo) {
+        return caminho ? `${caminho}.${campo}` : campo;
+    }
+}
@@ -1,12 +1,17 @@
 const Server = require("./Server");
+const Configuracao = require("./api/config/Configuracao");
+const Logger = require("./api/utils/Logger");
 
 /**
  * Arquivo principal de inicialização do servidor.
  * 
  * Responsabilidades:
+ * - Carrega e valida a configuração (variáveis de ambiente, .env e perfil dev/test/prod)
  * - Cria a instância do servidor
  * - Inicializa todas as dependências (banco, middlewares, rotas)
  * - Inicia o servidor na porta especificada
+ * - No SIGTERM/SIGINT, encerra sem interromper as requisições em andamento (Server.encerrar);
+ *   um segundo sinal encerra o processo na hora
  * 
  * Observação sobre async/await:
  * - server.init() retorna uma Promise, pois inicializa conexões assíncronas (ex: MySQL)
@@ -14,8 +19,12 @@ const Server = require("./Server");
  */
 (async () => {
     try {
-        // Cria instância do servidor na porta 8080
-        const server = new Server(8080);
+        // Lança erro (e o servidor não sobe) se faltar alguma chave obrigatória
+        const configuracao = Configuracao.carregar();
+        Logger.configurar(configuracao.log);
+
+        // Cria instância do servidor na porta configurada (PORT)
+        const server = new Server(configuracao);
 
         // Inicializa o servidor (conexão com DB, middlewares, roteadores)
         await server.init();
@@ -23,8 +32,23 @@ const Server = require("./Server");
         // Inicia o servidor Express na porta configurada
         server.run();
 
-        console.log("✅ Servidor iniciado com sucesso");
+        Logger.info("✅ Servidor iniciado com sucesso");
+
+        // process.once: o segundo sinal volta ao comportamento padrão e mata o processo imediatamente
+        for (const sinal of ["SIGTERM", "SIGINT"]) {
+            process.once(sinal, async () => {
+                Logger.info(`${sinal} recebido`);
+                try {
+                    await server.encerrar();
+                } catch (error) {
+                    Logger.error("❌ Erro ao encerrar o servidor", error);
+                    process.exitCode = 1;
+                }
+                await Logger.encerrar();
+            });
+        }
     } catch (error) {
-        console.error("❌ Erro ao iniciar o servidor:", error);
+        Logger.error("❌ Erro ao iniciar o servidor", error);
+        process.exitCode = 1;
     }
 })();
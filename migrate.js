@@ -0,0 +1,76 @@
+const Configuracao = require("./api/config/Configuracao");
+const Database = require("./api/database/Database");
+const Migrador = require("./api/database/Migrador");
+const Logger = require("./api/utils/Logger");
+
+/**
+ * Linha de comando das migrações do banco (usa a mesma configuração do servidor: DB_*, .env, perfil).
+ * Com DB_CLIENT=sqlite, aplica as migrações de api/database/migrations/sqlite no arquivo DB_FILE.
+ *
+ * Uso:
+ *   node migrate.js up [--to N]        aplica as migrações pendentes (até a versão N)
+ *   node migrate.js down [--steps N]   desfaz as últimas N migrações (padrão 1)
+ *   node migrate.js status             lista as migrações e a situação de cada uma
+ *   node migrate.js baseline [--to N]  marca como aplicadas, sem executar (bancos do antigo docs/Banco.sql: --to 1)
+ *
+ * Também disponível como npm run migrate, migrate:rollback e migrate:status.
+ */
+const COMANDOS = ["up", "down", "status", "baseline"];
+
+/**
+ * Lê "--to 3" / "--steps=2" dos argumentos.
+ * @returns {number|undefined}
+ */
+const lerOpcaoNumerica = (argumentos, nome) => {
+    const indice = argumentos.findIndex(argumento => argumento === `--${nome}` || argumento.startsWith(`--${nome}=`));
+    if (indice === -1) {
+        return undefined;
+    }
+
+    const texto = argumentos[indice].includes("=") ? argumentos[indice].split("=")[1] : argumentos[indice + 1];
+    const valor = Number(texto);
+    if (!Number.isInteger(valor) || valor < 0) {
+        throw new Error(`A opção --${nome} deve ser um número inteiro (recebido "${texto}")`);
+    }
+    return valor;
+};
+
+(async () => {
+    const [comando = "status", ...argumentos] = process.argv.slice(2);
+    let database;
+
+    try {
+        if (!COMANDOS.includes(comando)) {
+            throw new Error(`Comando "${comando}" desconhecido. Use: ${COMANDOS.join(", ")}`);
+        }
+
+        const configuracao = Configuracao.carregar();
+        Logger.configurar(configuracao.log);
+        database = Database.criar(configuracao.banco);
+
+        if (comando === "up" || comando === "baseline") {
+            await database.criarBanco();
+        }
+        await database.connect();
+
+        const migrador = new Migrador(database);
+
+        if (comando === "status") {
+            console.table((await migrador.status()).map(({ versao, nome, situacao, aplicadaEm }) => ({ versao, nome, situacao, aplicadaEm })));
+        } else if (comando === "up") {
+            const aplicadas = await migrador.migrar({ ate: lerOpcaoNumerica(argumentos, "to") });
+            console.log(aplicadas.length > 0 ? `✅ ${aplicadas.length} migração(ões) aplicada(s)` : "✅ Banco já está atualizado");
+        } else if (comando === "down") {
+            const desfeitas = await migrador.reverter({ passos: lerOpcaoNumerica(argumentos, "steps") ?? 1 });
+            console.log(`✅ ${desfeitas.length} migração(ões) desfeita(s)`);
+        } else {
+            const marcadas = await migrador.baseline({ ate: lerOpcaoNumerica(argumentos, "to") });
+            console.log(`✅ ${marcadas.length} migração(ões) marcada(s) como aplicada(s)`);
+        }
+    } catch (error) {
+        console.error("❌ Erro nas migrações:", error.message, error.error ?? "");
+        process.exitCode = 1;
+    } finally {
+        await database?.encerrar();
+    }
+})();
@@ -5,6 +5,9 @@
 export default class ApiService {
     #token;  // Atributo privado para armazenar o token de autenticação
 
+    // Renovação da sessão em andamento (Promise do novo access token), compartilhada por todas as requisições da página
+    static #renovacao = null;
+
     /**
      * Construtor da classe ApiService.
      * @param {string|null} token - Token de autenticação opcional para incluir no header Authorization.
@@ -51,7 +54,7 @@ export default class ApiService {
             }
 
             // Faz requisição GET com headers configurados
-            const response = await fetch(uri, {
+            const response = await this.#enviar(uri, {
                 method: "GET",
                 headers: headers
             });
@@ -86,7 +89,7 @@ export default class ApiService {
             // Concatena URI com ID para buscar recurso específico
             const fullUri = `${uri}/${id}`;
 
-            const response = await fetch(fullUri, {
+            const response = await this.#enviar(fullUri, {
                 method: "GET",
                 headers: headers
             });
@@ -124,7 +127,7 @@ export default class ApiService {
             }
 
             // Executa a requisição POST com headers e corpo JSON
-            const response = await fetch(uri, {
+            const response = await this.#enviar(uri, {
                 method: "POST",
                 headers: headers,
                 body: JSON.stringify(jsonObject)
@@ -161,7 +164,7 @@ export default class ApiService {
             const fullUri = `${uri}/${id}`;
 
             // Faz requisição PUT com corpo JSON
-            const response = await fetch(fullUri, {
+            const response = await this.#enviar(fullUri, {
                 method: "PUT",
                 headers: headers,
                 body: JSON.stringify(jsonObject)
@@ -177,6 +180,38 @@ export default class ApiService {
         }
     }
 
+    /**
+     * Método para alterar parcialmente um recurso via PATCH (JSON Merge Patch: apenas os campos enviados são alterados).
+     * @param {string} uri - URL completa do recurso (ex: "/api/v1/funcionarios/me").
+     * @param {Object} jsonObject - Campos a alterar, enviados no corpo da requisição.
+     * @returns {Promise<Object|null>} Retorna JSON da resposta ou null em caso de erro.
+     */
+    async patch(uri, jsonObject) {
+        try {
+            const headers = {
+                "Content-Type": "application/merge-patch+json"  // RFC 7396
+            };
+
+            if (this.#token) {
+                headers["Authorization"] = `Bearer ${this.#token}`;
+            }
+
+            const response = await this.#enviar(uri, {
+                method: "PATCH",
+                headers: headers,
+                body: JSON.stringify(jsonObject)
+            });
+
+            const jsonObj = await response.json();
+            console.log("PATCH:", uri, jsonObj);
+            return jsonObj;
+
+        } catch (error) {
+            console.error("Erro ao enviar dados:", error.message);
+            return null;  // Retorna null em caso de erro
+        }
+    }
+
     /**
      * Método para deletar um recurso via DELETE usando ID.
      * @param {string} uri - URL base do recurso.
@@ -198,7 +233,7 @@ export default class ApiService {
 
             // Executa requisição DELETE
             console.log("DELETE: " + fullUri);
-            const response = await fetch(fullUri, {
+            const response = await this.#enviar(fullUri, {
                 method: "DELETE",
                 headers: headers
             });
@@ -219,6 +254,125 @@ export default class ApiService {
         }
     }
 
+    /**
+     * Encerra a sessão no servidor (revoga access e refresh token) e limpa os dados locais.
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        const userData = ApiService.#lerUserData();
+        const refreshToken = userData?.data?.refreshToken;
+
+        try {
+            await this.post("/api/v1/funcionarios/logout", { refreshToken });
+        } finally {
+            localStorage.removeItem("userData");
+            this.#token = null;
+        }
+    }
+
+    /**
+     * Executa o fetch e, se a resposta for 401 com token configurado, tenta renovar
+     * a sessão com o refresh token salvo em localStorage.userData e repete a requisição uma vez.
+     * Se a sessão já foi renovada enquanto esta requisição estava em andamento, apenas a repete com o novo token.
+     * Tokens renovados pelo servidor (header X-Renewed-Token) são guardados automaticamente.
+     * @param {string} uri - URL da requisição.
+     * @param {Object} opcoes - Opções do fetch (method, headers, body).
+     * @returns {Promise<Response>} Resposta do fetch.
+     */
+    async #enviar(uri, opcoes) {
+        const tokenEnviado = this.#token;
+        const response = await fetch(uri, opcoes);
+
+        const renovada = response.status === 401 && this.#token
+            && (this.#token !== tokenEnviado || await this.#renovarSessao());
+        if (!renovada) {
+            this.#guardarTokenRenovado(response);
+            return response;
+        }
+
+        opcoes.headers["Authorization"] = `Bearer ${this.#token}`;
+        const novaResposta = await fetch(uri, opcoes);
+        this.#guardarTokenRenovado(novaResposta);
+        return novaResposta;
+    }
+
+    /**
+     * Sessão deslizante: quando o servidor devolve o header X-Renewed-Token (token perto de expirar),
+     * passa a usar o novo token e atualiza localStorage.userData para as próximas páginas.
+     * @param {Response} response - Resposta do fetch.
+     */
+    #guardarTokenRenovado(response) {
+        const tokenRenovado = response.headers.get("X-Renewed-Token");
+        if (!tokenRenovado) {
+            return;
+        }
+
+        this.#token = tokenRenovado;
+
+        const userData = ApiService.#lerUserData();
+        if (userData?.data) {
+            userData.data.token = tokenRenovado;
+            localStorage.setItem("userData", JSON.stringify(userData));
+        }
+    }
+
+    /**
+     * Renova a sessão e passa a usar o novo access token.
+     *
+     * O refresh token é de uso único: se várias requisições receberem 401 ao mesmo tempo, todas esperam
+     * a mesma renovação. Reapresentar um refresh token já trocado seria tratado pelo servidor como reuso
+     * e encerraria todas as sessões do funcionário.
+     * @returns {Promise<boolean>} true se a sessão foi renovada.
+     */
+    async #renovarSessao() {
+        ApiService.#renovacao ??= ApiService.#trocarRefreshToken().finally(() => {
+            ApiService.#renovacao = null;
+        });
+
+        const token = await ApiService.#renovacao;
+        if (token) {
+            this.#token = token;
+        }
+        return token !== null;
+    }
+
+    /**
+     * Troca o refresh token salvo por um novo par de tokens e atualiza localStorage.userData.
+     * @returns {Promise<string|null>} Novo access token, ou null se a sessão não pôde ser renovada.
+     */
+    static async #trocarRefreshToken() {
+        const userData = ApiService.#lerUserData();
+        const refreshToken = userData?.data?.refreshToken;
+
+        if (!refreshToken) {
+            return null;
+        }
+
+        const response = await fetch("/api/v1/funcionarios/refresh", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ refreshToken })
+        });
+
+        if (!response.ok) {
+            localStorage.removeItem("userData"); // refresh token inválido/expirado: precisa logar de novo
+            return null;
+        }
+
+        const jsonObj = await response.json();
+        localStorage.setItem("userData", JSON.stringify(jsonObj));
+        return jsonObj.data.token;
+    }
+
+    /**
+     * Lê os dados do usuário logado gravados pela tela de login.
+     * @returns {Object|null}
+     */
+    static #lerUserData() {
+        const userData = localStorage.getItem("userData");
+        return userData ? JSON.parse(userData) : null;
+    }
+
     /**
      * Getter para o token privado.
      * @returns {string|null} Retorna o token atual.
@@ -0,0 +1,109 @@
+const { describe, test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+require("./ambiente");
+const Logger = require("../api/utils/Logger");
+const AccessLogMiddleware = require("../api/middleware/AccessLogMiddleware");
+
+/**
+ * Requisição e resposta mínimas, com o que o middleware lê do Express.
+ */
+const criarRequisicao = ({ headers = {}, ...campos } = {}) => ({
+    method: "POST",
+    originalUrl: "/api/v1/funcionarios/login",
+    httpVersion: "1.1",
+    ip: "127.0.0.1",
+    headers,
+    body: {},
+    get: (nome) => headers[nome.toLowerCase()],
+    ...campos
+});
+
+const criarResposta = ({ statusCode = 200, headers = {}, terminou = true } = {}) => Object.assign(new EventEmitter(), {
+    statusCode,
+    writableFinished: terminou,
+    getHeader: (nome) => headers[nome.toLowerCase()]
+});
+
+/**
+ * Passa a requisição pelo middleware, fecha a resposta e devolve os registros gravados no console.
+ * @returns {Object[]}
+ */
+const registrar = (formato, request, response) => {
+    const registros = [];
+    const originais = { stdout: process.stdout.write, stderr: process.stderr.write };
+
+    process.stdout.write = process.stderr.write = (texto) => registros.push(JSON.parse(texto));
+    try {
+        new AccessLogMiddleware({ formatoAcesso: formato }).handle(request, response, () => {});
+        response.emit("close");
+    } finally {
+        process.stdout.write = originais.stdout;
+        process.stderr.write = originais.stderr;
+    }
+    return registros;
+};
+
+describe("AccessLogMiddleware", () => {
+    beforeEach(() => {
+        Logger.configurar({ nivel: "info", formato: "json", arquivo: null });
+    });
+
+    after(() => {
+        Logger.configurar({ nivel: "error", formato: "texto", arquivo: null });
+    });
+
+    test("registra método, rota, status, latência, tamanho, IP e o funcionário do token", () => {
+        const request = criarRequisicao({ method: "GET", originalUrl: "/api/v1/cargos?page=2", jwtPayload: { idFuncionario: 7 } });
+        const [registro] = registrar("curto", request, criarResposta({ headers: { "content-length": "512" } }));
+
+        assert.match(registro.message, /^GET \/api\/v1\/cargos\?page=2 200 [\d.]+ms 512B$/);
+        assert.equal(registro.level, "info");
+        assert.equal(registro.path, "/api/v1/cargos");
+        assert.equal(registro.size, 512);
+        assert.equal(registro.ip, "127.0.0.1");
+        assert.equal(registro.idFuncionario, 7);
+        assert.equal(typeof registro.durationMs, "number");
+        assert.equal(registro.headers, undefined);
+    });
+
+    test("detalhado inclui cabeçalhos e corpo sem Authorization, senhas e tokens", () => {
+        const request = criarRequisicao({
+            headers: { authorization: "Bearer abc.def.ghi", "content-type": "application/json" },
+            body: { funcionario: { email: "adm@adm.com", senha: "@Helio123456" }, refreshToken: "r1" }
+        });
+        const [registro] = registrar("detalhado", request, criarResposta());
+
+        assert.equal(registro.headers.authorization, AccessLogMiddleware.REDIGIDO);
+        assert.equal(registro.headers["content-type"], "application/json");
+        assert.deepEqual(registro.body, {
+            funcionario: { email: "adm@adm.com", senha: AccessLogMiddleware.REDIGIDO },
+            refreshToken: AccessLogMiddleware.REDIGIDO
+        });
+        assert.doesNotMatch(JSON.stringify(registro), /Helio|abc\.def/);
+    });
+
+    test("combined segue o formato do Apache e redige a query string", () => {
+        const request = criarRequisicao({
+            method: "GET",
+            originalUrl: "/api/v1/cargos?token=segredo&page=1",
+            headers: { "user-agent": "curl/8.5.0" }
+        });
+        const [registro] = registrar("combined", request, criarResposta({ statusCode: 404, headers: { "content-length": "40" } }));
+
+        assert.match(registro.message,
+            /^127\.0\.0\.1 - - \[\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000\] "GET \/api\/v1\/cargos\?token=\[REDACTED\]&page=1 HTTP\/1\.1" 404 40 "-" "curl\/8\.5\.0"$/);
+    });
+
+    test("5xx vira warn e conexão interrompida é marcada como aborted", () => {
+        const [registro] = registrar("curto", criarRequisicao(), criarResposta({ statusCode: 503, terminou: false }));
+
+        assert.equal(registro.level, "warn");
+        assert.equal(registro.aborted, true);
+    });
+
+    test("desligado não registra nada e formato desconhecido é recusado", () => {
+        assert.deepEqual(registrar("desligado", criarRequisicao(), criarResposta()), []);
+        assert.throws(() => new AccessLogMiddleware({ formatoAcesso: "apache" }), /Formato do log de acesso inválido/);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { criarDAOsEmMemoria } = require("./ambiente");
+const CargoService = require("../api/services/CargoService");
+const ErrorResponse = require("../api/utils/ErrorResponse");
+
+describe("CargoService (DAOs em memória)", () => {
+    let daos;
+    let cargoService;
+
+    beforeEach(() => {
+        daos = criarDAOsEmMemoria();
+        cargoService = new CargoService(daos.cargoDAO, null, daos.database);
+    });
+
+    test("createCargo grava o cargo e recusa nome repetido com 409", async () => {
+        const idCargo = await cargoService.createCargo({ nomeCargo: "Designer" }, 1);
+
+        assert.equal((await cargoService.findById(idCargo)).nomeCargo, "Designer");
+        await assert.rejects(cargoService.createCargo({ nomeCargo: "DESIGNER" }, 1), { httpCode: 409, message: "Cargo já existe" });
+    });
+
+    test("findAll devolve a página e os metadados", async () => {
+        const { cargos, paginacao } = await cargoService.findAll({ nome: "jr", sort: "nomeCargo" });
+
+        assert.deepEqual(cargos.map(cargo => cargo.nomeCargo), ["Analista de Sistemas Jr", "Técnico em Informática Jr"]);
+        assert.equal(paginacao.total, 2);
+    });
+
+    test("findById de cargo inexistente responde 404", async () => {
+        await assert.rejects(cargoService.findById(99), (error) => error instanceof ErrorResponse && error.httpCode === 404);
+    });
+
+    test("patchCargo recusa o nome de outro cargo e aceita o próprio", async () => {
+        await assert.rejects(cargoService.patchCargo(2, { nomeCargo: "Administrador" }, 1), { httpCode: 409 });
+
+        const cargo = await cargoService.patchCargo(2, { nomeCargo: "Técnico Jr" }, 1);
+        assert.equal(cargo.nomeCargo, "Técnico Jr");
+    });
+
+    test("renomear por PUT ou PATCH recusa nome semelhante ao de outro cargo com 409", async () => {
+        await assert.rejects(cargoService.updateCargo(3, "tecnico em informatica jr", 1), { httpCode: 409 });
+        await assert.rejects(cargoService.patchCargo(3, { nomeCargo: "TÉCNICO  em Informática Jr" }, 1), {
+            httpCode: 409, message: "Cargo semelhante já existe"
+        });
+        assert.equal((await cargoService.findById(3)).nomeCargo, "Técnico em Informática Pleno");
+
+        // O próprio cargo não conta: corrigir acentos e maiúsculas do nome é permitido
+        assert.equal(await cargoService.updateCargo(2, "TÉCNICO EM INFORMÁTICA JR", 1), true);
+        assert.equal((await cargoService.patchCargo(2, { nomeCargo: "Técnico em Informática Jr" }, 1)).nomeCargo, "Técnico em Informática Jr");
+    });
+
+    test("deleteCargo com funcionários responde 409 e lista quem está no cargo", async () => {
+        await assert.rejects(cargoService.deleteCargo(1, 1), (error) => {
+            assert.equal(error.httpCode, 409);
+            assert.deepEqual(error.error.funcionarios.map(funcionario => funcionario.idFuncionario), [1]);
+            return true;
+        });
+
+        assert.equal(await cargoService.deleteCargo(4, 1), true);
+    });
+
+    test("reatribuirCargo move os funcionários e permite excluir o cargo de origem", async () => {
+        const resultado = await cargoService.reatribuirCargo(1, { idCargoDestino: 3, excluirCargo: true }, 1);
+
+        assert.deepEqual(resultado.idsFuncionarios, [1]);
+        assert.equal(resultado.cargoExcluido, true);
+        await assert.rejects(cargoService.findById(1), { httpCode: 404 });
+    });
+
+    test("fundirCargos com dryRun não altera nada", async () => {
+        const simulacao = await cargoService.fundirCargos(2, { idsCargosOrigem: [1, 3], dryRun: true }, 1);
+
+        assert.equal(simulacao.totalFuncionarios, 1);
+        assert.equal(simulacao.idFusaoCargo, null);
+        assert.ok(await daos.cargoDAO.findById(1));
+
+        const fusao = await cargoService.fundirCargos(2, { idsCargosOrigem: [1, 3] }, 1);
+        assert.equal(fusao.idFusaoCargo, 1);
+        await assert.rejects(cargoService.findById(3), { httpCode: 404 });
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("./ambiente");
+const Configuracao = require("../api/config/Configuracao");
+
+const PROD = [
+    "APP_ENV=prod",
+    "DB_HOST=db", "DB_USER=rh", "DB_PASSWORD=segredo", "DB_NAME=gestao_rh",
+    `JWT_SECRET=${"x".repeat(48)}`, "JWT_ISSUER=https://rh.empresa.com", "JWT_AUDIENCE=https://rh.empresa.com",
+    "APP_URL=https://rh.empresa.com"
+].join("\n");
+
+describe("Configuracao: perfil", () => {
+    let raiz;
+
+    // Cada teste usa a própria pasta, com o seu .env
+    const pasta = (nome, arquivos) => {
+        const destino = path.join(raiz, nome);
+        fs.mkdirSync(destino);
+        for (const [arquivo, conteudo] of Object.entries(arquivos)) {
+            fs.writeFileSync(path.join(destino, arquivo), conteudo);
+        }
+        return destino;
+    };
+
+    before(() => {
+        raiz = fs.mkdtempSync(path.join(os.tmpdir(), "configuracao-"));
+    });
+
+    after(() => {
+        fs.rmSync(raiz, { recursive: true, force: true });
+    });
+
+    test("APP_ENV do arquivo .env escolhe o perfil, com as validações de prod", () => {
+        const configuracao = Configuracao.carregar({ env: {}, raiz: pasta("prod", { ".env": PROD }) });
+        assert.equal(configuracao.ambiente, "prod");
+        assert.equal(configuracao.log.formato, "json");
+
+        assert.throws(() => Configuracao.carregar({ env: {}, raiz: pasta("prod-incompleto", { ".env": "APP_ENV=prod\n" }) }), (error) => {
+            assert.match(error.message, /perfil prod/);
+            assert.match(error.message, /JWT_SECRET é obrigatória no perfil prod/);
+            return true;
+        });
+    });
+
+    test("APP_ENV do ambiente tem prioridade sobre o do arquivo; NODE_ENV só vale sem APP_ENV", () => {
+        const raizProd = pasta("prioridade", { ".env": PROD });
+
+        assert.equal(Configuracao.carregar({ env: { APP_ENV: "test" }, raiz: raizProd }).ambiente, "test");
+        assert.equal(Configuracao.carregar({ env: { NODE_ENV: "test" }, raiz: raizProd }).ambiente, "prod");
+        assert.equal(Configuracao.carregar({ env: { NODE_ENV: "test" }, raiz: pasta("sem-arquivo", {}) }).ambiente, "test");
+    });
+
+    test("\"ambiente\" do arquivo .json escolhe o perfil", () => {
+        const raizJson = pasta("json", { "config.json": JSON.stringify({ ambiente: "test", servidor: { porta: 9090 } }) });
+        const configuracao = Configuracao.carregar({ env: { CONFIG_FILE: "config.json" }, raiz: raizJson });
+
+        assert.equal(configuracao.ambiente, "test");
+        assert.equal(configuracao.banco.database, "gestao_rh_test");
+        assert.equal(configuracao.servidor.porta, 9090);
+    });
+});
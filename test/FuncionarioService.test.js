@@ -0,0 +1,115 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, criarDAOsEmMemoria } = require("./ambiente");
+const FuncionarioService = require("../api/services/FuncionarioService");
+const Metricas = require("../api/utils/Metricas");
+
+const novoFuncionarioJson = (campos = {}) => ({
+    nomeFuncionario: "Maria",
+    email: "maria@empresa.com",
+    senha: "Senha@123",
+    recebeValeTransporte: 1,
+    cargo: { idCargo: 2 },
+    ...campos
+});
+
+describe("FuncionarioService (DAOs em memória)", () => {
+    let daos;
+    let funcionarioService;
+    let revogados; // idFuncionario passados a tokenService.revogarTodos
+    let falhas;    // emails passados a loginProtecaoService.registrarFalha
+    let metricas;
+
+    beforeEach(() => {
+        daos = criarDAOsEmMemoria();
+        revogados = [];
+        falhas = [];
+        metricas = new Metricas();
+
+        // Perfis, tokens e proteção de login não fazem parte destes testes: versões mínimas com a mesma interface
+        const perfilDAO = { findByFuncionario: async () => [{ idPerfil: 1, nomePerfil: "Administrador" }] };
+        const permissaoDAO = { findCodigosByFuncionario: async () => ["cargo:write"] };
+        const tokenService = {
+            emitirTokens: async (claims) => ({ token: `token-${claims.idFuncionario}`, refreshToken: "refresh", expiresIn: 900 }),
+            revogarTodos: async (idFuncionario) => { revogados.push(idFuncionario); }
+        };
+        const loginProtecaoService = {
+            verificarBloqueio: async () => {},
+            registrarFalha: async (email) => { falhas.push(email); },
+            registrarSucesso: async () => {}
+        };
+
+        funcionarioService = new FuncionarioService(
+            daos.funcionarioDAO, daos.cargoDAO, perfilDAO, permissaoDAO, tokenService, loginProtecaoService, daos.database, metricas
+        );
+    });
+
+    test("createFuncionario recusa cargo inexistente e email repetido com 400", async () => {
+        const funcionario = await funcionarioService.createFuncionario(novoFuncionarioJson(), 1);
+        assert.equal(funcionario.idFuncionario, 2);
+
+        await assert.rejects(funcionarioService.createFuncionario(novoFuncionarioJson({ email: "outra@empresa.com", cargo: { idCargo: 99 } }), 1), {
+            httpCode: 400, message: "O cargo informado não existe"
+        });
+        await assert.rejects(funcionarioService.createFuncionario(novoFuncionarioJson({ email: "MARIA@empresa.com" }), 1), { httpCode: 400 });
+    });
+
+    test("loginFuncionario emite os tokens ou registra a falha", async () => {
+        const sessao = await funcionarioService.loginFuncionario({ email: ADMIN.email, senha: ADMIN.senha }, "127.0.0.1");
+
+        assert.equal(sessao.token, "token-1");
+        assert.deepEqual(sessao.user.funcionario.perfis, ["Administrador"]);
+
+        await assert.rejects(funcionarioService.loginFuncionario({ email: ADMIN.email, senha: "Errada@12345" }, "127.0.0.1"), { httpCode: 401 });
+        assert.deepEqual(falhas, [ADMIN.email]);
+
+        const exportado = metricas.exportar();
+        assert.match(exportado, /^auth_login_attempts_total\{result="success"\} 1$/m);
+        assert.match(exportado, /^auth_login_attempts_total\{result="failure"\} 1$/m);
+    });
+
+    test("patchFuncionario altera só os campos enviados e valida o cargo", async () => {
+        const funcionario = await funcionarioService.patchFuncionario(1, { nomeFuncionario: "Administrador Geral" }, 1);
+
+        assert.equal(funcionario.nomeFuncionario, "Administrador Geral");
+        assert.equal(funcionario.email, ADMIN.email);
+        await assert.rejects(funcionarioService.patchFuncionario(1, { cargo: { idCargo: 99 } }, 1), { httpCode: 400 });
+    });
+
+    test("patchFuncionario e updateMe respondem 400 se o email for gravado por outro entre a verificação e o UPDATE", async () => {
+        const maria = await funcionarioService.createFuncionario(novoFuncionarioJson(), 1);
+
+        // Simula a corrida: a verificação não enxerga o email que outra requisição acabou de gravar
+        daos.funcionarioDAO.findByField = async () => [];
+
+        await assert.rejects(funcionarioService.patchFuncionario(maria.idFuncionario, { email: ADMIN.email }, 1), {
+            httpCode: 400, message: "´Já existe um Funcionário com o email fornecido"
+        });
+        await assert.rejects(funcionarioService.updateMe({ idFuncionario: maria.idFuncionario }, { email: ADMIN.email }), { httpCode: 400 });
+        assert.equal((await funcionarioService.findById(maria.idFuncionario)).email, "maria@empresa.com");
+    });
+
+    test("deleteFuncionario desativa e revoga os tokens; purge só depois da desativação", async () => {
+        await assert.rejects(funcionarioService.purgeFuncionario(1, 1), { httpCode: 409 });
+
+        assert.equal(await funcionarioService.deleteFuncionario(1, 1), true);
+        assert.deepEqual(revogados, [1]);
+        await assert.rejects(funcionarioService.deleteFuncionario(1, 1), { httpCode: 409 });
+
+        const { funcionarios } = await funcionarioService.findAll({});
+        assert.equal(funcionarios.length, 0);
+
+        assert.equal(await funcionarioService.purgeFuncionario(1, 1), true);
+        await assert.rejects(funcionarioService.findById(1), { httpCode: 404 });
+    });
+
+    test("findAll aplica os filtros da query", async () => {
+        await funcionarioService.createFuncionario(novoFuncionarioJson({ recebeValeTransporte: 0 }), 1);
+
+        const { funcionarios, paginacao } = await funcionarioService.findAll({ recebeValeTransporte: "0", idCargo: "2" });
+        assert.deepEqual(funcionarios.map(funcionario => funcionario.email), ["maria@empresa.com"]);
+        assert.equal(paginacao.total, 1);
+
+        await assert.rejects(funcionarioService.findAll({ status: "demitido" }), { httpCode: 400 });
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("./ambiente");
+const Logger = require("../api/utils/Logger");
+const ErrorResponse = require("../api/utils/ErrorResponse");
+
+/**
+ * Executa o callback capturando o que o Logger escreve no console.
+ * @returns {{stdout: string[], stderr: string[]}}
+ */
+const capturar = (callback) => {
+    const saidas = { stdout: [], stderr: [] };
+    const originais = { stdout: process.stdout.write, stderr: process.stderr.write };
+
+    process.stdout.write = (texto) => saidas.stdout.push(texto);
+    process.stderr.write = (texto) => saidas.stderr.push(texto);
+    try {
+        callback();
+    } finally {
+        process.stdout.write = originais.stdout;
+        process.stderr.write = originais.stderr;
+    }
+    return saidas;
+};
+
+describe("Logger", () => {
+    beforeEach(() => {
+        Logger.configurar({ nivel: "debug", formato: "json", arquivo: null });
+    });
+
+    after(() => {
+        Logger.configurar({ nivel: "error", formato: "texto", arquivo: null });
+    });
+
+    test("descarta registros abaixo do nível e manda warn/error para o stderr", () => {
+        Logger.configurar({ nivel: "info" });
+
+        const { stdout, stderr } = capturar(() => {
+            Logger.debug("🟢 traço");
+            Logger.info("subiu");
+            Logger.warn("atenção");
+        });
+
+        assert.deepEqual(stdout.map(linha => JSON.parse(linha).message), ["subiu"]);
+        assert.deepEqual(stderr.map(linha => JSON.parse(linha).level), ["warn"]);
+    });
+
+    test("recusa nível e formato desconhecidos", () => {
+        assert.throws(() => Logger.configurar({ nivel: "trace" }), /Nível de log inválido/);
+        assert.throws(() => Logger.configurar({ formato: "xml" }), /Formato de log inválido/);
+    });
+
+    test("mantém o contexto (requestId) depois de um await e o inclui nos registros", async () => {
+        const contextos = await Logger.executarComContexto({ requestId: "abc-123" }, async () => {
+            const antes = Logger.contexto();
+            await new Promise(resolve => setImmediate(resolve));
+            return [antes, Logger.contexto()];
+        });
+        assert.deepEqual(contextos, [{ requestId: "abc-123" }, { requestId: "abc-123" }]);
+        assert.deepEqual(Logger.contexto(), {});
+
+        // Capturado dentro do contexto: o console é trocado apenas durante a chamada síncrona
+        const { stdout } = capturar(() => {
+            Logger.executarComContexto({ requestId: "abc-123" }, () => Logger.info("dentro", { idCargo: 4 }));
+        });
+        const { message, requestId, idCargo } = JSON.parse(stdout[0]);
+        assert.deepEqual({ message, requestId, idCargo }, { message: "dentro", requestId: "abc-123", idCargo: 4 });
+    });
+
+    test("serializa o erro com stack, código e os detalhes do ErrorResponse", () => {
+        const { stderr } = capturar(() => {
+            Logger.error("falhou", new ErrorResponse(409, "Cargo em uso", { funcionarios: [1] }));
+        });
+
+        const { error } = JSON.parse(stderr[0]);
+        assert.equal(error.message, "Cargo em uso");
+        assert.equal(error.httpCode, 409);
+        assert.deepEqual(error.error, { funcionarios: [1] });
+        assert.match(error.stack, /Cargo em uso/);
+    });
+
+    test("formato texto mostra hora, nível, requestId e a stack do erro", () => {
+        Logger.configurar({ formato: "texto" });
+
+        const { stderr } = capturar(() => {
+            Logger.executarComContexto({ requestId: "r1" }, () => Logger.error("❌ Erro capturado", new Error("boom")));
+        });
+
+        assert.match(stderr[0], /^\d{2}:\d{2}:\d{2}\.\d{3} ERROR \[r1\] ❌ Erro capturado\nError: boom\n {4}at /);
+    });
+
+    test("rotaciona o arquivo pelo tamanho e guarda só os mais recentes", () => {
+        const pasta = fs.mkdtempSync(path.join(os.tmpdir(), "logger-"));
+        const arquivo = path.join(pasta, "app.log");
+
+        try {
+            Logger.configurar({ nivel: "silent", arquivo, nivelArquivo: "info", tamanhoMaximo: 200, arquivosMantidos: 2 });
+            for (let i = 0; i < 20; i++) {
+                Logger.info(`registro ${i}`);
+            }
+            Logger.configurar({ arquivo: null });
+
+            const rotacionados = fs.readdirSync(pasta).filter(nome => nome !== "app.log");
+            assert.equal(rotacionados.length, 2);
+            for (const nome of rotacionados) {
+                assert.match(nome, /^app\.\d{4}-\d{2}-\d{2}\.\d+\.log$/);
+            }
+            assert.ok(fs.existsSync(arquivo));
+        } finally {
+            fs.rmSync(pasta, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./ambiente");
+const Database = require("../api/database/Database");
+const Migrador = require("../api/database/Migrador");
+const TentativaLoginDAO = require("../api/dao/TentativaLoginDAO");
+const BloqueioLoginDAO = require("../api/dao/BloqueioLoginDAO");
+const LoginProtecaoService = require("../api/services/LoginProtecaoService");
+
+describe("LoginProtecaoService (SQLite em memória)", () => {
+    let database;
+    let tentativaLoginDAO;
+    let loginProtecaoService;
+
+    beforeEach(async () => {
+        database = Database.criar({ cliente: "sqlite", arquivo: ":memory:" });
+        await database.connect();
+        await new Migrador(database).migrar();
+
+        tentativaLoginDAO = new TentativaLoginDAO(database);
+        loginProtecaoService = new LoginProtecaoService(tentativaLoginDAO, new BloqueioLoginDAO(database), database, { maxFalhasPorEmail: 5 });
+    });
+
+    afterEach(async () => {
+        await database.encerrar();
+    });
+
+    test("falhas simultâneas são todas contadas", async () => {
+        await Promise.all(Array.from({ length: 4 }, () => loginProtecaoService.registrarFalha("Paralelo@Empresa.com", "10.0.0.1")));
+
+        assert.equal((await tentativaLoginDAO.findByChave("email", "paralelo@empresa.com")).falhas, 4);
+        assert.equal((await tentativaLoginDAO.findByChave("ip", "10.0.0.1")).falhas, 4);
+    });
+
+    test("a falha que atinge o limite bloqueia a chave uma única vez, com backoff", async () => {
+        await Promise.all(Array.from({ length: 5 }, () => loginProtecaoService.registrarFalha("paralelo@empresa.com", "10.0.0.1")));
+
+        const tentativa = await tentativaLoginDAO.findByChave("email", "paralelo@empresa.com");
+        assert.deepEqual({ falhas: tentativa.falhas, bloqueios: tentativa.bloqueios }, { falhas: 0, bloqueios: 1 });
+        await assert.rejects(loginProtecaoService.verificarBloqueio("paralelo@empresa.com", "10.0.0.2"), { httpCode: 429 });
+
+        const { bloqueios } = await loginProtecaoService.findHistorico({ tipo: "email" });
+        assert.deepEqual(bloqueios.map(bloqueio => bloqueio.duracaoSegundos), [60]);
+    });
+});
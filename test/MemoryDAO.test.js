@@ -0,0 +1,168 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { criarDAOsEmMemoria } = require("./ambiente");
+const Cargo = require("../api/models/Cargo");
+const Funcionario = require("../api/models/Funcionario");
+const Paginacao = require("../api/utils/Paginacao");
+
+const novoCargo = (nomeCargo, idCargo) => {
+    const cargo = new Cargo();
+    if (idCargo !== undefined) cargo.idCargo = idCargo;
+    if (nomeCargo !== undefined) cargo.nomeCargo = nomeCargo;
+    return cargo;
+};
+
+const novoFuncionario = ({ idFuncionario, nomeFuncionario = "Maria", email, senha = "Senha@123", idCargo = 2 }) => {
+    const funcionario = new Funcionario();
+    if (idFuncionario !== undefined) funcionario.idFuncionario = idFuncionario;
+    funcionario.nomeFuncionario = nomeFuncionario;
+    funcionario.email = email;
+    funcionario.senha = senha;
+    funcionario.recebeValeTransporte = 1;
+    funcionario.cargo = novoCargo(undefined, idCargo);
+    return funcionario;
+};
+
+describe("MemoryCargoDAO", () => {
+    let daos;
+    beforeEach(() => {
+        daos = criarDAOsEmMemoria();
+    });
+
+    test("create devolve IDs sequenciais e findById monta o Cargo", async () => {
+        const idCargo = await daos.cargoDAO.create(novoCargo("Designer"), 1);
+
+        assert.equal(idCargo, 5);
+        const cargo = await daos.cargoDAO.findById(idCargo);
+        assert.ok(cargo instanceof Cargo);
+        assert.equal(cargo.nomeCargo, "Designer");
+        assert.equal(await daos.cargoDAO.findById(99), null);
+    });
+
+    test("nomeCargo é único sem diferenciar maiúsculas e acentos (ER_DUP_ENTRY)", async () => {
+        await assert.rejects(daos.cargoDAO.create(novoCargo("tecnico em informatica jr"), 1), { code: "ER_DUP_ENTRY", errno: 1062 });
+        await assert.rejects(daos.cargoDAO.updateParcial(novoCargo("ADMINISTRADOR", 2), ["nomeCargo"], 1), { code: "ER_DUP_ENTRY" });
+
+        // O próprio cargo pode manter o nome
+        assert.equal(await daos.cargoDAO.updateParcial(novoCargo("administrador", 1), ["nomeCargo"], 1), true);
+    });
+
+    test("findByField compara como a collation do MySQL e recusa campos desconhecidos", async () => {
+        const linhas = await daos.cargoDAO.findByField("nomeCargo", "técnico em informática JR");
+
+        assert.deepEqual(linhas, [{ idCargo: 2, nomeCargo: "Técnico em Informática Jr" }]);
+        await assert.rejects(daos.cargoDAO.findByField("senha", "x"), /Campo inválido/);
+    });
+
+    test("findAll filtra, ordena e pagina como o SQL", async () => {
+        const paginacao = new Paginacao({ sort: "-nomeCargo", pageSize: "2" }, ["idCargo", "nomeCargo"], "idCargo");
+        const { itens, total } = await daos.cargoDAO.findAll({ nome: "tecnico" }, paginacao);
+
+        assert.equal(total, 2);
+        assert.deepEqual(itens.map(cargo => cargo.idCargo), [3, 2]);
+    });
+
+    test("delete de cargo com funcionários lança ER_ROW_IS_REFERENCED_2", async () => {
+        await assert.rejects(daos.cargoDAO.delete(novoCargo(undefined, 1), 1), { code: "ER_ROW_IS_REFERENCED_2" });
+
+        assert.equal(await daos.cargoDAO.delete(novoCargo(undefined, 4), 1), true);
+        assert.equal(await daos.cargoDAO.delete(novoCargo(undefined, 4), 1), false);
+    });
+
+    test("reatribuirFuncionarios move os funcionários e exclui a origem", async () => {
+        const resultado = await daos.cargoDAO.reatribuirFuncionarios(novoCargo(undefined, 1), novoCargo(undefined, 2), true, 1);
+
+        assert.deepEqual(resultado, { idsFuncionarios: [1], cargoExcluido: true });
+        assert.equal((await daos.funcionarioDAO.findById(1)).cargo.idCargo, 2);
+        assert.equal(await daos.cargoDAO.findById(1), null);
+    });
+
+    test("fundir registra a fusão e desfaz tudo se um cargo de origem não existir", async () => {
+        const { idFusaoCargo, cargosOrigem } = await daos.cargoDAO.fundir(novoCargo(undefined, 2), [novoCargo(undefined, 1), novoCargo(undefined, 3)], 1);
+
+        assert.equal(idFusaoCargo, 1);
+        assert.deepEqual(cargosOrigem.map(cargo => [cargo.idCargo, cargo.funcionarios.length]), [[1, 1], [3, 0]]);
+        assert.equal(daos.database.tabela("fusao_cargo").size, 1);
+
+        await assert.rejects(daos.cargoDAO.fundir(novoCargo(undefined, 2), [novoCargo(undefined, 4), novoCargo(undefined, 99)], 1), /não existe mais/);
+        assert.ok(await daos.cargoDAO.findById(4), "o cargo 4 volta com o rollback");
+    });
+});
+
+describe("MemoryFuncionarioDAO", () => {
+    let daos;
+    beforeEach(() => {
+        daos = criarDAOsEmMemoria();
+    });
+
+    test("create guarda a senha com bcrypt e login confere email e senha", async () => {
+        const idFuncionario = await daos.funcionarioDAO.create(novoFuncionario({ email: "maria@empresa.com" }), 1);
+
+        const [linha] = await daos.funcionarioDAO.findByField("idFuncionario", String(idFuncionario));
+        assert.match(linha.senha, /^\$2b\$12\$/);
+        assert.equal(linha.recebeValeTransporte, 1);
+
+        const autenticado = await daos.funcionarioDAO.login({ email: "MARIA@empresa.com", senha: "Senha@123" });
+        assert.equal(autenticado.idFuncionario, idFuncionario);
+        assert.equal(autenticado.cargo.nomeCargo, "Técnico em Informática Jr");
+        assert.equal(autenticado.senha, undefined);
+        assert.equal(await daos.funcionarioDAO.login({ email: "maria@empresa.com", senha: "Errada@123" }), null);
+    });
+
+    test("email é único (ER_DUP_ENTRY) e o cargo precisa existir (ER_NO_REFERENCED_ROW_2)", async () => {
+        await assert.rejects(daos.funcionarioDAO.create(novoFuncionario({ email: "ADM@adm.com" }), 1), { code: "ER_DUP_ENTRY" });
+        await assert.rejects(daos.funcionarioDAO.create(novoFuncionario({ email: "novo@empresa.com", idCargo: 99 }), 1), { code: "ER_NO_REFERENCED_ROW_2" });
+
+        const funcionario = await daos.funcionarioDAO.findById(1);
+        funcionario.cargo = novoCargo(undefined, 99);
+        await assert.rejects(daos.funcionarioDAO.updateParcial(funcionario, ["cargo"], 1), { code: "ER_NO_REFERENCED_ROW_2" });
+    });
+
+    test("desativar e restaurar só mudam o status uma vez; inativos não fazem login", async () => {
+        const adm = novoFuncionario({ idFuncionario: 1, email: "adm@adm.com" });
+
+        assert.equal(await daos.funcionarioDAO.desativar(adm, 1), true);
+        assert.equal(await daos.funcionarioDAO.desativar(adm, 1), false);
+
+        const desativado = await daos.funcionarioDAO.findById(1);
+        assert.equal(desativado.status, "inativo");
+        assert.ok(desativado.dataDesativacao instanceof Date);
+        assert.equal(await daos.funcionarioDAO.login({ email: "adm@adm.com", senha: "@Helio123456" }), null);
+
+        assert.equal(await daos.funcionarioDAO.restaurar(adm, 1), true);
+        assert.equal((await daos.funcionarioDAO.findById(1)).dataDesativacao, null);
+    });
+
+    test("findAll lista apenas ativos por padrão e ordena por colunas do cargo", async () => {
+        await daos.funcionarioDAO.create(novoFuncionario({ nomeFuncionario: "Bruno", email: "bruno@empresa.com", idCargo: 4 }), 1);
+        await daos.funcionarioDAO.desativar(novoFuncionario({ idFuncionario: 1, email: "adm@adm.com" }), 1);
+
+        const colunas = ["idFuncionario", "nomeFuncionario", "nomeCargo"];
+        const ativos = await daos.funcionarioDAO.findAll({}, new Paginacao({}, colunas, "idFuncionario"));
+        assert.deepEqual(ativos.itens.map(funcionario => funcionario.nomeFuncionario), ["Bruno"]);
+
+        const todos = await daos.funcionarioDAO.findAll({ status: "todos" }, new Paginacao({ sort: "nomeCargo" }, colunas, "idFuncionario"));
+        assert.equal(todos.total, 2);
+        assert.deepEqual(todos.itens.map(funcionario => funcionario.cargo.nomeCargo), ["Administrador", "Analista de Sistemas Jr"]);
+    });
+});
+
+describe("MemoryDatabase.transaction", () => {
+    test("rollback desfaz as alterações de todos os DAOs; transações aninhadas participam da externa", async () => {
+        const daos = criarDAOsEmMemoria();
+
+        await assert.rejects(daos.database.transaction(async () => {
+            await daos.cargoDAO.create(novoCargo("Temporário"), 1);
+            await daos.database.transaction(async () => {
+                await daos.cargoDAO.reatribuirFuncionarios(novoCargo(undefined, 1), novoCargo(undefined, 3), false, 1);
+            });
+            throw new Error("falha depois das alterações");
+        }), /falha depois/);
+
+        assert.deepEqual(await daos.cargoDAO.findByField("nomeCargo", "Temporário"), []);
+        assert.equal((await daos.funcionarioDAO.findById(1)).cargo.idCargo, 1);
+
+        // Como no AUTO_INCREMENT, o ID usado na transação desfeita não é reaproveitado
+        assert.equal(await daos.cargoDAO.create(novoCargo("Definitivo"), 1), 6);
+    });
+});
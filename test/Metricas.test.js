@@ -0,0 +1,103 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, iniciarServidor } = require("./ambiente");
+const Metricas = require("../api/utils/Metricas");
+
+describe("Metricas", () => {
+    test("contador soma por combinação de rótulos e escapa os valores", () => {
+        const metricas = new Metricas();
+        const requisicoes = metricas.contador("http_requests_total", "Requisições", ["method", "route"]);
+
+        requisicoes.inc({ method: "GET", route: "/a" });
+        requisicoes.inc({ method: "GET", route: "/a" });
+        requisicoes.inc({ method: "POST", route: "/\"b\"" }, 3);
+
+        assert.equal(metricas.exportar(), [
+            "# HELP http_requests_total Requisições",
+            "# TYPE http_requests_total counter",
+            "http_requests_total{method=\"GET\",route=\"/a\"} 2",
+            "http_requests_total{method=\"POST\",route=\"/\\\"b\\\"\"} 3",
+            ""
+        ].join("\n"));
+    });
+
+    test("histograma acumula as faixas, a soma e o total", () => {
+        const metricas = new Metricas();
+        const duracao = metricas.histograma("duracao_seconds", "Duração", [], [0.1, 1]);
+
+        duracao.observar({}, 0.05);
+        duracao.observar({}, 0.5);
+        duracao.observar({}, 2);
+
+        const exportado = metricas.exportar();
+        assert.match(exportado, /^duracao_seconds_bucket\{le="0\.1"\} 1$/m);
+        assert.match(exportado, /^duracao_seconds_bucket\{le="1"\} 2$/m);
+        assert.match(exportado, /^duracao_seconds_bucket\{le="\+Inf"\} 3$/m);
+        assert.match(exportado, /^duracao_seconds_sum 2\.55$/m);
+        assert.match(exportado, /^duracao_seconds_count 3$/m);
+    });
+
+    test("medidor é lido na exportação e omitido sem valor", () => {
+        const metricas = new Metricas();
+        let ativas = null;
+        metricas.medidor("db_pool_active_connections", "Conexões em uso", () => ativas);
+
+        assert.equal(metricas.exportar(), "\n");
+        ativas = 4;
+        assert.match(metricas.exportar(), /^db_pool_active_connections 4$/m);
+    });
+
+    test("registrar de novo devolve a mesma métrica e recusa outro tipo ou rótulos", () => {
+        const metricas = new Metricas();
+        metricas.contador("logins_total", "Logins", ["result"]).inc({ result: "success" });
+        metricas.contador("logins_total", "Logins", ["result"]).inc({ result: "success" });
+
+        assert.match(metricas.exportar(), /^logins_total\{result="success"\} 2$/m);
+        assert.throws(() => metricas.histograma("logins_total", "Logins", ["result"]), /já registrada/);
+        assert.throws(() => metricas.contador("logins_total", "Logins", ["outro"]), /já registrada/);
+        assert.throws(() => metricas.contador("nome-invalido", "x"), /Nome inválido/);
+    });
+});
+
+describe("GET /metrics (Server com DAOs em memória)", () => {
+    const METRICS_TOKEN = "token-das-metricas";
+    let servidor;
+
+    const coletar = async (token = METRICS_TOKEN) => {
+        const resposta = await fetch(`${servidor.raiz}/metrics`, { headers: { Authorization: `Bearer ${token}` } });
+        return { status: resposta.status, tipo: resposta.headers.get("content-type"), texto: await resposta.text() };
+    };
+
+    before(async () => {
+        servidor = await iniciarServidor({ env: { METRICS_TOKEN } });
+    });
+
+    after(async () => {
+        await servidor.encerrar();
+    });
+
+    test("exige o METRICS_TOKEN configurado", async () => {
+        const { status } = await coletar("outro-token");
+        assert.equal(status, 401);
+    });
+
+    test("conta requisições por rota declarada, erros por httpCode e logins por resultado", async () => {
+        const token = await servidor.login();
+        await servidor.requisitar("GET", "/cargos/2", { token });
+        await servidor.requisitar("GET", "/cargos/999", { token });
+        await servidor.requisitar("POST", "/funcionarios/login", { body: { funcionario: { email: ADMIN.email, senha: "Errada@12345" } } });
+
+        const { status, tipo, texto } = await coletar();
+
+        assert.equal(status, 200);
+        assert.match(tipo, /^text\/plain;.*version=0\.0\.4/);
+        assert.match(texto, /^http_requests_total\{method="GET",route="\/api\/v1\/cargos\/:idCargo",status="200"\} 1$/m);
+        assert.match(texto, /^http_requests_total\{method="GET",route="\/api\/v1\/cargos\/:idCargo",status="404"\} 1$/m);
+        assert.match(texto, /^http_request_duration_seconds_count\{method="POST",route="\/api\/v1\/funcionarios\/login",status="200"\} 1$/m);
+        assert.match(texto, /^http_errors_total\{http_code="404"\} 1$/m);
+        assert.match(texto, /^auth_login_attempts_total\{result="success"\} 1$/m);
+        assert.match(texto, /^auth_login_attempts_total\{result="failure"\} 1$/m);
+        // SQLite não tem pool: os medidores do pool ficam de fora
+        assert.doesNotMatch(texto, /db_pool_/);
+    });
+});
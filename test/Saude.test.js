@@ -0,0 +1,75 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./ambiente");
+const SaudeService = require("../api/services/SaudeService");
+const ErrorResponse = require("../api/utils/ErrorResponse");
+
+describe("SaudeService", () => {
+    test("readiness responde ok quando o banco responde ao ping", async () => {
+        const saudeService = new SaudeService({ ping: async () => {} });
+        const { status, verificacoes } = await saudeService.verificarReadiness();
+
+        assert.equal(status, "ok");
+        assert.equal(verificacoes.banco.status, "ok");
+    });
+
+    test("readiness responde 503 se o banco falhar ou demorar mais que timeoutBanco", async () => {
+        const falhando = new SaudeService({ ping: async () => { throw new ErrorResponse(503, "Banco de dados indisponível", { message: "ECONNREFUSED" }); } });
+        await assert.rejects(falhando.verificarReadiness(), (error) => {
+            assert.equal(error.httpCode, 503);
+            assert.deepEqual(error.error.verificacoes.banco.erro, "ECONNREFUSED");
+            return true;
+        });
+
+        const travado = new SaudeService({ ping: () => new Promise(() => {}) }, { timeoutBanco: 20 });
+        await assert.rejects(travado.verificarReadiness(), (error) => error.error.verificacoes.banco.erro === "sem resposta em 20 ms");
+    });
+
+    test("readiness responde 503 durante o encerramento; liveness continua ok", async () => {
+        const saudeService = new SaudeService({ ping: async () => {} });
+        saudeService.iniciarEncerramento();
+
+        await assert.rejects(saudeService.verificarReadiness(), (error) => error.httpCode === 503 && error.error.status === "encerrando");
+        assert.equal(saudeService.verificarLiveness().status, "ok");
+    });
+});
+
+describe("GET /health e encerramento (Server com DAOs em memória)", () => {
+    let servidor;
+
+    before(async () => {
+        servidor = await iniciarServidor();
+    });
+
+    after(async () => {
+        await servidor.encerrar();
+    });
+
+    test("live e ready respondem 200 sem token", async () => {
+        const live = await fetch(`${servidor.raiz}/health/live`);
+        assert.equal(live.status, 200);
+        assert.equal((await live.json()).data.status, "ok");
+
+        const ready = await fetch(`${servidor.raiz}/health/ready`);
+        assert.equal(ready.status, 200);
+        assert.equal((await ready.json()).data.verificacoes.banco.status, "ok");
+    });
+
+    test("encerrar espera a requisição em andamento e deixa de aceitar conexões", async () => {
+        // Requisição em andamento: o login (bcrypt) ainda está sendo processado quando o encerramento começa
+        // (espera a requisição chegar ao servidor: uma conexão ainda sem requisição seria fechada como ociosa)
+        const recebida = new Promise(resolve => servidor.httpServer.once("request", resolve));
+        const emAndamento = servidor.requisitar("POST", "/funcionarios/login", { body: { funcionario: { email: "adm@adm.com", senha: "@Helio123456" } } });
+        await recebida;
+
+        const inicio = Date.now();
+        await servidor.encerrar();
+
+        const { status } = await emAndamento;
+        assert.equal(status, 200);
+        assert.ok(Date.now() - inicio < 1000, "não deveria esperar o tempo máximo de encerramento");
+
+        await assert.rejects(fetch(`${servidor.raiz}/health/live`));
+        assert.equal(servidor.server.encerrar(), servidor.server.encerrar(), "chamadas repetidas recebem a mesma Promise");
+    });
+});
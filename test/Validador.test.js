@@ -0,0 +1,73 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./ambiente");
+const Validador = require("../api/utils/Validador");
+const ErrorResponse = require("../api/utils/ErrorResponse");
+const Funcionario = require("../api/models/Funcionario");
+const Cargo = require("../api/models/Cargo");
+
+const CORPO = Validador.objeto({
+    funcionario: Validador.objeto({
+        nomeFuncionario: Validador.modelo(Funcionario, "nomeFuncionario"),
+        email: Validador.modelo(Funcionario, "email"),
+        cargo: Validador.objeto({ idCargo: Validador.modelo(Cargo, "idCargo") }),
+        ativo: Validador.booleano({ obrigatorio: false })
+    })
+});
+
+describe("Validador", () => {
+    test("junta todos os erros, com o caminho do campo e a mensagem do setter do model", () => {
+        const erros = Validador.validar(CORPO, { funcionario: { nomeFuncionario: "Al", email: "email_invalido", cargo: { idCargo: 0 } } });
+
+        assert.deepEqual(erros, [
+            { campo: "funcionario.nomeFuncionario", message: "nomeFuncionario deve ter pelo menos 3 caracteres." },
+            { campo: "funcionario.email", message: "email em formato inválido." },
+            { campo: "funcionario.cargo.idCargo", message: "idCargo deve ser maior que zero." }
+        ]);
+    });
+
+    test("campos obrigatórios ausentes e tipos errados", () => {
+        assert.deepEqual(Validador.validar(CORPO, {}).map(erro => erro.campo), ["funcionario"]);
+
+        const erros = Validador.validar(CORPO, { funcionario: { nomeFuncionario: "Maria", cargo: [], ativo: "sim" } });
+        assert.deepEqual(erros.map(erro => erro.message), [
+            "O campo 'funcionario.email' é obrigatório!",
+            "O campo 'funcionario.cargo' deve ser um objeto.",
+            "O campo 'funcionario.ativo' deve ser true ou false."
+        ]);
+        assert.deepEqual(Validador.validar(CORPO, { funcionario: { nomeFuncionario: "Maria", email: "maria@empresa.com", cargo: { idCargo: 2 } } }), []);
+    });
+
+    test("objeto parcial (PATCH) recusa null e campos fora do schema e exige o mínimo de campos", () => {
+        const regra = Validador.objeto({
+            nomeCargo: Validador.modelo(Cargo, "nomeCargo"),
+            idCargo: Validador.modelo(Cargo, "idCargo")
+        }, { parcial: true, minimoCampos: 1 });
+
+        assert.deepEqual(Validador.validar(regra, { nomeCargo: null, cor: "azul" }).map(erro => erro.campo), ["cor", "nomeCargo"]);
+        assert.deepEqual(Validador.validar(regra, {}).map(erro => erro.message), ["Informe ao menos um dos campos: nomeCargo, idCargo."]);
+        assert.deepEqual(Validador.validar(regra, { idCargo: 3 }), []);
+    });
+
+    test("listas validam cada item e o tamanho mínimo", () => {
+        const regra = Validador.objeto({ ids: Validador.lista(Validador.inteiroPositivo(), { minimo: 1 }) });
+
+        assert.deepEqual(Validador.validar(regra, { ids: [] }).map(erro => erro.campo), ["ids"]);
+        assert.deepEqual(Validador.validar(regra, { ids: [1, "2", -3] }).map(erro => erro.campo), ["ids[1]", "ids[2]"]);
+    });
+
+    test("corpo responde 422 e parâmetros 400, com todos os campos em error.campos", () => {
+        assert.throws(() => Validador.corpo(CORPO, { funcionario: { nomeFuncionario: "", email: "x" } }), (error) => {
+            assert.ok(error instanceof ErrorResponse);
+            assert.equal(error.httpCode, 422);
+            assert.equal(error.message, Validador.MENSAGEM);
+            assert.equal(error.error.campos.length, 3);
+            assert.match(error.error.message, /nomeFuncionario.*email.*cargo/);
+            return true;
+        });
+
+        const parametros = Validador.objeto({ idFuncionario: Validador.modelo(Funcionario, "idFuncionario") });
+        assert.throws(() => Validador.parametros(parametros, { idFuncionario: "abc" }), { httpCode: 400 });
+        assert.doesNotThrow(() => Validador.parametros(parametros, { idFuncionario: "7" }));
+    });
+});
@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const Configuracao = require("../api/config/Configuracao");
+const MemoryDatabase = require("../api/database/MemoryDatabase");
+const MemoryCargoDAO = require("../api/dao/MemoryCargoDAO");
+const MemoryFuncionarioDAO = require("../api/dao/MemoryFuncionarioDAO");
+const MemoryMailTransport = require("../api/mail/MemoryMailTransport");
+const Logger = require("../api/utils/Logger");
+const Server = require("../Server");
+
+/**
+ * Preparação comum dos testes (node --test).
+ *
+ * - DAOs em memória com os mesmos dados iniciais das migrações (cargos 1 a 4 e o funcionário adm).
+ * - Servidor completo (Server) em uma porta livre, com os DAOs de Cargo e Funcionário em memória.
+ *   Os demais DAOs (tokens, perfis, login) usam SQLite em memória, com as migrações aplicadas na subida.
+ */
+
+// Os traços de cada camada (🟢 🟣 🔵 ⬆️) poluiriam a saída dos testes; só erros aparecem e nada vai para arquivo
+Logger.configurar({ nivel: "error", arquivo: null });
+
+const ADMIN = Object.freeze({ idFuncionario: 1, email: "adm@adm.com", senha: "@Helio123456" });
+
+// Hash de "@Helio123456", o mesmo das migrações (evita o custo do bcrypt a cada teste)
+const HASH_SENHA_ADMIN = "$2b$12$6ixafy0UKZx.A8ujEEDfnO2QH7IonQ/5/5UCqzQ51YvISdSO4VVle";
+
+const CARGOS_INICIAIS = ["Administrador", "Técnico em Informática Jr", "Técnico em Informática Pleno", "Analista de Sistemas Jr"];
+
+/**
+ * Cria um MemoryDatabase com os DAOs em memória e os dados iniciais.
+ * @returns {{database: MemoryDatabase, cargoDAO: MemoryCargoDAO, funcionarioDAO: MemoryFuncionarioDAO}}
+ */
+const criarDAOsEmMemoria = () => {
+    const database = new MemoryDatabase();
+
+    for (const nomeCargo of CARGOS_INICIAIS) {
+        const idCargo = database.proximoId("cargo");
+        database.tabela("cargo").set(idCargo, { idCargo, nomeCargo });
+    }
+
+    const idFuncionario = database.proximoId("funcionario");
+    database.tabela("funcionario").set(idFuncionario, {
+        idFuncionario,
+        nomeFuncionario: "adm",
+        email: ADMIN.email,
+        senha: HASH_SENHA_ADMIN,
+        recebeValeTransporte: 1,
+        status: "ativo",
+        dataDesativacao: null,
+        Cargo_idCargo: 1
+    });
+
+    return { database, cargoDAO: new MemoryCargoDAO(database), funcionarioDAO: new MemoryFuncionarioDAO(database) };
+};
+
+/**
+ * Sobe o Server (perfil test, SQLite em memória, porta livre) com os DAOs em memória.
+ *
+ * @param {Object} [opcoes]
+ * @param {Object} [opcoes.env] - Variáveis de configuração adicionais (ex: { METRICS_TOKEN }).
+ * @returns {Promise<{raiz: string, url: string, server: Server, daos: Object, mailTransport: MemoryMailTransport, requisitar: Function, login: Function, encerrar: Function}>}
+ */
+const iniciarServidor = async ({ env = {} } = {}) => {
+    const configuracao = Configuracao.carregar({
+        env: {
+            NODE_ENV: "test", DB_CLIENT: "sqlite", PORT: "0", JWT_SECRET: crypto.randomBytes(48).toString("base64"),
+            LOG_LEVEL: "error", LOG_FILE: "",
+            ...env
+        },
+        raiz: __dirname
+    });
+
+    const daos = criarDAOsEmMemoria();
+    const mailTransport = new MemoryMailTransport();
+
+    const server = new Server(configuracao, { cargoDAO: daos.cargoDAO, funcionarioDAO: daos.funcionarioDAO, mailTransport });
+    await server.init();
+
+    const httpServer = server.run();
+    await new Promise(resolve => httpServer.listening ? resolve() : httpServer.once("listening", resolve));
+    const raiz = `http://127.0.0.1:${httpServer.address().port}`;
+    const url = `${raiz}/api/v1`;
+
+    /**
+     * @returns {Promise<{status: number, headers: Headers, body: Object|null}>}
+     */
+    const requisitar = async (metodo, caminho, { token, body } = {}) => {
+        const headers = { "Content-Type": "application/json" };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const resposta = await fetch(`${url}${caminho}`, { method: metodo, headers, body: body && JSON.stringify(body) });
+        const texto = await resposta.text();
+
+        return { status: resposta.status, headers: resposta.headers, body: texto ? JSON.parse(texto) : null };
+    };
+
+    /**
+     * @returns {Promise<string>} Access token.
+     */
+    const login = async ({ email, senha } = ADMIN) => {
+        const { status, body } = await requisitar("POST", "/funcionarios/login", { body: { funcionario: { email, senha } } });
+        if (status !== 200) {
+            throw new Error(`Login de ${email} falhou (${status}): ${JSON.stringify(body)}`);
+        }
+        return body.data.token;
+    };
+
+    // Mesmo encerramento do SIGTERM: fecha as conexões e o SQLite em memória
+    const encerrar = () => server.encerrar();
+
+    return { raiz, url, server, httpServer, daos, mailTransport, requisitar, login, encerrar };
+};
+
+module.exports = { ADMIN, CARGOS_INICIAIS, criarDAOsEmMemoria, iniciarServidor };
@@ -0,0 +1,196 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, iniciarServidor } = require("./ambiente");
+
+describe("Rotas de cargos e funcionários (Server com DAOs em memória)", () => {
+    let servidor;
+    let token;
+
+    before(async () => {
+        servidor = await iniciarServidor();
+        token = await servidor.login();
+    });
+
+    after(async () => {
+        await servidor.encerrar();
+    });
+
+    test("rotas protegidas exigem o token", async () => {
+        const { status } = await servidor.requisitar("GET", "/cargos");
+        assert.equal(status, 401);
+    });
+
+    test("login com senha errada responde 401", async () => {
+        const { status } = await servidor.requisitar("POST", "/funcionarios/login", {
+            body: { funcionario: { email: ADMIN.email, senha: "Errada@12345" } }
+        });
+        assert.equal(status, 401);
+    });
+
+    test("POST /cargos cria o cargo nos DAOs em memória e recusa nome repetido", async () => {
+        const criado = await servidor.requisitar("POST", "/cargos", { token, body: { cargo: { nomeCargo: "Designer" } } });
+
+        assert.equal(criado.status, 201);
+        assert.equal(criado.body.data.cargos[0].nomeCargo, "Designer");
+        assert.ok(servidor.daos.database.tabela("cargo").has(criado.body.data.cargos[0].idCargo));
+
+        const repetido = await servidor.requisitar("POST", "/cargos", { token, body: { cargo: { nomeCargo: "designer" } } });
+        assert.equal(repetido.status, 409);
+
+        const renomeado = await servidor.requisitar("PUT", "/cargos/3", { token, body: { cargo: { nomeCargo: "DÉSIGNER" } } });
+        assert.equal(renomeado.status, 409);
+    });
+
+    test("GET /cargos pagina e filtra", async () => {
+        const { status, body } = await servidor.requisitar("GET", "/cargos?nome=informatica&sort=-idCargo&pageSize=1", { token });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.cargos.map(cargo => cargo.idCargo), [3]);
+        assert.equal(body.data.paginacao.total, 2);
+    });
+
+    test("POST /funcionarios valida cargo e email; DELETE do cargo em uso responde 409", async () => {
+        const funcionario = { nomeFuncionario: "Maria", email: "maria@empresa.com", senha: "Senha@123", recebeValeTransporte: 1, cargo: { idCargo: 4 } };
+
+        const semCargo = await servidor.requisitar("POST", "/funcionarios", { token, body: { funcionario: { ...funcionario, cargo: { idCargo: 99 } } } });
+        assert.equal(semCargo.status, 400);
+
+        const criado = await servidor.requisitar("POST", "/funcionarios", { token, body: { funcionario } });
+        assert.equal(criado.status, 200);
+        assert.equal(criado.body.data.funcionario.cargo.idCargo, 4);
+        assert.equal(criado.body.data.funcionario.senha, undefined);
+
+        const repetido = await servidor.requisitar("POST", "/funcionarios", { token, body: { funcionario: { ...funcionario, email: "Maria@Empresa.com" } } });
+        assert.equal(repetido.status, 400);
+
+        const exclusao = await servidor.requisitar("DELETE", "/cargos/4", { token });
+        assert.equal(exclusao.status, 409);
+    });
+
+    test("PATCH, DELETE (desativação) e listagem de funcionários", async () => {
+        const { body: { data: { funcionarios: [maria] } } } = await servidor.requisitar("GET", "/funcionarios?email=maria", { token });
+
+        const alterado = await servidor.requisitar("PATCH", `/funcionarios/${maria.idFuncionario}`, { token, body: { funcionario: { nomeFuncionario: "Maria Souza" } } });
+        assert.equal(alterado.status, 200);
+        assert.equal(alterado.body.data.funcionario.nomeFuncionario, "Maria Souza");
+
+        const desativado = await servidor.requisitar("DELETE", `/funcionarios/${maria.idFuncionario}`, { token });
+        assert.equal(desativado.status, 204);
+
+        const inativos = await servidor.requisitar("GET", "/funcionarios?status=inativo", { token });
+        assert.deepEqual(inativos.body.data.funcionarios.map(funcionario => funcionario.idFuncionario), [maria.idFuncionario]);
+    });
+
+    test("POST /cargos/:id/reassign move os funcionários e exclui o cargo de origem", async () => {
+        const { status, body } = await servidor.requisitar("POST", "/cargos/4/reassign", { token, body: { idCargoDestino: 2, excluirCargo: true } });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.reatribuicao.idsFuncionarios.length, 1);
+        assert.equal(body.data.reatribuicao.cargoExcluido, true);
+
+        const { status: statusBusca } = await servidor.requisitar("GET", "/cargos/4", { token });
+        assert.equal(statusBusca, 404);
+    });
+
+    test("id inválido na rota responde 400 e corpo inválido responde 422 com todos os campos", async () => {
+        const idInvalido = await servidor.requisitar("GET", "/funcionarios/abc", { token });
+        assert.equal(idInvalido.status, 400);
+        assert.deepEqual(idInvalido.body.error.campos.map(erro => erro.campo), ["idFuncionario"]);
+
+        const corpoInvalido = await servidor.requisitar("POST", "/funcionarios", {
+            token,
+            body: { funcionario: { nomeFuncionario: "Al", email: "email_invalido", senha: "fraca", recebeValeTransporte: 2, cargo: { idCargo: "x" } } }
+        });
+        assert.equal(corpoInvalido.status, 422);
+        assert.deepEqual(corpoInvalido.body.error.campos.map(erro => erro.campo), [
+            "funcionario.nomeFuncionario",
+            "funcionario.email",
+            "funcionario.senha",
+            "funcionario.recebeValeTransporte",
+            "funcionario.cargo.idCargo"
+        ]);
+    });
+});
+
+describe("Perfis dos funcionários (Server com DAOs em memória)", () => {
+    let servidor;
+    let tokenAdmin;
+    let idMaria;
+
+    before(async () => {
+        servidor = await iniciarServidor();
+        tokenAdmin = await servidor.login();
+
+        const maria = { nomeFuncionario: "Maria", email: "maria@empresa.com", senha: "Senha@123", recebeValeTransporte: 1, cargo: { idCargo: 2 } };
+        const { body } = await servidor.requisitar("POST", "/funcionarios", { token: tokenAdmin, body: { funcionario: maria } });
+        idMaria = body.data.funcionario.idFuncionario;
+    });
+
+    after(async () => {
+        await servidor.encerrar();
+    });
+
+    test("Gestor de RH não pode atribuir perfis (exige perfil:write)", async () => {
+        const gestor = await servidor.requisitar("PUT", `/funcionarios/${idMaria}/perfis`, { token: tokenAdmin, body: { perfis: [{ idPerfil: 2 }] } });
+        assert.equal(gestor.status, 200);
+
+        const tokenMaria = await servidor.login({ email: "maria@empresa.com", senha: "Senha@123" });
+        const { status, body } = await servidor.requisitar("PUT", `/funcionarios/${idMaria}/perfis`, { token: tokenMaria, body: { perfis: [{ idPerfil: 1 }] } });
+
+        assert.equal(status, 403);
+        assert.deepEqual(body.error.permissoesNecessarias, ["perfil:write"]);
+    });
+
+    test("com perfil:write, só atribui perfis cujas permissões o autor também tem", async () => {
+        const { body: { data: { perfis: [perfil] } } } = await servidor.requisitar("POST", "/perfis", { token: tokenAdmin, body: { perfil: { nomePerfil: "Gestor de Perfis" } } });
+        // perfil:read (5) e perfil:write (6)
+        await servidor.requisitar("PUT", `/perfis/${perfil.idPerfil}/permissoes`, { token: tokenAdmin, body: { permissoes: [{ idPermissao: 5 }, { idPermissao: 6 }] } });
+        await servidor.requisitar("PUT", `/funcionarios/${idMaria}/perfis`, { token: tokenAdmin, body: { perfis: [{ idPerfil: perfil.idPerfil }] } });
+
+        const tokenMaria = await servidor.login({ email: "maria@empresa.com", senha: "Senha@123" });
+
+        const administrador = await servidor.requisitar("PUT", `/funcionarios/${idMaria}/perfis`, { token: tokenMaria, body: { perfis: [{ idPerfil: perfil.idPerfil }, { idPerfil: 1 }] } });
+        assert.equal(administrador.status, 403);
+        assert.ok(administrador.body.error.permissoesNecessarias.includes("funcionario:purge"));
+
+        const colaborador = await servidor.requisitar("PUT", `/funcionarios/${idMaria}/perfis`, { token: tokenMaria, body: { perfis: [{ idPerfil: perfil.idPerfil }, { idPerfil: 3 }] } });
+        assert.equal(colaborador.status, 200);
+        assert.deepEqual(colaborador.body.data.perfis.map(perfilMaria => perfilMaria.idPerfil).sort(), [3, perfil.idPerfil].sort());
+    });
+});
+
+describe("Sessão deslizante (Server com DAOs em memória)", () => {
+    let servidor;
+
+    before(async () => {
+        // Validade abaixo do limiar de renovação: toda requisição autenticada devolve um token renovado
+        servidor = await iniciarServidor({ env: { JWT_EXPIRES_IN: "60" } });
+    });
+
+    after(async () => {
+        await servidor.encerrar();
+    });
+
+    test("o token renovado traz os perfis e permissões atuais, não os do login", async () => {
+        const tokenAdmin = await servidor.login();
+        const maria = { nomeFuncionario: "Maria", email: "maria@empresa.com", senha: "Senha@123", recebeValeTransporte: 1, cargo: { idCargo: 2 } };
+        const { body } = await servidor.requisitar("POST", "/funcionarios", { token: tokenAdmin, body: { funcionario: maria } });
+        const idMaria = body.data.funcionario.idFuncionario;
+        await servidor.requisitar("PUT", `/funcionarios/${idMaria}/perfis`, { token: tokenAdmin, body: { perfis: [{ idPerfil: 2 }] } });
+
+        const tokenMaria = await servidor.login({ email: maria.email, senha: maria.senha });
+
+        // Rebaixada para Colaborador depois do login
+        await servidor.requisitar("PUT", `/funcionarios/${idMaria}/perfis`, { token: tokenAdmin, body: { perfis: [{ idPerfil: 3 }] } });
+
+        const { headers } = await servidor.requisitar("GET", "/cargos", { token: tokenMaria });
+        const renovado = headers.get("X-Renewed-Token");
+        assert.ok(renovado);
+
+        const payload = JSON.parse(Buffer.from(renovado.split(".")[1], "base64url").toString());
+        assert.deepEqual({ perfis: payload.perfis, permissoes: payload.permissoes }, { perfis: ["Colaborador"], permissoes: [] });
+
+        const criacao = await servidor.requisitar("POST", "/cargos", { token: renovado, body: { cargo: { nomeCargo: "Designer" } } });
+        assert.equal(criacao.status, 403);
+    });
+});